@@ -13,6 +13,8 @@ export interface Column {
     name?: string;
     /** Column width in pixels */
     width?: number;
+    /** Horizontal alignment, "right" for right-aligned fixed-width columns */
+    align?: 'left' | 'center' | 'right';
     /** Column type (e.g., "text", "numeric", "calendar", "checkbox") */
     type?: string;
     /** Number of decimal places for numeric columns */
@@ -21,6 +23,12 @@ export interface Column {
     mask?: string;
     /** Options for specific column types */
     options?: Record<string, any>;
+    /** False when the column is hidden */
+    visible?: boolean;
+    /** Outline (grouping) level, 1 to 7 */
+    level?: number;
+    /** The group next to this column is collapsed */
+    collapsed?: boolean;
 }
 
 /**
@@ -29,6 +37,12 @@ export interface Column {
 export interface Row {
     /** Row height in pixels */
     height?: number;
+    /** False when the row is hidden */
+    visible?: boolean;
+    /** Outline (grouping) level, 1 to 7 */
+    level?: number;
+    /** The group next to this row is collapsed */
+    collapsed?: boolean;
 }
 
 /**
@@ -45,6 +59,8 @@ export interface Cell {
     wrap?: boolean;
     /** Formula (if cell contains a formula) */
     formula?: string;
+    /** Displayed text, rendered with the number format (with the text option) */
+    text?: string;
     /** Any other cell properties */
     [key: string]: any;
 }
@@ -71,10 +87,131 @@ export interface Worksheet {
     comments?: Record<string, string>;
     /** Minimum dimensions [columns, rows] */
     minDimensions?: [number, number];
+    /** Excel tables (XLSX) */
+    tables?: Table[];
+    /** Pivot tables (XLSX) */
+    pivotTables?: PivotTable[];
+    /** Outline summary position, present when rows or columns are grouped (XLSX, XLS, ODS) */
+    outline?: {
+        /** Summary rows are below their group */
+        summaryBelow: boolean;
+        /** Summary columns are on the right of their group */
+        summaryRight: boolean;
+    };
+    /** AutoFilter and sort state (XLSX, XLS, ODS) */
+    filters?: Filters;
     /** Format-specific metadata */
     meta?: Record<string, any>;
 }
 
+/**
+ * Excel table (ListObject)
+ */
+export interface Table {
+    /** Table name used in structured references (e.g., "Table1") */
+    name: string;
+    /** Range including the header and totals rows (e.g., "A1:C10") */
+    ref: string;
+    /** The first row contains the column names */
+    headerRow: boolean;
+    /** The last row is a totals row */
+    totalsRow: boolean;
+    /** Table columns */
+    columns: TableColumn[];
+    /** Table style */
+    style?: {
+        name: string | null;
+        showFirstColumn: boolean;
+        showLastColumn: boolean;
+        showRowStripes: boolean;
+        showColumnStripes: boolean;
+    };
+}
+
+/**
+ * Excel table column
+ */
+export interface TableColumn {
+    /** Column name */
+    name: string;
+    /** Calculated column formula */
+    formula?: string;
+    /** Totals row function (e.g., "sum", "average", "custom") */
+    totalsRowFunction?: string;
+    /** Totals row formula, for the custom function */
+    totalsRowFormula?: string;
+    /** Totals row label */
+    totalsRowLabel?: string;
+}
+
+/**
+ * AutoFilter range with the criteria of each column and the sort keys
+ */
+export interface Filters {
+    /** Filtered range including the header row (e.g., "A1:D20") */
+    ref: string | null;
+    /** Criteria by column */
+    columns: FilterColumn[];
+    /** Sort state */
+    sort?: {
+        /** Sorted range, without the header row */
+        ref: string | null;
+        /** Sort keys, in priority order */
+        keys: { column: number; descending: boolean; sortBy?: string; customList?: string[] }[];
+        caseSensitive?: boolean;
+    };
+}
+
+/**
+ * Filter criteria of a column (column is the 0-based worksheet column index)
+ */
+export type FilterColumn =
+    | { column: number; type: 'values'; values: any[]; blank?: boolean; dates?: { grouping: string; year?: number; month?: number; day?: number; hour?: number; minute?: number; second?: number }[] }
+    | { column: number; type: 'custom'; and: boolean; criteria: { operator: 'equal' | 'notEqual' | 'greaterThan' | 'greaterThanOrEqual' | 'lessThan' | 'lessThanOrEqual'; value: any }[] }
+    | { column: number; type: 'top10'; top: boolean; percent: boolean; value: number }
+    | { column: number; type: 'color'; cellColor: boolean; color: string | null }
+    | { column: number; type: 'dynamic'; rule: string };
+
+/**
+ * Pivot table with its cached source data
+ */
+export interface PivotTable {
+    /** Pivot table name */
+    name: string;
+    /** Range of the rendered pivot table (e.g., "A3:C10") */
+    ref: string | null;
+    /** Source range, or the name of the source range or table */
+    source: { sheet: string | null; ref: string | null } | { name: string } | null;
+    /** Names of the fields on rows */
+    rowFields: string[];
+    /** Names of the fields on columns */
+    columnFields: string[];
+    /** Report filters, item is null when all items are selected */
+    pageFields: { field: string | null; item: any }[];
+    /** Aggregated values */
+    dataFields: PivotDataField[];
+    /** Source fields with their distinct items */
+    fields: { name: string; items?: any[]; hiddenItems?: any[]; formula?: string }[];
+    /** Cached source records, one value per field */
+    records: any[][];
+}
+
+/**
+ * Pivot table data field
+ */
+export interface PivotDataField {
+    /** Caption (e.g., "Sum of Amount") */
+    name: string;
+    /** Source field name */
+    field: string | null;
+    /** Aggregation function (sum, count, average, max, min, product, countNums, stdDev, stdDevp, var, varp) */
+    subtotal: string;
+    /** Show values as (e.g., "percentOfTotal") */
+    showDataAs?: string;
+    /** Number format code */
+    format?: string;
+}
+
 /**
  * Result object returned by the parser
  */
@@ -83,20 +220,61 @@ export interface ParseResult {
     worksheets: Worksheet[];
     /** Global styles (array of CSS strings) */
     style?: string[];
+    /** Named ranges (e.g., { MyRange: "Sheet1!$A$1:$B$10" }), a name defined on several sheets is keyed with the sheet (e.g., "Sheet2!_xlnm.Print_Area") */
+    definedNames?: Record<string, string>;
+    /** Data validations and conditional formats (action "format") */
+    validations?: Record<string, any>[];
+    /** Format used to parse the file and how it was chosen */
+    detected?: DetectedFormat;
+}
+
+/**
+ * Format chosen by the main parser
+ */
+export interface DetectedFormat {
+    /** Format name (e.g., "xlsx", "csv", "html", "lotus") */
+    format: string;
+    /** "content" when recognized from the file content, "extension" when taken from the file name */
+    source: 'content' | 'extension';
 }
 
 /**
  * Options for parsing files
  */
 export interface ParseOptions {
-    /** Delimiter for CSV/TSV files (default: "," for CSV, "\t" for TSV) */
+    /** Delimiter for CSV/TSV/TXT files (default: detected for CSV and TXT, "\t" for TSV) */
     delimiter?: string;
-    /** File encoding (default: auto-detect) */
+    /** Quote character for CSV/TSV/TXT files (default: detected) */
+    quote?: string;
+    /** "fixed" to read a .txt file as fixed-width text instead of delimited (.prn files are always fixed-width) */
+    format?: 'fixed';
+    /** Start position of each fixed-width column, from 0 (default: detected from the blank runs shared by the lines) */
+    boundaries?: number[];
+    /** The first line of a fixed-width file is a header (default: detected) */
+    header?: boolean;
+    /** Encoding of CSV, TSV, DIF, SYLK, XML and HTML files (default: detected from the byte order mark, the declared encoding or the content) */
     encoding?: string;
     /** Table index for HTML files (default: 0) */
     tableIndex?: number;
     /** Use first row as header for HTML tables (default: true) */
     firstRowAsHeader?: boolean;
+    /** Convert numbers, booleans and dates in CSV, TSV, fixed-width, DIF and HTML files, and set the column type and mask (default: false) */
+    inferTypes?: boolean | {
+        /** Decimal separator when values could be read with both, e.g. 1,234 (default: "," for semicolon separated files, otherwise ".") */
+        decimal?: '.' | ',';
+        /** Order of day and month when dates could be read both ways, e.g. 03/04/2024 (default: from the decimal separator) */
+        dateOrder?: 'DMY' | 'MDY';
+    };
+    /** Date cells in XLSX, XLSB, XLS, ODS and Gnumeric files, and inferred dates, as ISO strings, Date objects (UTC) or serial numbers (default: "iso") */
+    dates?: 'iso' | 'date' | 'serial';
+    /** Add the displayed text of each cell, rendered with its number format, to cells[A1].text (XLSX, XLSB, XLS, ODS and Gnumeric) */
+    text?: boolean;
+    /** Replace structured references such as Table1[Amount] with A1 ranges (XLSX, default: false) */
+    resolveStructuredReferences?: boolean;
+    /** Keep ODS formulas and named ranges in their OpenFormula text, e.g. of:=SUM([.A1:.B2]), instead of Excel syntax (default: false) */
+    originalFormulas?: boolean;
+    /** Password of an encrypted XLSX or XLS file (default: Excel's default password) */
+    password?: string;
     /** Any other format-specific options */
     [key: string]: any;
 }
@@ -104,7 +282,7 @@ export interface ParseOptions {
 /**
  * Input file type - can be a file path (Node.js), File object (Browser), HTML string, or DOM element
  */
-export type FileInput = string | File | Blob | HTMLElement;
+export type FileInput = string | File | Blob | Uint8Array | HTMLElement;
 
 /**
  * Parse a spreadsheet file and convert it to JSON format
@@ -163,4 +341,126 @@ export type FileInput = string | File | Blob | HTMLElement;
  */
 declare function tabularjs(file: FileInput, options?: ParseOptions): Promise<ParseResult>;
 
+/**
+ * Options for writing XLSX files
+ */
+export interface WriteOptions {
+    /** Output type (default: "uint8array") */
+    type?: 'uint8array' | 'nodebuffer' | 'blob' | 'arraybuffer' | 'base64';
+}
+
+/**
+ * Write parsed data (or data edited in Jspreadsheet) back to an XLSX file
+ *
+ * @param result - Data in the same format returned by the parser
+ * @param options - Writer options
+ * @returns Promise resolving to the XLSX file content
+ *
+ * @example
+ * ```javascript
+ * import tabularjs, { writeXLSX } from 'tabularjs';
+ * const result = await tabularjs('input.xlsx');
+ * fs.writeFileSync('output.xlsx', await writeXLSX(result));
+ * ```
+ */
+export declare function writeXLSX(result: ParseResult, options?: WriteOptions): Promise<Uint8Array | Buffer | Blob | ArrayBuffer | string>;
+
+/**
+ * Error thrown when an encrypted file has no password or a wrong password
+ */
+export declare class PasswordError extends Error {
+    name: 'PasswordError';
+    code: 'PASSWORD_REQUIRED' | 'INVALID_PASSWORD';
+}
+
+/**
+ * Detect the spreadsheet format of a buffer from its content (magic bytes and leading text)
+ *
+ * @param buffer - File content
+ * @returns Format name (e.g., "xlsx", "ods", "slk") or null when inconclusive
+ */
+export declare function detectFormat(buffer: Uint8Array): Promise<string | null>;
+
+/**
+ * Sources read in chunks by the streaming CSV parser
+ */
+export type StreamInput = string | Blob | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string> | Uint8Array;
+
+/**
+ * Options for the streaming CSV parser
+ */
+export interface CSVStreamOptions {
+    /** Called for each row as soon as it is read; a returned promise is awaited before reading on, and false stops reading */
+    onRow?: (row: string[], index: number) => void | boolean | Promise<void | boolean>;
+    /** Keep the rows in worksheets[0].data (default: true without onRow) */
+    collect?: boolean;
+    /** Column delimiter (default: detected) */
+    delimiter?: string;
+    /** Quote character (default: detected) */
+    quote?: string;
+    /** Character encoding (default: detected) */
+    encoding?: string;
+    /** Callback when parsing completes */
+    onload?: (result: ParseResult) => void;
+    /** Callback when parsing fails */
+    onerror?: (error: Error) => void;
+}
+
+/**
+ * Parse a large CSV file or stream row by row, without loading it at once
+ *
+ * @param input - File path (Node.js), File or Blob, web ReadableStream, Node.js Readable, or buffer
+ * @returns Result with the number of rows, the encoding, delimiter, quote and header in worksheets[0].meta
+ *
+ * @example
+ * ```javascript
+ * await parseCSVStream(fs.createReadStream('export.csv'), {
+ *     onRow: (row, index) => console.log(index, row)
+ * });
+ * ```
+ */
+export declare function parseCSVStream(input: StreamInput, options?: CSVStreamOptions): Promise<ParseResult>;
+
+/**
+ * Read the rows of a large CSV file or stream one at a time; the source is read as the rows are consumed
+ *
+ * @example
+ * ```javascript
+ * for await (const row of readCSVRows(file)) {
+ *     console.log(row);
+ * }
+ * ```
+ */
+export declare function readCSVRows(input: StreamInput, options?: Pick<CSVStreamOptions, 'delimiter' | 'quote' | 'encoding'>): AsyncGenerator<string[]>;
+
+/**
+ * Options for rendering number formats
+ */
+export interface FormatOptions {
+    /** Serial numbers use the 1904 date system (default: false) */
+    date1904?: boolean;
+}
+
+/**
+ * Render a value with an Excel number format code, as displayed in the cell
+ *
+ * @param value - Cell value, ISO date strings and Dates are rendered with date formats
+ * @param code - Format code (e.g., "$#,##0.00", "d-mmm-yyyy") or built-in format id (default: "General")
+ * @returns Displayed text
+ *
+ * @example
+ * ```javascript
+ * format(1234.5, '$#,##0.00'); // "$1,234.50"
+ * format(45363, 'd-mmm-yyyy'); // "12-Mar-2024"
+ * ```
+ */
+export declare function format(value: number | string | boolean | Date | null, code?: string | number, options?: FormatOptions): string;
+
+/**
+ * Get the color applied by a number format to a value (e.g., [Red] in the negative section)
+ *
+ * @returns Color as #RRGGBB or null
+ */
+export declare function getFormatColor(value: number | string | boolean | Date | null, code?: string | number, options?: FormatOptions): string | null;
+
 export default tabularjs;
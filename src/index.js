@@ -1,3 +1,9 @@
-import tabularjs from './parser.js'
+import tabularjs, { detectFormat } from './parser.js'
+import { writeXLSX } from './writer/xlsx.js';
+import { format, getFormatColor } from './utils/format.js';
+import { PasswordError } from './utils/encryption.js';
+import { parseCSVStream, readCSVRows } from './parser/csv.js';
+
+export { detectFormat, writeXLSX, format, getFormatColor, PasswordError, parseCSVStream, readCSVRows };
 
 export default tabularjs;
\ No newline at end of file
@@ -5,25 +5,82 @@
 
 import { parseXLS } from './parser/xls.js';
 import { parseXLSX } from './parser/xlsx.js';
+import { parseXLSB } from './parser/xlsb.js';
 import { parseODS } from './parser/ods.js';
+import { parseNumbers } from './parser/numbers.js';
+import { parseGnumeric } from './parser/gnumeric.js';
 import { parseLotus } from './parser/lotus.js';
 import { parseCSVFile, parseCSVString } from './parser/csv.js';
+import { parseFixedWidth } from './parser/fixed.js';
 import { parseXMLSpreadsheet } from './parser/xml.js';
 import { parseDIF } from './parser/dif.js';
 import { parseSLK } from './parser/slk.js';
 import { parseHTMLTable} from './parser/table.js';
 import { parseDBF } from './parser/dbf.js';
+import { loadAsBuffer } from './utils/loader.js';
+import { detectFormat } from './utils/detect.js';
+
+/**
+ * Format used for each known file extension, when the content is inconclusive
+ */
+const extensions = {
+    xls: 'xls',
+    xlw: 'xls',
+    xlsx: 'xlsx',
+    xlsb: 'xlsb',
+    ods: 'ods',
+    ots: 'ods',
+    fods: 'ods',
+    numbers: 'numbers',
+    gnumeric: 'gnumeric',
+    wks: 'lotus',
+    wk1: 'lotus',
+    wk3: 'lotus',
+    wk4: 'lotus',
+    123: 'lotus',
+    csv: 'csv',
+    tsv: 'tsv',
+    tab: 'tsv',
+    txt: 'txt',
+    prn: 'fixed',
+    xml: 'xml',
+    dif: 'dif',
+    slk: 'slk',
+    sylk: 'slk',
+    html: 'html',
+    htm: 'html',
+    dbf: 'dbf',
+};
+
+/**
+ * Formats read from plain text, recognized by their leading text or by their extension only
+ */
+const textFormats = ['csv', 'tsv', 'txt', 'fixed', 'dif', 'slk', 'xml', 'html'];
+
+/**
+ * Check if the input is raw binary content (no file name available)
+ */
+function isBinary(input) {
+    return input instanceof Uint8Array ||
+        (typeof Buffer !== 'undefined' && Buffer.isBuffer(input)) ||
+        (typeof Blob !== 'undefined' && input instanceof Blob);
+}
 
 /**
  * Parse spreadsheet files with automatic format detection
  *
- * Supports 16+ file formats including Excel (.xls, .xlsx), OpenDocument (.ods),
- * CSV, TSV, HTML tables, XML Spreadsheet, Lotus 1-2-3, SYLK, DIF, and dBase.
+ * Supports 16+ file formats including Excel (.xls, .xlsx, .xlsb), OpenDocument (.ods), Apple Numbers,
+ * Gnumeric, CSV, TSV, fixed-width text, HTML tables, XML Spreadsheet, Lotus 1-2-3, SYLK, DIF, and dBase.
+ *
+ * The format is detected from the file content (magic bytes and leading text).
+ * The file extension is only used when the content is inconclusive, e.g. for CSV.
  *
  * @async
- * @param {string|File|Uint8Array} file - File path (Node.js), File object (Browser), or buffer
+ * @param {string|File|Blob|Uint8Array} file - File path (Node.js), File object (Browser), Blob, or buffer
  * @param {Object} [options={}] - Parser options
- * @param {string} [options.delimiter=','] - CSV delimiter (for CSV/TSV files)
+ * @param {string} [options.delimiter] - CSV delimiter (for CSV/TSV/TXT files, detected from the content by default)
+ * @param {string} [options.format] - 'fixed' to read a .txt file as fixed-width text instead of delimited
+ * @param {Array<number>} [options.boundaries] - Start position of each fixed-width column (detected by default)
  * @param {number} [options.tableIndex=0] - Table index to parse (for HTML with multiple tables)
  * @param {boolean} [options.firstRowAsHeader=true] - Treat first row as header (for HTML/CSV)
  * @param {number} [options.worksheetIndex] - Specific worksheet to parse (0-based)
@@ -41,6 +98,7 @@ import { parseDBF } from './parser/dbf.js';
  * @returns {Object} [return.worksheets[].cells] - Cell metadata (formulas, masks, etc.)
  * @returns {Array<Object>} [return.worksheets[].rows] - Row properties (height, visibility)
  * @returns {Object} [return.definedNames] - Named ranges (e.g., {MyRange: "Sheet1!A1:B10"})
+ * @returns {Object} return.detected - Format chosen ({format: 'xlsx', source: 'content'|'extension'})
  *
  * @throws {Error} If file is null/undefined or unsupported format
  *
@@ -57,6 +115,11 @@ import { parseDBF } from './parser/dbf.js';
  * const result = await tabularjs(file);
  *
  * @example
+ * // Buffer without a file name
+ * const result = await tabularjs(fs.readFileSync('export.bin'));
+ * console.log(result.detected); // { format: 'xlsx', source: 'content' }
+ *
+ * @example
  * // CSV with custom delimiter
  * const result = await tabularjs('data.csv', { delimiter: ';' });
  *
@@ -75,7 +138,7 @@ export default async function parser(file, options = {}) {
         throw new Error('Invalid file');
     }
 
-    // Handle both file paths (string) and file objects (with .name property)
+    // Handle file paths (string), file objects (with .name property) and raw buffers
     let fileName;
     if (typeof file === 'string') {
         // File path
@@ -83,45 +146,106 @@ export default async function parser(file, options = {}) {
     } else if (file.name) {
         // File object (browser File API)
         fileName = file.name;
+    } else if (isBinary(file)) {
+        // Buffer without a name, the content decides
+        fileName = '';
     } else {
-        throw new Error('Invalid file: must be a file path or file object with name property');
+        throw new Error('Invalid file: must be a file path, file object with name property, or buffer');
     }
 
     const ext = fileName.toLowerCase().split('.').pop();
 
-    switch (ext) {
+    // Read the content once and inspect it. When the file can not be read here
+    // (e.g. missing path), the parser selected by extension reports the error.
+    let buffer = null;
+    try {
+        buffer = await loadAsBuffer(file);
+    } catch (e) {
+        buffer = null;
+    }
+
+    let detected = buffer ? await detectFormat(buffer) : null;
+
+    // The leading text of a text file is only a hint, the extension of another text format wins
+    if (detected && textFormats.includes(detected) && textFormats.includes(extensions[ext]) && detected !== extensions[ext]) {
+        detected = null;
+    }
+
+    let format = detected || extensions[ext];
+
+    // Text files are delimited unless they are said to be fixed-width
+    if (format === 'txt' && options.format === 'fixed') {
+        format = 'fixed';
+    }
+
+    if (!format) {
+        if (!fileName) {
+            throw new Error('Unsupported file type: unable to detect the format from the content');
+        }
+        throw new Error(`Unsupported file type: ${ext}`);
+    }
+
+    const input = buffer || file;
+    let result;
+
+    switch (format) {
         case 'xls':
-            return await parseXLS(file, options);
+            result = await parseXLS(input, options);
+            break;
         case 'xlsx':
-            return await parseXLSX(file, options);
+            result = await parseXLSX(input, options);
+            break;
+        case 'xlsb':
+            result = await parseXLSB(input, options);
+            break;
         case 'ods':
-            return await parseODS(file, options);
-        case 'wks':
-        case 'wk1':
-        case 'wk3':
-        case 'wk4':
-        case '123':
-            return await parseLotus(file, options);
+            result = await parseODS(input, options);
+            break;
+        case 'numbers':
+            result = await parseNumbers(input, options);
+            break;
+        case 'gnumeric':
+            result = await parseGnumeric(input, options);
+            break;
+        case 'lotus':
+            result = await parseLotus(input, options);
+            break;
         case 'csv':
-            return await parseCSVFile(file, options);
-        case 'tsv':
-        case 'tab':
-            return await parseCSVFile(file, { ...options, delimiter: '\t' });
         case 'txt':
-            return await parseCSVFile(file, { ...options, delimiter: '\t' });
+            result = await parseCSVFile(input, options);
+            break;
+        case 'fixed':
+            result = await parseFixedWidth(input, options);
+            break;
+        case 'tsv':
+            result = await parseCSVFile(input, { ...options, delimiter: options.delimiter || '\t' });
+            break;
         case 'xml':
-            return await parseXMLSpreadsheet(file, options);
+            result = await parseXMLSpreadsheet(input, options);
+            break;
         case 'dif':
-            return await parseDIF(file, options);
+            result = await parseDIF(input, options);
+            break;
         case 'slk':
-        case 'sylk':
-            return await parseSLK(file, options);
+            result = await parseSLK(input, options);
+            break;
         case 'html':
-        case 'htm':
-            return await parseHTMLTable(file, options);
+            result = await parseHTMLTable(input, options);
+            break;
         case 'dbf':
-            return await parseDBF(file, options);
+            result = await parseDBF(input, options);
+            break;
         default:
-            throw new Error(`Unsupported file type: ${ext}`);
+            throw new Error(`Unsupported file type: ${format}`);
     }
-}
\ No newline at end of file
+
+    // Report which format was used and how it was chosen
+    result.detected = {
+        format: format,
+        source: detected ? 'content' : 'extension',
+    };
+
+    return result;
+}
+
+export { detectFormat };
@@ -1,95 +1,165 @@
-import { loadAsString, parse } from '../utils/loader.js';
+import { loadAsText, loadAsStream, parse } from '../utils/loader.js';
+import { detectTextEncoding, createDecoder } from '../utils/encoding.js';
 import { getColumnName } from '../utils/helpers.js';
+import { inferColumnTypes } from '../utils/infer.js';
 
-function parseCSV(str, delimiter) {
+// Delimiters tried by the sniffer, in order of preference when they score the same
+const DELIMITERS = [',', ';', '\t', '|', ':'];
+
+// Quote characters tried by the sniffer
+const QUOTES = ['"', "'"];
+
+// Amount of text inspected by the sniffer
+const SAMPLE_SIZE = 8192;
+
+// Share of the records with the same number of fields for a delimiter to be accepted
+const MIN_CONSISTENCY = 0.8;
+
+// Colons that are part of a value: times (12:30, 12:30:45) and URL schemes (http://)
+const COLON_VALUES = /\b\d{1,2}:\d{2}(?::\d{2})?\b|:\/\//g;
+
+// Amount of a stream read before its encoding is detected
+const ENCODING_SAMPLE_SIZE = 4096;
+
+/**
+ * Create the CSV state machine, which can be fed the content in chunks
+ *
+ * Rows are passed to onRow as they are completed. A quote at the end of a chunk is kept until
+ * the next one, as it may be the first half of an escaped quote.
+ */
+function createCSVReader(delimiter, quote, onRow) {
     // user-supplied delimiter or default comma
     delimiter = (delimiter || ",");
+    quote = (quote || '"');
 
-    // Final data
+    let r = null;
     let col = 0;
-    let row = 0;
-    let data = [[]];
-    let limit = 0;
     let flag = null;
     let inside = false;
     let closed = false;
+    let pending = '';
 
-    // Go over all chars
-    for (let i = 0; i < str.length; i++) {
-        let r = data[row];
-        // Create a new row
-        if (! r) {
-            r = data[row] = [];
-        }
-        // Create a new column
-        if (! r[col]) {
-            r[col] = '';
-        }
+    const write = function(str, final) {
+        str = pending + str;
+        pending = '';
 
-        // Ignore
-        let char = str[i];
-        if (char === '\r') {
-            continue;
-        }
+        // Go over all chars
+        for (let i = 0; i < str.length; i++) {
+            // Create a new row
+            if (! r) {
+                r = [];
+            }
+            // Create a new column
+            if (! r[col]) {
+                r[col] = '';
+            }
+
+            // Ignore
+            let char = str[i];
+            if (char === '\r') {
+                continue;
+            }
 
-        // New row
-        if ((char === '\n' || char === delimiter) && (inside === false || closed === true || ! flag)) {
-            // Restart flags
-            flag = null;
-            inside = false;
-            closed = false;
+            // New row
+            if ((char === '\n' || char === delimiter) && (inside === false || closed === true || ! flag)) {
+                // Restart flags
+                flag = null;
+                inside = false;
+                closed = false;
 
-            if (r[col][0] === '"') {
-                let val = r[col].trim();
-                if (val[val.length-1] === '"') {
-                    r[col] = val.substr(1, val.length-2);
+                if (r[col][0] === quote) {
+                    let val = r[col].trim();
+                    if (val[val.length-1] === quote) {
+                        r[col] = val.substr(1, val.length-2);
+                    }
                 }
-            }
 
-            // Go to the next cell
-            if (char === '\n') {
-                // New line
-                col = 0;
-                row++;
+                // Go to the next cell
+                if (char === '\n') {
+                    // New line
+                    onRow(r);
+                    r = null;
+                    col = 0;
+                } else {
+                    // New column, even if nothing follows the delimiter
+                    col++;
+                    r[col] = '';
+                }
             } else {
-                // New column
-                col++;
-                if (col > limit) {
-                    // Keep the reference of max column
-                    limit = col;
+                // Inside quotes
+                if (char === quote) {
+                    inside = ! inside;
                 }
-            }
-        } else {
-            // Inside quotes
-            if (char === '"') {
-                inside = ! inside;
-            }
 
-            if (flag === null) {
-                flag = inside;
-                if (flag === true) {
-                    continue;
-                }
-            } else if (flag === true && ! closed) {
-                if (char === '"') {
-                    if (str[i+1] === '"') {
-                        inside = true;
-                        r[col] += char;
-                        i++;
-                    } else {
-                        closed = true;
+                if (flag === null) {
+                    flag = inside;
+                    if (flag === true) {
+                        continue;
+                    }
+                } else if (flag === true && ! closed) {
+                    if (char === quote) {
+                        if (i === str.length - 1 && ! final) {
+                            // Wait for the next chunk to know if the quote is escaped
+                            inside = ! inside;
+                            pending = char;
+                            break;
+                        }
+                        if (str[i+1] === quote) {
+                            inside = true;
+                            r[col] += char;
+                            i++;
+                        } else {
+                            closed = true;
+                        }
+                        continue;
                     }
-                    continue;
                 }
+
+                r[col] += char;
             }
+        }
+    };
 
-            r[col] += char;
+    return {
+        write: function(str) {
+            write(str, false);
+        },
+        end: function() {
+            write('', true);
+            if (r) {
+                onRow(r);
+                r = null;
+            }
         }
+    };
+}
+
+function parseCSV(str, delimiter, quote) {
+    // Final data
+    let data = [];
+    let limit = 0;
+
+    const reader = createCSVReader(delimiter, quote, function(row) {
+        data.push(row);
+        if (row.length - 1 > limit) {
+            // Keep the reference of max column
+            limit = row.length - 1;
+        }
+    });
+    reader.write(str);
+    reader.end();
+
+    if (! data.length) {
+        data.push([]);
     }
 
-    // Make sure a square matrix is generated
+    return fillRows(data, limit + 1);
+}
+
+// Make sure a square matrix is generated
+function fillRows(data, numColumns) {
     for (let j = 0; j < data.length; j++) {
-        for (let i = 0; i <= limit; i++) {
+        for (let i = 0; i < numColumns; i++) {
             if (typeof(data[j][i]) === 'undefined') {
                 data[j][i] = '';
             }
@@ -99,26 +169,212 @@ function parseCSV(str, delimiter) {
     return data;
 }
 
+// Columns array with titles
+function createColumns(numColumns) {
+    const columns = [];
+    for (let i = 0; i < numColumns; i++) {
+        columns.push({
+            title: getColumnName(i)
+        });
+    }
+    return columns;
+}
+
+// Number of fields of each record, splitting at the delimiters outside quotes
+function countFields(text, delimiter, quote) {
+    const counts = [];
+    let fields = 1;
+    let empty = true;
+    let start = true;
+    let inside = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inside) {
+            if (char === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    inside = false;
+                }
+            }
+        } else if (char === quote && start) {
+            inside = true;
+            start = false;
+            empty = false;
+        } else if (char === delimiter) {
+            fields++;
+            start = true;
+            empty = false;
+        } else if (char === '\n') {
+            if (! empty) {
+                counts.push(fields);
+            }
+            fields = 1;
+            start = true;
+            empty = true;
+        } else if (char !== '\r') {
+            // Spaces before an opening quote are allowed
+            if (char !== ' ') {
+                start = false;
+            }
+            empty = false;
+        }
+    }
+
+    if (! empty) {
+        counts.push(fields);
+    }
+
+    return counts;
+}
+
+// Most frequent number of fields and the share of the records with it
+function scoreDelimiter(counts) {
+    const frequency = {};
+    let fields = 1;
+    let records = 0;
+
+    for (const count of counts) {
+        frequency[count] = (frequency[count] || 0) + 1;
+        if (frequency[count] > records || (frequency[count] === records && count > fields)) {
+            fields = count;
+            records = frequency[count];
+        }
+    }
+
+    return fields > 1 ? { fields, consistency: records / counts.length } : null;
+}
+
+// Quote character used around the most fields, double quotes unless single quotes are more common
+function detectQuote(text) {
+    let result = '"';
+    let best = 0;
+
+    for (const quote of QUOTES) {
+        const field = new RegExp(`(?:^|[,;\\t|:]) *${quote}(?:[^${quote}]|${quote}${quote})*${quote} *(?=$|[,;\\t|:\\r])`, 'gm');
+        const matches = (text.match(field) || []).length;
+        if (matches > best) {
+            result = quote;
+            best = matches;
+        }
+    }
+
+    return result;
+}
+
+const isNumeric = function(value) {
+    return /^[-+]?[\d.,]*\d(?:[eE][-+]?\d+)?%?$/.test(value);
+};
+
+/**
+ * Check if the first row is a header, when its values do not look like the values below them:
+ * text above numbers, or a different length than a column of values with the same length
+ * @param {Array<Array<string>>} rows - First rows of the content
+ * @returns {boolean}
+ */
+export function detectHeader(rows) {
+    const [first, ...others] = rows;
+    let votes = 0;
+
+    for (let c = 0; c < first.length; c++) {
+        let type = null;
+        let consistent = true;
+
+        for (const row of others) {
+            const value = (row[c] || '').trim();
+            if (value === '') {
+                continue;
+            }
+            const current = isNumeric(value) ? 'number' : value.length;
+            if (type === null) {
+                type = current;
+            } else if (type !== current) {
+                consistent = false;
+                break;
+            }
+        }
+
+        const value = first[c].trim();
+        if (type === null || ! consistent || value === '') {
+            continue;
+        }
+
+        if (type === 'number') {
+            votes += isNumeric(value) ? -1 : 1;
+        } else if (isNumeric(value) || value.length !== type) {
+            votes++;
+        }
+    }
+
+    return votes > 0;
+}
+
+/**
+ * Detect the delimiter, the quote character and the header row of CSV content
+ *
+ * The first few kilobytes are split with each candidate delimiter (`,` `;` tab `|` `:`) outside quotes,
+ * and the one giving the same number of fields (more than one) in most records is chosen. A delimiter that
+ * splits less than 80% of the records the same way is not used, and the content is read with commas.
+ *
+ * @param {string} content - CSV string content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Known delimiter, not detected
+ * @param {string} [options.quote] - Known quote character, not detected
+ * @returns {{delimiter: string, quote: string, header: boolean}}
+ * @example
+ * sniffCSV('Name;Amount\nApples;1,5') // { delimiter: ';', quote: '"', header: true }
+ */
+export function sniffCSV(content, options = {}) {
+    let sample = content;
+    if (sample.length > SAMPLE_SIZE) {
+        // Leave out the record cut by the end of the sample
+        sample = sample.substring(0, SAMPLE_SIZE);
+        const end = sample.lastIndexOf('\n');
+        if (end > 0) {
+            sample = sample.substring(0, end);
+        }
+    }
+
+    const quote = options.quote || detectQuote(sample);
+
+    let delimiter = options.delimiter;
+    if (! delimiter) {
+        delimiter = ',';
+        let best = null;
+        for (const candidate of DELIMITERS) {
+            const text = candidate === ':' ? sample.replace(COLON_VALUES, ' ') : sample;
+            const score = scoreDelimiter(countFields(text, candidate, quote));
+            // Without a consistent number of fields, the content is a single column
+            if (score && score.consistency >= MIN_CONSISTENCY && (! best || score.consistency > best.consistency)) {
+                delimiter = candidate;
+                best = score;
+            }
+        }
+    }
+
+    const rows = parseCSV(sample, delimiter, quote).filter(row => row.some(value => value !== '')).slice(0, 20);
+    const header = rows.length > 1 && detectHeader(rows);
+
+    return { delimiter, quote, header };
+}
+
 /**
  * Parse CSV from string content
  * @param {string} content - CSV string content
  * @param {string} delimiter - Column delimiter (default: ',')
+ * @param {string} quote - Quote character (default: '"')
  * @returns {object} Jspreadsheet Pro format
  */
-export function parseCSVString(content, delimiter = ',') {
+export function parseCSVString(content, delimiter = ',', quote = '"') {
     // Parse the CSV content
-    const data = parseCSV(content, delimiter);
+    const data = parseCSV(content, delimiter, quote);
 
     // Determine the number of columns
     const numColumns = data.length > 0 ? data[0].length : 0;
 
     // Create columns array with titles
-    const columns = [];
-    for (let i = 0; i < numColumns; i++) {
-        columns.push({
-            title: getColumnName(i)
-        });
-    }
+    const columns = createColumns(numColumns);
 
     // Return in the specified format
     return {
@@ -133,9 +389,17 @@ export function parseCSVString(content, delimiter = ',') {
 
 /**
  * Parse CSV file - works in both Browser and Node.js
+ *
+ * The delimiter, quote character and header row are detected from the content,
+ * and reported in worksheets[0].meta.
+ *
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
- * @param {string} options.delimiter - Column delimiter (default: ',')
+ * @param {string} options.delimiter - Column delimiter (default: detected)
+ * @param {string} options.quote - Quote character (default: detected)
+ * @param {string} options.encoding - Character encoding (default: detected)
+ * @param {boolean|Object} options.inferTypes - Convert numbers, booleans and dates, and set the column types (default: false), or { decimal, dateOrder }
+ * @param {string} options.dates - Inferred dates as 'iso' strings, 'date' objects or 'serial' numbers (default: 'iso')
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
@@ -143,10 +407,168 @@ export function parseCSVString(content, delimiter = ',') {
 export async function parseCSVFile(input, options = {}) {
     return parse(async (inp, opts) => {
         // Handle delimiter as second parameter for backwards compatibility
-        const delimiter = typeof options === 'string' ? options : (opts.delimiter || ',');
+        const delimiter = typeof options === 'string' ? options : opts.delimiter;
 
         // Load and parse directly
-        const content = await loadAsString(inp);
-        return parseCSVString(content, delimiter);
+        const content = await loadAsText(inp, { encoding: opts.encoding });
+        const sniffed = sniffCSV(content, { delimiter, quote: opts.quote });
+
+        const result = parseCSVString(content, sniffed.delimiter, sniffed.quote);
+        result.worksheets[0].meta = sniffed;
+
+        if (opts.inferTypes) {
+            // Semicolon separated files come from locales with a decimal comma
+            const worksheet = result.worksheets[0];
+            inferColumnTypes(worksheet.data, worksheet.columns, { decimal: sniffed.delimiter === ';' ? ',' : '.', ...opts.inferTypes, dates: opts.dates });
+        }
+
+        return result;
     }, input, typeof options === 'string' ? {} : options);
 }
+
+// Rows of a CSV stream as they are completed, with the detected encoding, delimiter, quote and header in meta
+async function* streamRows(input, options, meta) {
+    const rows = [];
+    let decoder = null;
+    let reader = null;
+    let started = false;
+    let head = [];
+    let headLength = 0;
+    let sample = '';
+
+    // Text of a chunk, the encoding is detected from the first few kilobytes
+    const decode = function(chunk, final) {
+        if (typeof chunk === 'string') {
+            // Node.js streams with an encoding set are already decoded
+            const text = started ? chunk : chunk.replace(/^\uFEFF/, '');
+            started = true;
+            return text;
+        }
+        if (! decoder) {
+            head.push(chunk);
+            headLength += chunk.length;
+            if (headLength < ENCODING_SAMPLE_SIZE && ! final) {
+                return '';
+            }
+
+            const buffer = new Uint8Array(headLength);
+            let position = 0;
+            for (const part of head) {
+                buffer.set(part, position);
+                position += part.length;
+            }
+            head = [];
+
+            const { encoding, offset } = detectTextEncoding(buffer, { encoding: options.encoding, partial: ! final });
+            decoder = createDecoder(encoding);
+            meta.encoding = encoding;
+            chunk = buffer.subarray(offset);
+        }
+        return decoder.decode(chunk, { stream: ! final });
+    };
+
+    // Options are detected from the first few kilobytes of text
+    const write = function(text, final) {
+        if (! reader) {
+            sample += text;
+            if (sample.length < SAMPLE_SIZE && ! final) {
+                return;
+            }
+            Object.assign(meta, sniffCSV(sample, { delimiter: options.delimiter, quote: options.quote }));
+            reader = createCSVReader(meta.delimiter, meta.quote, row => rows.push(row));
+            text = sample;
+            sample = '';
+        }
+        reader.write(text);
+    };
+
+    for await (const chunk of loadAsStream(input)) {
+        write(decode(chunk, false), false);
+        yield* rows.splice(0);
+    }
+
+    // Rest of the decoder, or the whole content when it was shorter than the encoding sample
+    let rest = '';
+    if (decoder) {
+        rest = decoder.decode();
+    } else if (! started) {
+        rest = decode(new Uint8Array(0), true);
+    }
+    write(rest, true);
+    reader.end();
+    yield* rows.splice(0);
+}
+
+/**
+ * Read the rows of a large CSV file one at a time, without loading the whole file
+ *
+ * The state of quoted values is kept across chunks, so values may contain delimiters and line breaks.
+ * The source is only read as fast as the rows are consumed. Rows are not padded to the same length.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Uint8Array} input - File path (Node.js), File or Blob, web ReadableStream, Node.js Readable, or buffer
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Column delimiter (default: detected)
+ * @param {string} [options.quote] - Quote character (default: detected)
+ * @param {string} [options.encoding] - Character encoding (default: detected)
+ * @returns {AsyncGenerator<string[]>}
+ * @example
+ * for await (const row of readCSVRows(fs.createReadStream('export.csv'))) {
+ *     console.log(row);
+ * }
+ */
+export async function* readCSVRows(input, options = {}) {
+    yield* streamRows(input, options, {});
+}
+
+/**
+ * Parse CSV file or stream row by row - for files too large to be loaded at once
+ *
+ * Each row is passed to onRow as soon as it is read, and the next chunk is only read when a promise
+ * returned by onRow resolves. The rows are only kept in the result when there is no onRow, or with
+ * the collect option, so memory stays flat otherwise.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Uint8Array} input - File path (Node.js), File or Blob, web ReadableStream, Node.js Readable, or buffer
+ * @param {Object} options - Parser options
+ * @param {Function} options.onRow - Called with (row, index) for each row, returning false stops reading
+ * @param {boolean} options.collect - Keep the rows in worksheets[0].data (default: true without onRow)
+ * @param {string} options.delimiter - Column delimiter (default: detected)
+ * @param {string} options.quote - Quote character (default: detected)
+ * @param {string} options.encoding - Character encoding (default: detected)
+ * @param {Function} options.onload - Callback when parsing completes
+ * @param {Function} options.onerror - Callback when parsing fails
+ * @returns {Promise<object>} Jspreadsheet Pro format, with the number of rows in worksheets[0].meta.rows
+ */
+export async function parseCSVStream(input, options = {}) {
+    return parse(async (inp, opts) => {
+        const collect = opts.collect !== undefined ? opts.collect : ! opts.onRow;
+        const meta = {};
+        const data = [];
+        let numColumns = 0;
+        let index = 0;
+
+        for await (const row of streamRows(inp, opts, meta)) {
+            if (opts.onRow && await opts.onRow(row, index) === false) {
+                break;
+            }
+            if (collect) {
+                data.push(row);
+            }
+            if (row.length > numColumns) {
+                numColumns = row.length;
+            }
+            index++;
+        }
+
+        meta.rows = index;
+
+        return {
+            worksheets: [
+                {
+                    data: fillRows(data, numColumns),
+                    columns: createColumns(numColumns),
+                    meta
+                }
+            ]
+        };
+    }, input, options);
+}
@@ -1,4 +1,5 @@
-import { loadAsString, parse, detectEncoding } from '../utils/loader.js';
+import { loadAsText, parse } from '../utils/loader.js';
+import { inferColumnTypes } from '../utils/infer.js';
 import { getColumnName } from '../utils/helpers.js';
 
 /**
@@ -308,104 +309,23 @@ export function parseDIFString(fileContent) {
  * Parse DIF file - works in both Browser and Node.js
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
- * @param {string} options.encoding - Character encoding (default: auto-detect with fallbacks). Common values: 'utf-8', 'latin1', 'windows-1252'. If not specified, tries multiple encodings.
+ * @param {string} options.encoding - Character encoding (default: detected, UTF-8 or windows-1252). DOS exports may need 'cp850' or 'cp437', which require iconv-lite.
+ * @param {boolean|Object} options.inferTypes - Convert numbers, booleans and dates in text values, and set the column types (default: false), or { decimal, dateOrder }
+ * @param {string} options.dates - Inferred dates as 'iso' strings, 'date' objects or 'serial' numbers (default: 'iso')
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseDIF(input, options = {}) {
     return parse(async (inp) => {
-        let encoding = options.encoding;
-        let content;
-
-        if (!encoding) {
-            // Try encodings in order of likelihood for DIF files
-            const encodingsToTry = [
-                'cp850',       // DOS/OEM encoding (common for older Excel exports)
-                'cp437',       // DOS encoding (alternative)
-                'latin1',      // Windows-1252/ISO-8859-1 (most common for older files)
-                'utf-8',       // Modern files
-                'utf-16le',    // Windows UTF-16
-            ];
-
-            // First, try auto-detection
-            try {
-                const detected = await detectEncoding(inp);
-                // Put detected encoding first
-                const idx = encodingsToTry.indexOf(detected);
-                if (idx > 0) {
-                    encodingsToTry.splice(idx, 1);
-                    encodingsToTry.unshift(detected);
-                }
-            } catch (e) {
-                // Detection failed, use default order
-            }
-
-            // Try each encoding and score based on content quality
-            let bestEncoding = null;
-            let bestContent = null;
-            let bestScore = -1;
-
-            for (const enc of encodingsToTry) {
-                try {
-                    const testContent = await loadAsString(inp, enc);
-
-                    // Score this encoding
-                    let score = 0;
-
-                    // Penalize replacement characters heavily
-                    const replacementCount = (testContent.match(/\uFFFD/g) || []).length;
-                    score -= replacementCount * 1000;
-
-                    // Reward common spreadsheet characters
-                    if (testContent.includes('°')) score += 100; // Degree symbol
-                    if (testContent.includes('µ')) score += 50;  // Micro symbol
-                    if (testContent.includes('±')) score += 50;  // Plus-minus
-
-                    // Penalize unusual control characters
-                    const controlCharCount = (testContent.match(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g) || []).length;
-                    score -= controlCharCount * 10;
-
-                    console.log(`DIF: Tried encoding ${enc}, score: ${score}`);
-
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestEncoding = enc;
-                        bestContent = testContent;
-                    }
-
-                    // If we have a perfect score (no replacements, has special chars), use it immediately
-                    if (replacementCount === 0 && score > 50) {
-                        encoding = enc;
-                        content = testContent;
-                        console.log(`DIF: Successfully parsed with encoding: ${encoding} (score: ${score})`);
-                        break;
-                    }
-                } catch (e) {
-                    console.log(`DIF: Failed with encoding ${enc}:`, e.message);
-                    continue;
-                }
-            }
-
-            // Use best encoding found
-            if (!content && bestContent) {
-                encoding = bestEncoding;
-                content = bestContent;
-                console.log(`DIF: Using best encoding: ${encoding} (score: ${bestScore})`);
-            }
+        const content = await loadAsText(inp, { encoding: options.encoding });
+        const result = parseDIFString(content);
 
-            // If all failed, use first attempt (latin1)
-            if (!content) {
-                encoding = 'latin1';
-                content = await loadAsString(inp, encoding);
-                console.log(`DIF: Using fallback encoding: ${encoding}`);
-            }
-        } else {
-            // Use specified encoding
-            content = await loadAsString(inp, encoding);
-            console.log(`DIF: Using specified encoding: ${encoding}`);
+        if (options.inferTypes) {
+            const worksheet = result.worksheets[0];
+            inferColumnTypes(worksheet.data, worksheet.columns, { ...options.inferTypes, dates: options.dates });
         }
 
-        return parseDIFString(content);
+        return result;
     }, input, options);
 }
@@ -0,0 +1,203 @@
+import { loadAsText, parse } from '../utils/loader.js';
+import { getColumnName } from '../utils/helpers.js';
+import { inferColumnTypes } from '../utils/infer.js';
+import { detectHeader } from './csv.js';
+
+// Number of lines inspected to find the columns
+const SAMPLE_LINES = 200;
+
+// Tab stops of reports printed with tabs
+const TAB_SIZE = 8;
+
+// Lines drawn under a header or between sections, e.g. "------  -----"
+const SEPARATOR = /^[ \-=_+|*]*[-=_]{3,}[ \-=_+|*]*$/;
+
+// Values that can not be a column title
+const NUMBER = /^[-+]?[\d.,]*\d%?$/;
+
+// Replace tabs with the spaces up to the next tab stop, so positions match what is printed
+function expandTabs(line) {
+    if (line.indexOf('\t') === -1) {
+        return line;
+    }
+
+    let result = '';
+    for (const char of line) {
+        if (char === '\t') {
+            result += ' '.repeat(TAB_SIZE - result.length % TAB_SIZE);
+        } else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+// Runs of positions with text in any of the lines
+function findSegments(lines) {
+    const width = lines.reduce((max, line) => Math.max(max, line.length), 0);
+    const used = new Array(width).fill(false);
+    for (const line of lines) {
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] !== ' ') {
+                used[i] = true;
+            }
+        }
+    }
+
+    const segments = [];
+    for (let i = 0; i < width; i++) {
+        if (used[i] && (i === 0 || ! used[i - 1])) {
+            segments.push({ start: i, end: i + 1 });
+        } else if (used[i]) {
+            segments[segments.length - 1].end = i + 1;
+        }
+    }
+    return segments;
+}
+
+// Start position of each column, from the whitespace runs shared by all the lines.
+// Words of a header with nothing below them belong to the nearest column, e.g. "Unit" in "Unit Price"
+// above right-aligned numbers.
+function detectBoundaries(lines) {
+    const sample = lines.slice(0, SAMPLE_LINES);
+    const segments = findSegments(sample);
+
+    if (sample.length > 1) {
+        const values = findSegments(sample.slice(1));
+        for (let s = 0; s < segments.length && segments.length > 1; s++) {
+            const segment = segments[s];
+            if (values.some(value => value.start < segment.end && value.end > segment.start)) {
+                continue;
+            }
+
+            const previous = segments[s - 1];
+            const next = segments[s + 1];
+            if (next && (! previous || next.start - segment.end <= segment.start - previous.end)) {
+                next.start = segment.start;
+            } else {
+                previous.end = segment.end;
+            }
+            segments.splice(s, 1);
+            s--;
+        }
+    }
+
+    return segments.map((segment, s) => s === 0 ? 0 : segment.start);
+}
+
+// Values of a line between the boundaries, with the position of the text in each one
+function splitLine(line, boundaries) {
+    return boundaries.map((start, c) => {
+        const text = line.substring(start, c + 1 < boundaries.length ? boundaries[c + 1] : line.length);
+        const value = text.trim();
+        const offset = value ? start + text.indexOf(value) : -1;
+        return { value, start: offset, end: offset + value.length };
+    });
+}
+
+// Numbers and other values printed flush right in their column
+function isRightAligned(cells) {
+    const values = cells.filter(cell => cell.value !== '');
+    return values.length > 1 &&
+        values.every(cell => cell.end === values[0].end) &&
+        values.some(cell => cell.start !== values[0].start);
+}
+
+/**
+ * Parse fixed-width text from string content
+ *
+ * Columns start at the given boundaries, or where the blank runs shared by the lines end. The first line
+ * is used for the column titles when it looks like a header or is underlined with dashes. Blank lines,
+ * separator lines and repetitions of the header (e.g. at each page of a report) are skipped.
+ *
+ * @param {string} content - Fixed-width text content
+ * @param {Object} [options]
+ * @param {Array<number>} [options.boundaries] - Start position of each column, from 0 (default: detected)
+ * @param {boolean} [options.header] - The first line is a header (default: detected)
+ * @returns {object} Jspreadsheet Pro format, with the boundaries and header in worksheets[0].meta
+ * @example
+ * parseFixedWidthString('Name    Amount\nApples    1.50\nPears    12.00').worksheets[0].data // [['Apples', '1.50'], ['Pears', '12.00']]
+ */
+export function parseFixedWidthString(content, options = {}) {
+    let boundaries = options.boundaries;
+    if (boundaries && (! Array.isArray(boundaries) || ! boundaries.length ||
+        boundaries.some((start, i) => ! Number.isInteger(start) || start < 0 || (i > 0 && start <= boundaries[i - 1])))) {
+        throw new Error('Invalid fixed-width boundaries: expected increasing positions, e.g. [0, 10, 25]');
+    }
+
+    // Form feeds start the pages of printed reports
+    const lines = content.replace(/\f/g, '\n').split(/\r?\n/).map(line => expandTabs(line).trimEnd());
+
+    // The header is the first line with text, and may be underlined
+    const first = lines.findIndex(line => line !== '' && ! SEPARATOR.test(line));
+    const underlined = first !== -1 && SEPARATOR.test(lines[first + 1] || '');
+    const records = lines.filter(line => line !== '' && ! SEPARATOR.test(line));
+
+    if (! boundaries) {
+        boundaries = detectBoundaries(records);
+    }
+
+    const rows = records.map(line => splitLine(line, boundaries));
+
+    let header = options.header;
+    if (header === undefined) {
+        // Underlined, or text above different values, and titles are not numbers
+        header = rows.length > 1 && (underlined || (! rows[0].some(cell => NUMBER.test(cell.value)) &&
+            detectHeader(rows.slice(0, 20).map(row => row.map(cell => cell.value)))));
+    }
+
+    let titles = null;
+    let body = rows;
+    if (header && rows.length) {
+        titles = rows[0].map(cell => cell.value);
+        body = rows.slice(1).filter((row, r) => records[r + 1] !== records[0]);
+    }
+
+    const columns = boundaries.map((start, c) => {
+        const column = { title: titles && titles[c] ? titles[c] : getColumnName(c) };
+        if (isRightAligned(body.map(row => row[c]))) {
+            column.align = 'right';
+        }
+        return column;
+    });
+
+    const data = body.map(row => row.map(cell => cell.value));
+    if (! data.length) {
+        data.push([]);
+    }
+
+    if (options.inferTypes) {
+        inferColumnTypes(data, columns, { ...options.inferTypes, dates: options.dates, header: false });
+    }
+
+    return {
+        worksheets: [
+            {
+                data: data,
+                columns: columns,
+                meta: { boundaries, header: !! header }
+            }
+        ]
+    };
+}
+
+/**
+ * Parse fixed-width text file (.prn, mainframe reports) - works in both Browser and Node.js
+ *
+ * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
+ * @param {Object} options - Parser options
+ * @param {Array<number>} options.boundaries - Start position of each column, from 0 (default: detected)
+ * @param {boolean} options.header - The first line is a header (default: detected)
+ * @param {string} options.encoding - Character encoding (default: detected)
+ * @param {boolean|Object} options.inferTypes - Convert numbers, booleans and dates, and set the column types (default: false), or { decimal, dateOrder }
+ * @param {string} options.dates - Inferred dates as 'iso' strings, 'date' objects or 'serial' numbers (default: 'iso')
+ * @param {Function} options.onload - Callback when parsing completes
+ * @param {Function} options.onerror - Callback when parsing fails
+ * @returns {Promise<object>} Jspreadsheet Pro format
+ */
+export async function parseFixedWidth(input, options = {}) {
+    return parse(async (inp, opts) => {
+        const content = await loadAsText(inp, { encoding: opts.encoding });
+        return parseFixedWidthString(content, opts);
+    }, input, options);
+}
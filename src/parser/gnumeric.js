@@ -0,0 +1,469 @@
+import { loadAsBuffer, parse, isGzip, gunzip } from '../utils/loader.js';
+import { parser } from '@lemonadejs/html-to-json';
+import {
+    getColumnName,
+    getCellNameFromCoords,
+    getCoordsFromCellName,
+    getCoordsFromRange,
+    getProp,
+    getChildren,
+    getTextContent,
+    findNodes,
+    decodeHTMLEntities,
+    borderStyles,
+    isDateFormat,
+    convertDateSerial
+} from '../utils/helpers.js';
+import { format } from '../utils/format.js';
+import { indexWorksheetStyles } from './xlsx.js';
+
+/**
+ * Parse Gnumeric file (.gnumeric format)
+ *
+ * Gnumeric workbooks are gzip compressed XML (gnm:Workbook) with the sheets, their cells,
+ * style regions, merged regions, column and row sizes, names and cell comments.
+ */
+
+// Cell value types
+const VALUE_TYPE = {
+    EMPTY: 10,
+    BOOLEAN: 20,
+    INTEGER: 30,
+    FLOAT: 40,
+    ERROR: 50,
+    STRING: 60
+};
+
+// Border line styles, in the Excel names used by borderStyles
+const BORDER_STYLES = [null, 'thin', 'medium', 'dashed', 'dotted', 'thick', 'double', 'thin', 'mediumDashed',
+    'dashed', 'mediumDashed', 'dashed', 'mediumDashed', 'mediumDashed'];
+
+const HORIZONTAL_ALIGN = {
+    GNM_HALIGN_LEFT: 'left',
+    GNM_HALIGN_RIGHT: 'right',
+    GNM_HALIGN_CENTER: 'center',
+    GNM_HALIGN_CENTER_ACROSS_SELECTION: 'center',
+    GNM_HALIGN_JUSTIFY: 'justify',
+    GNM_HALIGN_DISTRIBUTED: 'justify'
+};
+
+const VERTICAL_ALIGN = {
+    GNM_VALIGN_TOP: 'top',
+    GNM_VALIGN_CENTER: 'middle',
+    GNM_VALIGN_BOTTOM: 'bottom'
+};
+
+// First child element by local name
+function getChild(node, type) {
+    return getChildren(node, type)[0] || null;
+}
+
+// Element text with the XML entities decoded
+function getText(node) {
+    return node ? decodeHTMLEntities(getTextContent(node)) : '';
+}
+
+// Attribute with the XML entities decoded
+function getAttribute(node, name) {
+    const value = getProp(node, name);
+    return value === undefined ? undefined : decodeHTMLEntities(value);
+}
+
+// Gnumeric colors are 16 bit channels in hex, e.g. FFFF:0:0
+function parseColor(color) {
+    if (!color) return null;
+    const channels = color.split(':');
+    if (channels.length !== 3) return null;
+    return '#' + channels.map(channel => (parseInt(channel, 16) >> 8).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Style element to CSS and cell properties
+function parseStyle(styleNode) {
+    const css = [];
+    const props = {};
+
+    const font = getChild(styleNode, 'Font');
+    if (font) {
+        const name = getText(font);
+        if (name && name !== 'Sans') css.push(`font-family: ${name}`);
+        const size = parseFloat(getProp(font, 'Unit'));
+        if (size && size !== 10) css.push(`font-size: ${size}pt`);
+        if (getProp(font, 'Bold') === '1') css.push('font-weight: bold');
+        if (getProp(font, 'Italic') === '1') css.push('font-style: italic');
+        const decorations = [];
+        if (getProp(font, 'Underline') && getProp(font, 'Underline') !== '0') decorations.push('underline');
+        if (getProp(font, 'StrikeThrough') === '1') decorations.push('line-through');
+        if (decorations.length) css.push(`text-decoration: ${decorations.join(' ')}`);
+    }
+
+    const color = parseColor(getProp(styleNode, 'Fore'));
+    if (color && color !== '#000000') css.push(`color: ${color}`);
+
+    // Any fill pattern uses the background color
+    const shade = parseInt(getProp(styleNode, 'Shade')) || 0;
+    const background = parseColor(getProp(styleNode, 'Back'));
+    if (shade > 0 && background) css.push(`background-color: ${background}`);
+
+    const borders = getChild(styleNode, 'StyleBorder');
+    if (borders) {
+        ['Top', 'Bottom', 'Left', 'Right'].forEach(side => {
+            const border = getChild(borders, side);
+            const name = border && BORDER_STYLES[parseInt(getProp(border, 'Style')) || 0];
+            if (!name) return;
+            const [lineStyle, width] = borderStyles[name] || borderStyles.thin;
+            css.push(`border-${side.toLowerCase()}: ${width} ${lineStyle} ${parseColor(getProp(border, 'Color')) || '#000000'}`);
+        });
+    }
+
+    const align = HORIZONTAL_ALIGN[getProp(styleNode, 'HAlign')];
+    if (align) {
+        css.push(`text-align: ${align}`);
+        props.align = align;
+    }
+    const vAlign = VERTICAL_ALIGN[getProp(styleNode, 'VAlign')];
+    if (vAlign && vAlign !== 'bottom') css.push(`vertical-align: ${vAlign}`);
+    if (getProp(styleNode, 'WrapText') === '1') {
+        css.push('white-space: pre-wrap');
+        props.wrap = true;
+    }
+
+    const formatCode = getAttribute(styleNode, 'Format');
+    if (formatCode && formatCode !== 'General') {
+        props.format = formatCode;
+    }
+
+    return { css: css.join('; '), props };
+}
+
+// Move the relative references of a shared expression from its first cell to another cell
+function shiftFormula(formula, rowOffset, colOffset) {
+    let result = '';
+    let pos = 0;
+
+    while (pos < formula.length) {
+        const char = formula[pos];
+
+        // Strings and quoted sheet names are left as they are
+        if (char === '"' || char === "'") {
+            const end = formula.indexOf(char, pos + 1);
+            const next = end === -1 ? formula.length : end + 1;
+            result += formula.substring(pos, next);
+            pos = next;
+            continue;
+        }
+
+        const match = formula.substring(pos).match(/^(\$?)([A-Za-z]{1,3})(\$?)(\d+)(?![\w(.])/);
+        const previous = formula[pos - 1];
+        if (match && !(previous && /[\w.]/.test(previous))) {
+            const col = getCoordsFromCellName(match[2] + '1')[0] + (match[1] ? 0 : colOffset);
+            const row = parseInt(match[4]) - 1 + (match[3] ? 0 : rowOffset);
+            result += row < 0 || col < 0 ? '#REF!' : match[1] + getColumnName(col) + match[3] + (row + 1);
+            pos += match[0].length;
+            continue;
+        }
+
+        // Copy names and numbers as a whole so that they are not read as references
+        const word = formula.substring(pos).match(/^[\w.]+/);
+        if (word) {
+            result += word[0];
+            pos += word[0].length;
+        } else {
+            result += char;
+            pos++;
+        }
+    }
+
+    return result;
+}
+
+// Position of the first row at or after the given one, in the sorted rows
+function findRow(rows, row) {
+    let low = 0;
+    let high = rows.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (rows[middle] < row) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Parse a gnm:Sheet element
+function parseSheet(sheetNode, options) {
+    const result = {
+        worksheetName: getText(getChild(sheetNode, 'Name')),
+        data: [],
+        columns: [],
+        rows: {},
+        cells: {},
+        style: {},
+        mergeCells: {},
+        comments: {}
+    };
+
+    // Cells: position, value type, own number format and shared expression
+    const cellNodes = getChildren(getChild(sheetNode, 'Cells') || {}, 'Cell');
+    const entries = cellNodes.map(node => ({
+        row: parseInt(getProp(node, 'Row')) || 0,
+        col: parseInt(getProp(node, 'Col')) || 0,
+        valueType: parseInt(getProp(node, 'ValueType')) || 0,
+        valueFormat: getAttribute(node, 'ValueFormat'),
+        exprId: getProp(node, 'ExprID'),
+        text: getText(node)
+    }));
+
+    // The first cell of a shared expression holds its text
+    const expressions = {};
+    entries.forEach(entry => {
+        if (entry.exprId && !entry.valueType && entry.text.startsWith('=') && !expressions[entry.exprId]) {
+            expressions[entry.exprId] = entry;
+        }
+    });
+
+    // Cells by row, and the rows with cells in order, to find the cells of a region
+    const cellsByRow = {};
+    entries.forEach(entry => {
+        (cellsByRow[entry.row] = cellsByRow[entry.row] || []).push(entry);
+    });
+    const cellRows = Object.keys(cellsByRow).map(Number).sort((a, b) => a - b);
+
+    // Styles of the cells from the style regions, later regions take precedence
+    const cellStyles = {};
+    const regions = getChildren(getChild(sheetNode, 'Styles') || {}, 'StyleRegion');
+    regions.forEach(region => {
+        const styleNode = getChild(region, 'Style');
+        if (!styleNode) return;
+        const style = parseStyle(styleNode);
+        if (!style.css && !Object.keys(style.props).length) return;
+
+        const startRow = parseInt(getProp(region, 'startRow')) || 0;
+        const endRow = parseInt(getProp(region, 'endRow')) || 0;
+        const startCol = parseInt(getProp(region, 'startCol')) || 0;
+        const endCol = parseInt(getProp(region, 'endCol')) || 0;
+
+        // Regions can cover whole sheets, so only the cells with content are styled
+        for (let i = findRow(cellRows, startRow); i < cellRows.length && cellRows[i] <= endRow; i++) {
+            cellsByRow[cellRows[i]].forEach(entry => {
+                if (entry.col >= startCol && entry.col <= endCol) {
+                    cellStyles[getCellNameFromCoords(entry.col, entry.row)] = style;
+                }
+            });
+        }
+    });
+
+    let maxRow = parseInt(getText(getChild(sheetNode, 'MaxRow')));
+    let maxCol = parseInt(getText(getChild(sheetNode, 'MaxCol')));
+    if (isNaN(maxRow)) maxRow = -1;
+    if (isNaN(maxCol)) maxCol = -1;
+
+    entries.forEach(entry => {
+        const { row, col, valueType, text } = entry;
+        const ref = getCellNameFromCoords(col, row);
+        const style = cellStyles[ref];
+        const formatCode = entry.valueFormat || (style && style.props.format);
+        let value;
+        let raw;
+
+        if (!valueType && entry.exprId && expressions[entry.exprId]) {
+            const first = expressions[entry.exprId];
+            value = first === entry ? text : shiftFormula(first.text, row - first.row, col - first.col);
+        } else if (!valueType && text.startsWith('=')) {
+            value = text;
+        } else {
+            switch (valueType) {
+                case VALUE_TYPE.EMPTY:
+                    value = '';
+                    break;
+                case VALUE_TYPE.BOOLEAN:
+                    value = text.toUpperCase() === 'TRUE';
+                    break;
+                case VALUE_TYPE.INTEGER:
+                case VALUE_TYPE.FLOAT: {
+                    const number = parseFloat(text);
+                    value = isNaN(number) ? text : number;
+                    raw = value;
+                    if (typeof value === 'number' && formatCode && isDateFormat(null, formatCode)) {
+                        value = convertDateSerial(value, options.dates, options.date1904);
+                    }
+                    break;
+                }
+                default:
+                    value = text;
+            }
+        }
+
+        if (!result.data[row]) result.data[row] = [];
+        result.data[row][col] = value;
+        if (row > maxRow) maxRow = row;
+        if (col > maxCol) maxCol = col;
+
+        const props = style ? { ...style.props } : {};
+        if (formatCode) {
+            props.format = formatCode;
+        } else {
+            delete props.format;
+        }
+        if (style && style.css) {
+            result.style[ref] = style.css;
+        }
+
+        // Displayed text, rendered with the number format (formulas have no stored value)
+        if (options.text && value !== '' && !(typeof value === 'string' && value.startsWith('='))) {
+            props.text = format(raw !== undefined ? raw : value, props.format, { date1904: options.date1904 });
+        }
+
+        if (Object.keys(props).length) {
+            result.cells[ref] = props;
+        }
+    });
+
+    // Merged regions, e.g. A1:B2
+    getChildren(getChild(sheetNode, 'MergedRegions') || {}, 'Merge').forEach(merge => {
+        const [x1, y1, x2, y2] = getCoordsFromRange(getText(merge));
+        result.mergeCells[getCellNameFromCoords(x1, y1)] = [x2 - x1 + 1, y2 - y1 + 1];
+    });
+
+    // Cell comments
+    getChildren(getChild(sheetNode, 'Objects') || {}, 'CellComment').forEach(comment => {
+        const bound = getProp(comment, 'ObjectBound');
+        const text = getAttribute(comment, 'Text');
+        if (bound && text) {
+            result.comments[bound] = text;
+        }
+    });
+
+    // Column widths and row heights in points, each entry covering Count columns or rows
+    const colsNode = getChild(sheetNode, 'Cols');
+    const defaultWidth = colsNode && parseFloat(getProp(colsNode, 'DefaultSizePts'));
+    getChildren(colsNode || {}, 'ColInfo').forEach(info => {
+        const first = parseInt(getProp(info, 'No')) || 0;
+        const count = parseInt(getProp(info, 'Count')) || 1;
+        const width = parseFloat(getProp(info, 'Unit'));
+        for (let c = first; c < first + count && c <= Math.max(maxCol, first); c++) {
+            result.columns[c] = { width: Math.round((width || defaultWidth || 75) * 4 / 3), title: getColumnName(c), type: 'text' };
+            if (getProp(info, 'Hidden') === '1') result.columns[c].visible = false;
+            if (c > maxCol && result.columns[c].visible === false) maxCol = c;
+        }
+    });
+
+    getChildren(getChild(sheetNode, 'Rows') || {}, 'RowInfo').forEach(info => {
+        const first = parseInt(getProp(info, 'No')) || 0;
+        const count = parseInt(getProp(info, 'Count')) || 1;
+        const height = parseFloat(getProp(info, 'Unit'));
+        for (let r = first; r < first + count && r <= maxRow; r++) {
+            const row = {};
+            if (height) row.height = height;
+            if (getProp(info, 'Hidden') === '1') row.visible = false;
+            result.rows[r] = row;
+        }
+    });
+
+    // Frozen panes
+    const freeze = getChild(getChild(sheetNode, 'SheetLayout') || {}, 'FreezePanes');
+    if (freeze) {
+        const frozen = getCoordsFromCellName(getProp(freeze, 'FrozenTopLeft') || 'A1');
+        const unfrozen = getCoordsFromCellName(getProp(freeze, 'UnfrozenTopLeft') || 'A1');
+        if (unfrozen[1] > frozen[1]) result.freezeRows = unfrozen[1] - frozen[1];
+        if (unfrozen[0] > frozen[0]) result.freezeColumns = unfrozen[0] - frozen[0];
+    }
+
+    if (getProp(sheetNode, 'HideGrid') === '1') {
+        result.gridline = false;
+    }
+    if ((getProp(sheetNode, 'Visibility') || '').includes('HIDDEN')) {
+        result.worksheetState = 'hidden';
+    }
+
+    // Fill empty cells and missing columns
+    for (let r = 0; r <= maxRow; r++) {
+        if (!result.data[r]) result.data[r] = [];
+        for (let c = 0; c <= maxCol; c++) {
+            if (result.data[r][c] === undefined) {
+                result.data[r][c] = '';
+            }
+        }
+    }
+    for (let c = 0; c <= maxCol; c++) {
+        if (!result.columns[c]) {
+            result.columns[c] = {
+                width: defaultWidth ? Math.round(defaultWidth * 4 / 3) : 100,
+                title: getColumnName(c),
+                type: 'text'
+            };
+        }
+    }
+    result.columns.length = maxCol + 1;
+
+    result.minDimensions = [maxCol + 1, maxRow + 1];
+
+    return result;
+}
+
+/**
+ * Parse Gnumeric file (.gnumeric)
+ * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
+ * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {Function} options.onload - Callback when parsing completes
+ * @param {Function} options.onerror - Callback when parsing fails
+ * @returns {Promise<object>} Jspreadsheet Pro format
+ */
+export async function parseGnumeric(input, options = {}) {
+    return parse(async (inp) => {
+        let buffer = await loadAsBuffer(inp);
+        // Files saved without compression are plain XML
+        if (isGzip(buffer)) {
+            buffer = await gunzip(buffer);
+        }
+
+        const tree = parser(new TextDecoder('utf-8').decode(buffer), { ignore: [] });
+        const workbook = findNodes(tree, 'gnm:Workbook')[0] || findNodes(tree, 'Workbook')[0];
+        if (!workbook) {
+            throw new Error('Invalid Gnumeric file: gnm:Workbook not found');
+        }
+
+        // Workbooks created on a Mac may use the 1904 date system
+        const date1904 = getText(getChild(workbook, 'DateConvention')).includes('1904');
+        const sheetOptions = { dates: options.dates, text: options.text, date1904 };
+
+        const worksheets = [];
+        const globalStyles = [];
+        const styleMap = new Map(); // CSS string -> index
+
+        getChildren(getChild(workbook, 'Sheets') || {}, 'Sheet').forEach(sheetNode => {
+            const worksheet = parseSheet(sheetNode, sheetOptions);
+            indexWorksheetStyles(worksheet, globalStyles, styleMap);
+            worksheets.push(worksheet);
+        });
+
+        if (!worksheets.length) {
+            throw new Error('Invalid Gnumeric file: no sheets found');
+        }
+
+        // Workbook names, e.g. Sheet1!$A$1:$B$2
+        const definedNames = {};
+        getChildren(getChild(workbook, 'Names') || {}, 'Name').forEach(nameNode => {
+            const name = getText(getChild(nameNode, 'name'));
+            const value = getText(getChild(nameNode, 'value')).replace(/^=/, '');
+            if (name && value) {
+                definedNames[name] = value;
+            }
+        });
+
+        const result = { worksheets };
+
+        if (globalStyles.length > 0) {
+            result.style = globalStyles;
+        }
+
+        if (Object.keys(definedNames).length > 0) {
+            result.definedNames = definedNames;
+        }
+
+        return result;
+    }, input, options);
+}
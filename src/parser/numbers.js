@@ -1,323 +1,632 @@
 import JSZip from 'jszip';
 import { loadAsBuffer, parse } from '../utils/loader.js';
+import { getColumnName, getCellNameFromCoords, dateToExcelSerial, convertDateSerial } from '../utils/helpers.js';
+import {
+    readIWA,
+    readMessage,
+    readString,
+    readDouble,
+    readFloat,
+    readSigned,
+    readReference
+} from '../utils/iwa.js';
 
 /**
  * Parse Apple Numbers file (.numbers format)
  *
- * Numbers files are ZIP archives containing:
- * - Index.zip: Main data in IWA (iWork Archive) format with Protobuf messages
- * - preview.jpg: Preview image
- * - Metadata/: Various metadata files
- *
- * The IWA format uses Protocol Buffers to store structured data.
- * Each .iwa file contains serialized Protobuf messages.
+ * Numbers documents are ZIP archives (or Index.zip inside the package for Numbers 3.x)
+ * holding IWA files. The objects in them are Protocol Buffers messages identified by a
+ * type: the document lists the sheets, each sheet lists its drawables, and the table
+ * drawables point to a table model with the cell storage tiles and the data lists
+ * (strings, rich text and formulas) the cells refer to.
  */
 
-/**
- * Read varint (variable-length integer) from buffer
- * Used in Protobuf encoding
- */
-function readVarint(buffer, offset) {
-    let result = 0;
-    let shift = 0;
-    let byte;
-    let pos = offset;
-
-    do {
-        if (pos >= buffer.length) {
-            throw new Error('Unexpected end of buffer while reading varint');
+// Message types of the objects used here
+const TYPE = {
+    DOCUMENT: 1,
+    SHEET: 2,
+    STORAGE: 2001,
+    TABLE_INFO: 6000,
+    TABLE_MODEL: 6001,
+    TILE: 6002,
+    DATA_LIST: 6005,
+    HEADER_BUCKET: 6006,
+    MERGE_REGIONS: 6144,
+    RICH_TEXT: 6218
+};
+
+// Cell value types of the cell storage
+const CELL = {
+    EMPTY: 0,
+    NUMBER: 2,
+    TEXT: 3,
+    DATE: 5,
+    BOOLEAN: 6,
+    DURATION: 7,
+    ERROR: 8,
+    RICH_TEXT: 9,
+    CURRENCY: 10
+};
+
+// Rows per cell storage tile
+const TILE_ROWS = 256;
+
+// Dates are stored as seconds from 2001-01-01 00:00 UTC
+const REFERENCE_DATE = Date.UTC(2001, 0, 1);
+
+// Formula AST node types
+const AST = {
+    ADD: 1,
+    SUBTRACT: 2,
+    MULTIPLY: 3,
+    DIVIDE: 4,
+    POWER: 5,
+    CONCATENATE: 6,
+    GREATER: 7,
+    GREATER_EQUAL: 8,
+    LESS: 9,
+    LESS_EQUAL: 10,
+    EQUAL: 11,
+    NOT_EQUAL: 12,
+    NEGATION: 13,
+    PLUS_SIGN: 14,
+    PERCENT: 15,
+    FUNCTION: 16,
+    NUMBER: 17,
+    BOOLEAN: 18,
+    STRING: 19,
+    EMPTY_ARGUMENT: 22,
+    LOCAL_CELL_REFERENCE: 27,
+    COLON: 29,
+    APPEND_WHITESPACE: 32,
+    PREPEND_WHITESPACE: 33,
+    CELL_REFERENCE: 36
+};
+
+// Fields of TSCE.ASTNodeArrayArchive.ASTNodeArchive
+const AST_FIELD = {
+    TYPE: 1,
+    FUNCTION_INDEX: 2,
+    FUNCTION_ARGS: 3,
+    NUMBER: 4,
+    BOOLEAN: 5,
+    STRING: 6,
+    COLUMN: 19,
+    ROW: 20
+};
+
+const OPERATORS = {
+    [AST.ADD]: '+',
+    [AST.SUBTRACT]: '-',
+    [AST.MULTIPLY]: '*',
+    [AST.DIVIDE]: '/',
+    [AST.POWER]: '^',
+    [AST.CONCATENATE]: '&',
+    [AST.GREATER]: '>',
+    [AST.GREATER_EQUAL]: '>=',
+    [AST.LESS]: '<',
+    [AST.LESS_EQUAL]: '<=',
+    [AST.EQUAL]: '=',
+    [AST.NOT_EQUAL]: '<>'
+};
+
+// Built-in functions by index, in the order of the original function list
+const FUNCTIONS = [
+    null, 'ABS', 'ACCRINT', 'ACCRINTM', 'ACOS', 'ACOSH', 'ADDRESS', 'AND', 'AREAS', 'ASIN', 'ASINH',
+    'ATAN', 'ATAN2', 'ATANH', 'AVEDEV', 'AVERAGE', 'AVERAGEA', 'CEILING', 'CHAR', 'CHOOSE', 'CLEAN',
+    'CODE', 'COLUMN', 'COLUMNS', 'COMBIN', 'CONCATENATE', 'CONFIDENCE', 'CORREL', 'COS', 'COSH', 'COUNT',
+    'COUNTA', 'COUNTBLANK', 'COUNTIF', 'COUPDAYBS', 'COUPDAYS', 'COUPDAYSNC', 'COUPNUM', 'COVAR', 'DATE', 'DATEDIF',
+    'DAY', 'DB', 'DDB', 'DEGREES', 'DISC', 'DOLLAR', 'EDATE', 'EVEN', 'EXACT', 'EXP',
+    'FACT', 'FALSE', 'FIND', 'FIXED', 'FLOOR', 'FORECAST', 'FREQUENCY', 'GCD', 'HLOOKUP', 'HOUR',
+    'HYPERLINK', 'IF', 'INDEX', 'INDIRECT', 'INT', 'INTERCEPT', 'IPMT', 'IRR', 'ISBLANK', 'ISERROR',
+    'ISEVEN', 'ISODD', 'ISPMT', 'LARGE', 'LCM', 'LEFT', 'LEN', 'LN', 'LOG', 'LOG10',
+    'LOOKUP', 'LOWER', 'MATCH', 'MAX', 'MAXA', 'MEDIAN', 'MID', 'MIN', 'MINA', 'MINUTE',
+    'MIRR', 'MOD', 'MODE', 'MONTH', 'MROUND', 'NOT', 'NOW', 'NPER', 'NPV', 'ODD',
+    'OFFSET', 'OR', 'PERCENTILE', 'PI', 'PMT', 'POISSON', 'POWER', 'PPMT', 'PRICE', 'PRICEDISC',
+    'PRICEMAT', 'PROB', 'PRODUCT', 'PROPER', 'PV', 'QUOTIENT', 'RADIANS', 'RAND', 'RANDBETWEEN', 'RANK',
+    'RATE', 'REPLACE', 'REPT', 'RIGHT', 'ROMAN', 'ROUND', 'ROUNDDOWN', 'ROUNDUP', 'ROW', 'ROWS',
+    'SEARCH', 'SECOND', 'SIGN', 'SIN', 'SINH', 'SLN', 'SLOPE', 'SMALL', 'SQRT', 'STDEV',
+    'STDEVA', 'STDEVP', 'STDEVPA', 'SUBSTITUTE', 'SUMIF', 'SUMPRODUCT', 'SUMSQ', 'SYD', 'T', 'TAN',
+    'TANH', 'TIME', 'TIMEVALUE', 'TODAY', 'TRIM', 'TRUE', 'TRUNC', 'UPPER', 'VALUE', 'VAR',
+    'VARA', 'VARP', 'VARPA', 'VDB', 'VLOOKUP', 'WEEKDAY', 'YEAR', 'SUM'
+];
+
+// First value of a field, or the default
+function field(message, number, defaultValue = null) {
+    return message[number] ? message[number][0] : defaultValue;
+}
+
+// Object referenced by a TSP.Reference field, when it has the expected type
+function resolve(objects, value, type) {
+    if (!value) return null;
+    const object = objects.get(readReference(value));
+    return object && object.type === type ? object : null;
+}
+
+// Count the bits set in the cell storage flags
+function popcount(value) {
+    let count = 0;
+    for (; value; value >>>= 1) {
+        count += value & 1;
+    }
+    return count;
+}
+
+// IEEE 754 decimal128 with a binary integer significand
+function readDecimal128(data, pos) {
+    const exponent = ((data[pos + 15] & 0x7F) << 7) | (data[pos + 14] >> 1);
+    let mantissa = data[pos + 14] & 1;
+    for (let i = pos + 13; i >= pos; i--) {
+        mantissa = mantissa * 256 + data[i];
+    }
+    const power = exponent - 0x1820;
+    // Dividing keeps the decimal value exact for the usual negative exponents
+    const value = power < 0 ? mantissa / Math.pow(10, -power) : mantissa * Math.pow(10, power);
+    return data[pos + 15] & 0x80 ? -value : value;
+}
+
+// TST.TableDataList: entries (3) with a key (1) and a string (3), formula (5) or rich text payload (9)
+function parseDataList(objects, object) {
+    const list = new Map();
+    if (!object) return list;
+
+    for (const raw of readMessage(object.data)[3] || []) {
+        const entry = readMessage(raw);
+        const key = field(entry, 1);
+        if (key === null) continue;
+
+        if (entry[3]) {
+            list.set(key, readString(entry[3][0]));
+        } else if (entry[5]) {
+            list.set(key, readMessage(entry[5][0]));
+        } else if (entry[9]) {
+            list.set(key, readRichText(objects, entry[9][0]));
         }
-        byte = buffer[pos++];
-        result |= (byte & 0x7F) << shift;
-        shift += 7;
-    } while (byte & 0x80);
+    }
 
-    return { value: result, length: pos - offset };
+    return list;
 }
 
-/**
- * Parse IWA (iWork Archive) file
- * IWA files contain Protobuf messages with specific structure
- */
-function parseIWA(buffer) {
-    const messages = [];
-    let offset = 0;
+// TST.RichTextPayloadArchive: storage (1) pointing to a TSWP.StorageArchive with the text (3)
+function readRichText(objects, value) {
+    const payload = resolve(objects, value, TYPE.RICH_TEXT);
+    if (!payload) return '';
+    const storage = resolve(objects, field(readMessage(payload.data), 1), TYPE.STORAGE);
+    if (!storage) return '';
+    return (readMessage(storage.data)[3] || []).map(readString).join('');
+}
 
-    try {
-        while (offset < buffer.length) {
-            // Read message length (varint)
-            const lengthData = readVarint(buffer, offset);
-            offset += lengthData.length;
+// Convert the formula AST (in reverse polish order) to text
+function decodeFormula(formula, row, col) {
+    const array = formula[1] ? readMessage(formula[1][0]) : {};
+    const nodes = (array[1] || []).map(readMessage);
+    const stack = [];
+
+    const reference = (node) => {
+        const column = readMessage(field(node, AST_FIELD.COLUMN, new Uint8Array(0)));
+        const rowRef = readMessage(field(node, AST_FIELD.ROW, new Uint8Array(0)));
+        const columnAbsolute = !!field(column, 2, 0);
+        const rowAbsolute = !!field(rowRef, 2, 0);
+        const c = readSigned(field(column, 1, 0)) + (columnAbsolute ? 0 : col);
+        const r = readSigned(field(rowRef, 1, 0)) + (rowAbsolute ? 0 : row);
+        if (c < 0 || r < 0) return '#REF!';
+        return (columnAbsolute ? '$' : '') + getColumnName(c) + (rowAbsolute ? '$' : '') + (r + 1);
+    };
 
-            const messageLength = lengthData.value;
-            if (messageLength === 0 || offset + messageLength > buffer.length) {
-                break;
-            }
+    const pop = () => {
+        if (!stack.length) throw new Error('Invalid formula');
+        return stack.pop();
+    };
+
+    for (const node of nodes) {
+        const type = field(node, AST_FIELD.TYPE);
 
-            // Read message data
-            const messageData = buffer.slice(offset, offset + messageLength);
-            offset += messageLength;
+        if (OPERATORS[type]) {
+            const right = pop();
+            const left = pop();
+            stack.push(left + OPERATORS[type] + right);
+            continue;
+        }
 
-            // Parse the Protobuf message
-            const message = parseProtobufMessage(messageData);
-            if (message) {
-                messages.push(message);
+        switch (type) {
+            case AST.NEGATION:
+                stack.push('-' + pop());
+                break;
+            case AST.PLUS_SIGN:
+                stack.push('+' + pop());
+                break;
+            case AST.PERCENT:
+                stack.push(pop() + '%');
+                break;
+            case AST.FUNCTION: {
+                const name = FUNCTIONS[field(node, AST_FIELD.FUNCTION_INDEX)];
+                if (!name) throw new Error('Unknown function');
+                const count = field(node, AST_FIELD.FUNCTION_ARGS, 0);
+                if (count > stack.length) throw new Error('Invalid formula');
+                const args = stack.splice(stack.length - count, count);
+                stack.push(name + '(' + args.join(',') + ')');
+                break;
             }
+            case AST.NUMBER:
+                stack.push(String(readDouble(field(node, AST_FIELD.NUMBER))));
+                break;
+            case AST.BOOLEAN:
+                stack.push(field(node, AST_FIELD.BOOLEAN) ? 'TRUE' : 'FALSE');
+                break;
+            case AST.STRING:
+                stack.push('"' + readString(field(node, AST_FIELD.STRING)).replace(/"/g, '""') + '"');
+                break;
+            case AST.EMPTY_ARGUMENT:
+                stack.push('');
+                break;
+            case AST.LOCAL_CELL_REFERENCE:
+            case AST.CELL_REFERENCE:
+                stack.push(reference(node));
+                break;
+            case AST.COLON: {
+                const end = pop();
+                stack.push(pop() + ':' + end);
+                break;
+            }
+            case AST.APPEND_WHITESPACE:
+            case AST.PREPEND_WHITESPACE:
+                break;
+            default:
+                // References to other tables, thunks, arrays and newer node types are not decoded
+                throw new Error('Unsupported formula node ' + type);
         }
-    } catch (e) {
-        // Parsing error - return what we have so far
-        console.warn('IWA parsing stopped:', e.message);
     }
 
-    return messages;
+    if (stack.length !== 1) throw new Error('Invalid formula');
+    return stack[0];
 }
 
-/**
- * Parse a Protobuf message
- * Simplified parser that extracts field values
- */
-function parseProtobufMessage(buffer) {
-    const fields = {};
-    let offset = 0;
+// Cell storage of Numbers 3.x (versions 1 to 4)
+function readOldCell(data, version) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const flags = view.getUint32(4, true);
+    let pos = (version > 1 ? 12 : 8) + popcount(flags & (version > 1 ? 0x0D8E : 0x018E)) * 4;
+    const cell = { type: data[2] };
 
-    try {
-        while (offset < buffer.length) {
-            // Read field tag (varint)
-            const tagData = readVarint(buffer, offset);
-            offset += tagData.length;
-
-            const tag = tagData.value;
-            const fieldNumber = tag >>> 3;
-            const wireType = tag & 0x07;
-
-            // Parse based on wire type
-            switch (wireType) {
-                case 0: // Varint
-                    const varintData = readVarint(buffer, offset);
-                    offset += varintData.length;
-                    fields[fieldNumber] = varintData.value;
-                    break;
-
-                case 1: // 64-bit
-                    if (offset + 8 <= buffer.length) {
-                        const value = buffer.readDoubleLE(offset);
-                        fields[fieldNumber] = value;
-                        offset += 8;
-                    } else {
-                        return fields;
-                    }
-                    break;
-
-                case 2: // Length-delimited (string, bytes, embedded message)
-                    const lengthData = readVarint(buffer, offset);
-                    offset += lengthData.length;
-                    const length = lengthData.value;
-
-                    if (offset + length <= buffer.length) {
-                        const data = buffer.slice(offset, offset + length);
-                        offset += length;
-
-                        // Try to parse as UTF-8 string
-                        try {
-                            const str = data.toString('utf-8');
-                            // Only use if it looks like valid text (no control chars except whitespace)
-                            if (/^[\x20-\x7E\s\u0080-\uFFFF]*$/.test(str)) {
-                                fields[fieldNumber] = str;
-                            } else {
-                                // Could be embedded message or binary data
-                                fields[fieldNumber] = data;
-                            }
-                        } catch (e) {
-                            fields[fieldNumber] = data;
-                        }
-                    } else {
-                        return fields;
-                    }
-                    break;
-
-                case 5: // 32-bit
-                    if (offset + 4 <= buffer.length) {
-                        const value = buffer.readFloatLE(offset);
-                        fields[fieldNumber] = value;
-                        offset += 4;
-                    } else {
-                        return fields;
-                    }
-                    break;
+    if (flags & 0x0200) {
+        cell.richText = view.getUint32(pos, true);
+        pos += 4;
+    }
+    pos += popcount(flags & (version > 1 ? 0x3000 : 0x1000)) * 4;
+    if (flags & 0x0010) {
+        cell.string = view.getUint32(pos, true);
+        pos += 4;
+    }
+    if (flags & 0x0020) {
+        cell.number = view.getFloat64(pos, true);
+        pos += 8;
+    }
+    if (flags & 0x0040) {
+        cell.seconds = view.getFloat64(pos, true);
+        pos += 8;
+    }
 
-                default:
-                    // Unknown wire type, skip
-                    return fields;
-            }
-        }
-    } catch (e) {
-        // Parsing error
+    return cell;
+}
+
+// Cell storage of Numbers 5 and later: version, type, flags at offset 8 and the values
+// in flag order. Only the fields before the formula identifier are needed.
+function readCell(data) {
+    if (data.length < 12) return null;
+    if (data[0] < 5) return readOldCell(data, data[0]);
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const flags = view.getUint32(8, true);
+    const cell = { type: data[1] };
+    let pos = 12;
+
+    if (flags & 0x1) {
+        cell.number = readDecimal128(data, pos);
+        pos += 16;
+    }
+    if (flags & 0x2) {
+        cell.double = view.getFloat64(pos, true);
+        pos += 8;
+    }
+    if (flags & 0x4) {
+        cell.seconds = view.getFloat64(pos, true);
+        pos += 8;
+    }
+    if (flags & 0x8) {
+        cell.string = view.getUint32(pos, true);
+        pos += 4;
+    }
+    if (flags & 0x10) {
+        cell.richText = view.getUint32(pos, true);
+        pos += 4;
+    }
+    // Cell, text and conditional styles
+    pos += popcount(flags & 0x1E0) * 4;
+    if (flags & 0x200) {
+        cell.formula = view.getUint32(pos, true);
     }
 
-    return fields;
+    return cell;
 }
 
-/**
- * Extract cell data from IWA messages
- * This is a simplified extraction - full Numbers format is complex
- */
-function extractCellData(messages) {
-    const cells = [];
-    const strings = [];
-    const numbers = [];
-
-    // First pass: collect strings and numbers
-    for (const msg of messages) {
-        // Look for string values (typically in field 3 or similar)
-        if (typeof msg[3] === 'string') {
-            strings.push(msg[3]);
+// Value of a cell in the parsed structure
+function cellValue(cell, tables, options) {
+    const number = cell.number !== undefined ? cell.number : cell.double;
+
+    switch (cell.type) {
+        case CELL.NUMBER:
+        case CELL.CURRENCY:
+            return number;
+        case CELL.TEXT:
+            return tables.strings.get(cell.string) ?? '';
+        case CELL.RICH_TEXT:
+            return tables.richText.get(cell.richText) ?? '';
+        case CELL.DATE: {
+            const date = new Date(REFERENCE_DATE + Math.round(cell.seconds * 1000));
+            if (options.dates === 'date') return date;
+            return convertDateSerial(dateToExcelSerial(date), options.dates);
         }
-        // Look for numeric values
-        if (typeof msg[2] === 'number' || typeof msg[4] === 'number') {
-            numbers.push(msg[2] || msg[4]);
+        case CELL.BOOLEAN:
+            return number > 0;
+        case CELL.DURATION:
+            // Seconds, as a fraction of a day like spreadsheet durations
+            return number / 86400;
+        case CELL.ERROR:
+            return '#VALUE!';
+        default:
+            return undefined;
+    }
+}
+
+// TST.TileRowInfo: row (1), cell storage (6) and the 16 bit offset of each column (7),
+// falling back to the storage of Numbers 3.x (3 and 4)
+function readTileRow(row) {
+    const wide = field(row, 8, 0) > 0;
+    const storage = field(row, 6) || field(row, 3);
+    const offsets = field(row, 7) || field(row, 4);
+    const cells = [];
+    if (!storage || !offsets) return cells;
+
+    const view = new DataView(offsets.buffer, offsets.byteOffset, offsets.byteLength);
+    const used = [];
+    for (let c = 0; c < offsets.length / 2; c++) {
+        const offset = view.getUint16(c * 2, true);
+        if (offset !== 0xFFFF) {
+            used.push([c, offset * (wide ? 4 : 1)]);
         }
     }
 
-    return { strings, numbers };
-}
+    // Each cell ends where the next one starts
+    for (let i = 0; i < used.length; i++) {
+        const end = i + 1 < used.length ? used[i + 1][1] : storage.length;
+        cells.push([used[i][0], storage.subarray(used[i][1], end)]);
+    }
 
-/**
- * Build worksheet data from extracted information
- */
-function buildWorksheetData(cellData, rowCount = 50, colCount = 26) {
-    const data = [];
+    return cells;
+}
 
-    // Create empty grid
-    for (let r = 0; r < rowCount; r++) {
-        const row = [];
-        for (let c = 0; c < colCount; c++) {
-            row.push('');
-        }
-        data.push(row);
+// Column widths or row heights from a TST.HeaderStorageBucket: headers (2) with index (1),
+// size in points (3) and hiding state (4)
+function readHeaders(object) {
+    const headers = [];
+    if (!object) return headers;
+
+    for (const raw of readMessage(object.data)[2] || []) {
+        const header = readMessage(raw);
+        const size = field(header, 3);
+        headers.push({
+            index: field(header, 1, 0),
+            size: size instanceof Uint8Array && size.length === 4 ? readFloat(size) : 0,
+            hidden: field(header, 4, 0) > 0
+        });
     }
 
-    // Fill in extracted data
-    // This is a simplified approach - actual Numbers format has complex cell addressing
-    const { strings, numbers } = cellData;
+    return headers;
+}
 
-    let stringIdx = 0;
-    let numberIdx = 0;
+// TST.MergeRegionMapArchive: ranges (1) with origin (1) and size (2), each a packed
+// 32 bit value holding the row and the column
+function readMergeCells(object) {
+    const mergeCells = {};
+    if (!object) return mergeCells;
 
-    // Distribute data across grid
-    for (let r = 0; r < Math.min(rowCount, Math.max(strings.length, numbers.length)); r++) {
-        if (stringIdx < strings.length) {
-            data[r][0] = strings[stringIdx++];
-        }
-        if (numberIdx < numbers.length) {
-            data[r][1] = numbers[numberIdx++];
+    const packed = (value) => {
+        const data = field(readMessage(value), 1);
+        const view = new DataView(data.buffer, data.byteOffset, 4);
+        return [view.getUint16(0, true), view.getUint16(2, true)];
+    };
+
+    for (const raw of readMessage(object.data)[1] || []) {
+        const range = readMessage(raw);
+        if (!range[1] || !range[2]) continue;
+        const [row, col] = packed(range[1][0]);
+        const [rows, cols] = packed(range[2][0]);
+        if (rows > 1 || cols > 1) {
+            mergeCells[getCellNameFromCoords(col, row)] = [cols, rows];
         }
     }
 
-    return data;
+    return mergeCells;
 }
 
-/**
- * Parse Numbers file string content
- */
-async function parseNumbersFromZip(zip) {
+// TST.TableModelArchive: data store (4), rows (6), columns (7) and name (8)
+function parseTable(objects, model, options) {
+    const table = readMessage(model.data);
+    const rowCount = field(table, 6, 0);
+    const colCount = field(table, 7, 0);
+    const store = table[4] ? readMessage(table[4][0]) : {};
+
+    // DataStore: tiles (3), strings (4), formulas (6), merged cells (13) and rich text (17)
+    const tables = {
+        strings: parseDataList(objects, resolve(objects, field(store, 4), TYPE.DATA_LIST)),
+        formulas: parseDataList(objects, resolve(objects, field(store, 6), TYPE.DATA_LIST)),
+        richText: parseDataList(objects, resolve(objects, field(store, 17), TYPE.DATA_LIST))
+    };
+
     const result = {
-        worksheets: []
+        name: readString(field(table, 8)),
+        data: [],
+        columns: [],
+        rows: {},
+        cells: {},
+        style: {},
+        mergeCells: readMergeCells(resolve(objects, field(store, 13), TYPE.MERGE_REGIONS)),
+        comments: {}
     };
 
-    // Extract Index.zip which contains the actual data
-    const indexZipFile = zip.file('Index.zip');
-    if (!indexZipFile) {
-        throw new Error('Invalid .numbers file: Index.zip not found');
+    for (let r = 0; r < rowCount; r++) {
+        result.data.push(new Array(colCount).fill(''));
     }
 
-    const indexZipBuffer = await indexZipFile.async('nodebuffer');
-    const indexZip = await JSZip.loadAsync(indexZipBuffer);
-
-    // Find .iwa files (iWork Archive files containing Protobuf data)
-    const iwaFiles = [];
-    indexZip.forEach((relativePath, file) => {
-        if (relativePath.endsWith('.iwa')) {
-            iwaFiles.push({ path: relativePath, file });
-        }
-    });
-
-    console.log(`Numbers: Found ${iwaFiles.length} IWA files`);
-
-    // Parse each IWA file
-    const allMessages = [];
-    for (const { path, file } of iwaFiles) {
-        try {
-            const buffer = await file.async('nodebuffer');
-            const messages = parseIWA(buffer);
-            allMessages.push(...messages);
-            console.log(`Numbers: Parsed ${messages.length} messages from ${path}`);
-        } catch (e) {
-            console.warn(`Numbers: Failed to parse ${path}:`, e.message);
+    // TileStorage: tiles (1) with the tile index (1) and a reference to the tile (2)
+    const tiles = store[3] ? readMessage(store[3][0])[1] || [] : [];
+    for (const raw of tiles) {
+        const entry = readMessage(raw);
+        const tile = resolve(objects, field(entry, 2), TYPE.TILE);
+        if (!tile) continue;
+        const first = field(entry, 1, 0) * TILE_ROWS;
+
+        // Tile: row infos (5)
+        for (const rowRaw of readMessage(tile.data)[5] || []) {
+            const rowInfo = readMessage(rowRaw);
+            const row = first + field(rowInfo, 1, 0);
+            if (row >= rowCount) continue;
+
+            for (const [col, data] of readTileRow(rowInfo)) {
+                if (col >= colCount) continue;
+                const cell = readCell(data);
+                if (!cell) continue;
+
+                let value = cellValue(cell, tables, options);
+                if (cell.formula !== undefined && tables.formulas.has(cell.formula)) {
+                    try {
+                        value = '=' + decodeFormula(tables.formulas.get(cell.formula), row, col);
+                    } catch (e) {
+                        // Keep the calculated value of formulas that can not be decoded
+                    }
+                }
+                if (value !== undefined) {
+                    result.data[row][col] = value;
+                }
+            }
         }
     }
 
-    console.log(`Numbers: Total messages parsed: ${allMessages.length}`);
+    // Column widths (columnHeaders, 2) and row heights (rowHeaders, 1, with buckets in 2)
+    const columnHeaders = readHeaders(resolve(objects, field(store, 2), TYPE.HEADER_BUCKET));
+    for (let c = 0; c < colCount; c++) {
+        result.columns[c] = { width: 100, title: getColumnName(c), type: 'text' };
+    }
+    for (const header of columnHeaders) {
+        if (header.index >= colCount) continue;
+        if (header.size) result.columns[header.index].width = Math.round(header.size * 4 / 3);
+        if (header.hidden) result.columns[header.index].visible = false;
+    }
+
+    const rowStorage = store[1] ? readMessage(store[1][0]) : {};
+    for (const bucket of rowStorage[2] || []) {
+        for (const header of readHeaders(resolve(objects, bucket, TYPE.HEADER_BUCKET))) {
+            if (header.index >= rowCount) continue;
+            const row = {};
+            if (header.size) row.height = Math.round(header.size);
+            if (header.hidden) row.visible = false;
+            if (Object.keys(row).length) result.rows[header.index] = row;
+        }
+    }
 
-    // Extract cell data
-    const cellData = extractCellData(allMessages);
-    console.log(`Numbers: Extracted ${cellData.strings.length} strings, ${cellData.numbers.length} numbers`);
+    result.minDimensions = [colCount, rowCount];
 
-    // Build worksheet
-    const data = buildWorksheetData(cellData);
+    return result;
+}
 
-    // Create columns
-    const columns = [];
-    for (let i = 0; i < 26; i++) {
-        columns.push({
-            title: String.fromCharCode(65 + i),
-            width: 100
-        });
+// Load every IWA file of the package, from Index/ or from the nested Index.zip
+async function readObjects(zip) {
+    const nested = zip.file('Index.zip');
+    if (nested) {
+        zip = await JSZip.loadAsync(await nested.async('uint8array'));
     }
 
-    result.worksheets.push({
-        worksheetName: 'Sheet1',
-        data,
-        columns
-    });
-
-    // Add warning about limited support
-    result.warnings = [
-        'Numbers format support is limited. This is a basic extraction.',
-        'Complex features like formulas, formatting, and charts may not be preserved.',
-        'For best results, export to XLSX or CSV from Numbers app.'
-    ];
+    const files = zip.file(/\.iwa$/);
+    if (!files.length) {
+        throw new Error('Invalid .numbers file: no IWA data found');
+    }
 
-    return result;
+    const objects = new Map();
+    for (const file of files) {
+        readIWA(await file.async('uint8array'), objects);
+    }
+    return objects;
 }
 
 /**
  * Parse Apple Numbers file (.numbers)
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseNumbers(input, options = {}) {
     return parse(async (inp) => {
-        // Load as buffer
         const buffer = await loadAsBuffer(inp);
-
-        // Parse as ZIP
         const zip = await JSZip.loadAsync(buffer);
+        const objects = await readObjects(zip);
+
+        // TN.DocumentArchive: sheets (1)
+        let document = null;
+        for (const object of objects.values()) {
+            if (object.type === TYPE.DOCUMENT) {
+                document = readMessage(object.data);
+                break;
+            }
+        }
+        if (!document) {
+            throw new Error('Invalid .numbers file: document not found');
+        }
+
+        const worksheets = [];
+        for (const reference of document[1] || []) {
+            const sheet = resolve(objects, reference, TYPE.SHEET);
+            if (!sheet) continue;
+
+            // TN.SheetArchive: name (1) and drawables (2), of which the tables are TST.TableInfoArchive
+            const sheetMessage = readMessage(sheet.data);
+            const sheetName = readString(field(sheetMessage, 1));
+            const tables = [];
+            for (const drawable of sheetMessage[2] || []) {
+                const info = resolve(objects, drawable, TYPE.TABLE_INFO);
+                const model = info && resolve(objects, field(readMessage(info.data), 2), TYPE.TABLE_MODEL);
+                if (model) {
+                    tables.push(parseTable(objects, model, options));
+                }
+            }
+
+            // Like the Numbers export, a sheet with several tables has a worksheet per table
+            for (const { name, ...table } of tables) {
+                worksheets.push({
+                    worksheetName: tables.length > 1 ? `${sheetName} - ${name}` : sheetName || name,
+                    ...table
+                });
+            }
+        }
+
+        if (!worksheets.length) {
+            throw new Error('Invalid .numbers file: no tables found');
+        }
 
-        return await parseNumbersFromZip(zip);
+        return { worksheets };
     }, input, options);
 }
 
 /**
- * Check if a file is a Numbers file by checking for Index.zip
+ * Check if a file is a Numbers file by checking for the IWA data
  */
 export async function isNumbersFile(input) {
     try {
         const buffer = await loadAsBuffer(input);
         const zip = await JSZip.loadAsync(buffer);
-        return zip.file('Index.zip') !== null;
+        return zip.file('Index.zip') !== null || zip.file(/^Index\/.*\.iwa$/).length > 0;
     } catch (e) {
         return false;
     }
@@ -5,83 +5,161 @@ import {
     getColumnName,
     getCellNameFromCoords,
     getCoordsFromCellName,
+    getCoordsFromRange,
     getTextContent,
     parseAttributes,
-    convertWidthToPixels
+    findNodes,
+    convertWidthToPixels,
+    decodeHTMLEntities,
+    dateToExcelSerial,
+    parseISODate,
+    convertDateSerial
 } from '../utils/helpers.js';
+import { format } from '../utils/format.js';
+import { translateFormula, translateReference } from '../utils/openformula.js';
+
+// Convert office:date-value (ISO 8601) or office:time-value (ISO 8601 duration, e.g. PT12H30M00S)
+// to the representation requested by the dates option
+function parseDateValue(value, valueType, options = {}) {
+    let serial;
+    if (valueType === 'time') {
+        const match = value.match(/^-?P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/);
+        if (!match) return value;
+        serial = (parseInt(match[1] || 0) * 86400 + parseInt(match[2] || 0) * 3600 + parseInt(match[3] || 0) * 60 + parseFloat(match[4] || 0)) / 86400;
+    } else {
+        const date = parseISODate(value);
+        if (!date) return value;
+        if (options.dates === 'date') return date;
+        serial = dateToExcelSerial(date);
+    }
+
+    return convertDateSerial(serial, options.dates);
+}
 
-// Parse number format from number style definition
+// Quote literal text that would otherwise be read as part of a format code
+function formatLiteral(text, isPercentage) {
+    if (isPercentage && text === '%') return text;
+    if (!text || !/[0#?.,%@EeGgymdhsaApP"\\[\]_*;]/.test(text)) return text;
+    return '"' + text.replace(/"/g, '') + '"';
+}
+
+// Named format colors
+const formatColors = {
+    '#000000': 'Black',
+    '#ffffff': 'White',
+    '#ff0000': 'Red',
+    '#00ff00': 'Green',
+    '#0000ff': 'Blue',
+    '#ffff00': 'Yellow',
+    '#ff00ff': 'Magenta',
+    '#00ffff': 'Cyan'
+};
+
+// Parse number format from number style definition, returns an Excel-compatible format code
 function parseNumberFormat(node) {
     if (!node || !node.children) return null;
 
-    const attrs = parseAttributes(node);
-    const styleName = attrs['style:name'] || attrs['number:style-name'];
+    const isPercentage = node.type === 'number:percentage-style';
+    const isTime = node.type === 'number:time-style';
+    const elapsed = isTime && parseAttributes(node)['number:truncate-on-overflow'] === 'false';
 
-    // Look for number:number, number:text, etc.
-    let decimalPlaces = 0;
-    let minDecimalPlaces = 0;
-    let minIntegerDigits = 1;
-    let isPercentage = node.type === 'number:percentage-style';
-    let isCurrency = node.type === 'number:currency-style';
-    let currencySymbol = '';
+    let code = '';
 
-    const findNumberProps = (n) => {
-        if (!n) return;
-        if (Array.isArray(n)) {
-            n.forEach(findNumberProps);
-            return;
-        }
-        if (typeof n === 'object') {
-            if (n.type === 'number:number') {
-                const nattrs = parseAttributes(n);
-                if (nattrs['number:decimal-places']) {
-                    decimalPlaces = parseInt(nattrs['number:decimal-places']) || 0;
-                }
-                if (nattrs['number:min-decimal-places']) {
-                    minDecimalPlaces = parseInt(nattrs['number:min-decimal-places']) || 0;
+    node.children.forEach(n => {
+        if (!n || typeof n !== 'object') return;
+
+        const nattrs = parseAttributes(n);
+        const long = nattrs['number:style'] === 'long';
+        const decimals = parseInt(nattrs['number:decimal-places']) || 0;
+
+        switch (n.type) {
+            case 'number:number': {
+                const minIntegerDigits = nattrs['number:min-integer-digits'] !== undefined ? parseInt(nattrs['number:min-integer-digits']) || 0 : 1;
+                const minDecimals = parseInt(nattrs['number:min-decimal-places']) || 0;
+                const digits = '0'.repeat(minIntegerDigits);
+                if (nattrs['number:grouping'] === 'true') {
+                    code += digits.length > 3 ? digits.slice(0, -3) + ',' + digits.slice(-3) : '#,' + '#'.repeat(3 - digits.length) + digits;
+                } else {
+                    code += digits || '#';
                 }
-                if (nattrs['number:min-integer-digits']) {
-                    minIntegerDigits = parseInt(nattrs['number:min-integer-digits']) || 1;
+                if (decimals > 0 || minDecimals > 0) {
+                    code += '.' + '0'.repeat(Math.max(decimals, minDecimals));
                 }
-            } else if (n.type === 'number:currency-symbol') {
-                currencySymbol = getTextContent(n) || '$';
+                break;
+            }
+            case 'number:scientific-number':
+                code += '0' + (decimals ? '.' + '0'.repeat(decimals) : '') + 'E+' + '0'.repeat(parseInt(nattrs['number:min-exponent-digits']) || 2);
+                break;
+            case 'number:fraction': {
+                const integerDigits = parseInt(nattrs['number:min-integer-digits']);
+                const denominator = nattrs['number:denominator-value'];
+                code += (integerDigits === 0 ? '' : '# ') + '?'.repeat(parseInt(nattrs['number:min-numerator-digits']) || 1) + '/';
+                code += denominator ? denominator : '?'.repeat(parseInt(nattrs['number:min-denominator-digits']) || 1);
+                break;
+            }
+            case 'number:currency-symbol':
+                code += formatLiteral(getTextContent(n) || '$');
+                break;
+            case 'number:text':
+                code += formatLiteral(getTextContent(n), isPercentage);
+                break;
+            case 'number:text-content':
+                code += '@';
+                break;
+            case 'number:year':
+                code += long ? 'yyyy' : 'yy';
+                break;
+            case 'number:month':
+                code += nattrs['number:textual'] === 'true' ? (long ? 'mmmm' : 'mmm') : (long ? 'mm' : 'm');
+                break;
+            case 'number:day':
+                code += long ? 'dd' : 'd';
+                break;
+            case 'number:day-of-week':
+                code += long ? 'dddd' : 'ddd';
+                break;
+            case 'number:hours':
+                code += elapsed ? '[h]' : (long ? 'hh' : 'h');
+                break;
+            case 'number:minutes':
+                code += long ? 'mm' : 'm';
+                break;
+            case 'number:seconds':
+                code += (long ? 'ss' : 's') + (decimals ? '.' + '0'.repeat(decimals) : '');
+                break;
+            case 'number:am-pm':
+                code += 'AM/PM';
+                break;
+            case 'style:text-properties': {
+                const color = formatColors[(nattrs['fo:color'] || '').toLowerCase()];
+                if (color) code = `[${color}]` + code;
+                break;
             }
-            if (n.children) findNumberProps(n.children);
         }
-    };
+    });
 
-    findNumberProps(node);
+    if (isPercentage && code.indexOf('%') === -1) {
+        code += '%';
+    }
 
-    // Build Excel-compatible format code
-    let mask = '';
+    return code || null;
+}
 
-    if (isCurrency) {
-        mask = currencySymbol + '#,##0';
-        if (decimalPlaces > 0) {
-            mask += '.' + '0'.repeat(decimalPlaces);
-        }
-    } else if (isPercentage) {
-        mask = '0';
-        if (decimalPlaces > 0) {
-            mask += '.' + '0'.repeat(decimalPlaces);
-        }
-        mask += '%';
-    } else {
-        // Regular number format
-        if (decimalPlaces > 0 || minDecimalPlaces > 0) {
-            const decimals = Math.max(decimalPlaces, minDecimalPlaces);
-            mask = '0.' + '0'.repeat(decimals);
-        } else {
-            mask = '0';
-        }
-    }
+// Convert a style:map condition (e.g. value()>=0) to a format code section prefix
+function parseMapCondition(condition) {
+    const match = decodeHTMLEntities(condition || '').match(/^value\(\)\s*(<=|>=|!=|<|>|=)\s*(-?[\d.]+)$/);
+    if (!match) return null;
 
-    return mask;
+    // Positive and negative sections do not need a condition
+    if (match[1] === '>=' && parseFloat(match[2]) === 0) return '';
+
+    return `[${match[1] === '!=' ? '<>' : match[1]}${match[2]}]`;
 }
 
 // Parse number format definitions from XML
 function parseNumberFormats(xml) {
     const formats = {};
+    const maps = {};
 
     if (!xml) return formats;
 
@@ -101,7 +179,8 @@ function parseNumberFormats(xml) {
                 node.type === 'number:percentage-style' ||
                 node.type === 'number:currency-style' ||
                 node.type === 'number:date-style' ||
-                node.type === 'number:time-style') {
+                node.type === 'number:time-style' ||
+                node.type === 'number:text-style') {
 
                 const attrs = parseAttributes(node);
                 const name = attrs['style:name'];
@@ -111,6 +190,9 @@ function parseNumberFormats(xml) {
                     if (mask) {
                         formats[name] = mask;
                     }
+
+                    // Conditional sections, e.g. the format for positive numbers
+                    maps[name] = (node.children || []).filter(n => n.type === 'style:map').map(n => parseAttributes(n));
                 }
             }
 
@@ -121,7 +203,23 @@ function parseNumberFormats(xml) {
     };
 
     findFormats(parsed);
-    return formats;
+
+    // Join the mapped styles as sections before the style itself: positive;negative
+    const resolved = {};
+    Object.keys(formats).forEach(name => {
+        const sections = [];
+        maps[name].forEach(map => {
+            const condition = parseMapCondition(map['style:condition']);
+            const mapped = formats[map['style:apply-style-name']];
+            if (condition !== null && mapped) {
+                sections.push(condition + mapped);
+            }
+        });
+        sections.push(formats[name]);
+        resolved[name] = sections.join(';');
+    });
+
+    return resolved;
 }
 
 // Parse style definitions from styles.xml
@@ -525,8 +623,180 @@ function parseConditionalFormat(formatNode) {
     return format;
 }
 
+// Helper: Split a range address (Sheet1.A1:Sheet1.C10, 'My Sheet'.$A$1:.$C$10) into sheet name and A1 range
+function parseRangeAddress(address) {
+    let sheet = null;
+    const cells = [];
+
+    // Split on colons and dots outside quoted sheet names
+    let part = '';
+    let quoted = false;
+    let current = { sheet: null, cell: '' };
+    for (const char of address + ':') {
+        if (char === "'") {
+            quoted = !quoted;
+            part += char;
+        } else if (char === '.' && !quoted) {
+            current.sheet = part;
+            part = '';
+        } else if (char === ':' && !quoted) {
+            current.cell = part;
+            cells.push(current);
+            current = { sheet: null, cell: '' };
+            part = '';
+        } else {
+            part += char;
+        }
+    }
+
+    if (cells[0] && cells[0].sheet) {
+        sheet = cells[0].sheet.replace(/^\$/, '');
+        if (sheet.startsWith("'")) {
+            sheet = sheet.slice(1, -1).replace(/''/g, "'");
+        }
+    }
+
+    return {
+        sheet: sheet,
+        ref: cells.map(cell => cell.cell.replace(/\$/g, '')).join(':')
+    };
+}
+
+// Filter operators with Excel wildcards for the text matches
+const filterOperators = {
+    '=': ['equal'],
+    '!=': ['notEqual'],
+    '<': ['lessThan'],
+    '<=': ['lessThanOrEqual'],
+    '>': ['greaterThan'],
+    '>=': ['greaterThanOrEqual'],
+    'contains': ['equal', '*', '*'],
+    '!contains': ['notEqual', '*', '*'],
+    'begins': ['equal', '', '*'],
+    '!begins': ['notEqual', '', '*'],
+    'ends': ['equal', '*', ''],
+    '!ends': ['notEqual', '*', '']
+};
+
+// Helper: Parse the filter and sort of a database range into the worksheet filters structure
+function parseDatabaseRange(rangeNode) {
+    const attrs = parseAttributes(rangeNode);
+    const children = rangeNode.children || [];
+    const filterNode = children.find(node => node.type === 'table:filter');
+    const sortNode = children.find(node => node.type === 'table:sort');
+
+    // Named database ranges without filter buttons, filter or sort are not filters
+    if (attrs['table:display-filter-buttons'] !== 'true' && !filterNode && !sortNode) {
+        return null;
+    }
+
+    const address = parseRangeAddress(decodeHTMLEntities(attrs['table:target-range-address'] || ''));
+    const coords = getCoordsFromRange(address.ref);
+    const filters = {
+        ref: address.ref,
+        columns: []
+    };
+
+    const collect = (node, and) => {
+        (node.children || []).forEach(child => {
+            if (child.type === 'table:filter-and' || child.type === 'table:filter-or') {
+                collect(child, child.type === 'table:filter-and');
+                return;
+            }
+            if (child.type !== 'table:filter-condition') return;
+
+            const conditionAttrs = parseAttributes(child);
+            const column = coords[0] + parseInt(conditionAttrs['table:field-number'] || 0);
+            const operator = decodeHTMLEntities(conditionAttrs['table:operator'] || '=');
+            const dataType = conditionAttrs['table:data-type'];
+            let value = decodeHTMLEntities(conditionAttrs['table:value'] || '');
+            if (dataType === 'number' && value !== '' && !isNaN(value)) {
+                value = parseFloat(value);
+            }
+
+            const items = findNodes(child, 'table:filter-set-item');
+            const top = operator.match(/^(top|bottom) (values|percent)$/);
+
+            if (dataType === 'background-color' || dataType === 'text-color') {
+                filters.columns.push({
+                    column: column,
+                    type: 'color',
+                    cellColor: dataType === 'background-color',
+                    color: value ? value.toUpperCase() : null
+                });
+            } else if (items.length > 0) {
+                filters.columns.push({
+                    column: column,
+                    type: 'values',
+                    values: items.map(item => decodeHTMLEntities(parseAttributes(item)['table:value'] || ''))
+                });
+            } else if (operator === 'empty') {
+                filters.columns.push({
+                    column: column,
+                    type: 'values',
+                    values: [],
+                    blank: true
+                });
+            } else if (top) {
+                filters.columns.push({
+                    column: column,
+                    type: 'top10',
+                    top: top[1] === 'top',
+                    percent: top[2] === 'percent',
+                    value: parseFloat(value)
+                });
+            } else {
+                const map = filterOperators[operator];
+                const criteria = operator === '!empty' ? { operator: 'notEqual', value: '' } : {
+                    operator: map ? map[0] : 'equal',
+                    value: map && map[1] !== undefined ? map[1] + value + map[2] : value
+                };
+
+                // Conditions on the same column are joined with the operator of the group
+                const previous = filters.columns.find(entry => entry.column === column && entry.type === 'custom');
+                if (previous) {
+                    previous.and = and;
+                    previous.criteria.push(criteria);
+                } else {
+                    filters.columns.push({
+                        column: column,
+                        type: 'custom',
+                        and: false,
+                        criteria: [criteria]
+                    });
+                }
+            }
+        });
+    };
+
+    if (filterNode) {
+        collect(filterNode, true);
+    }
+
+    if (sortNode) {
+        const sortAttrs = parseAttributes(sortNode);
+        // The header row is not sorted
+        const header = attrs['table:contains-header'] !== 'false' ? 1 : 0;
+        filters.sort = {
+            ref: getCellNameFromCoords(coords[0], coords[1] + header) + ':' + getCellNameFromCoords(coords[2], coords[3]),
+            keys: findNodes(sortNode, 'table:sort-by').map(node => {
+                const sortByAttrs = parseAttributes(node);
+                return {
+                    column: coords[0] + parseInt(sortByAttrs['table:field-number'] || 0),
+                    descending: sortByAttrs['table:order'] === 'descending'
+                };
+            })
+        };
+        if (sortAttrs['table:case-sensitive'] === 'true') {
+            filters.sort.caseSensitive = true;
+        }
+    }
+
+    return { sheet: address.sheet, filters: filters };
+}
+
 // Parse table from content.xml
-function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
+function parseTable(tableNode, styles, numberFormats, tableStyles = {}, options = {}) {
     const result = {
         name: '',
         data: [],
@@ -597,6 +867,13 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
     let rowIndex = 0;
     let maxCol = 0;
 
+    // Outline: nesting level of the current row and column groups, and the summary
+    // row or column next to each collapsed group (the row below, the column on the right)
+    let rowLevel = 0;
+    let columnLevel = 0;
+    const collapsedRows = [];
+    const collapsedColumns = [];
+
     const processNode = (node) => {
         if (!node) return;
 
@@ -605,6 +882,25 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
             return;
         }
 
+        // Row and column groups
+        if (node.type === 'table:table-row-group' || node.type === 'table:table-column-group') {
+            const isRowGroup = node.type === 'table:table-row-group';
+            const collapsed = parseAttributes(node)['table:display'] === 'false';
+
+            if (isRowGroup) {
+                rowLevel++;
+                processNode(node.children);
+                rowLevel--;
+                if (collapsed) collapsedRows.push(rowIndex);
+            } else {
+                columnLevel++;
+                processNode(node.children);
+                columnLevel--;
+                if (collapsed) collapsedColumns.push(result.columns.length);
+            }
+            return;
+        }
+
         // Parse columns
         if (node.type === 'table:table-column') {
             const colAttrs = parseAttributes(node);
@@ -661,6 +957,10 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
                     col.visible = false;
                 }
 
+                if (columnLevel > 0) {
+                    col.level = columnLevel;
+                }
+
                 result.columns.push(col);
             }
         }
@@ -702,6 +1002,11 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
                     result.rows[currentRow].visible = false;
                 }
 
+                if (rowLevel > 0) {
+                    if (!result.rows[currentRow]) result.rows[currentRow] = {};
+                    result.rows[currentRow].level = rowLevel;
+                }
+
                 let colIndex = 0;
 
                 // Parse cells in row
@@ -727,9 +1032,9 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
                             } else if (valueType === 'currency') {
                                 value = parseFloat(cellAttrs['office:value']) || 0;
                             } else if (valueType === 'date') {
-                                value = cellAttrs['office:date-value'] || '';
+                                value = parseDateValue(cellAttrs['office:date-value'] || '', valueType, options);
                             } else if (valueType === 'time') {
-                                value = cellAttrs['office:time-value'] || '';
+                                value = parseDateValue(cellAttrs['office:time-value'] || '', valueType, options);
                             } else if (valueType === 'boolean') {
                                 value = cellAttrs['office:boolean-value'] === 'true';
                             } else {
@@ -820,26 +1125,9 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
                                 const col = colIndex + c;
                                 // If cell has formula, export formula string instead of calculated value
                                 if (formula && c === 0) {
-                                    // Clean ODS formula format: remove "of:" prefix and convert to Excel format
-                                    let cleanFormula = formula.replace(/^of:/, '');
-
-                                    // Decode HTML entities
-                                    cleanFormula = cleanFormula
-                                        .replace(/&quot;/g, '"')
-                                        .replace(/&lt;/g, '<')
-                                        .replace(/&gt;/g, '>')
-                                        .replace(/&amp;/g, '&');
-
-                                    // Convert ODS range references [.A1:.B10] or [.$A$1:.$B$10] to Excel format A1:B10
-                                    cleanFormula = cleanFormula.replace(/\[\.(\$?)([A-Z]+)(\$?)(\d+):\.(\$?)([A-Z]+)(\$?)(\d+)\]/g, '$1$2$3$4:$5$6$7$8');
-
-                                    // Convert ODS cell references [.A1] or [.$A$1] to Excel format A1 or $A$1
-                                    cleanFormula = cleanFormula.replace(/\[\.(\$?)([A-Z]+)(\$?)(\d+)\]/g, '$1$2$3$4');
-
-                                    // Convert ODS semicolons to Excel commas in function arguments
-                                    cleanFormula = cleanFormula.replace(/;/g, ',');
-
-                                    result.data[currentRow][col] = cleanFormula;
+                                    // OpenFormula is translated to Excel syntax unless the original text is requested
+                                    const text = decodeHTMLEntities(formula);
+                                    result.data[currentRow][col] = options.originalFormulas ? text : translateFormula(text);
                                 } else {
                                     result.data[currentRow][col] = value;
                                 }
@@ -880,6 +1168,13 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
                                     }
                                 }
 
+                                // Displayed text, rendered with the number format
+                                if (options.text && value !== '') {
+                                    const cellAddr = getCellNameFromCoords(col, currentRow);
+                                    if (!result.cells[cellAddr]) result.cells[cellAddr] = {};
+                                    result.cells[cellAddr].text = format(value, result.cells[cellAddr].format);
+                                }
+
                                 // Add hyperlink if present (store in cells as url property)
                                 if (hyperlink && c === 0) {
                                     const cellAddr = getCellNameFromCoords(col, currentRow);
@@ -937,368 +1232,426 @@ function parseTable(tableNode, styles, numberFormats, tableStyles = {}) {
         });
     }
 
+    // Mark the summary rows and columns of the collapsed groups
+    collapsedRows.forEach(r => {
+        if (r < result.data.length) {
+            if (!result.rows[r]) result.rows[r] = {};
+            result.rows[r].collapsed = true;
+        }
+    });
+    collapsedColumns.forEach(c => {
+        if (result.columns[c]) {
+            result.columns[c].collapsed = true;
+        }
+    });
+
+    // ODS has no summary position setting, groups are summarized below and on the right
+    const hasOutline = Object.values(result.rows).some(row => row.level) || result.columns.some(column => column.level);
+    if (hasOutline) {
+        result.outline = { summaryBelow: true, summaryRight: true };
+    }
+
     // Add minDimensions [columns, rows]
     result.minDimensions = [maxCol + 1, result.data.length];
 
     return result;
 }
 
-/**
- * Parse ODS file - works in both Browser and Node.js
- * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
- * @param {Object} options - Parser options
- * @param {Function} options.onload - Callback when parsing completes
- * @param {Function} options.onerror - Callback when parsing fails
- * @returns {Promise<object>} Jspreadsheet Pro format
- */
-export async function parseODS(input, options = {}) {
-    return parse(async (inp) => {
-        // JSZip can handle File objects directly in browser, or buffers
-        let zipInput;
-        if (typeof File !== 'undefined' && inp instanceof File) {
-            zipInput = inp; // JSZip handles File objects directly
-        } else {
-            zipInput = await loadAsBuffer(inp);
-        }
+// Parse the spreadsheet from its content, styles and settings documents. A package (.ods, .ots)
+// stores them in separate files, a flat document (.fods) holds all of them in one XML file.
+function parseDocument(contentXml, stylesXml, settingsXml, options = {}) {
+    const content = parser(contentXml);
 
-        const zip = await JSZip.loadAsync(zipInput);
+    // Styles from styles.xml
+    let styles = {};
+    if (stylesXml) {
+        styles = parseStyles(stylesXml);
+    }
 
-        // Extract content.xml
-        const contentFile = zip.file('content.xml');
-        if (!contentFile) {
-            throw new Error('content.xml not found in ODS file');
-        }
+    // Also parse automatic styles from content.xml
+    const contentStyles = parseStyles(contentXml);
+    styles = { ...styles, ...contentStyles };
 
-        const contentXml = await contentFile.async('string');
-        const content = parser(contentXml);
-
-        // Extract styles.xml
-        let styles = {};
-        const stylesFile = zip.file('styles.xml');
-        if (stylesFile) {
-            const stylesXml = await stylesFile.async('string');
-            styles = parseStyles(stylesXml);
-        }
+    // Parse table styles for worksheet visibility
+    let tableStyles = {};
+    if (stylesXml) {
+        tableStyles = parseTableStyles(stylesXml);
+    }
+    const contentTableStyles = parseTableStyles(contentXml);
+    tableStyles = { ...tableStyles, ...contentTableStyles };
 
-        // Also parse automatic styles from content.xml
-        const contentStyles = parseStyles(contentXml);
-        styles = { ...styles, ...contentStyles };
+    // Parse number formats from both styles.xml and content.xml
+    let numberFormats = {};
+    if (stylesXml) {
+        numberFormats = parseNumberFormats(stylesXml);
+    }
+    const contentFormats = parseNumberFormats(contentXml);
+    numberFormats = { ...numberFormats, ...contentFormats };
 
-        // Parse table styles for worksheet visibility
-        let tableStyles = {};
-        if (stylesFile) {
-            const stylesXml = await stylesFile.async('string');
-            tableStyles = parseTableStyles(stylesXml);
-        }
-        const contentTableStyles = parseTableStyles(contentXml);
-        tableStyles = { ...tableStyles, ...contentTableStyles };
-
-        // Parse number formats from both styles.xml and content.xml
-        let numberFormats = {};
-        if (stylesFile) {
-            const stylesXml = await stylesFile.async('string');
-            numberFormats = parseNumberFormats(stylesXml);
-        }
-        const contentFormats = parseNumberFormats(contentXml);
-        numberFormats = { ...numberFormats, ...contentFormats };
 
+    // Parse document-level features
+    const definedNames = {};
+    const databaseRanges = [];
 
-        // Parse document-level features
-        const definedNames = {};
+    const parseDocumentFeatures = (node) => {
+        if (!node) return;
 
-        const parseDocumentFeatures = (node) => {
-            if (!node) return;
+        if (Array.isArray(node)) {
+            node.forEach(parseDocumentFeatures);
+            return;
+        }
 
-            if (Array.isArray(node)) {
-                node.forEach(parseDocumentFeatures);
-                return;
+        if (typeof node === 'object') {
+            // Named ranges
+            if (node.type === 'table:named-range') {
+                const attrs = parseAttributes(node);
+                const name = attrs['table:name'];
+                const range = attrs['table:cell-range-address'];
+                if (name && range) {
+                    // Store as simple string to match XLSX format
+                    definedNames[name] = options.originalFormulas ? range : translateReference(decodeHTMLEntities(range));
+                }
             }
 
-            if (typeof node === 'object') {
-                // Named ranges
-                if (node.type === 'table:named-range') {
-                    const attrs = parseAttributes(node);
-                    const name = attrs['table:name'];
-                    const range = attrs['table:cell-range-address'];
-                    if (name && range) {
-                        // Store as simple string to match XLSX format
-                        definedNames[name] = range;
-                    }
+            // Database ranges with AutoFilter buttons, filter criteria or sort keys
+            if (node.type === 'table:database-range') {
+                const databaseRange = parseDatabaseRange(node);
+                if (databaseRange) {
+                    databaseRanges.push(databaseRange);
                 }
+            }
 
-                if (node.children) {
-                    parseDocumentFeatures(node.children);
-                }
+            if (node.children) {
+                parseDocumentFeatures(node.children);
             }
-        };
+        }
+    };
 
-        parseDocumentFeatures(content);
+    parseDocumentFeatures(content);
 
-        // Parse frozen panes from settings.xml
-        let frozenPanes = {};
-        const settingsFile = zip.file('settings.xml');
-        if (settingsFile) {
-            const settingsXml = await settingsFile.async('string');
-            const settings = parser(settingsXml);
-
-            const findConfig = (node, sheetName) => {
-                if (!node) return null;
-                if (Array.isArray(node)) {
-                    for (let n of node) {
-                        const result = findConfig(n, sheetName);
-                        if (result) return result;
-                    }
-                    return null;
-                }
-                if (typeof node === 'object') {
-                    if (node.type === 'config:config-item-map-entry') {
-                        const attrs = parseAttributes(node);
-                        const name = attrs['config:name'];
-
-                        if (name && node.children) {
-                            const panes = {};
-                            const findPaneSettings = (n) => {
-                                if (!n) return;
-                                if (Array.isArray(n)) {
-                                    n.forEach(findPaneSettings);
-                                    return;
-                                }
-                                if (typeof n === 'object' && n.type === 'config:config-item') {
-                                    const itemAttrs = parseAttributes(n);
-                                    const itemName = itemAttrs['config:name'];
-                                    const value = getTextContent(n);
-
-                                    if (itemName === 'HorizontalSplitMode' && value === '2') {
-                                        panes.horizontalSplit = true;
-                                    } else if (itemName === 'VerticalSplitMode' && value === '2') {
-                                        panes.verticalSplit = true;
-                                    } else if (itemName === 'PositionRight') {
-                                        panes.frozenColumns = parseInt(value) || 0;
-                                    } else if (itemName === 'PositionBottom') {
-                                        panes.frozenRows = parseInt(value) || 0;
-                                    }
+    // Parse frozen panes from settings.xml
+    let frozenPanes = {};
+    if (settingsXml) {
+        const settings = parser(settingsXml);
 
-                                    if (n.children) findPaneSettings(n.children);
-                                } else if (n.children) {
-                                    findPaneSettings(n.children);
+        const findConfig = (node, sheetName) => {
+            if (!node) return null;
+            if (Array.isArray(node)) {
+                for (let n of node) {
+                    const result = findConfig(n, sheetName);
+                    if (result) return result;
+                }
+                return null;
+            }
+            if (typeof node === 'object') {
+                if (node.type === 'config:config-item-map-entry') {
+                    const attrs = parseAttributes(node);
+                    const name = attrs['config:name'];
+
+                    if (name && node.children) {
+                        const panes = {};
+                        const findPaneSettings = (n) => {
+                            if (!n) return;
+                            if (Array.isArray(n)) {
+                                n.forEach(findPaneSettings);
+                                return;
+                            }
+                            if (typeof n === 'object' && n.type === 'config:config-item') {
+                                const itemAttrs = parseAttributes(n);
+                                const itemName = itemAttrs['config:name'];
+                                const value = getTextContent(n);
+
+                                if (itemName === 'HorizontalSplitMode' && value === '2') {
+                                    panes.horizontalSplit = true;
+                                } else if (itemName === 'VerticalSplitMode' && value === '2') {
+                                    panes.verticalSplit = true;
+                                } else if (itemName === 'PositionRight') {
+                                    panes.frozenColumns = parseInt(value) || 0;
+                                } else if (itemName === 'PositionBottom') {
+                                    panes.frozenRows = parseInt(value) || 0;
                                 }
-                            };
-                            findPaneSettings(node.children);
 
-                            if (panes.frozenRows || panes.frozenColumns) {
-                                frozenPanes[name] = panes;
+                                if (n.children) findPaneSettings(n.children);
+                            } else if (n.children) {
+                                findPaneSettings(n.children);
                             }
+                        };
+                        findPaneSettings(node.children);
+
+                        if (panes.frozenRows || panes.frozenColumns) {
+                            frozenPanes[name] = panes;
                         }
                     }
-                    if (node.children) {
-                        const result = findConfig(node.children, sheetName);
-                        if (result) return result;
-                    }
                 }
-                return null;
-            };
-
-            findConfig(settings);
-        }
-
-        // Find all tables (worksheets)
-        const worksheets = [];
-        const allValidations = []; // Collect validations (includes conditional formatting with action:'format')
+                if (node.children) {
+                    const result = findConfig(node.children, sheetName);
+                    if (result) return result;
+                }
+            }
+            return null;
+        };
 
-        const findTables = (node) => {
-            if (!node) return;
+        findConfig(settings);
+    }
 
-            if (Array.isArray(node)) {
-                node.forEach(findTables);
-                return;
-            }
+    // Find all tables (worksheets)
+    const worksheets = [];
+    const allValidations = []; // Collect validations (includes conditional formatting with action:'format')
 
-            if (typeof node === 'object') {
-                if (node.type === 'table:table') {
-                    const tableData = parseTable(node, styles, numberFormats, tableStyles);
-
-                    // Add frozen panes if available for this sheet
-                    const sheetFrozenPanes = frozenPanes[tableData.name] || {};
-
-                    const worksheet = {
-                        worksheetName: tableData.name,
-                        data: tableData.data,
-                        columns: tableData.columns,
-                        rows: tableData.rows,
-                        cells: tableData.cells,
-                        style: tableData.style,
-                        mergeCells: tableData.mergeCells,
-                        media: tableData.media,
-                        comments: tableData.comments,
-                        minDimensions: tableData.minDimensions,
-                        freezeRows: sheetFrozenPanes.frozenRows || 0,
-                        freezeColumns: sheetFrozenPanes.frozenColumns || 0
-                    };
+    const findTables = (node) => {
+        if (!node) return;
 
-                    // Add optional properties if present
-                    if (tableData.gridline !== undefined) {
-                        worksheet.gridline = tableData.gridline;
-                    }
-                    if (tableData.locked !== undefined) {
-                        worksheet.locked = tableData.locked;
-                    }
-                    if (tableData.defaultColWidth !== undefined) {
-                        worksheet.defaultColWidth = tableData.defaultColWidth;
-                    }
-                    if (tableData.worksheetState !== undefined) {
-                        worksheet.worksheetState = tableData.worksheetState;
-                    }
+        if (Array.isArray(node)) {
+            node.forEach(findTables);
+            return;
+        }
 
-                    // Collect validations from this worksheet (includes conditional formatting)
-                    if (tableData.validations) {
-                        // Add worksheet name to each validation/conditional formatting
-                        tableData.validations.forEach(validation => {
-                            // Prefix the range with worksheet name if not already qualified
-                            if (!validation.range.includes('!')) {
-                                validation.range = `${tableData.name}!${validation.range}`;
-                            }
-                            allValidations.push(validation);
-                        });
-                    }
+        if (typeof node === 'object') {
+            if (node.type === 'table:table') {
+                const tableData = parseTable(node, styles, numberFormats, tableStyles, options);
+
+                // Add frozen panes if available for this sheet
+                const sheetFrozenPanes = frozenPanes[tableData.name] || {};
+
+                const worksheet = {
+                    worksheetName: tableData.name,
+                    data: tableData.data,
+                    columns: tableData.columns,
+                    rows: tableData.rows,
+                    cells: tableData.cells,
+                    style: tableData.style,
+                    mergeCells: tableData.mergeCells,
+                    media: tableData.media,
+                    comments: tableData.comments,
+                    minDimensions: tableData.minDimensions,
+                    freezeRows: sheetFrozenPanes.frozenRows || 0,
+                    freezeColumns: sheetFrozenPanes.frozenColumns || 0
+                };
 
-                    worksheets.push(worksheet);
-                    // Don't recurse into table children - parseTable handles that
-                    return;
+                // Add optional properties if present
+                if (tableData.gridline !== undefined) {
+                    worksheet.gridline = tableData.gridline;
+                }
+                if (tableData.locked !== undefined) {
+                    worksheet.locked = tableData.locked;
+                }
+                if (tableData.defaultColWidth !== undefined) {
+                    worksheet.defaultColWidth = tableData.defaultColWidth;
+                }
+                if (tableData.worksheetState !== undefined) {
+                    worksheet.worksheetState = tableData.worksheetState;
+                }
+                if (tableData.outline !== undefined) {
+                    worksheet.outline = tableData.outline;
                 }
 
-                if (node.children) {
-                    findTables(node.children);
+                // Collect validations from this worksheet (includes conditional formatting)
+                if (tableData.validations) {
+                    // Add worksheet name to each validation/conditional formatting
+                    tableData.validations.forEach(validation => {
+                        // Prefix the range with worksheet name if not already qualified
+                        if (!validation.range.includes('!')) {
+                            validation.range = `${tableData.name}!${validation.range}`;
+                        }
+                        allValidations.push(validation);
+                    });
                 }
+
+                worksheets.push(worksheet);
+                // Don't recurse into table children - parseTable handles that
+                return;
             }
-        };
 
-        findTables(content);
+            if (node.children) {
+                findTables(node.children);
+            }
+        }
+    };
 
-        // Build global styles array as CSS strings and convert style references to indices
-        const styleNames = Object.keys(styles);
-        const globalStyles = styleNames.map(name => styleToCSS(name, styles));
+    findTables(content);
 
-        // Create style name to index mapping
-        const styleIndexMap = {};
-        styleNames.forEach((name, index) => {
-            styleIndexMap[name] = index;
+    // Attach the first filter range of each sheet
+    databaseRanges.forEach(databaseRange => {
+        const worksheet = worksheets.find(w => w.worksheetName === databaseRange.sheet);
+        if (worksheet && !worksheet.filters) {
+            worksheet.filters = databaseRange.filters;
+        }
+    });
+
+    // Build global styles array as CSS strings and convert style references to indices
+    const styleNames = Object.keys(styles);
+    const globalStyles = styleNames.map(name => styleToCSS(name, styles));
+
+    // Create style name to index mapping
+    const styleIndexMap = {};
+    styleNames.forEach((name, index) => {
+        styleIndexMap[name] = index;
+    });
+
+    // Convert all style references in worksheets to indices
+    worksheets.forEach(worksheet => {
+        // Convert column style references
+        worksheet.columns.forEach(col => {
+            if (col.style && styleIndexMap[col.style] !== undefined) {
+                col.style = styleIndexMap[col.style];
+            } else if (col.style) {
+                // Style not found, remove it
+                delete col.style;
+            }
         });
 
-        // Convert all style references in worksheets to indices
-        worksheets.forEach(worksheet => {
-            // Convert column style references
-            worksheet.columns.forEach(col => {
-                if (col.style && styleIndexMap[col.style] !== undefined) {
-                    col.style = styleIndexMap[col.style];
-                } else if (col.style) {
-                    // Style not found, remove it
-                    delete col.style;
-                }
-            });
-
-            // Apply border deduplication to prevent double borders between adjacent cells
-            // Track cells that should NOT have top/left borders
-            const cellsWithoutTopBorder = new Set();
-            const cellsWithoutLeftBorder = new Set();
-
-            // First pass: identify which cells should not have top/left borders
-            Object.keys(worksheet.style).forEach(cellAddr => {
-                const cssString = worksheet.style[cellAddr];
-
-                // Check if this cell has border-right or border-bottom
-                if (cssString.includes('border-right:')) {
-                    // Mark cells to the right to not have border-left
-                    // Account for merged cells - if this cell is merged, mark cells to the right of the merge
-                    const coords = getCoordsFromCellName(cellAddr);
-                    if (coords && coords[0] !== null && coords[1] !== null) {
-                        const mergeInfo = worksheet.mergeCells?.[cellAddr];
-                        if (mergeInfo && Array.isArray(mergeInfo)) {
-                            // Cell is merged - mark all cells to the right of the merged range
-                            const [colSpan, rowSpan] = mergeInfo;
-                            for (let rowOffset = 0; rowOffset < rowSpan; rowOffset++) {
-                                const rightCell = getCellNameFromCoords(coords[0] + colSpan, coords[1] + rowOffset);
-                                cellsWithoutLeftBorder.add(rightCell);
-                            }
-                        } else {
-                            // Single cell - mark only the cell directly to the right
-                            const rightCell = getCellNameFromCoords(coords[0] + 1, coords[1]);
+        // Apply border deduplication to prevent double borders between adjacent cells
+        // Track cells that should NOT have top/left borders
+        const cellsWithoutTopBorder = new Set();
+        const cellsWithoutLeftBorder = new Set();
+
+        // First pass: identify which cells should not have top/left borders
+        Object.keys(worksheet.style).forEach(cellAddr => {
+            const cssString = worksheet.style[cellAddr];
+
+            // Check if this cell has border-right or border-bottom
+            if (cssString.includes('border-right:')) {
+                // Mark cells to the right to not have border-left
+                // Account for merged cells - if this cell is merged, mark cells to the right of the merge
+                const coords = getCoordsFromCellName(cellAddr);
+                if (coords && coords[0] !== null && coords[1] !== null) {
+                    const mergeInfo = worksheet.mergeCells?.[cellAddr];
+                    if (mergeInfo && Array.isArray(mergeInfo)) {
+                        // Cell is merged - mark all cells to the right of the merged range
+                        const [colSpan, rowSpan] = mergeInfo;
+                        for (let rowOffset = 0; rowOffset < rowSpan; rowOffset++) {
+                            const rightCell = getCellNameFromCoords(coords[0] + colSpan, coords[1] + rowOffset);
                             cellsWithoutLeftBorder.add(rightCell);
                         }
+                    } else {
+                        // Single cell - mark only the cell directly to the right
+                        const rightCell = getCellNameFromCoords(coords[0] + 1, coords[1]);
+                        cellsWithoutLeftBorder.add(rightCell);
                     }
                 }
-                if (cssString.includes('border-bottom:')) {
-                    // Mark cells below to not have border-top
-                    // Account for merged cells - if this cell is merged, mark all cells below the merge
-                    const coords = getCoordsFromCellName(cellAddr);
-                    if (coords && coords[0] !== null && coords[1] !== null) {
-                        const mergeInfo = worksheet.mergeCells?.[cellAddr];
-                        if (mergeInfo && Array.isArray(mergeInfo)) {
-                            // Cell is merged - mark all cells below the merged range
-                            const [colSpan, rowSpan] = mergeInfo;
-                            for (let colOffset = 0; colOffset < colSpan; colOffset++) {
-                                const belowCell = getCellNameFromCoords(coords[0] + colOffset, coords[1] + rowSpan);
-                                cellsWithoutTopBorder.add(belowCell);
-                            }
-                        } else {
-                            // Single cell - mark only the cell directly below
-                            const belowCell = getCellNameFromCoords(coords[0], coords[1] + 1);
+            }
+            if (cssString.includes('border-bottom:')) {
+                // Mark cells below to not have border-top
+                // Account for merged cells - if this cell is merged, mark all cells below the merge
+                const coords = getCoordsFromCellName(cellAddr);
+                if (coords && coords[0] !== null && coords[1] !== null) {
+                    const mergeInfo = worksheet.mergeCells?.[cellAddr];
+                    if (mergeInfo && Array.isArray(mergeInfo)) {
+                        // Cell is merged - mark all cells below the merged range
+                        const [colSpan, rowSpan] = mergeInfo;
+                        for (let colOffset = 0; colOffset < colSpan; colOffset++) {
+                            const belowCell = getCellNameFromCoords(coords[0] + colOffset, coords[1] + rowSpan);
                             cellsWithoutTopBorder.add(belowCell);
                         }
+                    } else {
+                        // Single cell - mark only the cell directly below
+                        const belowCell = getCellNameFromCoords(coords[0], coords[1] + 1);
+                        cellsWithoutTopBorder.add(belowCell);
                     }
                 }
-            });
+            }
+        });
 
-            // Second pass: remove duplicate borders
-            Object.keys(worksheet.style).forEach(cellAddr => {
-                let cssString = worksheet.style[cellAddr];
+        // Second pass: remove duplicate borders
+        Object.keys(worksheet.style).forEach(cellAddr => {
+            let cssString = worksheet.style[cellAddr];
 
-                // Remove border-top if this cell should not have one
-                if (cellsWithoutTopBorder.has(cellAddr)) {
-                    cssString = cssString.replace(/border-top:\s*[^;]+;?\s*/g, '');
-                }
+            // Remove border-top if this cell should not have one
+            if (cellsWithoutTopBorder.has(cellAddr)) {
+                cssString = cssString.replace(/border-top:\s*[^;]+;?\s*/g, '');
+            }
 
-                // Remove border-left if this cell should not have one
-                if (cellsWithoutLeftBorder.has(cellAddr)) {
-                    cssString = cssString.replace(/border-left:\s*[^;]+;?\s*/g, '');
-                }
+            // Remove border-left if this cell should not have one
+            if (cellsWithoutLeftBorder.has(cellAddr)) {
+                cssString = cssString.replace(/border-left:\s*[^;]+;?\s*/g, '');
+            }
 
-                worksheet.style[cellAddr] = cssString;
-            });
-
-            // Convert cell style references to indices
-            const newStyleObj = {};
-            Object.keys(worksheet.style).forEach(cellAddr => {
-                const cssString = worksheet.style[cellAddr];
-                // Try to find matching style index by CSS string
-                const matchingIndex = globalStyles.findIndex(css => css === cssString);
-                if (matchingIndex !== -1) {
-                    newStyleObj[cellAddr] = matchingIndex;
-                } else {
-                    // Add new style to global array and use that index
-                    globalStyles.push(cssString);
-                    newStyleObj[cellAddr] = globalStyles.length - 1;
-                }
-            });
-            worksheet.style = newStyleObj;
+            worksheet.style[cellAddr] = cssString;
         });
 
-        const result = { worksheets };
+        // Convert cell style references to indices
+        const newStyleObj = {};
+        Object.keys(worksheet.style).forEach(cellAddr => {
+            const cssString = worksheet.style[cellAddr];
+            // Try to find matching style index by CSS string
+            const matchingIndex = globalStyles.findIndex(css => css === cssString);
+            if (matchingIndex !== -1) {
+                newStyleObj[cellAddr] = matchingIndex;
+            } else {
+                // Add new style to global array and use that index
+                globalStyles.push(cssString);
+                newStyleObj[cellAddr] = globalStyles.length - 1;
+            }
+        });
+        worksheet.style = newStyleObj;
+    });
 
-        // Add global style array if any styles exist
-        if (globalStyles.length > 0) {
-            result.style = globalStyles;
-        }
+    const result = { worksheets };
+
+    // Add global style array if any styles exist
+    if (globalStyles.length > 0) {
+        result.style = globalStyles;
+    }
+
+    // Add defined names if any
+    if (Object.keys(definedNames).length > 0) {
+        result.definedNames = definedNames;
+    }
+
+    // Add validations at spreadsheet level if any (includes conditional formatting with action:'format')
+    if (allValidations.length > 0) {
+        result.validations = allValidations;
+    }
+
+    return result;
+}
 
-        // Add defined names if any
-        if (Object.keys(definedNames).length > 0) {
-            result.definedNames = definedNames;
+// Flat XML documents are not ZIP packages
+function isPackage(buffer) {
+    return buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+/**
+ * Parse ODS file - works in both Browser and Node.js
+ *
+ * Reads OpenDocument spreadsheets (.ods), templates (.ots) and flat XML documents (.fods).
+ *
+ * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
+ * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {boolean} [options.originalFormulas=false] - Keep formulas and named ranges in their OpenFormula text instead of Excel syntax
+ * @param {Function} options.onload - Callback when parsing completes
+ * @param {Function} options.onerror - Callback when parsing fails
+ * @returns {Promise<object>} Jspreadsheet Pro format
+ */
+export async function parseODS(input, options = {}) {
+    return parse(async (inp) => {
+        const buffer = await loadAsBuffer(inp);
+
+        // Flat XML document with the styles, settings and content in office:document
+        if (!isPackage(buffer)) {
+            const xml = new TextDecoder('utf-8').decode(buffer);
+            if (!/<office:document[\s>]/.test(xml)) {
+                throw new Error('Invalid ODS file: not an OpenDocument package or flat XML document');
+            }
+            return parseDocument(xml, null, xml, options);
         }
 
-        // Add validations at spreadsheet level if any (includes conditional formatting with action:'format')
-        if (allValidations.length > 0) {
-            result.validations = allValidations;
+        const zip = await JSZip.loadAsync(buffer);
+
+        // Extract content.xml
+        const contentFile = zip.file('content.xml');
+        if (!contentFile) {
+            throw new Error('content.xml not found in ODS file');
         }
 
-        return result;
+        const contentXml = await contentFile.async('string');
+        const stylesFile = zip.file('styles.xml');
+        const stylesXml = stylesFile ? await stylesFile.async('string') : null;
+        const settingsFile = zip.file('settings.xml');
+        const settingsXml = settingsFile ? await settingsFile.async('string') : null;
+
+        return parseDocument(contentXml, stylesXml, settingsXml, options);
     }, input, options);
 }
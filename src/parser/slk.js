@@ -1,4 +1,4 @@
-import { loadAsString, parse } from '../utils/loader.js';
+import { loadAsText, parse } from '../utils/loader.js';
 import { convertWidthToPixels, convertR1C1toA1, getColumnName, getCellNameFromCoords } from '../utils/helpers.js';
 
 /**
@@ -559,13 +559,14 @@ export function parseSLKString(fileContent) {
  * Parse SLK file - works in both Browser and Node.js
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
+ * @param {string} options.encoding - Character encoding (default: detected)
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseSLK(input, options = {}) {
     return parse(async (inp) => {
-        const content = await loadAsString(inp);
+        const content = await loadAsText(inp, { encoding: options.encoding });
         return parseSLKString(content);
     }, input, options);
 }
@@ -1,6 +1,7 @@
-import { loadAsString, parse } from '../utils/loader.js';
+import { loadAsText, parse } from '../utils/loader.js';
 import { parser } from '@lemonadejs/html-to-json';
 import { getColumnName, getCellNameFromCoords, getProp, getChildren, getTextContent } from '../utils/helpers.js';
+import { inferColumnTypes } from '../utils/infer.js';
 
 /**
  * Recursively find all table nodes in the tree
@@ -25,7 +26,7 @@ function findAllTables(node) {
  * Parse a single table node from HTML tree
  */
 function parseTableNode(tableNode, options) {
-    const { firstRowAsHeader = true } = options;
+    const { firstRowAsHeader = true, inferTypes = false } = options;
 
     // Get thead, tbody, tfoot sections
     const thead = getChildren(tableNode, 'thead')[0];
@@ -226,6 +227,11 @@ function parseTableNode(tableNode, options) {
         }
     }
 
+    // Convert numbers, booleans and dates, the header row is already in the column titles
+    if (inferTypes) {
+        inferColumnTypes(data, columns, { ...inferTypes, dates: options.dates, header: ! firstRowAsHeader });
+    }
+
     // Build worksheet result
     const worksheet = {
         data,
@@ -256,6 +262,8 @@ function parseTableNode(tableNode, options) {
  * @param {object} options - Parsing options
  * @param {number} options.tableIndex - Which table to parse (0-based), default: 0
  * @param {boolean} options.firstRowAsHeader - Treat first row as column headers, default: true
+ * @param {string} options.encoding - Character encoding (default: meta charset or detected)
+ * @param {boolean|Object} options.inferTypes - Convert numbers, booleans and dates, and set the column types (default: false), or { decimal, dateOrder }
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseHTMLTable(input, options = {}) {
@@ -277,7 +285,7 @@ export async function parseHTMLTable(input, options = {}) {
         }
         // Otherwise, load as file
         else {
-            fileContent = await loadAsString(inp);
+            fileContent = await loadAsText(inp, { encoding: options.encoding, type: 'html' });
         }
 
         // Parse HTML to JSON
@@ -300,7 +308,7 @@ export async function parseHTMLTable(input, options = {}) {
 
         // Parse the selected table
         const table = tables[tableIndex];
-        const worksheet = parseTableNode(table, { firstRowAsHeader });
+        const worksheet = parseTableNode(table, { firstRowAsHeader, inferTypes: options.inferTypes, dates: options.dates });
 
         return {
             worksheets: [worksheet]
@@ -313,6 +321,8 @@ export async function parseHTMLTable(input, options = {}) {
  * @param {string|HTMLElement|File|Uint8Array} input - HTML string, DOM element, File path (Node.js), File object (Browser), or buffer
  * @param {object} options - Parsing options
  * @param {boolean} options.firstRowAsHeader - Treat first row as column headers, default: true
+ * @param {string} options.encoding - Character encoding (default: meta charset or detected)
+ * @param {boolean|Object} options.inferTypes - Convert numbers, booleans and dates, and set the column types (default: false), or { decimal, dateOrder }
  * @returns {Promise<object>} Jspreadsheet Pro format with multiple worksheets
  */
 export async function parseAllHTMLTables(input, options = {}) {
@@ -329,7 +339,7 @@ export async function parseAllHTMLTables(input, options = {}) {
         }
         // Otherwise, load as file
         else {
-            fileContent = await loadAsString(inp);
+            fileContent = await loadAsText(inp, { encoding: options.encoding, type: 'html' });
         }
 
         // Parse HTML to JSON
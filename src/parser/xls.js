@@ -7,8 +7,25 @@ import {
     readUInt16LE,
     readUInt32LE,
     readFloat64LE,
-    convertWidthToPixels
+    convertWidthToPixels,
+    isDateFormat,
+    convertDateSerial,
+    quoteSheetName,
+    formatSheetRange,
+    excelValidationTypes,
+    excelValidationOperations,
+    excelCFNumericOperators,
+    borderStyles,
+    excelDefaultPalette
 } from '../utils/helpers.js';
+import { format } from '../utils/format.js';
+import { decryptBIFF } from '../utils/encryption.js';
+import { getBIFFVersion, upgradeRecords } from '../utils/biff-legacy.js';
+import { parseBlipStore, parseShapes, inflateMetafile } from '../utils/escher.js';
+import { concatBytes, bytesToBase64 } from '../utils/crypto.js';
+
+// Signature of the CFB (OLE) container, Excel 2.x to 4.0 files are a bare workbook stream
+const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
 
 // BIFF Record Types
 const BIFF_RECORDS = {
@@ -37,7 +54,25 @@ const BIFF_RECORDS = {
     TXO: 0x01B6,
     MULBLANK: 0x00BE,
     BLANK: 0x0201,
-    STRING: 0x0207
+    STRING: 0x0207,
+    DATEMODE: 0x0022,
+    NAME: 0x0018,
+    FILTERMODE: 0x009B,
+    AUTOFILTERINFO: 0x009D,
+    AUTOFILTER: 0x009E,
+    WSBOOL: 0x0081,
+    FILEPASS: 0x002F,
+    SUPBOOK: 0x01AE,
+    EXTERNNAME: 0x0023,
+    EXTERNSHEET: 0x0017,
+    DVAL: 0x01B2,
+    DV: 0x01BE,
+    CONDFMT: 0x01B0,
+    CF: 0x01B1,
+    MSODRAWINGGROUP: 0x00EB,
+    MSODRAWING: 0x00EC,
+    OBJ: 0x005D,
+    CONTINUE: 0x003C
 };
 
 function parseSST(data, offset, length) {
@@ -328,6 +363,8 @@ function parseColumnInfo(records) {
                 columnsBySheet[currentSheet][col] = {
                     width: width / 256, // Convert to character units
                     hidden: (options & 0x0001) !== 0,
+                    level: (options >> 8) & 0x07,
+                    collapsed: (options & 0x1000) !== 0,
                     xfIndex
                 };
             }
@@ -374,7 +411,9 @@ function parseRowInfo(records) {
 
             rowsBySheet[currentSheet][rowIndex] = {
                 height: height / 20, // Convert to points
-                hidden: (options & 0x0020) !== 0
+                hidden: (options & 0x0020) !== 0,
+                level: options & 0x0007,
+                collapsed: (options & 0x0010) !== 0
             };
         }
     }
@@ -382,6 +421,40 @@ function parseRowInfo(records) {
     return rowsBySheet;
 }
 
+function parseOutlineSettings(records) {
+    const outlineBySheet = {};
+    let currentSheet = -1;
+    let inSheet = false;
+
+    for (const record of records) {
+        // Track worksheet boundaries
+        if (record.type === BIFF_RECORDS.BOF) {
+            const type = readUInt16LE(record.data, 2);
+            if (type === 0x0010) { // Worksheet BOF
+                currentSheet++;
+                inSheet = true;
+            }
+            continue;
+        }
+
+        if (record.type === BIFF_RECORDS.EOF) {
+            inSheet = false;
+            continue;
+        }
+
+        // WSBOOL: fRowSumsBelow (bit 6) and fColSumsRight (bit 7)
+        if (inSheet && record.type === BIFF_RECORDS.WSBOOL) {
+            const options = readUInt16LE(record.data, 0);
+            outlineBySheet[currentSheet] = {
+                summaryBelow: (options & 0x0040) !== 0,
+                summaryRight: (options & 0x0080) !== 0
+            };
+        }
+    }
+
+    return outlineBySheet;
+}
+
 function parseMergedCells(records) {
     const mergedCellsBySheet = {};
     let currentSheet = -1;
@@ -435,6 +508,752 @@ function parseMergedCells(records) {
     return mergedCellsBySheet;
 }
 
+// Read a string without its character count: a flags byte followed by 8-bit or 16-bit characters
+function readUnicodeString(data, pos, length) {
+    const isCompressed = (data[pos] & 0x01) === 0;
+    let str = '';
+    pos++;
+
+    for (let i = 0; i < length && pos < data.length; i++) {
+        if (isCompressed) {
+            str += String.fromCharCode(data[pos]);
+            pos++;
+        } else {
+            str += String.fromCharCode(readUInt16LE(data, pos));
+            pos += 2;
+        }
+    }
+
+    return { text: str, size: 1 + length * (isCompressed ? 1 : 2) };
+}
+
+// Ranges of the built-in _FilterDatabase names, by sheet index
+function parseFilterDatabases(records) {
+    const ranges = {};
+
+    for (const record of records) {
+        if (record.type !== BIFF_RECORDS.NAME) continue;
+
+        const data = record.data;
+        const options = readUInt16LE(data, 0);
+        const nameLength = data[3];
+        const formulaLength = readUInt16LE(data, 4);
+        const sheet = readUInt16LE(data, 8);
+
+        // Built-in name 0x0D is _FilterDatabase, local to the sheet itab (1-based)
+        if (!(options & 0x0020) || sheet === 0 || data[15] !== 0x0D) continue;
+
+        const pos = 14 + 1 + nameLength * ((data[14] & 0x01) ? 2 : 1);
+        if (formulaLength < 9 || pos + formulaLength > data.length) continue;
+
+        // tArea3d (ixti, rows, columns) or tArea (rows, columns)
+        const ptg = data[pos] & 0x1F | 0x20;
+        let start;
+        if (ptg === 0x3B) {
+            start = pos + 3;
+        } else if (ptg === 0x25) {
+            start = pos + 1;
+        } else {
+            continue;
+        }
+
+        ranges[sheet - 1] = {
+            rowFirst: readUInt16LE(data, start),
+            rowLast: readUInt16LE(data, start + 2),
+            colFirst: readUInt16LE(data, start + 4) & 0x3FFF,
+            colLast: readUInt16LE(data, start + 6) & 0x3FFF
+        };
+    }
+
+    return ranges;
+}
+
+// Built-in names are stored as a single character with their index
+const builtInNames = [
+    'Consolidate_Area', 'Auto_Open', 'Auto_Close', 'Extract', 'Database', 'Criteria', 'Print_Area',
+    'Print_Titles', 'Recorder', 'Data_Form', 'Auto_Activate', 'Auto_Deactivate', 'Sheet_Title', '_FilterDatabase'
+];
+
+// Read the name and the formula tokens of a NAME record
+function readNameRecord(data) {
+    const options = readUInt16LE(data, 0);
+    const nameLength = data[3];
+    const formulaLength = readUInt16LE(data, 4);
+    const name = readUnicodeString(data, 14, nameLength);
+    const builtIn = (options & 0x0020) !== 0;
+
+    return {
+        name: builtIn ? (builtInNames[name.text.charCodeAt(0)] || name.text) : name.text,
+        builtIn: builtIn,
+        // 1-based index of the sheet of a local name, 0 for the workbook
+        sheet: readUInt16LE(data, 8),
+        formula: data.slice(14 + name.size, 14 + name.size + formulaLength)
+    };
+}
+
+// File name of an external workbook from the encoded path of SUPBOOK
+function decodeVirtualPath(path) {
+    const parts = path.split(/[\x00-\x1F\\/]/).filter(part => part);
+    return parts.length ? parts[parts.length - 1] : path;
+}
+
+// Supporting workbook of a BIFF5 EXTERNSHEET, the first character is the type of reference
+function readExternSheet(data, sheetNames) {
+    const text = readUnicodeString(data, 1, data[0]).text;
+    const type = text.charCodeAt(0);
+
+    if (type === 0x01) {
+        // Encoded path of another workbook, optionally followed by 0x03 and the sheet name
+        const [path, sheet] = text.slice(1).split('\x03');
+        return { supbook: { file: decodeVirtualPath(path), sheets: sheet ? [sheet] : [], names: [] }, first: 0 };
+    }
+    if (type === 0x02 || type === 0x03) {
+        // Sheet of this workbook
+        const index = sheetNames.indexOf(text.slice(1));
+        return { supbook: { self: true, names: [] }, first: index === -1 ? 0xFFFF : index };
+    }
+    if (type === 0x04) {
+        // This workbook
+        return { supbook: { self: true, names: [] }, first: 0xFFFE };
+    }
+
+    // Add-in functions
+    return { supbook: { names: [] }, first: 0 };
+}
+
+// Workbook context of the formula decoder: defined names (NAME), the supporting
+// workbooks (SUPBOOK, EXTERNNAME) and the sheets referenced by index (EXTERNSHEET)
+function parseWorkbookContext(records, sheetNames, version = 8) {
+    const names = [];
+    const supbooks = [];
+    const xti = [];
+
+    for (const record of records) {
+        const data = record.data;
+
+        if (record.type === BIFF_RECORDS.NAME) {
+            names.push(readNameRecord(data).name);
+        } else if (record.type === BIFF_RECORDS.SUPBOOK) {
+            const sheetCount = readUInt16LE(data, 0);
+            const marker = readUInt16LE(data, 2);
+
+            if (marker === 0x0401) {
+                // This workbook
+                supbooks.push({ self: true, names: [] });
+            } else if (marker === 0x3A01) {
+                // Add-in functions
+                supbooks.push({ names: [] });
+            } else {
+                // External workbook: encoded path followed by its sheet names
+                const path = readUnicodeString(data, 4, marker);
+                const sheets = [];
+                let pos = 4 + path.size;
+                for (let i = 0; i < sheetCount && pos + 3 <= data.length; i++) {
+                    const sheet = readUnicodeString(data, pos + 2, readUInt16LE(data, pos));
+                    sheets.push(sheet.text);
+                    pos += 2 + sheet.size;
+                }
+                supbooks.push({ file: decodeVirtualPath(path.text), sheets, names: [] });
+            }
+        } else if (record.type === BIFF_RECORDS.EXTERNNAME && supbooks.length > 0) {
+            // Names of the last SUPBOOK: options (2), reserved (4), length (1) and name
+            supbooks[supbooks.length - 1].names.push(readUnicodeString(data, 7, data[6]).text);
+        } else if (record.type === BIFF_RECORDS.EXTERNSHEET && version < 8) {
+            // Before BIFF8 each record is a sheet and its supporting workbook, with the EXTERNNAME records that follow
+            const { supbook, first } = readExternSheet(data, sheetNames);
+            supbooks.push(supbook);
+            xti.push({ supbook: supbooks.length - 1, first, last: first });
+        } else if (record.type === BIFF_RECORDS.EXTERNSHEET) {
+            const count = readUInt16LE(data, 0);
+            for (let i = 0; i < count && 8 + i * 6 <= data.length; i++) {
+                xti.push({
+                    supbook: readUInt16LE(data, 2 + i * 6),
+                    first: readUInt16LE(data, 4 + i * 6),
+                    last: readUInt16LE(data, 6 + i * 6)
+                });
+            }
+        }
+    }
+
+    const externSheets = [];
+    const externNames = [];
+
+    xti.forEach((entry, ixti) => {
+        const supbook = supbooks[entry.supbook];
+        if (!supbook) return;
+
+        if (supbook.self) {
+            // 0xFFFE refers to the workbook, 0xFFFF to a deleted sheet
+            if (entry.first === 0xFFFE) {
+                externSheets[ixti] = '';
+            } else if (sheetNames[entry.first] === undefined) {
+                externSheets[ixti] = '#REF';
+            } else {
+                externSheets[ixti] = formatSheetRange(sheetNames[entry.first], sheetNames[entry.last] || sheetNames[entry.first]);
+            }
+            externNames[ixti] = names;
+        } else if (supbook.file) {
+            const first = supbook.sheets[entry.first];
+            externSheets[ixti] = first === undefined ? quoteSheetName(supbook.file) : formatSheetRange(first, supbook.sheets[entry.last] || first, `[${supbook.file}]`);
+            externNames[ixti] = supbook.names.map(name => quoteSheetName(supbook.file) + '!' + name);
+        } else {
+            externNames[ixti] = supbook.names;
+        }
+    });
+
+    return { names, externSheets, externNames, sheetNames, version };
+}
+
+// Defined names with their formulas, as in the workbook of XLSX files. A name defined in more than one
+// scope is keyed with the sheet of each local definition, e.g. Sheet2!_xlnm.Print_Area
+function parseDefinedNames(records, workbook) {
+    const entries = [];
+
+    for (const record of records) {
+        if (record.type !== BIFF_RECORDS.NAME) continue;
+
+        const { name, builtIn, sheet, formula } = readNameRecord(record.data);
+        const content = decodePTG(formula, false, null, workbook);
+        if (name && content) {
+            entries.push({ name: builtIn ? '_xlnm.' + name : name, sheet, content });
+        }
+    }
+
+    const definedNames = {};
+    entries.forEach(entry => {
+        // Names are not case sensitive
+        const shared = entries.some(other => other !== entry && other.name.toLowerCase() === entry.name.toLowerCase());
+        const sheetName = workbook.sheetNames[entry.sheet - 1];
+        const key = shared && sheetName !== undefined ? quoteSheetName(sheetName) + '!' + entry.name : entry.name;
+        definedNames[key] = entry.content;
+    });
+
+    return definedNames;
+}
+
+// DOPER comparison codes
+const filterOperators = [null, 'lessThan', 'equal', 'lessThanOrEqual', 'greaterThan', 'notEqual', 'greaterThanOrEqual'];
+
+// Decode a DOPER (filter condition), strings are stored after the AUTOFILTER record fields
+function parseDoper(data, offset) {
+    const vt = data[offset];
+    const doper = {
+        vt: vt,
+        operator: filterOperators[data[offset + 1]] || 'equal',
+        value: null
+    };
+
+    if (vt === 0x02) {
+        doper.value = decodeRK(data.slice(offset + 2, offset + 6));
+    } else if (vt === 0x04) {
+        doper.value = readFloat64LE(data, offset + 2);
+    } else if (vt === 0x06) {
+        doper.length = data[offset + 6];
+    } else if (vt === 0x08) {
+        // Boolean or error code
+        doper.value = data[offset + 3] ? data[offset + 2] : data[offset + 2] !== 0;
+    }
+
+    return doper;
+}
+
+// Parse AUTOFILTERINFO, AUTOFILTER and FILTERMODE records into filters by sheet
+function parseFilters(records) {
+    const filtersBySheet = {};
+    const ranges = parseFilterDatabases(records);
+    let currentSheet = -1;
+    let inSheet = false;
+
+    for (const record of records) {
+        // Track worksheet boundaries
+        if (record.type === BIFF_RECORDS.BOF) {
+            const type = readUInt16LE(record.data, 2);
+            if (type === 0x0010) { // Worksheet BOF
+                currentSheet++;
+                inSheet = true;
+            }
+            continue;
+        }
+
+        if (record.type === BIFF_RECORDS.EOF) {
+            inSheet = false;
+            continue;
+        }
+
+        if (!inSheet) continue;
+
+        if (record.type === BIFF_RECORDS.AUTOFILTERINFO || record.type === BIFF_RECORDS.FILTERMODE) {
+            if (!filtersBySheet[currentSheet]) {
+                const range = ranges[currentSheet];
+                filtersBySheet[currentSheet] = {
+                    ref: range ? getCellNameFromCoords(range.colFirst, range.rowFirst) + ':' + getCellNameFromCoords(range.colLast, range.rowLast) : null,
+                    columns: []
+                };
+            }
+        } else if (record.type === BIFF_RECORDS.AUTOFILTER && filtersBySheet[currentSheet]) {
+            const data = record.data;
+            const range = ranges[currentSheet];
+            const column = readUInt16LE(data, 0) + (range ? range.colFirst : 0);
+            const flags = readUInt16LE(data, 2);
+
+            // Top 10: fTopN, fTop, fPercent and the number of items
+            if (flags & 0x0010) {
+                filtersBySheet[currentSheet].columns.push({
+                    column: column,
+                    type: 'top10',
+                    top: (flags & 0x0020) !== 0,
+                    percent: (flags & 0x0040) !== 0,
+                    value: flags >> 7
+                });
+                continue;
+            }
+
+            const dopers = [parseDoper(data, 4), parseDoper(data, 14)];
+            let pos = 24;
+            dopers.forEach(doper => {
+                if (doper.vt === 0x06) {
+                    const str = readUnicodeString(data, pos, doper.length);
+                    doper.value = str.text;
+                    pos += str.size;
+                }
+            });
+
+            const conditions = dopers.filter(doper => doper.vt !== 0x00);
+
+            if (conditions.some(doper => doper.vt === 0x0C)) {
+                // Blank cells
+                filtersBySheet[currentSheet].columns.push({
+                    column: column,
+                    type: 'values',
+                    values: [],
+                    blank: true
+                });
+            } else if ((flags & 0x0004) && conditions.every(doper => doper.operator === 'equal')) {
+                // fSimple: values selected from the drop-down list
+                filtersBySheet[currentSheet].columns.push({
+                    column: column,
+                    type: 'values',
+                    values: conditions.map(doper => doper.value)
+                });
+            } else if (conditions.length > 0) {
+                filtersBySheet[currentSheet].columns.push({
+                    column: column,
+                    type: 'custom',
+                    and: (flags & 0x0003) === 0,
+                    criteria: conditions.map(doper => {
+                        // Non blank cells
+                        if (doper.vt === 0x0E) {
+                            return { operator: 'notEqual', value: '' };
+                        }
+                        return { operator: doper.operator, value: doper.value };
+                    })
+                });
+            }
+        }
+    }
+
+    return filtersBySheet;
+}
+
+// Data validation types and operators in the order of the DV record
+const validationTypes = [null, 'whole', 'decimal', 'list', 'date', 'time', 'textLength', 'custom'];
+const validationOperators = ['between', 'notBetween', 'equal', 'notEqual', 'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual'];
+
+// Conditional formatting operators in the order of the CF record (0 is no comparison)
+const conditionOperators = [null, 'between', 'notBetween', 'equal', 'notEqual', 'greaterThan', 'lessThan', 'greaterThanOrEqual', 'lessThanOrEqual'];
+
+// Border line styles of the DXF border block
+const dxfBorderStyles = ['none', 'thin', 'medium', 'dashed', 'dotted', 'thick', 'double', 'hair', 'mediumDashed'];
+
+// Read a list of cell ranges (count followed by first row, last row, first column and last column)
+function readRanges(data, pos) {
+    const count = readUInt16LE(data, pos);
+    const ranges = [];
+
+    for (let i = 0; i < count && pos + 10 + i * 8 <= data.length; i++) {
+        const offset = pos + 2 + i * 8;
+        const first = getCellNameFromCoords(readUInt16LE(data, offset + 4), readUInt16LE(data, offset));
+        const last = getCellNameFromCoords(readUInt16LE(data, offset + 6), readUInt16LE(data, offset + 2));
+        ranges.push(first === last ? first : `${first}:${last}`);
+    }
+
+    return ranges.join(' ');
+}
+
+// Read a DV formula: size (2), unused (2) and the tokens
+function readValidationFormula(data, pos, workbook) {
+    const size = readUInt16LE(data, pos);
+    return {
+        formula: size ? decodePTG(data.slice(pos + 4, pos + 4 + size), false, null, workbook) : '',
+        size: 4 + size
+    };
+}
+
+// Data validation rules (DV), in the same structure as the XLSX parser
+function parseDataValidation(data, workbook) {
+    const flags = readUInt32LE(data, 0);
+    const excelType = validationTypes[flags & 0x0F];
+    const operator = validationOperators[(flags >> 20) & 0x0F];
+
+    // Prompt title, error title, prompt and error message: empty strings are a single null character
+    const strings = [];
+    let pos = 4;
+    for (let i = 0; i < 4; i++) {
+        const str = readUnicodeString(data, pos + 2, readUInt16LE(data, pos));
+        strings.push(str.text === '\x00' ? '' : str.text);
+        pos += 2 + str.size;
+    }
+
+    const formula1 = readValidationFormula(data, pos, workbook);
+    const formula2 = readValidationFormula(data, pos + formula1.size, workbook);
+
+    const validation = {
+        range: readRanges(data, pos + formula1.size + formula2.size)
+    };
+
+    if (excelType && excelValidationTypes[excelType]) {
+        validation.type = excelValidationTypes[excelType];
+    } else {
+        validation.type = 'text';
+    }
+
+    // Error style: stop, warning or information
+    validation.action = ((flags >> 4) & 0x07) === 0 ? 'reject' : 'warning';
+
+    if (excelValidationOperations[operator]) {
+        validation.criteria = excelValidationOperations[operator];
+    }
+
+    if (strings[3]) {
+        validation.text = strings[3];
+    } else if (strings[1]) {
+        validation.text = strings[1];
+    }
+
+    if (flags & 0x0100) {
+        validation.allowBlank = true;
+    }
+
+    if (formula1.formula) {
+        if (excelType === 'list') {
+            validation.dropdown = true;
+            // Explicit lists are a string with the items separated by null characters
+            if (flags & 0x0080) {
+                validation.value = formula1.formula.replace(/^"|"$/g, '').split('\x00');
+            } else {
+                validation.value = [formula1.formula];
+            }
+        } else {
+            validation.value = formula2.formula ? [formula1.formula, formula2.formula] : [formula1.formula];
+        }
+    }
+
+    return validation;
+}
+
+// CSS properties of the differential format (DXFN) of a CF record
+function parseDifferentialFormat(data, pos) {
+    const flags = readUInt32LE(data, pos);
+    const userFormat = (readUInt16LE(data, pos + 4) & 0x0001) !== 0;
+    const format = {};
+    pos += 6;
+
+    // Number format
+    if (flags & 0x02000000) {
+        pos += userFormat ? readUInt16LE(data, pos) : 2;
+    }
+
+    // Font: bold, italic and color, each with a flag telling if it is set
+    if (flags & 0x04000000) {
+        const style = readUInt32LE(data, pos + 68);
+        const weight = readUInt16LE(data, pos + 72);
+        const color = readUInt32LE(data, pos + 80);
+        const styleNotSet = readUInt32LE(data, pos + 88);
+        const weightNotSet = readUInt32LE(data, pos + 100);
+
+        if (color !== 0xFFFFFFFF && excelDefaultPalette[color]) {
+            format.color = excelDefaultPalette[color];
+        }
+        if (!weightNotSet && weight >= 700) {
+            format['font-weight'] = 'bold';
+        }
+        if (!(styleNotSet & 0x02) && (style & 0x02)) {
+            format['font-style'] = 'italic';
+        }
+        pos += 118;
+    }
+
+    // Alignment
+    if (flags & 0x08000000) {
+        pos += 8;
+    }
+
+    // Borders: line style and color of each side
+    if (flags & 0x10000000) {
+        const lines = readUInt32LE(data, pos);
+        const colors = readUInt32LE(data, pos + 4);
+        const sides = {
+            left: [lines & 0x0F, (lines >> 16) & 0x7F, 0x0400],
+            right: [(lines >> 4) & 0x0F, (lines >> 23) & 0x7F, 0x0800],
+            top: [(lines >> 8) & 0x0F, colors & 0x7F, 0x1000],
+            bottom: [(lines >> 12) & 0x0F, (colors >> 7) & 0x7F, 0x2000]
+        };
+
+        Object.keys(sides).forEach(side => {
+            const [line, color, notSet] = sides[side];
+            if (line && !(flags & notSet)) {
+                const cssStyle = borderStyles[dxfBorderStyles[line]] || borderStyles.thin;
+                format[`border-${side}`] = `${cssStyle[1]} ${cssStyle[0]} ${excelDefaultPalette[color] || '#000'}`;
+            }
+        });
+        pos += 8;
+    }
+
+    // Fill: the color of solid fills is the background color of the pattern
+    if (flags & 0x20000000) {
+        const colors = readUInt16LE(data, pos + 2);
+        const color = (flags & 0x00040000) ? colors & 0x7F : (colors >> 7) & 0x7F;
+        if (color < 64) {
+            format['background-color'] = excelDefaultPalette[color];
+        }
+    }
+
+    return format;
+}
+
+// Conditional formatting rule (CF) of the ranges of the preceding CONDFMT record
+function parseConditionalFormat(data, range, workbook) {
+    const conditionType = data[0];
+    const operator = conditionOperators[data[1]];
+    const size1 = readUInt16LE(data, 2);
+    const size2 = readUInt16LE(data, 4);
+
+    // The formulas are after the differential format, at the end of the record
+    const start = data.length - size1 - size2;
+    const formula1 = size1 ? decodePTG(data.slice(start, start + size1), false, null, workbook) : '';
+    const formula2 = size2 ? decodePTG(data.slice(start + size1), false, null, workbook) : '';
+
+    const rule = {
+        range,
+        action: 'format'
+    };
+
+    if (conditionType === 1 && excelCFNumericOperators[operator]) {
+        // Cell value compared with one or two values, references and other formulas are kept as formulas
+        const values = [];
+        [formula1, formula2].forEach(formula => {
+            if (!formula) {
+                return;
+            }
+            if (/^-?\d*\.?\d+(?:E[+-]?\d+)?$/i.test(formula)) {
+                values.push(parseFloat(formula));
+            } else if (/^"(?:[^"]|"")*"$/.test(formula)) {
+                rule.type = 'text';
+                values.push(formula.slice(1, -1).replace(/""/g, '"'));
+            } else {
+                values.push('=' + formula);
+            }
+        });
+
+        rule.type = rule.type || 'number';
+        rule.criteria = excelCFNumericOperators[operator];
+        if (values.length > 0) {
+            rule.value = values;
+        }
+    } else if (conditionType === 2 && formula1) {
+        rule.type = 'formula';
+        rule.value = ['=' + formula1];
+    }
+
+    const format = parseDifferentialFormat(data, 6);
+    if (Object.keys(format).length > 0) {
+        rule.format = format;
+    }
+
+    return rule;
+}
+
+// Data validations (DV) and conditional formatting (CF) of each sheet
+function parseValidations(records, workbook) {
+    const validationsBySheet = {};
+    let currentSheet = -1;
+    let inSheet = false;
+    let range = null;
+
+    for (const record of records) {
+        // Track worksheet boundaries
+        if (record.type === BIFF_RECORDS.BOF) {
+            const type = readUInt16LE(record.data, 2);
+            if (type === 0x0010) { // Worksheet BOF
+                currentSheet++;
+                inSheet = true;
+            }
+            continue;
+        }
+
+        if (record.type === BIFF_RECORDS.EOF) {
+            inSheet = false;
+            continue;
+        }
+
+        if (!inSheet) continue;
+
+        let validation = null;
+        if (record.type === BIFF_RECORDS.DV) {
+            validation = parseDataValidation(record.data, workbook);
+        } else if (record.type === BIFF_RECORDS.CONDFMT) {
+            // Ranges of the CF records that follow, after the count, the identifier and the bounding range
+            range = readRanges(record.data, 12);
+        } else if (record.type === BIFF_RECORDS.CF && range) {
+            validation = parseConditionalFormat(record.data, range, workbook);
+        }
+
+        if (validation && validation.range && validation.type) {
+            if (!validationsBySheet[currentSheet]) {
+                validationsBySheet[currentSheet] = [];
+            }
+            validationsBySheet[currentSheet].push(validation);
+        }
+    }
+
+    return validationsBySheet;
+}
+
+// Drawing group of the workbook: MSODRAWINGGROUP records and their CONTINUE records
+function readDrawingGroup(records) {
+    const chunks = [];
+
+    for (let i = 0; i < records.length; i++) {
+        if (records[i].type === BIFF_RECORDS.MSODRAWINGGROUP) {
+            chunks.push(records[i].data);
+            while (records[i + 1] && records[i + 1].type === BIFF_RECORDS.CONTINUE) {
+                chunks.push(records[++i].data);
+            }
+        }
+    }
+
+    return concatBytes(...chunks);
+}
+
+// Drawing of each sheet: the data of its MSODRAWING records and their CONTINUE records, and the object
+// type of its OBJ records
+function parseDrawings(records) {
+    const drawingsBySheet = {};
+    let currentSheet = -1;
+    let inSheet = false;
+    let previous = null;
+
+    for (const record of records) {
+        // Large drawings continue in CONTINUE records, which also follow other records (TXO, OBJ)
+        const continued = record.type === BIFF_RECORDS.CONTINUE && previous === BIFF_RECORDS.MSODRAWING;
+        if (record.type !== BIFF_RECORDS.CONTINUE) {
+            previous = record.type;
+        }
+        if (inSheet && continued) {
+            drawingsBySheet[currentSheet].chunks.push(record.data);
+            continue;
+        }
+
+        // Track worksheet boundaries
+        if (record.type === BIFF_RECORDS.BOF) {
+            const type = readUInt16LE(record.data, 2);
+            if (type === 0x0010) { // Worksheet BOF
+                currentSheet++;
+                inSheet = true;
+            }
+            continue;
+        }
+
+        if (record.type === BIFF_RECORDS.EOF) {
+            inSheet = false;
+            continue;
+        }
+
+        if (!inSheet || (record.type !== BIFF_RECORDS.MSODRAWING && record.type !== BIFF_RECORDS.OBJ)) continue;
+
+        if (!drawingsBySheet[currentSheet]) {
+            drawingsBySheet[currentSheet] = { chunks: [], objects: [] };
+        }
+
+        if (record.type === BIFF_RECORDS.MSODRAWING) {
+            drawingsBySheet[currentSheet].chunks.push(record.data);
+        } else if (readUInt16LE(record.data, 0) === 0x0015) {
+            // Common object data (ftCmo): the object type follows its size
+            drawingsBySheet[currentSheet].objects.push(readUInt16LE(record.data, 4));
+        } else {
+            drawingsBySheet[currentSheet].objects.push(null);
+        }
+    }
+
+    return drawingsBySheet;
+}
+
+// Size in pixels of the columns and rows, Excel's default size when not set
+const columnPixels = (columns, col) => columns[col] && columns[col].width ? convertWidthToPixels(columns[col].width, 'char') : 64;
+const rowPixels = (rows, row) => rows[row] && rows[row].height ? Math.round(rows[row].height * 4 / 3) : 20;
+
+// Pictures of a sheet, in the media format of the XLSX parser. Compressed metafiles (EMF, WMF) can only be
+// inflated asynchronously: their pictures keep the zlib data in compressed, with the type in mimeType,
+// and are added to metafiles when given to be completed.
+function parseMedia(drawing, blips, columns, rows, metafiles) {
+    const media = [];
+    if (!drawing) return media;
+
+    // Position of a column or row edge plus the offset inside the cell
+    const left = (col, dx) => {
+        let px = 0;
+        for (let c = 0; c < col; c++) px += columnPixels(columns, c);
+        return px + columnPixels(columns, col) * Math.min(dx, 1024) / 1024;
+    };
+    const top = (row, dy) => {
+        let px = 0;
+        for (let r = 0; r < row; r++) px += rowPixels(rows, r);
+        return px + rowPixels(rows, row) * Math.min(dy, 256) / 256;
+    };
+
+    for (const shape of parseShapes(concatBytes(...drawing.chunks))) {
+        // Picture objects (type 8) with a picture of the BLIP store
+        const objectType = drawing.objects[shape.object];
+        const blip = shape.pib > 0 ? blips[shape.pib - 1] : null;
+        if (!blip || (objectType !== undefined && objectType !== null && objectType !== 0x08)) continue;
+
+        const anchor = shape.anchor;
+        const x = left(anchor.colLeft, anchor.dxLeft);
+        const y = top(anchor.rowTop, anchor.dyTop);
+
+        const item = {
+            src: blip.compressed ? null : `data:${blip.mimeType};base64,${bytesToBase64(blip.data)}`,
+            left: Math.round(x),
+            top: Math.round(y),
+            width: Math.round(left(anchor.colRight, anchor.dxRight) - x),
+            height: Math.round(top(anchor.rowBottom, anchor.dyBottom) - y),
+            cellAnchor: getCellNameFromCoords(anchor.colLeft, anchor.rowTop)
+        };
+        if (blip.compressed) {
+            item.mimeType = blip.mimeType;
+            item.compressed = bytesToBase64(blip.data);
+            if (metafiles) {
+                metafiles.push({ item, blip });
+            }
+        }
+        media.push(item);
+    }
+
+    return media;
+}
+
+// Inflate the compressed metafiles found by parseMedia, the pictures that can not be inflated stay compressed
+async function inflateMetafiles(metafiles) {
+    for (const { item, blip } of metafiles) {
+        const data = await inflateMetafile(blip.data);
+        if (data) {
+            item.src = `data:${blip.mimeType};base64,${bytesToBase64(data)}`;
+            delete item.mimeType;
+            delete item.compressed;
+        }
+    }
+}
+
 function parseCellRecords(records, sst, xfStyles, workbookData) {
     const cells = [];
     const shrfmlaRecords = []; // Store SHRFMLA records for second pass
@@ -481,6 +1300,22 @@ function parseCellRecords(records, sst, xfStyles, workbookData) {
             });
         }
 
+        // Parse LABEL (string stored in the cell)
+        if (record.type === BIFF_RECORDS.LABEL) {
+            const row = readUInt16LE(data, 0);
+            const col = readUInt16LE(data, 2);
+            const xfIndex = readUInt16LE(data, 4);
+
+            cells.push({
+                row,
+                col,
+                value: readUnicodeString(data, 8, readUInt16LE(data, 6)).text,
+                type: 'string',
+                style: xfStyles[xfIndex] || null,
+                sheetIndex
+            });
+        }
+
         // Parse RK (encoded number)
         if (record.type === BIFF_RECORDS.RK) {
             const row = readUInt16LE(data, 0);
@@ -742,25 +1577,6 @@ function styleToCss(style) {
         if (style.alignment.wrapText) css.push('white-space: pre-wrap');
     }
 
-    // Excel default color palette (indexes 0-71)
-    // Indexes 0-7: Fixed system colors
-    // Indexes 8-63: Default colors (can be overridden by PALETTE record)
-    // Indexes 64+: System/automatic colors
-    const excelDefaultPalette = [
-        '#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF',
-        '#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF',
-        '#800000', '#008000', '#000080', '#808000', '#800080', '#008080', '#C0C0C0', '#808080',
-        '#9999FF', '#993366', '#FFFFCC', '#CCFFFF', '#660066', '#FF8080', '#0066CC', '#CCCCFF',
-        '#000080', '#FF00FF', '#FFFF00', '#00FFFF', '#800080', '#800000', '#008080', '#0000FF',
-        '#00CCFF', '#CCFFFF', '#CCFFCC', '#FFFF99', '#99CCFF', '#FF99CC', '#CC99FF', '#FFCC99',
-        '#3366FF', '#33CCCC', '#99CC00', '#FFCC00', '#FF9900', '#FF6600', '#666699', '#969696',
-        '#003366', '#339966', '#003300', '#333300', '#993300', '#993366', '#333399', '#333333',
-        // System/automatic colors (64+)
-        // Index 64: Window Text/Foreground (typically black, but for fills often renders as light color)
-        // Index 65: Window Background (typically white)
-        '#000000', '#FFFFFF', '#000000', '#000000', '#000000', '#000000', '#000000', '#000000'
-    ];
-
     // Fill pattern / background color
     if (style.fill) {
         const patternType = style.fill.patternType;
@@ -797,7 +1613,7 @@ function styleToCss(style) {
     return css.join('; ');
 }
 
-function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
+function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats, options = {}) {
     if (cells.length === 0) return {
         data: [],
         columns: [],
@@ -847,7 +1663,7 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
                         baseCol: cell.sharedFormulaBase.col
                     } : null;
 
-                    const formulaStr = decodePTG(new Uint8Array(cell.formula), false, cellContext);
+                    const formulaStr = decodePTG(new Uint8Array(cell.formula), false, cellContext, options.workbook);
 
                     // Store formula in data with = prefix
                     data[cell.row][cell.col] = formulaStr ? '=' + formulaStr : '=';
@@ -865,6 +1681,9 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
                 // Formula cell but no tokens
                 data[cell.row][cell.col] = `=FORMULA(${JSON.stringify(cell.value)})`;
             }
+        } else if (cell.type === 'number' && cell.style && isDateFormat(cell.style.formatIndex, cell.style.format)) {
+            // Date serial
+            data[cell.row][cell.col] = convertDateSerial(cell.value, options.dates, options.date1904);
         } else {
             // Regular value cell
             data[cell.row][cell.col] = cell.value;
@@ -906,6 +1725,15 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
                 }
             }
         }
+
+        // Displayed text, rendered with the number format (formulas use the cached value)
+        if (options.text && cell.value !== undefined && cell.value !== '') {
+            const code = cell.style ? (cell.style.format || cell.style.formatIndex) : null;
+            if (!cellsObj[address]) {
+                cellsObj[address] = {};
+            }
+            cellsObj[address].text = format(cell.value, code, { date1904: options.date1904 });
+        }
     });
 
     // Convert columns to Jspreadsheet format
@@ -923,13 +1751,23 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
             column.visible = false;
         }
 
+        // Outline (grouping) level and collapsed group
+        if (col.level) {
+            column.level = col.level;
+        }
+        if (col.collapsed) {
+            column.collapsed = true;
+        }
+
         columnsArray.push(column);
     }
 
-    // Convert rows to Jspreadsheet format
+    // Convert rows to Jspreadsheet format, hidden and grouped rows may follow the last cell (collapsed empty details)
     const rowsObj = {};
-    for (let r = 0; r <= maxRow; r++) {
-        if (rows[r]) {
+    let rowCount = maxRow + 1;
+    for (const key of Object.keys(rows)) {
+        const r = Number(key);
+        if (r <= maxRow || rows[r].hidden || rows[r].level || rows[r].collapsed) {
             const row = {
                 height: rows[r].height || 21
             };
@@ -939,7 +1777,15 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
                 row.visible = false;
             }
 
+            if (rows[r].level) {
+                row.level = rows[r].level;
+            }
+            if (rows[r].collapsed) {
+                row.collapsed = true;
+            }
+
             rowsObj[r] = row;
+            rowCount = Math.max(rowCount, r + 1);
         }
     }
 
@@ -960,25 +1806,59 @@ function cellsToJspreadsheet(cells, columns, rows, mergedCells, formats) {
         cells: cellsObj,
         style: styleObj,
         mergeCells: mergeCellsObj,
-        minDimensions: [maxCol + 1, maxRow + 1]
+        minDimensions: [maxCol + 1, rowCount]
     };
 }
 
 /**
  * Parse XLS from buffer
+ *
+ * Compressed metafile pictures (EMF, WMF) need an asynchronous inflate, which only parseXLS does: here their
+ * src is null, compressed holds the zlib data in base64 and mimeType the type of the picture.
+ *
+ * @param {Uint8Array} buffer - XLS file content
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {string} [options.password] - Password of an encrypted workbook
+ * @returns {object} Jspreadsheet Pro format
  */
-export function parseXLSBuffer(buffer) {
-    const cfb = CFB.read(buffer, { type: 'buffer' });
+export function parseXLSBuffer(buffer, options = {}) {
+    return readXLSBuffer(buffer, options, null);
+}
+
+// Parse XLS from buffer, adding the pictures with compressed metafiles to metafiles when given
+function readXLSBuffer(buffer, options, metafiles) {
+    let workbookData;
+
+    if (CFB_SIGNATURE.every((byte, i) => buffer[i] === byte)) {
+        const cfb = CFB.read(buffer, { type: 'buffer' });
 
-    // Find the Workbook stream
-    const workbookEntry = CFB.find(cfb, 'Workbook') || CFB.find(cfb, 'Book');
+        // Find the Workbook stream (Book in Excel 5.0 and 95 files)
+        const workbookEntry = CFB.find(cfb, 'Workbook') || CFB.find(cfb, 'Book');
 
-    if (!workbookEntry) {
-        throw new Error('No Workbook stream found in XLS file');
+        if (!workbookEntry) {
+            throw new Error('No Workbook stream found in XLS file');
+        }
+
+        workbookData = new Uint8Array(workbookEntry.content);
+    } else {
+        workbookData = new Uint8Array(buffer);
     }
 
-    const workbookData = new Uint8Array(workbookEntry.content);
-    const records = parseBIFFRecords(workbookData);
+    let records = parseBIFFRecords(workbookData);
+
+    // Password protected workbooks have the record data after FILEPASS encrypted
+    if (records.some(r => r.type === BIFF_RECORDS.FILEPASS)) {
+        workbookData = decryptBIFF(workbookData, records, options.password);
+        records = parseBIFFRecords(workbookData);
+    }
+
+    // Records of Excel 2.x to 95 files are read in their BIFF8 layout
+    const version = getBIFFVersion(records);
+    if (version < 8) {
+        records = upgradeRecords(records, version);
+    }
 
     // Parse Shared String Table
     let sst = [];
@@ -994,6 +1874,12 @@ export function parseXLSBuffer(buffer) {
     const columnsBySheet = parseColumnInfo(records);
     const rowsBySheet = parseRowInfo(records);
     const mergedCellsBySheet = parseMergedCells(records);
+    const filtersBySheet = version === 8 ? parseFilters(records) : {};
+    const outlineBySheet = parseOutlineSettings(records);
+
+    // DATEMODE: 1 when serial numbers count days from 1904-01-01
+    const dateModeRecord = records.find(r => r.type === BIFF_RECORDS.DATEMODE);
+    const date1904 = dateModeRecord ? readUInt16LE(dateModeRecord.data, 0) === 1 : false;
 
     // Find all sheets with their properties
     const sheets = [];
@@ -1036,6 +1922,16 @@ export function parseXLSBuffer(buffer) {
         });
     });
 
+    // Excel 2.x to 4.0 worksheet files have a single sheet without a name
+    if (sheets.length === 0 && version < 5) {
+        sheets.push({ name: 'Sheet1', visibility: 0 });
+    }
+
+    // Defined names and the sheets referenced by formulas
+    const workbook = parseWorkbookContext(records, sheets.map(sheet => sheet.name), version);
+    const definedNames = parseDefinedNames(records, workbook);
+    const validationsBySheet = version === 8 ? parseValidations(records, workbook) : {};
+
     // Parse cell data with all information
     const allCells = parseCellRecords(records, sst, xfStyles, workbookData);
 
@@ -1058,7 +1954,7 @@ export function parseXLSBuffer(buffer) {
         const sheetMergedCells = mergedCellsBySheet[index] || [];
         const sheetColumns = columnsBySheet[index] || [];
         const sheetRows = rowsBySheet[index] || {};
-        const sheetData = cellsToJspreadsheet(sheetCells, sheetColumns, sheetRows, sheetMergedCells, formats);
+        const sheetData = cellsToJspreadsheet(sheetCells, sheetColumns, sheetRows, sheetMergedCells, formats, { dates: options.dates, text: options.text, date1904, workbook });
 
         // Convert worksheet styles from CSS strings to global style indices
         const worksheetStyleIndices = {};
@@ -1090,21 +1986,64 @@ export function parseXLSBuffer(buffer) {
         }
         // visibility === 0 means visible (default, no property needed)
 
+        // Position of the summary rows and columns of the outline
+        const hasOutline = Object.values(sheetData.rows).some(row => row.level) || sheetData.columns.some(column => column.level);
+        if (hasOutline) {
+            worksheet.outline = outlineBySheet[index] || { summaryBelow: true, summaryRight: true };
+        }
+
+        // AutoFilter range and criteria
+        if (filtersBySheet[index]) {
+            worksheet.filters = filtersBySheet[index];
+        }
+
         return worksheet;
     });
 
+    // Pictures of the BLIP store placed on each sheet
+    const blips = parseBlipStore(readDrawingGroup(records));
+    const drawingsBySheet = parseDrawings(records);
+    for (let index = 0; index < worksheets.length; index++) {
+        const media = parseMedia(drawingsBySheet[index], blips, columnsBySheet[index] || [], rowsBySheet[index] || {}, metafiles);
+        if (media.length > 0) {
+            worksheets[index].media = media;
+        }
+    }
+
     // Return in Jspreadsheet Pro format
     // Include globalStyles array which contains CSS strings referenced by indices in worksheet.style
-    return {
+    const result = {
         worksheets,
         style: globalStyles
     };
+
+    if (Object.keys(definedNames).length > 0) {
+        result.definedNames = definedNames;
+    }
+
+    // Validations and conditional formatting (action 'format') of all sheets, with the sheet name in the range
+    const validations = [];
+    sheets.forEach((sheet, index) => {
+        (validationsBySheet[index] || []).forEach(validation => {
+            validation.range = `${quoteSheetName(sheet.name)}!${validation.range}`;
+            validations.push(validation);
+        });
+    });
+
+    if (validations.length > 0) {
+        result.validations = validations;
+    }
+
+    return result;
 }
 
 /**
  * Parse XLS file - works in both Browser and Node.js
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {string} [options.password] - Password of an encrypted workbook
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
@@ -1112,7 +2051,13 @@ export function parseXLSBuffer(buffer) {
 export async function parseXLS(input, options = {}) {
     return parse(async (inp) => {
         const buffer = await loadAsBuffer(inp);
-        return parseXLSBuffer(buffer);
+        const metafiles = [];
+        const result = readXLSBuffer(buffer, options, metafiles);
+
+        // Pictures with compressed metafiles are completed once inflated
+        await inflateMetafiles(metafiles);
+
+        return result;
     }, input, options);
 }
 
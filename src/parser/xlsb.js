@@ -0,0 +1,823 @@
+import { loadAsBuffer, parse } from '../utils/loader.js';
+import JSZip from 'jszip';
+import {
+    getColumnName,
+    getCellNameFromCoords,
+    convertWidthToPixels,
+    getDefaultTheme,
+    rgb_tint,
+    readUInt16LE,
+    readInt16LE,
+    readUInt32LE,
+    readFloat64LE,
+    convertDateSerial,
+    excelDefaultPalette
+} from '../utils/helpers.js';
+import { format } from '../utils/format.js';
+import { decodeBIFF12Formula, formatExternSheets, ERRORS } from '../utils/ptg-decoder-biff12.js';
+import {
+    cleanFormula,
+    parseRelationships,
+    findRelationship,
+    parseContentTypes,
+    getContentType,
+    getSheetKind,
+    styleToCSS,
+    getFormatCode,
+    isDateCell,
+    indexWorksheetStyles
+} from './xlsx.js';
+
+// BIFF12 record types ([MS-XLSB] 2.3.2)
+const BRT = {
+    ROW_HDR: 0x0000,
+    CELL_BLANK: 0x0001,
+    CELL_RK: 0x0002,
+    CELL_ERROR: 0x0003,
+    CELL_BOOL: 0x0004,
+    CELL_REAL: 0x0005,
+    CELL_ST: 0x0006,
+    CELL_ISST: 0x0007,
+    FMLA_STRING: 0x0008,
+    FMLA_NUM: 0x0009,
+    FMLA_BOOL: 0x000A,
+    FMLA_ERROR: 0x000B,
+    SST_ITEM: 0x0013,
+    NAME: 0x0027,
+    FONT: 0x002B,
+    FMT: 0x002C,
+    FILL: 0x002D,
+    BORDER: 0x002E,
+    XF: 0x002F,
+    COL_INFO: 0x003C,
+    BEGIN_WS_VIEW: 0x0089,
+    WS_PROP: 0x0093,
+    WS_DIM: 0x0094,
+    WB_PROP: 0x0099,
+    BUNDLE_SH: 0x009C,
+    MERGE_CELL: 0x00B0,
+    BEGIN_LIST: 0x015B,
+    BEGIN_LIST_COL: 0x015F,
+    SUP_BOOK_SRC: 0x0163,
+    SUP_SELF: 0x0165,
+    SUP_SAME: 0x0166,
+    SUP_TABS: 0x0167,
+    EXTERN_SHEET: 0x016A,
+    ARR_FMLA: 0x01AA,
+    SHR_FMLA: 0x01AB,
+    HLINK: 0x01EE,
+    BEGIN_CELL_XFS: 0x0269,
+    END_CELL_XFS: 0x026A,
+    BEGIN_COMMENT: 0x027B,
+    COMMENT_TEXT: 0x027D,
+    SUP_ADDIN: 0x029B
+};
+
+// Fill patterns (fls) by their XLSX name
+const FILL_PATTERNS = [
+    'none', 'solid', 'mediumGray', 'darkGray', 'lightGray', 'darkHorizontal', 'darkVertical', 'darkDown', 'darkUp',
+    'darkGrid', 'darkTrellis', 'lightHorizontal', 'lightVertical', 'lightDown', 'lightUp', 'lightGrid', 'lightTrellis',
+    'gray125', 'gray0625'
+];
+
+// Border line styles (dg) by their XLSX name
+const BORDER_STYLES = [
+    null, 'thin', 'medium', 'dashed', 'dotted', 'thick', 'double', 'hair', 'mediumDashed', 'dashDot',
+    'mediumDashDot', 'dashDotDot', 'mediumDashDotDot', 'slantDashDot'
+];
+
+// Horizontal (alc) and vertical (alcv) alignment, general and bottom are the defaults
+const HORIZONTAL_ALIGNMENTS = [null, 'left', 'center', 'right', 'fill', 'justify', 'centerContinuous', 'distributed'];
+const VERTICAL_ALIGNMENTS = ['top', 'center', null, 'justify', 'distributed'];
+
+const utf16 = new TextDecoder('utf-16le');
+
+/**
+ * Call the callback for each record of a BIFF12 part: the type and the size are
+ * variable length integers, 7 bits per byte with the high bit set when another byte follows
+ */
+function forEachRecord(data, callback) {
+    let pos = 0;
+
+    while (pos < data.length) {
+        let type = 0;
+        for (let i = 0; i < 2 && pos < data.length; i++) {
+            const byte = data[pos++];
+            type |= (byte & 0x7F) << (7 * i);
+            if (!(byte & 0x80)) break;
+        }
+
+        let size = 0;
+        for (let i = 0; i < 4 && pos < data.length; i++) {
+            const byte = data[pos++];
+            size |= (byte & 0x7F) << (7 * i);
+            if (!(byte & 0x80)) break;
+        }
+
+        callback(type, data.subarray(pos, Math.min(pos + size, data.length)));
+        pos += size;
+    }
+}
+
+// Read a part of the package as bytes
+async function readPart(zip, path) {
+    const file = zip.file(path);
+    return file ? file.async('uint8array') : null;
+}
+
+// XLWideString: character count (4 bytes) and UTF-16 characters, 0xFFFFFFFF for a null string
+function readWideString(data, pos) {
+    const length = readUInt32LE(data, pos);
+    if (length === 0xFFFFFFFF || pos + 4 + length * 2 > data.length) {
+        return { text: null, end: pos + 4 };
+    }
+    return { text: utf16.decode(data.subarray(pos + 4, pos + 4 + length * 2)), end: pos + 4 + length * 2 };
+}
+
+// RichStr: flags (1 byte) and the text, formatting runs and phonetic text are ignored
+function readRichString(data, pos) {
+    return readWideString(data, pos + 1).text || '';
+}
+
+// RfX: first row, last row, first column and last column (4 bytes each)
+function readRange(data, pos) {
+    return {
+        rowFirst: readUInt32LE(data, pos),
+        rowLast: readUInt32LE(data, pos + 4),
+        colFirst: readUInt32LE(data, pos + 8),
+        colLast: readUInt32LE(data, pos + 12)
+    };
+}
+
+// CellParsedFormula: tokens (cce and rgce) and extra data (cb and rgcb)
+function readFormula(data, pos) {
+    const cce = readUInt32LE(data, pos);
+    const tokens = data.subarray(pos + 4, pos + 4 + cce);
+    const cb = pos + 8 + cce <= data.length ? readUInt32LE(data, pos + 4 + cce) : 0;
+    const extra = data.subarray(pos + 8 + cce, pos + 8 + cce + cb);
+    return { tokens, extra };
+}
+
+// RkNumber: 30 bits of an integer or of the high part of a double, optionally divided by 100
+function decodeRK(data, pos) {
+    const rk = readUInt32LE(data, pos);
+    let value;
+    if (rk & 0x02) {
+        value = (rk | 0) >> 2;
+    } else {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setUint32(4, rk & 0xFFFFFFFC, true);
+        value = new DataView(bytes.buffer).getFloat64(0, true);
+    }
+    return rk & 0x01 ? value / 100 : value;
+}
+
+// BrtColor: type (automatic, indexed, RGB or theme), tint and ARGB, as an ARGB string
+function readColor(data, pos, theme) {
+    const type = data[pos] >> 1;
+    const tint = readInt16LE(data, pos + 2) / 32767;
+    let rgb = null;
+
+    if (type === 2) {
+        rgb = [data[pos + 4], data[pos + 5], data[pos + 6]].map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase();
+    } else if (type === 1 && data[pos + 1] < 64) {
+        // Indexed colors of the default palette, the indexes from 64 are system colors
+        rgb = excelDefaultPalette[data[pos + 1]].substring(1);
+    } else if (type === 3) {
+        rgb = theme.arrayColors[data[pos + 1]] || null;
+    }
+
+    if (!rgb) {
+        return null;
+    }
+
+    return 'FF' + (tint ? rgb_tint(rgb, tint) : rgb);
+}
+
+// Parse the shared string table
+async function parseSharedStrings(zip, path) {
+    const sharedStrings = [];
+    const data = await readPart(zip, path);
+    if (!data) return sharedStrings;
+
+    forEachRecord(data, (type, record) => {
+        if (type === BRT.SST_ITEM) {
+            sharedStrings.push(readRichString(record, 0));
+        }
+    });
+
+    return sharedStrings;
+}
+
+// Parse styles, in the same structure as the XLSX styles
+async function parseStyles(zip, path) {
+    const styles = {
+        fonts: [],
+        fills: [],
+        borders: [],
+        cellXfs: [],
+        numFmts: {}
+    };
+
+    const data = await readPart(zip, path);
+    if (!data) return styles;
+
+    const theme = getDefaultTheme();
+    let cellXfs = false;
+
+    forEachRecord(data, (type, record) => {
+        if (type === BRT.FMT) {
+            styles.numFmts[readUInt16LE(record, 0)] = readWideString(record, 2).text;
+        } else if (type === BRT.FONT) {
+            const flags = readUInt16LE(record, 2);
+            const font = {
+                name: readWideString(record, 21).text,
+                size: readUInt16LE(record, 0) / 20
+            };
+            const color = readColor(record, 12, theme);
+            if (color) font.color = color;
+            if (readUInt16LE(record, 4) >= 700) font.bold = true;
+            if (flags & 0x02) font.italic = true;
+            if (record[8]) font.underline = true;
+            if (flags & 0x08) font.strike = true;
+            styles.fonts.push(font);
+        } else if (type === BRT.FILL) {
+            const pattern = readUInt32LE(record, 0);
+            const fill = {};
+            if (FILL_PATTERNS[pattern] && pattern > 0) {
+                fill.patternType = FILL_PATTERNS[pattern];
+                fill.fgColor = readColor(record, 4, theme);
+                fill.bgColor = readColor(record, 12, theme);
+            }
+            styles.fills.push(fill);
+        } else if (type === BRT.BORDER) {
+            // Flags, then the top, bottom, left, right and diagonal lines: style, reserved and color
+            const border = {};
+            ['top', 'bottom', 'left', 'right', 'diagonal'].forEach((side, i) => {
+                const pos = 1 + i * 10;
+                const style = BORDER_STYLES[record[pos]];
+                if (style) {
+                    border[side] = { style, color: readColor(record, pos + 2, theme) };
+                }
+            });
+            styles.borders.push(border);
+        } else if (type === BRT.BEGIN_CELL_XFS) {
+            cellXfs = true;
+        } else if (type === BRT.END_CELL_XFS) {
+            cellXfs = false;
+        } else if (type === BRT.XF && cellXfs) {
+            const flags = readUInt16LE(record, 12);
+            const xf = {
+                numFmtId: readUInt16LE(record, 2),
+                fontId: readUInt16LE(record, 4),
+                fillId: readUInt16LE(record, 6),
+                borderId: readUInt16LE(record, 8),
+                xfId: readUInt16LE(record, 0)
+            };
+
+            const horizontal = HORIZONTAL_ALIGNMENTS[flags & 0x07];
+            const vertical = VERTICAL_ALIGNMENTS[(flags >> 3) & 0x07];
+            const wrapText = (flags & 0x40) !== 0;
+            if (horizontal || vertical || wrapText) {
+                xf.alignment = { horizontal: horizontal || undefined, vertical: vertical || undefined, wrapText };
+            }
+
+            styles.cellXfs.push(xf);
+        }
+    });
+
+    return styles;
+}
+
+// Parse the comments of a worksheet
+async function parseComments(zip, sheetRelationships) {
+    const comments = {};
+
+    const rel = findRelationship(sheetRelationships, 'comments');
+    const data = rel ? await readPart(zip, rel.target) : null;
+    if (!data) return comments;
+
+    let ref = null;
+    forEachRecord(data, (type, record) => {
+        if (type === BRT.BEGIN_COMMENT) {
+            // Author index, then the cell
+            const range = readRange(record, 4);
+            ref = getCellNameFromCoords(range.colFirst, range.rowFirst);
+        } else if (type === BRT.COMMENT_TEXT && ref) {
+            const text = readRichString(record, 0);
+            if (text) {
+                comments[ref] = text;
+            }
+            ref = null;
+        }
+    });
+
+    return comments;
+}
+
+// Name and column names of the tables of the worksheets by id, for the structured references of formulas
+async function parseTables(zip, sheets) {
+    const tables = {};
+
+    for (const sheet of sheets) {
+        const relationships = await parseRelationships(zip, sheet.path);
+        for (const rel of Object.values(relationships)) {
+            const data = rel.type === 'table' && !rel.external ? await readPart(zip, rel.target) : null;
+            if (!data) continue;
+
+            let table = null;
+            forEachRecord(data, (type, record) => {
+                if (type === BRT.BEGIN_LIST) {
+                    // Range, type, id, header and totals row counts, flags and formats (64 bytes), then the name and the display name
+                    const name = readWideString(record, 64);
+                    const displayName = readWideString(record, name.end);
+                    table = { name: displayName.text || name.text || '', columns: [] };
+                    tables[readUInt32LE(record, 20)] = table;
+                } else if (type === BRT.BEGIN_LIST_COL && table) {
+                    // Id, totals function, formats and query field (24 bytes), then the unique name and the name
+                    const uniqueName = readWideString(record, 24);
+                    const name = readWideString(record, uniqueName.end);
+                    table.columns.push(name.text || uniqueName.text || '');
+                }
+            });
+        }
+    }
+
+    return tables;
+}
+
+// Parse worksheet
+async function parseWorksheet(zip, sheetPath, sharedStrings, styles, workbook, options = {}) {
+    const data = await readPart(zip, sheetPath);
+    if (!data) return null;
+
+    // Comments and hyperlinks are resolved through the worksheet relationships
+    const relationships = await parseRelationships(zip, sheetPath);
+
+    const result = {
+        data: [],
+        columns: [],
+        rows: {},
+        cells: {},
+        style: {},
+        mergeCells: {},
+        comments: {}
+    };
+
+    let maxRow = 0;
+    let maxCol = 0;
+    let row = 0;
+
+    // Cells of shared and array formulas, resolved once all the formula ranges are known
+    const sharedCells = [];
+    const sharedFormulas = [];
+    const hyperlinks = [];
+
+    const setCell = (col, styleIndex, value, formula) => {
+        if (col > maxCol) maxCol = col;
+        if (row > maxRow) maxRow = row;
+
+        const ref = getCellNameFromCoords(col, row);
+
+        // Number, or a date serial when the number format displays a date
+        const xf = styles.cellXfs[styleIndex];
+        if (typeof value === 'number' && styleIndex && isDateCell(xf, styles)) {
+            value = convertDateSerial(value, options.dates, options.date1904);
+        }
+
+        if (!result.data[row]) result.data[row] = [];
+        result.data[row][col] = formula ? '=' + cleanFormula(formula) : value;
+
+        if (styleIndex) {
+            const cssStyle = styleToCSS(styleIndex, styles);
+            if (cssStyle) {
+                result.style[ref] = cssStyle;
+            }
+
+            if (xf) {
+                const cellProps = {};
+
+                const formatCode = getFormatCode(xf, styles);
+                if (formatCode) {
+                    cellProps.format = formatCode;
+                }
+
+                if (xf.alignment) {
+                    if (xf.alignment.horizontal) {
+                        cellProps.align = xf.alignment.horizontal;
+                    }
+                    if (xf.alignment.wrapText) {
+                        cellProps.wrap = true;
+                    }
+                }
+
+                if (Object.keys(cellProps).length > 0) {
+                    result.cells[ref] = cellProps;
+                }
+            }
+        }
+
+        // Displayed text, rendered with the number format (formulas use the cached value)
+        if (options.text && value !== '') {
+            if (!result.cells[ref]) result.cells[ref] = {};
+            result.cells[ref].text = format(value, result.cells[ref].format, { date1904: options.date1904 });
+        }
+    };
+
+    // Formula cells: shared and array formulas only have a reference (tExp) to the first cell
+    const setFormulaCell = (col, styleIndex, value, record, pos) => {
+        const { tokens, extra } = readFormula(record, pos);
+        if (tokens[0] === 0x01 && tokens.length === 5) {
+            sharedCells.push({ row, col });
+            setCell(col, styleIndex, value);
+        } else {
+            setCell(col, styleIndex, value, decodeBIFF12Formula(tokens, extra, { row, col }, workbook));
+        }
+    };
+
+    let summaryBelow = true;
+    let summaryRight = true;
+
+    forEachRecord(data, (type, record) => {
+        switch (type) {
+            // Sheet properties, with the position of the summary rows and columns of the outline
+            case BRT.WS_PROP:
+                summaryBelow = (record[0] & 0x40) !== 0;
+                summaryRight = (record[0] & 0x80) !== 0;
+                break;
+
+            case BRT.WS_DIM: {
+                const range = readRange(record, 0);
+                maxRow = Math.max(maxRow, range.rowLast);
+                maxCol = Math.max(maxCol, range.colLast);
+                break;
+            }
+
+            case BRT.COL_INFO: {
+                const first = readUInt32LE(record, 0);
+                // Don't create columns beyond what's actually used, Excel often defines columns up to 16384
+                const last = Math.min(readUInt32LE(record, 4), maxCol);
+                const width = readUInt32LE(record, 8) / 256;
+                const flags = readUInt16LE(record, 16);
+
+                for (let c = first; c <= last; c++) {
+                    const column = {
+                        width: convertWidthToPixels(width, 'char'),
+                        title: getColumnName(c),
+                        type: 'text'
+                    };
+                    if (flags & 0x01) {
+                        column.visible = false;
+                    }
+                    // Outline (grouping) level and collapsed group
+                    if ((flags >> 8) & 0x07) {
+                        column.level = (flags >> 8) & 0x07;
+                    }
+                    if (flags & 0x1000) {
+                        column.collapsed = true;
+                    }
+                    result.columns[c] = column;
+                }
+                break;
+            }
+
+            case BRT.BEGIN_WS_VIEW:
+                if (!(readUInt16LE(record, 0) & 0x04)) {
+                    result.gridline = false;
+                }
+                break;
+
+            case BRT.ROW_HDR: {
+                row = readUInt32LE(record, 0);
+                const flags = record[11];
+
+                // Height in twips, only kept when set by the user
+                const rowProps = {
+                    height: flags & 0x20 ? readUInt16LE(record, 8) / 20 : 21
+                };
+                if (flags & 0x10) {
+                    rowProps.visible = false;
+                }
+                if (flags & 0x07) {
+                    rowProps.level = flags & 0x07;
+                }
+                if (flags & 0x08) {
+                    rowProps.collapsed = true;
+                }
+                result.rows[row] = rowProps;
+
+                if (row > maxRow) maxRow = row;
+                break;
+            }
+
+            // Cells: column (4 bytes), style (3 bytes) and flags, followed by the value
+            case BRT.CELL_BLANK:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, '');
+                break;
+            case BRT.CELL_RK:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, decodeRK(record, 8));
+                break;
+            case BRT.CELL_ERROR:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, ERRORS[record[8]] || '#N/A');
+                break;
+            case BRT.CELL_BOOL:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, record[8] !== 0);
+                break;
+            case BRT.CELL_REAL:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, readFloat64LE(record, 8));
+                break;
+            case BRT.CELL_ST:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, readWideString(record, 8).text || '');
+                break;
+            case BRT.CELL_ISST:
+                setCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, sharedStrings[readUInt32LE(record, 8)] || '');
+                break;
+
+            // Formula cells: cached value, flags (2 bytes) and the formula
+            case BRT.FMLA_STRING: {
+                const value = readWideString(record, 8);
+                setFormulaCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, value.text || '', record, value.end + 2);
+                break;
+            }
+            case BRT.FMLA_NUM:
+                setFormulaCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, readFloat64LE(record, 8), record, 18);
+                break;
+            case BRT.FMLA_BOOL:
+                setFormulaCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, record[8] !== 0, record, 11);
+                break;
+            case BRT.FMLA_ERROR:
+                setFormulaCell(readUInt32LE(record, 0), readUInt32LE(record, 4) & 0xFFFFFF, ERRORS[record[8]] || '#N/A', record, 11);
+                break;
+
+            // Range of a shared formula, or of an array formula (with a flags byte)
+            case BRT.SHR_FMLA:
+            case BRT.ARR_FMLA:
+                sharedFormulas.push({
+                    range: readRange(record, 0),
+                    array: type === BRT.ARR_FMLA,
+                    ...readFormula(record, type === BRT.ARR_FMLA ? 17 : 16)
+                });
+                break;
+
+            case BRT.MERGE_CELL: {
+                const range = readRange(record, 0);
+                const start = getCellNameFromCoords(range.colFirst, range.rowFirst);
+                result.mergeCells[start] = [range.colLast - range.colFirst + 1, range.rowLast - range.rowFirst + 1];
+
+                // Update maxRow and maxCol if merged cell extends beyond current max
+                if (range.rowLast > maxRow) maxRow = range.rowLast;
+                if (range.colLast > maxCol) maxCol = range.colLast;
+                break;
+            }
+
+            // Hyperlink: range, relationship of the target, then the location in the workbook
+            case BRT.HLINK: {
+                const range = readRange(record, 0);
+                const relId = readWideString(record, 16);
+                const location = readWideString(record, relId.end);
+                hyperlinks.push({ ref: getCellNameFromCoords(range.colFirst, range.rowFirst), relId: relId.text, location: location.text });
+                break;
+            }
+        }
+    });
+
+    // Resolve the cells of shared formulas, the top left cell holds the formula of an array
+    sharedCells.forEach(cell => {
+        const shared = sharedFormulas.find(({ range }) => {
+            return cell.row >= range.rowFirst && cell.row <= range.rowLast && cell.col >= range.colFirst && cell.col <= range.colLast;
+        });
+        if (!shared || (shared.array && (cell.row !== shared.range.rowFirst || cell.col !== shared.range.colFirst))) {
+            return;
+        }
+
+        const formula = decodeBIFF12Formula(shared.tokens, shared.extra, cell, workbook);
+        if (formula) {
+            result.data[cell.row][cell.col] = '=' + cleanFormula(formula);
+        }
+    });
+
+    // Parse comments for this worksheet
+    const comments = await parseComments(zip, relationships);
+    if (Object.keys(comments).length > 0) {
+        result.comments = comments;
+    }
+
+    // Hyperlinks to a URL, or to a location in the workbook
+    hyperlinks.forEach(({ ref, relId, location }) => {
+        const rel = relId ? relationships[relId] : null;
+        const url = rel ? rel.target : location;
+        if (!url) return;
+
+        if (!result.cells[ref]) {
+            result.cells[ref] = {};
+        }
+        if (!result.cells[ref].options) {
+            result.cells[ref].options = {};
+        }
+        result.cells[ref].options.url = url;
+        if (!result.cells[ref].type) {
+            result.cells[ref].type = 'text';
+        }
+    });
+
+    // Position of the summary rows and columns of the outline
+    const hasOutline = Object.values(result.rows).some(row => row.level) || result.columns.some(column => column && column.level);
+    if (hasOutline) {
+        result.outline = { summaryBelow, summaryRight };
+    }
+
+    // Fill empty cells
+    for (let r = 0; r <= maxRow; r++) {
+        if (!result.data[r]) result.data[r] = [];
+        for (let c = 0; c <= maxCol; c++) {
+            if (result.data[r][c] === undefined) {
+                result.data[r][c] = '';
+            }
+        }
+    }
+
+    // Fill missing columns
+    for (let c = 0; c <= maxCol; c++) {
+        if (!result.columns[c]) {
+            result.columns[c] = {
+                width: 100,
+                title: getColumnName(c),
+                type: 'text'
+            };
+        }
+    }
+
+    // Add minDimensions [columns, rows]
+    result.minDimensions = [maxCol + 1, maxRow + 1];
+
+    return result;
+}
+
+// Parse workbook
+async function parseWorkbook(zip, workbookPath, contentTypes) {
+    const data = await readPart(zip, workbookPath);
+    if (!data) throw new Error('workbook.bin not found');
+
+    // Sheets, shared strings and styles are resolved through the workbook relationships
+    const relationships = await parseRelationships(zip, workbookPath);
+
+    const sheets = [];
+    const names = [];
+    const supBooks = [];
+    const externEntries = [];
+    let date1904 = false;
+
+    forEachRecord(data, (type, record) => {
+        if (type === BRT.BUNDLE_SH) {
+            // State (visible, hidden or very hidden), sheet id, relationship and name
+            const relId = readWideString(record, 8);
+            const name = readWideString(record, relId.end).text || '';
+            const rel = relId.text ? relationships[relId.text] : null;
+            const path = rel ? rel.target : `xl/worksheets/sheet${sheets.length + 1}.bin`;
+
+            sheets.push({
+                name: name,
+                sheetId: readUInt32LE(record, 4),
+                id: relId.text,
+                state: ['visible', 'hidden', 'veryHidden'][readUInt32LE(record, 0)],
+                path: path,
+                kind: getSheetKind(getContentType(contentTypes, path), rel && rel.type)
+            });
+        } else if (type === BRT.WB_PROP) {
+            // Serial numbers count days from 1904-01-01 instead of 1900-01-01
+            date1904 = (readUInt32LE(record, 0) & 0x01) !== 0;
+        } else if (type === BRT.NAME) {
+            // Flags (4 bytes), shortcut key (1 byte), sheet index (4 bytes), name and formula
+            const name = readWideString(record, 9);
+            names.push({
+                name: name.text || '',
+                future: (readUInt32LE(record, 0) & 0x20000) !== 0,
+                ...readFormula(record, name.end)
+            });
+        } else if (type === BRT.SUP_SELF || type === BRT.SUP_SAME) {
+            supBooks.push({ self: true, sheets: [] });
+        } else if (type === BRT.SUP_BOOK_SRC || type === BRT.SUP_ADDIN) {
+            supBooks.push({ self: false, sheets: [] });
+        } else if (type === BRT.SUP_TABS && supBooks.length > 0) {
+            const count = readUInt32LE(record, 0);
+            let pos = 4;
+            for (let i = 0; i < count && pos < record.length; i++) {
+                const sheet = readWideString(record, pos);
+                supBooks[supBooks.length - 1].sheets.push(sheet.text || '');
+                pos = sheet.end;
+            }
+        } else if (type === BRT.EXTERN_SHEET) {
+            // Supporting link and first and last sheet (signed: -1 deleted, -2 workbook level)
+            const count = readUInt32LE(record, 0);
+            for (let i = 0; i < count && 4 + i * 12 + 12 <= record.length; i++) {
+                const pos = 4 + i * 12;
+                externEntries.push({
+                    supBook: readUInt32LE(record, pos),
+                    first: readUInt32LE(record, pos + 4) | 0,
+                    last: readUInt32LE(record, pos + 8) | 0
+                });
+            }
+        }
+    });
+
+    // Formula context: names of this workbook are also reached through tNameX (newer functions such as _xlfn.XLOOKUP)
+    const workbook = {
+        names: names.map(item => item.name),
+        externSheets: formatExternSheets(externEntries, supBooks, sheets.map(sheet => sheet.name)),
+        externNames: externEntries.map(entry => supBooks[entry.supBook] && supBooks[entry.supBook].self ? names.map(item => item.name) : null),
+        tables: await parseTables(zip, sheets)
+    };
+
+    // Parse defined names (named ranges), the names of newer functions are not listed
+    const definedNames = {};
+    names.forEach(item => {
+        if (item.name && !item.future) {
+            const formula = decodeBIFF12Formula(item.tokens, item.extra, null, workbook);
+            if (formula) {
+                definedNames[item.name] = cleanFormula(formula);
+            }
+        }
+    });
+
+    const sharedStringsRel = findRelationship(relationships, 'sharedStrings');
+    const stylesRel = findRelationship(relationships, 'styles');
+
+    return {
+        sheets,
+        definedNames,
+        date1904,
+        workbook,
+        sharedStringsPath: sharedStringsRel ? sharedStringsRel.target : 'xl/sharedStrings.bin',
+        stylesPath: stylesRel ? stylesRel.target : 'xl/styles.bin'
+    };
+}
+
+// Main XLSB parser
+/**
+ * Parse XLSB (Excel binary workbook) file - works in both Browser and Node.js
+ * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
+ * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {Function} options.onload - Callback when parsing completes
+ * @param {Function} options.onerror - Callback when parsing fails
+ * @returns {Promise<object>} Jspreadsheet Pro format
+ */
+export async function parseXLSB(input, options = {}) {
+    return parse(async (inp) => {
+        const buffer = await loadAsBuffer(inp);
+        const zip = await JSZip.loadAsync(buffer);
+
+        // Locate the workbook through the package relationships
+        const contentTypes = await parseContentTypes(zip);
+        const rootRel = findRelationship(await parseRelationships(zip, ''), 'officeDocument');
+        const workbookPath = rootRel && zip.file(rootRel.target) ? rootRel.target : 'xl/workbook.bin';
+
+        const { sheets, definedNames, date1904, workbook, sharedStringsPath, stylesPath } = await parseWorkbook(zip, workbookPath, contentTypes);
+
+        const sharedStrings = await parseSharedStrings(zip, sharedStringsPath);
+        const styles = await parseStyles(zip, stylesPath);
+
+        const worksheets = [];
+        const globalStyles = [];
+        const styleMap = new Map(); // CSS string -> index
+
+        for (const sheet of sheets) {
+            // Chartsheets, dialog sheets and macro sheets have no cell data
+            if (sheet.kind !== 'worksheet') {
+                continue;
+            }
+
+            const sheetData = await parseWorksheet(zip, sheet.path, sharedStrings, styles, workbook, { dates: options.dates, text: options.text, date1904 });
+            if (!sheetData) {
+                continue;
+            }
+
+            const worksheet = {
+                worksheetName: sheet.name,
+                ...sheetData
+            };
+
+            indexWorksheetStyles(worksheet, globalStyles, styleMap);
+
+            // Add worksheetState if sheet is hidden
+            if (sheet.state === 'hidden' || sheet.state === 'veryHidden') {
+                worksheet.worksheetState = 'hidden';
+            }
+
+            worksheets.push(worksheet);
+        }
+
+        const result = { worksheets };
+
+        if (globalStyles.length > 0) {
+            result.style = globalStyles;
+        }
+
+        if (Object.keys(definedNames).length > 0) {
+            result.definedNames = definedNames;
+        }
+
+        return result;
+    }, input, options);
+}
@@ -6,6 +6,8 @@ import {
     getColumnIndex,
     getCellNameFromCoords,
     getCoordsFromCellName,
+    getCoordsFromRange,
+    quoteSheetName,
     getTextContent,
     parseAttributes,
     findNodes,
@@ -14,8 +16,16 @@ import {
     getDefaultTheme,
     exclusions,
     excelValidationTypes,
-    excelValidationOperations
+    excelValidationOperations,
+    decodeHTMLEntities,
+    numberFormats,
+    isDateFormat,
+    dateToExcelSerial,
+    parseISODate,
+    convertDateSerial
 } from '../utils/helpers.js';
+import { format } from '../utils/format.js';
+import { isEncryptedPackage, decryptPackage } from '../utils/encryption.js';
 
 // Convert cell reference to coordinates (A1 -> {row: 0, col: 0})
 function cellRefToCoords(ref) {
@@ -52,10 +62,124 @@ function cleanFormula(formula) {
     return formula;
 }
 
+// Resolve a relationship target against the part that owns it
+// (xl/worksheets/sheet1.xml + ../drawings/drawing1.xml -> xl/drawings/drawing1.xml)
+function resolvePartPath(basePath, target) {
+    if (target.startsWith('/')) return target.substring(1);
+
+    const parts = basePath.split('/').slice(0, -1);
+    target.split('/').forEach(segment => {
+        if (segment === '..') {
+            parts.pop();
+        } else if (segment && segment !== '.') {
+            parts.push(segment);
+        }
+    });
+
+    return parts.join('/');
+}
+
+// Parse the relationships of a part (xl/workbook.xml -> xl/_rels/workbook.xml.rels), keyed by Id
+async function parseRelationships(zip, partPath) {
+    const relationships = {};
+
+    const index = partPath.lastIndexOf('/');
+    const relsPath = `${partPath.substring(0, index + 1)}_rels/${partPath.substring(index + 1)}.rels`;
+    const file = zip.file(relsPath);
+    if (!file) return relationships;
+
+    const xml = await file.async('string');
+    const parsed = parser(xml);
+
+    findNodes(parsed, 'Relationship').forEach(rel => {
+        const attrs = parseAttributes(rel);
+        if (!attrs.Id || !attrs.Target) return;
+
+        const target = decodeHTMLEntities(attrs.Target);
+        const external = attrs.TargetMode === 'External';
+
+        relationships[attrs.Id] = {
+            // Last segment of the type URI (worksheet, comments, drawing, hyperlink...)
+            type: (attrs.Type || '').split('/').pop(),
+            target: external ? target : resolvePartPath(partPath, target),
+            external: external
+        };
+    });
+
+    return relationships;
+}
+
+// Find the first relationship of a given type
+function findRelationship(relationships, type) {
+    return Object.values(relationships).find(rel => rel.type === type && !rel.external) || null;
+}
+
+// Parse [Content_Types].xml
+async function parseContentTypes(zip) {
+    const contentTypes = {
+        defaults: {},
+        overrides: {}
+    };
+
+    const file = zip.file('[Content_Types].xml');
+    if (!file) return contentTypes;
+
+    const xml = await file.async('string');
+    const parsed = parser(xml);
+
+    findNodes(parsed, 'Default').forEach(node => {
+        const attrs = parseAttributes(node);
+        if (attrs.Extension) {
+            contentTypes.defaults[attrs.Extension.toLowerCase()] = attrs.ContentType;
+        }
+    });
+
+    findNodes(parsed, 'Override').forEach(node => {
+        const attrs = parseAttributes(node);
+        if (attrs.PartName) {
+            contentTypes.overrides[attrs.PartName.replace(/^\//, '')] = attrs.ContentType;
+        }
+    });
+
+    return contentTypes;
+}
+
+// Get the content type of a part
+function getContentType(contentTypes, partPath) {
+    return contentTypes.overrides[partPath] || contentTypes.defaults[partPath.split('.').pop().toLowerCase()] || '';
+}
+
+// Kind of sheet behind a <sheet> element: worksheet, chartsheet, dialogsheet or macrosheet
+function getSheetKind(contentType, relationshipType) {
+    const kind = `${contentType} ${relationshipType || ''}`.toLowerCase();
+
+    if (kind.includes('chartsheet')) return 'chartsheet';
+    if (kind.includes('dialogsheet')) return 'dialogsheet';
+    if (kind.includes('macrosheet')) return 'macrosheet';
+
+    return 'worksheet';
+}
+
+// Locate the workbook part through the package relationships
+async function getWorkbookPath(zip, contentTypes) {
+    const relationships = await parseRelationships(zip, '');
+    const rel = findRelationship(relationships, 'officeDocument');
+    if (rel && zip.file(rel.target)) {
+        return rel.target;
+    }
+
+    // Fall back to the content types, then to the default location
+    const override = Object.keys(contentTypes.overrides).find(path => {
+        return /spreadsheetml\.sheet\.main\+xml|\.main\+xml$/.test(contentTypes.overrides[path]) && zip.file(path);
+    });
+
+    return override || 'xl/workbook.xml';
+}
+
 // Parse shared strings
-async function parseSharedStrings(zip) {
+async function parseSharedStrings(zip, path = 'xl/sharedStrings.xml') {
     const sharedStrings = [];
-    const file = zip.file('xl/sharedStrings.xml');
+    const file = zip.file(path);
 
     if (!file) return sharedStrings;
 
@@ -69,14 +193,14 @@ async function parseSharedStrings(zip) {
         // Get text from <t> elements
         const textNodes = findNodes(si, 't');
         const text = textNodes.map(t => getTextContent(t)).join('');
-        sharedStrings.push(text);
+        sharedStrings.push(decodeHTMLEntities(text));
     });
 
     return sharedStrings;
 }
 
 // Parse styles
-async function parseStyles(zip) {
+async function parseStyles(zip, path = 'xl/styles.xml') {
     const styles = {
         fonts: [],
         fills: [],
@@ -85,7 +209,7 @@ async function parseStyles(zip) {
         numFmts: {}
     };
 
-    const file = zip.file('xl/styles.xml');
+    const file = zip.file(path);
     if (!file) return styles;
 
     const xml = await file.async('string');
@@ -420,14 +544,23 @@ function getDrawingColor(colorNode) {
 }
 
 // Parse drawings/images/shapes for a worksheet
-async function parseDrawings(zip, sheetIndex) {
-    const drawingsFile = zip.file(`xl/drawings/drawing${sheetIndex}.xml`);
+async function parseDrawings(zip, sheetParsed, sheetRelationships) {
+    // The <drawing r:id> element points to the drawing part through the worksheet relationships
+    const drawingNode = findNodes(sheetParsed, 'drawing')[0];
+    const rId = drawingNode ? parseAttributes(drawingNode)['r:id'] : null;
+    const rel = rId && sheetRelationships[rId] ? sheetRelationships[rId] : findRelationship(sheetRelationships, 'drawing');
+    if (!rel || rel.external) return [];
+
+    const drawingsFile = zip.file(rel.target);
     if (!drawingsFile) return [];
 
     const xml = await drawingsFile.async('string');
     const parsed = parser(xml);
     const media = [];
 
+    // Images and charts are referenced through the drawing relationships
+    const drawingRelationships = await parseRelationships(zip, rel.target);
+
     // Find all anchor types (with namespace prefix xdr:)
     const anchors = [
         ...findNodes(parsed, 'xdr:twoCellAnchor'),
@@ -439,7 +572,7 @@ async function parseDrawings(zip, sheetIndex) {
         // Check if it's a picture (xdr:pic)
         const picNode = findNodes(anchor, 'xdr:pic')[0];
         if (picNode) {
-            const mediaObj = await parseImage(zip, sheetIndex, anchor, picNode);
+            const mediaObj = await parseImage(zip, drawingRelationships, anchor, picNode);
             if (mediaObj) media.push(mediaObj);
             continue;
         }
@@ -455,7 +588,7 @@ async function parseDrawings(zip, sheetIndex) {
         // Check if it's a chart (xdr:graphicFrame)
         const graphicFrameNode = findNodes(anchor, 'xdr:graphicFrame')[0];
         if (graphicFrameNode) {
-            const chartObj = await parseChart(zip, sheetIndex, anchor, graphicFrameNode);
+            const chartObj = await parseChart(zip, drawingRelationships, anchor, graphicFrameNode);
             if (chartObj) media.push(chartObj);
             continue;
         }
@@ -465,7 +598,7 @@ async function parseDrawings(zip, sheetIndex) {
 }
 
 // Parse image from anchor
-async function parseImage(zip, sheetIndex, anchor, pic) {
+async function parseImage(zip, drawingRelationships, anchor, pic) {
     const mediaObj = {};
 
     // Get the image relationship ID
@@ -475,38 +608,26 @@ async function parseImage(zip, sheetIndex, anchor, pic) {
     const blipAttrs = parseAttributes(blipNode);
     const rId = blipAttrs['r:embed'];
 
-    if (rId) {
-        // Get the drawing relationships to find the actual image file
-        const relsFile = zip.file(`xl/drawings/_rels/drawing${sheetIndex}.xml.rels`);
-        if (relsFile) {
-            const relsXml = await relsFile.async('string');
-            const relsParsed = parser(relsXml);
-            const relationships = findNodes(relsParsed, 'Relationship');
-
-            for (const rel of relationships) {
-                const relAttrs = parseAttributes(rel);
-                if (relAttrs.Id === rId) {
-                    const imagePath = `xl/${relAttrs.Target.replace('../', '')}`;
-                    const imageFile = zip.file(imagePath);
-
-                    if (imageFile) {
-                        // Get image as base64
-                        const imageData = await imageFile.async('base64');
-                        const extension = imagePath.split('.').pop().toLowerCase();
-                        const mimeType = {
-                            'png': 'image/png',
-                            'jpg': 'image/jpeg',
-                            'jpeg': 'image/jpeg',
-                            'gif': 'image/gif',
-                            'bmp': 'image/bmp',
-                            'svg': 'image/svg+xml'
-                        }[extension] || 'image/png';
-
-                        mediaObj.src = `data:${mimeType};base64,${imageData}`;
-                    }
-                    break;
-                }
-            }
+    // Get the drawing relationship to find the actual image file
+    const rel = rId ? drawingRelationships[rId] : null;
+    if (rel && !rel.external) {
+        const imagePath = rel.target;
+        const imageFile = zip.file(imagePath);
+
+        if (imageFile) {
+            // Get image as base64
+            const imageData = await imageFile.async('base64');
+            const extension = imagePath.split('.').pop().toLowerCase();
+            const mimeType = {
+                'png': 'image/png',
+                'jpg': 'image/jpeg',
+                'jpeg': 'image/jpeg',
+                'gif': 'image/gif',
+                'bmp': 'image/bmp',
+                'svg': 'image/svg+xml'
+            }[extension] || 'image/png';
+
+            mediaObj.src = `data:${mimeType};base64,${imageData}`;
         }
     }
 
@@ -769,7 +890,7 @@ function parseLinearAxis(axNode) {
 }
 
 // Parse chart from anchor
-async function parseChart(zip, sheetIndex, anchor, graphicFrameNode) {
+async function parseChart(zip, drawingRelationships, anchor, graphicFrameNode) {
     const chartObj = {
         id: generateGUID(),
         type: 'chart'
@@ -784,24 +905,11 @@ async function parseChart(zip, sheetIndex, anchor, graphicFrameNode) {
 
     if (!rId) return null;
 
-    // Load drawing relationships to find chart file
-    const relsFile = zip.file(`xl/drawings/_rels/drawing${sheetIndex}.xml.rels`);
-    if (!relsFile) return null;
+    // Find the chart part through the drawing relationships
+    const rel = drawingRelationships[rId];
+    if (!rel || rel.external) return null;
 
-    const relsXml = await relsFile.async('string');
-    const relsParsed = parser(relsXml);
-    const relationships = findNodes(relsParsed, 'Relationship');
-
-    let chartPath = null;
-    for (const rel of relationships) {
-        const relAttrs = parseAttributes(rel);
-        if (relAttrs.Id === rId) {
-            chartPath = `xl/${relAttrs.Target.replace('../', '')}`;
-            break;
-        }
-    }
-
-    if (!chartPath) return null;
+    const chartPath = rel.target;
 
     // Load the chart XML file
     const chartFile = zip.file(chartPath);
@@ -1118,8 +1226,11 @@ function getAnchorData(anchor) {
 }
 
 // Parse comments for a worksheet
-async function parseComments(zip, sheetIndex) {
-    const commentsFile = zip.file(`xl/comments${sheetIndex}.xml`);
+async function parseComments(zip, sheetRelationships) {
+    const rel = findRelationship(sheetRelationships, 'comments');
+    if (!rel) return {};
+
+    const commentsFile = zip.file(rel.target);
     if (!commentsFile) return {};
 
     const xml = await commentsFile.async('string');
@@ -1137,7 +1248,7 @@ async function parseComments(zip, sheetIndex) {
             const tNodes = findNodes(textNode, 't');
             const commentText = tNodes.map(t => getTextContent(t)).join('');
             if (commentText) {
-                comments[ref] = commentText;
+                comments[ref] = decodeHTMLEntities(commentText);
             }
         }
     });
@@ -1145,20 +1256,593 @@ async function parseComments(zip, sheetIndex) {
     return comments;
 }
 
+// Parse the Excel tables (ListObjects) of a worksheet from its tableParts
+async function parseTables(zip, sheetParsed, sheetRelationships) {
+    const tables = [];
+
+    for (const tablePart of findNodes(sheetParsed, 'tablePart')) {
+        const rel = sheetRelationships[parseAttributes(tablePart)['r:id']];
+        if (!rel) continue;
+
+        const file = zip.file(rel.target);
+        if (!file) continue;
+
+        const parsed = parser(await file.async('string'));
+        const tableNode = findNodes(parsed, 'table')[0];
+        if (!tableNode) continue;
+
+        const attrs = parseAttributes(tableNode);
+        const table = {
+            name: decodeHTMLEntities(attrs.displayName || attrs.name || ''),
+            ref: attrs.ref,
+            headerRow: attrs.headerRowCount !== '0',
+            totalsRow: parseInt(attrs.totalsRowCount || 0) > 0,
+            columns: []
+        };
+
+        findNodes(tableNode, 'tableColumn').forEach(columnNode => {
+            const columnAttrs = parseAttributes(columnNode);
+            const column = {
+                name: decodeHTMLEntities(columnAttrs.name || '')
+            };
+
+            // Calculated column formula, applied to every row of the column
+            const formulaNode = findNodes(columnNode, 'calculatedColumnFormula')[0];
+            if (formulaNode) {
+                column.formula = cleanFormula(getTextContent(formulaNode));
+            }
+
+            // Totals row: function (sum, average, custom...), custom formula or label
+            if (columnAttrs.totalsRowFunction) {
+                column.totalsRowFunction = columnAttrs.totalsRowFunction;
+            }
+            const totalsFormulaNode = findNodes(columnNode, 'totalsRowFormula')[0];
+            if (totalsFormulaNode) {
+                column.totalsRowFormula = cleanFormula(getTextContent(totalsFormulaNode));
+            }
+            if (columnAttrs.totalsRowLabel) {
+                column.totalsRowLabel = decodeHTMLEntities(columnAttrs.totalsRowLabel);
+            }
+
+            table.columns.push(column);
+        });
+
+        const styleNode = findNodes(tableNode, 'tableStyleInfo')[0];
+        if (styleNode) {
+            const styleAttrs = parseAttributes(styleNode);
+            table.style = {
+                name: styleAttrs.name || null,
+                showFirstColumn: styleAttrs.showFirstColumn === '1',
+                showLastColumn: styleAttrs.showLastColumn === '1',
+                showRowStripes: styleAttrs.showRowStripes === '1',
+                showColumnStripes: styleAttrs.showColumnStripes === '1'
+            };
+        }
+
+        tables.push(table);
+    }
+
+    return tables;
+}
+
+// Read a pivot cache value node (n, s, b, d, e or m) as a cell value
+function parsePivotValue(node, options) {
+    const value = parseAttributes(node).v;
+
+    switch (node.type) {
+        case 'n':
+            return parseFloat(value);
+        case 'b':
+            return value === '1' || value === 'true';
+        case 'd': {
+            const date = parseISODate(value);
+            return date ? convertDateSerial(dateToExcelSerial(date, options.date1904), options.dates, options.date1904) : value;
+        }
+        case 'm':
+            return null;
+        default:
+            return decodeHTMLEntities(value || '');
+    }
+}
+
+const pivotValueTypes = ['n', 's', 'b', 'd', 'e', 'm'];
+
+// Parse a pivot cache definition and its records
+async function parsePivotCache(zip, cachePath, options) {
+    const file = zip.file(cachePath);
+    if (!file) return null;
+
+    const parsed = parser(await file.async('string'));
+    const definition = findNodes(parsed, 'pivotCacheDefinition')[0];
+    if (!definition) return null;
+
+    const cache = {
+        source: null,
+        fields: [],
+        records: []
+    };
+
+    // Source: a worksheet range or a named range / table
+    const sourceNode = findNodes(definition, 'worksheetSource')[0];
+    if (sourceNode) {
+        const attrs = parseAttributes(sourceNode);
+        if (attrs.name) {
+            cache.source = { name: decodeHTMLEntities(attrs.name) };
+        } else {
+            cache.source = {
+                sheet: attrs.sheet ? decodeHTMLEntities(attrs.sheet) : null,
+                ref: attrs.ref || null
+            };
+        }
+    }
+
+    findNodes(definition, 'cacheField').forEach(fieldNode => {
+        const attrs = parseAttributes(fieldNode);
+        const field = {
+            name: decodeHTMLEntities(attrs.name || '')
+        };
+
+        const sharedItems = findNodes(fieldNode, 'sharedItems')[0];
+        if (sharedItems && sharedItems.children) {
+            const items = sharedItems.children.filter(node => pivotValueTypes.includes(node.type));
+            if (items.length > 0) {
+                field.items = items.map(node => parsePivotValue(node, options));
+            }
+        }
+
+        const formula = attrs.formula;
+        if (formula) {
+            field.formula = cleanFormula(decodeHTMLEntities(formula));
+        }
+
+        cache.fields.push(field);
+    });
+
+    // Records, where x points to a shared item of the field
+    const relationships = await parseRelationships(zip, cachePath);
+    const recordsRel = findRelationship(relationships, 'pivotCacheRecords');
+    const recordsFile = recordsRel ? zip.file(recordsRel.target) : null;
+    if (recordsFile) {
+        const records = parser(await recordsFile.async('string'));
+        findNodes(records, 'r').forEach(recordNode => {
+            const record = [];
+            (recordNode.children || []).forEach(node => {
+                const index = record.length;
+                if (node.type === 'x') {
+                    const items = cache.fields[index] && cache.fields[index].items;
+                    const item = parseInt(parseAttributes(node).v || 0);
+                    record.push(items && items[item] !== undefined ? items[item] : null);
+                } else if (pivotValueTypes.includes(node.type)) {
+                    record.push(parsePivotValue(node, options));
+                }
+            });
+            cache.records.push(record);
+        });
+    }
+
+    return cache;
+}
+
+// Parse the pivot tables of a worksheet with their cache (source, fields and records), the caches already
+// parsed for other pivot tables are in options.pivotCaches by cacheId
+async function parsePivotTables(zip, sheetRelationships, styles, options) {
+    const pivotTables = [];
+    const caches = options.pivotCaches || {};
+
+    for (const rel of Object.values(sheetRelationships)) {
+        if (rel.type !== 'pivotTable' || rel.external) continue;
+
+        const file = zip.file(rel.target);
+        if (!file) continue;
+
+        const parsed = parser(await file.async('string'));
+        const definition = findNodes(parsed, 'pivotTableDefinition')[0];
+        if (!definition) continue;
+
+        const attrs = parseAttributes(definition);
+        const relationships = await parseRelationships(zip, rel.target);
+        const cacheRel = findRelationship(relationships, 'pivotCacheDefinition');
+
+        // Pivot tables of the same source share their cache
+        let cache = null;
+        if (cacheRel) {
+            const cacheId = attrs.cacheId !== undefined ? attrs.cacheId : cacheRel.target;
+            if (!(cacheId in caches)) {
+                caches[cacheId] = await parsePivotCache(zip, cacheRel.target, options);
+            }
+            cache = caches[cacheId];
+        }
+        const fields = cache ? cache.fields : [];
+
+        const location = findNodes(definition, 'location')[0];
+
+        // Field index to name
+        const fieldName = function(index) {
+            const field = fields[parseInt(index)];
+            return field ? field.name : null;
+        };
+
+        const axisFields = function(name) {
+            const container = findNodes(definition, name)[0];
+            if (!container) return [];
+            // -2 is the "Values" pseudo field
+            return findNodes(container, 'field')
+                .map(node => parseAttributes(node).x)
+                .filter(x => x !== '-2')
+                .map(fieldName)
+                .filter(Boolean);
+        };
+
+        // Pivot field items point to the shared items of the cache field
+        const pivotFields = findNodes(definition, 'pivotField').map(node => {
+            const items = findNodes(node, 'item').map(item => parseAttributes(item));
+            return items.filter(item => item.x !== undefined);
+        });
+
+        const pivotTable = {
+            name: decodeHTMLEntities(attrs.name || ''),
+            ref: location ? parseAttributes(location).ref : null,
+            source: cache ? cache.source : null,
+            rowFields: axisFields('rowFields'),
+            columnFields: axisFields('colFields'),
+            pageFields: [],
+            dataFields: [],
+            fields: fields.map((field, index) => {
+                const result = { name: field.name };
+                if (field.items) {
+                    result.items = field.items;
+                }
+                if (field.formula) {
+                    result.formula = field.formula;
+                }
+                // Items filtered out of the pivot table
+                const hidden = (pivotFields[index] || []).filter(item => item.h === '1');
+                if (hidden.length > 0 && field.items) {
+                    result.hiddenItems = hidden.map(item => field.items[parseInt(item.x)]);
+                }
+                return result;
+            }),
+            records: cache ? cache.records : []
+        };
+
+        findNodes(definition, 'pageField').forEach(node => {
+            const pageAttrs = parseAttributes(node);
+            const index = parseInt(pageAttrs.fld);
+            const pageField = {
+                field: fieldName(index),
+                item: null
+            };
+            // Selected item, or all items when absent
+            if (pageAttrs.item !== undefined) {
+                const item = (pivotFields[index] || [])[parseInt(pageAttrs.item)];
+                const items = fields[index] && fields[index].items;
+                if (item && items) {
+                    pageField.item = items[parseInt(item.x)];
+                }
+            }
+            pivotTable.pageFields.push(pageField);
+        });
+
+        findNodes(definition, 'dataField').forEach(node => {
+            const dataAttrs = parseAttributes(node);
+            const dataField = {
+                name: decodeHTMLEntities(dataAttrs.name || ''),
+                field: fieldName(dataAttrs.fld),
+                subtotal: dataAttrs.subtotal || 'sum'
+            };
+            if (dataAttrs.showDataAs) {
+                dataField.showDataAs = dataAttrs.showDataAs;
+            }
+            const formatCode = getFormatCode(dataAttrs, styles);
+            if (formatCode) {
+                dataField.format = formatCode;
+            }
+            pivotTable.dataFields.push(dataField);
+        });
+
+        pivotTables.push(pivotTable);
+    }
+
+    return pivotTables;
+}
+
+// Filter values are stored as text, numbers are returned as numbers
+function parseFilterValue(value) {
+    value = decodeHTMLEntities(value || '');
+    return value.trim() !== '' && !isNaN(value) ? parseFloat(value) : value;
+}
+
+// Convert an ARGB color of a differential format to #RRGGBB
+function dxfColor(color) {
+    return color && /^[0-9A-F]{8}$/i.test(color) ? '#' + color.substring(2) : null;
+}
+
+// Parse the sort state of a worksheet or AutoFilter
+function parseSortState(sortNode) {
+    const attrs = parseAttributes(sortNode);
+    const sort = {
+        ref: attrs.ref || null,
+        keys: []
+    };
+
+    if (attrs.caseSensitive === '1') {
+        sort.caseSensitive = true;
+    }
+
+    findNodes(sortNode, 'sortCondition').forEach(node => {
+        const conditionAttrs = parseAttributes(node);
+        if (!conditionAttrs.ref) return;
+
+        const key = {
+            column: getCoordsFromRange(conditionAttrs.ref)[0],
+            descending: conditionAttrs.descending === '1'
+        };
+        if (conditionAttrs.sortBy && conditionAttrs.sortBy !== 'value') {
+            key.sortBy = conditionAttrs.sortBy;
+        }
+        if (conditionAttrs.customList) {
+            key.customList = decodeHTMLEntities(conditionAttrs.customList).split(',');
+        }
+        sort.keys.push(key);
+    });
+
+    return sort;
+}
+
+// Parse the AutoFilter of a worksheet: range, criteria per column and sort keys
+function parseFilters(sheetParsed, styles) {
+    const worksheetNode = findNodes(sheetParsed, 'worksheet')[0];
+    const children = worksheetNode && worksheetNode.children || [];
+    const autoFilter = children.find(node => node.type === 'autoFilter');
+    const sortState = children.find(node => node.type === 'sortState') ||
+        (autoFilter ? findNodes(autoFilter, 'sortState')[0] : null);
+
+    if (!autoFilter && !sortState) return null;
+
+    const filters = {
+        ref: autoFilter ? parseAttributes(autoFilter).ref || null : null,
+        columns: []
+    };
+
+    const firstColumn = filters.ref ? getCoordsFromRange(filters.ref)[0] : 0;
+
+    (autoFilter ? findNodes(autoFilter, 'filterColumn') : []).forEach(columnNode => {
+        const column = firstColumn + parseInt(parseAttributes(columnNode).colId || 0);
+
+        for (const node of columnNode.children || []) {
+            const attrs = parseAttributes(node);
+
+            if (node.type === 'filters') {
+                // List of selected values, dates grouped by year, month, day...
+                const criteria = {
+                    column: column,
+                    type: 'values',
+                    values: findNodes(node, 'filter').map(filter => parseFilterValue(parseAttributes(filter).val))
+                };
+                if (attrs.blank === '1') {
+                    criteria.blank = true;
+                }
+                const dates = findNodes(node, 'dateGroupItem').map(item => {
+                    const itemAttrs = parseAttributes(item);
+                    const date = { grouping: itemAttrs.dateTimeGrouping };
+                    ['year', 'month', 'day', 'hour', 'minute', 'second'].forEach(unit => {
+                        if (itemAttrs[unit] !== undefined) {
+                            date[unit] = parseInt(itemAttrs[unit]);
+                        }
+                    });
+                    return date;
+                });
+                if (dates.length > 0) {
+                    criteria.dates = dates;
+                }
+                filters.columns.push(criteria);
+            } else if (node.type === 'customFilters') {
+                filters.columns.push({
+                    column: column,
+                    type: 'custom',
+                    and: attrs.and === '1',
+                    criteria: findNodes(node, 'customFilter').map(filter => {
+                        const filterAttrs = parseAttributes(filter);
+                        return {
+                            operator: filterAttrs.operator || 'equal',
+                            value: parseFilterValue(filterAttrs.val)
+                        };
+                    })
+                });
+            } else if (node.type === 'top10') {
+                filters.columns.push({
+                    column: column,
+                    type: 'top10',
+                    top: attrs.top !== '0',
+                    percent: attrs.percent === '1',
+                    value: parseFloat(attrs.val)
+                });
+            } else if (node.type === 'colorFilter') {
+                // Cell (fill) color by default, font color when cellColor is 0
+                const cellColor = attrs.cellColor !== '0';
+                const dxf = styles.dxfs && styles.dxfs[parseInt(attrs.dxfId)];
+                filters.columns.push({
+                    column: column,
+                    type: 'color',
+                    cellColor: cellColor,
+                    color: dxf ? dxfColor(cellColor ? dxf.bgColor : dxf.fontColor) : null
+                });
+            } else if (node.type === 'dynamicFilter') {
+                filters.columns.push({
+                    column: column,
+                    type: 'dynamic',
+                    rule: attrs.type
+                });
+            }
+        }
+    });
+
+    if (sortState) {
+        filters.sort = parseSortState(sortState);
+    }
+
+    return filters;
+}
+
+// Read a bracketed structured reference starting at position, ' escapes the next character
+function readBrackets(formula, position) {
+    let depth = 0;
+    for (let i = position; i < formula.length; i++) {
+        const c = formula[i];
+        if (c === "'") {
+            i++;
+        } else if (c === '[') {
+            depth++;
+        } else if (c === ']') {
+            depth--;
+            if (depth === 0) return formula.substring(position, i + 1);
+        }
+    }
+    return null;
+}
+
+// Resolve a structured reference specifier (the part between the outer brackets) to an A1 range
+function resolveSpecifier(specifier, table, context) {
+    const unescape = (text) => text.replace(/'(.)/g, '$1').trim();
+    const items = [];
+    let thisRow = false;
+
+    if (specifier[0] === '@') {
+        thisRow = true;
+        specifier = specifier.substring(1);
+    }
+
+    // Split into items: [#Headers],[Col1]:[Col2] or a single name
+    if (specifier[0] === '[') {
+        let i = 0;
+        while (i < specifier.length) {
+            if (specifier[i] === '[') {
+                const item = readBrackets(specifier, i);
+                if (!item) return null;
+                items.push(unescape(item.slice(1, -1)));
+                i += item.length;
+            } else if (specifier[i] === ':') {
+                items.push(':');
+                i++;
+            } else {
+                i++;
+            }
+        }
+    } else if (specifier) {
+        items.push(unescape(specifier));
+    }
+
+    const coords = getCoordsFromRange(table.ref);
+    const [x1, y1, x2, y2] = coords;
+    const dataStart = y1 + (table.headerRow ? 1 : 0);
+    const dataEnd = y2 - (table.totalsRow ? 1 : 0);
+
+    const sections = [];
+    const columns = [];
+    items.forEach((item, i) => {
+        if (item[0] === '#') {
+            sections.push(item.toLowerCase());
+        } else if (item !== ':') {
+            const index = table.columns.findIndex(c => c.name.toLowerCase() === item.toLowerCase());
+            columns.push({ index, range: items[i - 1] === ':' });
+        }
+    });
+
+    if (columns.some(c => c.index === -1)) return null;
+
+    // Rows
+    let top = dataStart;
+    let bottom = dataEnd;
+    if (thisRow || sections.includes('#this row')) {
+        if (!context || context.row === undefined) return null;
+        top = bottom = context.row;
+    } else if (sections.includes('#all')) {
+        top = y1;
+        bottom = y2;
+    } else if (sections.length) {
+        top = sections.includes('#headers') ? y1 : (sections.includes('#data') ? dataStart : y2);
+        bottom = sections.includes('#totals') ? y2 : (sections.includes('#data') ? dataEnd : y1);
+    }
+
+    // Columns
+    let left = x1;
+    let right = x2;
+    if (columns.length) {
+        left = x1 + columns[0].index;
+        right = x1 + columns[columns.length - 1].index;
+    }
+
+    const start = getCellNameFromCoords(left, top);
+    const end = getCellNameFromCoords(right, bottom);
+    const range = start === end ? start : start + ':' + end;
+
+    return table.sheet !== context.sheet ? quoteSheetName(table.sheet) + '!' + range : range;
+}
+
+// Replace structured references (Table1[Amount], Table1[@Amount], [@Amount]) with A1 ranges.
+// References that can not be resolved are kept as they are.
+function resolveStructuredReferences(formula, tables, context = {}) {
+    if (!formula || formula.indexOf('[') === -1) return formula;
+
+    // Table that contains the cell, for unqualified references
+    const owner = context.row === undefined ? null : tables.find(t => {
+        if (t.sheet !== context.sheet) return false;
+        const [x1, y1, x2, y2] = getCoordsFromRange(t.ref);
+        return context.col >= x1 && context.col <= x2 && context.row >= y1 && context.row <= y2;
+    });
+
+    let output = '';
+    let i = 0;
+    while (i < formula.length) {
+        const c = formula[i];
+
+        // String literals
+        if (c === '"') {
+            const end = formula.indexOf('"', i + 1);
+            const next = end === -1 ? formula.length : end + 1;
+            output += formula.substring(i, next);
+            i = next;
+            continue;
+        }
+
+        if (c === '[') {
+            const brackets = readBrackets(formula, i);
+            if (brackets) {
+                // Table name right before the bracket
+                const name = output.match(/([A-Za-z_\\][A-Za-z0-9_.\\]*)$/);
+                const table = name ? tables.find(t => t.name.toLowerCase() === name[1].toLowerCase()) : owner;
+                const range = table ? resolveSpecifier(brackets.slice(1, -1), table, context) : null;
+
+                if (range) {
+                    if (name && table) {
+                        // The range carries its own sheet name
+                        output = output.substring(0, output.length - name[1].length).replace(/('(?:[^']|'')+'|[A-Za-z0-9_.]+)!$/, '');
+                    }
+                    output += range;
+                    i += brackets.length;
+                    continue;
+                }
+
+                output += brackets;
+                i += brackets.length;
+                continue;
+            }
+        }
+
+        output += c;
+        i++;
+    }
+
+    return output;
+}
+
 // Parse hyperlinks for a worksheet
-async function parseHyperlinks(zip, sheetIndex, sheetParsed) {
+function parseHyperlinks(sheetParsed, sheetRelationships) {
     const hyperlinksNode = findNodes(sheetParsed, 'hyperlinks')[0];
     if (!hyperlinksNode) return {};
 
     const hyperlinks = {};
 
-    // Load worksheet relationships to resolve hyperlink targets
-    const relsFile = zip.file(`xl/worksheets/_rels/sheet${sheetIndex}.xml.rels`);
-    if (!relsFile) return {};
-
-    const relsXml = await relsFile.async('string');
-    const relsParsed = parser(relsXml);
-
     // Get all hyperlink elements
     const hyperlinkNodes = findNodes(hyperlinksNode, 'hyperlink');
 
@@ -1168,24 +1852,17 @@ async function parseHyperlinks(zip, sheetIndex, sheetParsed) {
         const rId = attrs['r:id']; // Relationship ID
 
         if (ref && rId) {
-            // Find the relationship to get the actual URL
-            const relationships = findNodes(relsParsed, 'Relationship');
-            for (const rel of relationships) {
-                const relAttrs = parseAttributes(rel);
-                if (relAttrs.Id === rId) {
-                    const target = relAttrs.Target;
-                    if (target) {
-                        hyperlinks[ref] = {
-                            url: target
-                        };
-                    }
-                    break;
-                }
+            // Resolve the URL through the worksheet relationships
+            const rel = sheetRelationships[rId];
+            if (rel) {
+                hyperlinks[ref] = {
+                    url: rel.target
+                };
             }
         } else if (ref && attrs.location) {
             // Internal link (location attribute instead of r:id)
             hyperlinks[ref] = {
-                url: attrs.location
+                url: decodeHTMLEntities(attrs.location)
             };
         }
     });
@@ -1194,13 +1871,36 @@ async function parseHyperlinks(zip, sheetIndex, sheetParsed) {
 }
 
 // Parse worksheet
-async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles) {
+// Get the number format code of a cell format, built-in formats are not listed in styles.xml
+function getFormatCode(xf, styles) {
+    if (!xf || !xf.numFmtId) return null;
+
+    const numFmtId = parseInt(xf.numFmtId);
+    const formatCode = styles.numFmts[numFmtId] !== undefined ? styles.numFmts[numFmtId] : numberFormats[numFmtId];
+
+    // General is the default
+    if (!formatCode || formatCode === 'General') return null;
+
+    return decodeHTMLEntities(formatCode);
+}
+
+// Check if a cell format displays its number as a date
+function isDateCell(xf, styles) {
+    if (!xf || !xf.numFmtId) return false;
+
+    return isDateFormat(xf.numFmtId, getFormatCode(xf, styles));
+}
+
+async function parseWorksheet(zip, sheetPath, sharedStrings, styles, options = {}) {
     const file = zip.file(sheetPath);
     if (!file) return null;
 
     const xml = await file.async('string');
     const parsed = parser(xml);
 
+    // Comments, hyperlinks and drawings are resolved through the worksheet relationships
+    const relationships = await parseRelationships(zip, sheetPath);
+
     const result = {
         data: [],
         columns: [],
@@ -1263,6 +1963,13 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
             if (hidden) {
                 column.visible = false;
             }
+            // Outline (grouping) level and collapsed group
+            if (parseInt(attrs.outlineLevel) > 0) {
+                column.level = parseInt(attrs.outlineLevel);
+            }
+            if (attrs.collapsed === '1') {
+                column.collapsed = true;
+            }
             result.columns[c] = column;
         }
     });
@@ -1279,6 +1986,12 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
         if (attrs.hidden === '1') {
             rowProps.visible = false;
         }
+        if (parseInt(attrs.outlineLevel) > 0) {
+            rowProps.level = parseInt(attrs.outlineLevel);
+        }
+        if (attrs.collapsed === '1') {
+            rowProps.collapsed = true;
+        }
         result.rows[rowNum] = rowProps;
 
         if (rowNum > maxRow) maxRow = rowNum;
@@ -1317,9 +2030,20 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
                 } else if (cellType === 'str') {
                     // String formula result
                     value = rawValue;
+                } else if (cellType === 'd') {
+                    // ISO 8601 date
+                    const date = parseISODate(rawValue);
+                    value = date ? convertDateSerial(dateToExcelSerial(date, options.date1904), options.dates, options.date1904) : rawValue;
                 } else {
-                    // Number
-                    value = parseFloat(rawValue) || rawValue;
+                    // Number, or a date serial when the number format displays a date
+                    const number = parseFloat(rawValue);
+                    if (isNaN(number)) {
+                        value = rawValue;
+                    } else if (styleIdx && isDateCell(styles.cellXfs[parseInt(styleIdx)], styles)) {
+                        value = convertDateSerial(number, options.dates, options.date1904);
+                    } else {
+                        value = number;
+                    }
                 }
             }
 
@@ -1352,57 +2076,9 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
                     const cellProps = {};
 
                     // Extract number format
-                    if (xf.numFmtId) {
-                        const numFmtId = parseInt(xf.numFmtId);
-                        let formatCode = null;
-
-                        // Check for custom format in styles.numFmts
-                        if (styles.numFmts[numFmtId]) {
-                            formatCode = styles.numFmts[numFmtId];
-                        } else {
-                            // Built-in Excel number formats
-                            const builtInFormats = {
-                                1: '0',
-                                2: '0.00',
-                                3: '#,##0',
-                                4: '#,##0.00',
-                                9: '0%',
-                                10: '0.00%',
-                                11: '0.00E+00',
-                                12: '# ?/?',
-                                13: '# ??/??',
-                                14: 'mm-dd-yy',
-                                15: 'd-mmm-yy',
-                                16: 'd-mmm',
-                                17: 'mmm-yy',
-                                18: 'h:mm AM/PM',
-                                19: 'h:mm:ss AM/PM',
-                                20: 'h:mm',
-                                21: 'h:mm:ss',
-                                22: 'm/d/yy h:mm',
-                                37: '#,##0 ;(#,##0)',
-                                38: '#,##0 ;[Red](#,##0)',
-                                39: '#,##0.00;(#,##0.00)',
-                                40: '#,##0.00;[Red](#,##0.00)',
-                                45: 'mm:ss',
-                                46: '[h]:mm:ss',
-                                47: 'mmss.0',
-                                48: '##0.0E+0',
-                                49: '@',
-                            };
-                            formatCode = builtInFormats[numFmtId];
-                        }
-
-                        if (formatCode) {
-                            // Decode HTML entities in format code
-                            formatCode = formatCode
-                                .replace(/&amp;/g, '&')
-                                .replace(/&lt;/g, '<')
-                                .replace(/&gt;/g, '>')
-                                .replace(/&quot;/g, '"')
-                                .replace(/&apos;/g, "'");
-                            cellProps.format = formatCode;
-                        }
+                    const formatCode = getFormatCode(xf, styles);
+                    if (formatCode) {
+                        cellProps.format = formatCode;
                     }
 
                     // Extract alignment
@@ -1421,6 +2097,12 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
                     }
                 }
             }
+
+            // Displayed text, rendered with the number format (formulas use the cached value)
+            if (options.text && value !== '') {
+                if (!result.cells[ref]) result.cells[ref] = {};
+                result.cells[ref].text = format(value, result.cells[ref].format, { date1904: options.date1904 });
+            }
         });
     });
 
@@ -1446,13 +2128,13 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
     });
 
     // Parse comments for this worksheet
-    const comments = await parseComments(zip, sheetIndex);
+    const comments = await parseComments(zip, relationships);
     if (Object.keys(comments).length > 0) {
         result.comments = comments;
     }
 
     // Parse hyperlinks for this worksheet
-    const hyperlinks = await parseHyperlinks(zip, sheetIndex, parsed);
+    const hyperlinks = parseHyperlinks(parsed, relationships);
     if (Object.keys(hyperlinks).length > 0) {
         // Merge hyperlinks into cells object
         Object.keys(hyperlinks).forEach(cellRef => {
@@ -1481,6 +2163,17 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
         }
     }
 
+    // Position of the summary rows and columns of the outline
+    const hasOutline = Object.values(result.rows).some(row => row.level) || result.columns.some(column => column && column.level);
+    if (hasOutline) {
+        const outlinePr = findNodes(parsed, 'outlinePr')[0];
+        const outlineAttrs = outlinePr ? parseAttributes(outlinePr) : {};
+        result.outline = {
+            summaryBelow: outlineAttrs.summaryBelow !== '0',
+            summaryRight: outlineAttrs.summaryRight !== '0'
+        };
+    }
+
     // Parse sheet protection
     const sheetProtectionNode = findNodes(parsed, 'sheetProtection')[0];
     if (sheetProtectionNode) {
@@ -1650,9 +2343,9 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
 
             // Error message as text
             if (attrs.error) {
-                validationObj.text = attrs.error;
+                validationObj.text = decodeHTMLEntities(attrs.error);
             } else if (attrs.errorTitle) {
-                validationObj.text = attrs.errorTitle;
+                validationObj.text = decodeHTMLEntities(attrs.errorTitle);
             }
 
             // Allow blank
@@ -1672,8 +2365,10 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
                     validationObj.dropdown = true;
                     // If formula is a simple list (e.g., "Item1,Item2,Item3")
                     if (formula1 && !formula1.includes('!') && !formula1.includes(':')) {
-                        // Split by comma and clean up quotes
-                        validationObj.value = formula1.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+                        // Split by comma and clean up quotes, quotes inside the list are doubled
+                        validationObj.value = /^".*"$/.test(formula1) ?
+                            formula1.slice(1, -1).replace(/""/g, '"').split(',').map(v => v.trim()) :
+                            formula1.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
                     } else {
                         // It's a range reference, keep as formula
                         validationObj.value = [formula1];
@@ -1754,7 +2449,7 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
                 cfObj.type = 'text';
                 cfObj.criteria = excelCFTextTypes[ruleType];
                 if (ruleAttrs.text) {
-                    cfObj.value = [ruleAttrs.text];
+                    cfObj.value = [decodeHTMLEntities(ruleAttrs.text)];
                 }
             }
             // Handle cellIs (numeric comparisons)
@@ -1862,8 +2557,26 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
         });
     });
 
+    // Parse the AutoFilter and sort state
+    const filters = parseFilters(parsed, styles);
+    if (filters) {
+        result.filters = filters;
+    }
+
+    // Parse Excel tables
+    const tables = await parseTables(zip, parsed, relationships);
+    if (tables.length > 0) {
+        result.tables = tables;
+    }
+
+    // Parse pivot tables
+    const pivotTables = await parsePivotTables(zip, relationships, styles, options);
+    if (pivotTables.length > 0) {
+        result.pivotTables = pivotTables;
+    }
+
     // Parse drawings/images for this worksheet
-    const media = await parseDrawings(zip, sheetIndex);
+    const media = await parseDrawings(zip, parsed, relationships);
     if (media.length > 0) {
         result.media = media;
     }
@@ -1896,26 +2609,43 @@ async function parseWorksheet(zip, sheetPath, sheetIndex, sharedStrings, styles)
 }
 
 // Parse workbook
-async function parseWorkbook(zip) {
-    const file = zip.file('xl/workbook.xml');
+async function parseWorkbook(zip, workbookPath, contentTypes) {
+    const file = zip.file(workbookPath);
     if (!file) throw new Error('workbook.xml not found');
 
     const xml = await file.async('string');
     const parsed = parser(xml);
 
+    // Sheets, shared strings and styles are resolved through the workbook relationships
+    const relationships = await parseRelationships(zip, workbookPath);
+
     const sheets = [];
     const sheetNodes = findNodes(parsed, 'sheet');
 
-    sheetNodes.forEach(sheet => {
+    sheetNodes.forEach((sheet, i) => {
         const attrs = parseAttributes(sheet);
+        const rel = relationships[attrs['r:id']];
+
+        // Without relationships, fall back to the sheetN.xml naming convention
+        const path = rel ? rel.target : resolvePartPath(workbookPath, `worksheets/sheet${i + 1}.xml`);
+
         sheets.push({
-            name: attrs.name,
+            name: decodeHTMLEntities(attrs.name || ''),
             sheetId: attrs.sheetId,
             id: attrs['r:id'],
-            state: attrs.state // hidden, veryHidden, or undefined for visible
+            state: attrs.state, // hidden, veryHidden, or undefined for visible
+            path: path,
+            kind: getSheetKind(getContentType(contentTypes, path), rel && rel.type)
         });
     });
 
+    // Serial numbers count days from 1904-01-01 instead of 1900-01-01
+    const workbookPr = findNodes(parsed, 'workbookPr')[0];
+    const date1904 = workbookPr ? ['1', 'true'].includes(parseAttributes(workbookPr).date1904) : false;
+
+    const sharedStringsRel = findRelationship(relationships, 'sharedStrings');
+    const stylesRel = findRelationship(relationships, 'styles');
+
     // Parse defined names (named ranges) - include ALL names
     const definedNames = {};
     const definedNameNodes = findNodes(parsed, 'definedName');
@@ -1929,7 +2659,79 @@ async function parseWorkbook(zip) {
         }
     });
 
-    return { sheets, definedNames };
+    return {
+        sheets,
+        definedNames,
+        date1904,
+        sharedStringsPath: sharedStringsRel ? sharedStringsRel.target : resolvePartPath(workbookPath, 'sharedStrings.xml'),
+        stylesPath: stylesRel ? stylesRel.target : resolvePartPath(workbookPath, 'styles.xml')
+    };
+}
+
+// Remove the borders shared by adjacent cells, then replace the CSS of each cell with its index in the global style array
+function indexWorksheetStyles(worksheet, globalStyles, styleMap) {
+    // Apply border deduplication to prevent double borders between adjacent cells
+    // Track cells that should NOT have top/left borders
+    const cellsWithoutTopBorder = new Set();
+    const cellsWithoutLeftBorder = new Set();
+
+    if (worksheet.style) {
+        Object.keys(worksheet.style).forEach(cellRef => {
+            const cssString = worksheet.style[cellRef];
+
+            // Check if this cell has border-right or border-bottom
+            if (cssString.includes('border-right:')) {
+                // Mark the cell to the right to not have border-left
+                const coords = cellRefToCoords(cellRef);
+                if (coords) {
+                    const rightCell = getCellNameFromCoords(coords.col + 1, coords.row);
+                    cellsWithoutLeftBorder.add(rightCell);
+                }
+            }
+            if (cssString.includes('border-bottom:')) {
+                // Mark the cell below to not have border-top
+                const coords = cellRefToCoords(cellRef);
+                if (coords) {
+                    const belowCell = getCellNameFromCoords(coords.col, coords.row + 1);
+                    cellsWithoutTopBorder.add(belowCell);
+                }
+            }
+        });
+
+        // Now remove duplicate borders
+        Object.keys(worksheet.style).forEach(cellRef => {
+            let cssString = worksheet.style[cellRef];
+
+            // Remove border-top if this cell should not have one
+            if (cellsWithoutTopBorder.has(cellRef)) {
+                cssString = cssString.replace(/border-top:\s*[^;]+;?\s*/g, '');
+            }
+
+            // Remove border-left if this cell should not have one
+            if (cellsWithoutLeftBorder.has(cellRef)) {
+                cssString = cssString.replace(/border-left:\s*[^;]+;?\s*/g, '');
+            }
+
+            worksheet.style[cellRef] = cssString;
+        });
+    }
+
+    // Convert worksheet styles from CSS strings to global style indices
+    const worksheetStyleIndices = {};
+    if (worksheet.style) {
+        Object.keys(worksheet.style).forEach(cellRef => {
+            const cssString = worksheet.style[cellRef];
+
+            // Get or create style index
+            if (!styleMap.has(cssString)) {
+                styleMap.set(cssString, globalStyles.length);
+                globalStyles.push(cssString);
+            }
+
+            worksheetStyleIndices[cellRef] = styleMap.get(cssString);
+        });
+        worksheet.style = worksheetStyleIndices;
+    }
 }
 
 // Main XLSX parser
@@ -1937,41 +2739,52 @@ async function parseWorkbook(zip) {
  * Parse XLSX file - works in both Browser and Node.js
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
+ * @param {string} [options.dates='iso'] - Date cells as 'iso' strings, 'date' objects or the raw 'serial' number
+ * @param {boolean} [options.text=false] - Add the displayed text of each cell to cells[A1].text
+ * @param {boolean} [options.resolveStructuredReferences=false] - Replace table references such as Table1[Amount] with A1 ranges
+ * @param {string} [options.password] - Password of an encrypted workbook
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseXLSX(input, options = {}) {
     return parse(async (inp) => {
-        // JSZip can handle File objects directly in browser, or buffers
-        let zipInput;
-        if (typeof File !== 'undefined' && inp instanceof File) {
-            zipInput = inp; // JSZip handles File objects directly
-        } else {
-            zipInput = await loadAsBuffer(inp);
-        }
+        const buffer = await loadAsBuffer(inp);
+
+        // Password protected workbooks are a CFB container with the encrypted package
+        const zipInput = isEncryptedPackage(buffer) ? decryptPackage(buffer, options.password) : buffer;
 
         const zip = await JSZip.loadAsync(zipInput);
 
+    // Locate the workbook through the package relationships
+    const contentTypes = await parseContentTypes(zip);
+    const workbookPath = await getWorkbookPath(zip, contentTypes);
+
+    // Parse workbook to get sheet names, defined names and the shared parts
+    const { sheets, definedNames, date1904, sharedStringsPath, stylesPath } = await parseWorkbook(zip, workbookPath, contentTypes);
+
     // Parse shared strings
-    const sharedStrings = await parseSharedStrings(zip);
+    const sharedStrings = await parseSharedStrings(zip, sharedStringsPath);
 
     // Parse styles
-    const styles = await parseStyles(zip);
-
-    // Parse workbook to get sheet names and defined names
-    const { sheets, definedNames } = await parseWorkbook(zip);
+    const styles = await parseStyles(zip, stylesPath);
 
     // Parse each worksheet
     const worksheets = [];
     const allValidations = []; // Collect validations (includes conditional formatting with action:'format')
     const globalStyles = []; // Global style array
     const styleMap = new Map(); // CSS string -> index
+    const pivotCaches = {}; // cacheId -> parsed pivot cache
 
     for (let i = 0; i < sheets.length; i++) {
         const sheet = sheets[i];
-        const sheetPath = `xl/worksheets/sheet${i + 1}.xml`;
-        const sheetData = await parseWorksheet(zip, sheetPath, i + 1, sharedStrings, styles);
+
+        // Chartsheets, dialog sheets and macro sheets have no cell data
+        if (sheet.kind !== 'worksheet') {
+            continue;
+        }
+
+        const sheetData = await parseWorksheet(zip, sheet.path, sharedStrings, styles, { dates: options.dates, text: options.text, date1904, pivotCaches });
 
         if (sheetData) {
             const worksheet = {
@@ -1979,68 +2792,7 @@ export async function parseXLSX(input, options = {}) {
                 ...sheetData
             };
 
-            // Apply border deduplication to prevent double borders between adjacent cells
-            // Track cells that should NOT have top/left borders
-            const cellsWithoutTopBorder = new Set();
-            const cellsWithoutLeftBorder = new Set();
-
-            if (worksheet.style) {
-                Object.keys(worksheet.style).forEach(cellRef => {
-                    const cssString = worksheet.style[cellRef];
-
-                    // Check if this cell has border-right or border-bottom
-                    if (cssString.includes('border-right:')) {
-                        // Mark the cell to the right to not have border-left
-                        const coords = cellRefToCoords(cellRef);
-                        if (coords) {
-                            const rightCell = getCellNameFromCoords(coords.col + 1, coords.row);
-                            cellsWithoutLeftBorder.add(rightCell);
-                        }
-                    }
-                    if (cssString.includes('border-bottom:')) {
-                        // Mark the cell below to not have border-top
-                        const coords = cellRefToCoords(cellRef);
-                        if (coords) {
-                            const belowCell = getCellNameFromCoords(coords.col, coords.row + 1);
-                            cellsWithoutTopBorder.add(belowCell);
-                        }
-                    }
-                });
-
-                // Now remove duplicate borders
-                Object.keys(worksheet.style).forEach(cellRef => {
-                    let cssString = worksheet.style[cellRef];
-
-                    // Remove border-top if this cell should not have one
-                    if (cellsWithoutTopBorder.has(cellRef)) {
-                        cssString = cssString.replace(/border-top:\s*[^;]+;?\s*/g, '');
-                    }
-
-                    // Remove border-left if this cell should not have one
-                    if (cellsWithoutLeftBorder.has(cellRef)) {
-                        cssString = cssString.replace(/border-left:\s*[^;]+;?\s*/g, '');
-                    }
-
-                    worksheet.style[cellRef] = cssString;
-                });
-            }
-
-            // Convert worksheet styles from CSS strings to global style indices
-            const worksheetStyleIndices = {};
-            if (worksheet.style) {
-                Object.keys(worksheet.style).forEach(cellRef => {
-                    const cssString = worksheet.style[cellRef];
-
-                    // Get or create style index
-                    if (!styleMap.has(cssString)) {
-                        styleMap.set(cssString, globalStyles.length);
-                        globalStyles.push(cssString);
-                    }
-
-                    worksheetStyleIndices[cellRef] = styleMap.get(cssString);
-                });
-                worksheet.style = worksheetStyleIndices;
-            }
+            indexWorksheetStyles(worksheet, globalStyles, styleMap);
 
             // Collect validations from this worksheet (includes conditional formatting)
             if (worksheet.validations) {
@@ -2064,6 +2816,32 @@ export async function parseXLSX(input, options = {}) {
         }
     }
 
+    // Replace structured references with A1 ranges, once the tables of all worksheets are known
+    if (options.resolveStructuredReferences) {
+        const tables = [];
+        worksheets.forEach(worksheet => {
+            (worksheet.tables || []).forEach(table => {
+                tables.push({ ...table, sheet: worksheet.worksheetName });
+            });
+        });
+
+        if (tables.length > 0) {
+            worksheets.forEach(worksheet => {
+                worksheet.data.forEach((row, y) => {
+                    row.forEach((value, x) => {
+                        if (typeof value === 'string' && value[0] === '=') {
+                            row[x] = resolveStructuredReferences(value, tables, { sheet: worksheet.worksheetName, row: y, col: x });
+                        }
+                    });
+                });
+            });
+
+            Object.keys(definedNames).forEach(name => {
+                definedNames[name] = resolveStructuredReferences(definedNames[name], tables);
+            });
+        }
+    }
+
     const result = { worksheets };
 
     // Add global style array if any styles exist
@@ -2084,3 +2862,17 @@ export async function parseXLSX(input, options = {}) {
     return result;
     }, input, options);
 }
+
+// Package, style and worksheet helpers shared with the XLSB parser
+export {
+    cleanFormula,
+    parseRelationships,
+    findRelationship,
+    parseContentTypes,
+    getContentType,
+    getSheetKind,
+    styleToCSS,
+    getFormatCode,
+    isDateCell,
+    indexWorksheetStyles
+};
@@ -1,4 +1,4 @@
-import { loadAsString, parse } from '../utils/loader.js';
+import { loadAsText, parse } from '../utils/loader.js';
 import { parser } from '@lemonadejs/html-to-json';
 import { getColumnName, getCellNameFromCoords, convertR1C1toA1, getProp, getChildren, getTextContent } from '../utils/helpers.js';
 
@@ -851,13 +851,14 @@ export function parseXMLSpreadsheetString(fileContent) {
  * Parse XML Spreadsheet file - works in both Browser and Node.js
  * @param {string|File|Uint8Array} input - File path (Node.js), File object (Browser), or buffer
  * @param {Object} options - Parser options
+ * @param {string} options.encoding - Character encoding (default: detected)
  * @param {Function} options.onload - Callback when parsing completes
  * @param {Function} options.onerror - Callback when parsing fails
  * @returns {Promise<object>} Jspreadsheet Pro format
  */
 export async function parseXMLSpreadsheet(input, options = {}) {
     return parse(async (inp) => {
-        const content = await loadAsString(inp);
+        const content = await loadAsText(inp, { encoding: options.encoding, type: 'xml' });
         return parseXMLSpreadsheetString(content);
     }, input, options);
 }
@@ -0,0 +1,367 @@
+/**
+ * Workbooks of Excel 2.x to Excel 95 (BIFF2, BIFF3, BIFF4 and BIFF5)
+ *
+ * The records of the older versions are converted to their BIFF8 layout, so the
+ * XLS parser reads every version the same way. Older versions store strings as
+ * bytes in the CODEPAGE of the file, they are converted to 16-bit characters.
+ * Formula tokens are kept as they are, the formula decoder reads them by version.
+ */
+
+import { readUInt16LE, readUInt32LE } from './helpers.js';
+
+// BOF record of each version, BIFF5 and BIFF8 share 0x0809 with a different version field
+const BOF_VERSIONS = { 0x0009: 2, 0x0209: 3, 0x0409: 4 };
+
+// Windows code pages of the CODEPAGE record and their TextDecoder labels
+const CODEPAGES = {
+    437: 'ibm866',
+    866: 'ibm866',
+    874: 'windows-874',
+    932: 'shift_jis',
+    936: 'gbk',
+    949: 'euc-kr',
+    950: 'big5',
+    1250: 'windows-1250',
+    1251: 'windows-1251',
+    1252: 'windows-1252',
+    1253: 'windows-1253',
+    1254: 'windows-1254',
+    1255: 'windows-1255',
+    1256: 'windows-1256',
+    1257: 'windows-1257',
+    1258: 'windows-1258',
+    10000: 'macintosh',
+    32768: 'macintosh',
+    32769: 'windows-1252',
+    65001: 'utf-8'
+};
+
+const CODEPAGE = 0x0042;
+const IXFE = 0x0044;
+
+const uint16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+const uint32 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+
+const float64 = (value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value, true);
+    return Array.from(bytes);
+};
+
+// Characters of a BIFF8 string: flags byte 0x01 followed by 16-bit characters
+const unicode = (text) => {
+    const bytes = [0x01];
+    for (let i = 0; i < text.length; i++) {
+        bytes.push(...uint16(text.charCodeAt(i)));
+    }
+    return bytes;
+};
+
+/**
+ * BIFF version of a workbook stream from its first BOF record
+ * @param {Array<{type: number, data: Uint8Array}>} records - Records of the stream
+ * @returns {number} 2, 3, 4, 5 or 8
+ */
+export function getBIFFVersion(records) {
+    const bof = records[0];
+    if (!bof) {
+        return 8;
+    }
+    if (BOF_VERSIONS[bof.type]) {
+        return BOF_VERSIONS[bof.type];
+    }
+    return bof.type === 0x0809 && readUInt16LE(bof.data, 0) === 0x0500 ? 5 : 8;
+}
+
+// Decoder of the byte strings in the code page of the workbook
+function createDecoder(records) {
+    const record = records.find(r => r.type === CODEPAGE);
+    const label = CODEPAGES[record ? readUInt16LE(record.data, 0) : 1252] || 'windows-1252';
+
+    let decoder;
+    try {
+        decoder = new TextDecoder(label);
+    } catch (e) {
+        decoder = new TextDecoder('latin1');
+    }
+
+    return (data, start, length) => decoder.decode(data.subarray(start, start + length));
+}
+
+// BIFF8 XF record (20 bytes)
+function createXF({ font, format, horizontal = 0, vertical = 2, wrap = false, borders = {}, pattern = 0, fore = 64, back = 65 }) {
+    const align = horizontal | (wrap ? 0x08 : 0) | (vertical << 4);
+    const lines = (borders.left || 0) | ((borders.right || 0) << 4) | ((borders.top || 0) << 8) | ((borders.bottom || 0) << 12);
+
+    return [
+        ...uint16(font), ...uint16(format), ...uint16(0), align, 0, 0, 0,
+        ...uint32(lines), ...uint32(pattern << 26), ...uint16(fore | (back << 7))
+    ];
+}
+
+// BIFF8 XF from the XF of an older version
+function convertXF(type, data) {
+    // BIFF2: font, format in 6 bits, alignment and one bit for each thin border
+    if (type === 0x0043) {
+        return createXF({
+            font: data[0],
+            format: data[2] & 0x3F,
+            horizontal: data[3] & 0x07,
+            borders: {
+                left: (data[3] & 0x08) ? 1 : 0,
+                right: (data[3] & 0x10) ? 1 : 0,
+                top: (data[3] & 0x20) ? 1 : 0,
+                bottom: (data[3] & 0x40) ? 1 : 0
+            }
+        });
+    }
+
+    // BIFF5: 16-bit font and format, the bottom border is stored with the fill
+    if (type === 0x00E0) {
+        const fill = readUInt32LE(data, 8);
+        const border = readUInt32LE(data, 12);
+        return createXF({
+            font: readUInt16LE(data, 0),
+            format: readUInt16LE(data, 2),
+            horizontal: data[6] & 0x07,
+            wrap: (data[6] & 0x08) !== 0,
+            vertical: (data[6] >> 4) & 0x07,
+            borders: {
+                top: border & 0x07,
+                left: (border >> 3) & 0x07,
+                right: (border >> 6) & 0x07,
+                bottom: (fill >> 22) & 0x07
+            },
+            pattern: (fill >> 16) & 0x3F,
+            fore: fill & 0x7F,
+            back: (fill >> 7) & 0x7F
+        });
+    }
+
+    // BIFF3 and BIFF4: 8-bit font and format, BIFF4 adds the vertical alignment
+    const background = readUInt16LE(data, 6);
+    const border = readUInt32LE(data, 8);
+    const align = type === 0x0443 ? data[4] : readUInt16LE(data, 4);
+    return createXF({
+        font: data[0],
+        format: data[1],
+        horizontal: align & 0x07,
+        wrap: (align & 0x08) !== 0,
+        vertical: type === 0x0443 ? (align >> 4) & 0x03 : 2,
+        borders: {
+            top: border & 0x07,
+            left: (border >> 8) & 0x07,
+            bottom: (border >> 16) & 0x07,
+            right: (border >> 24) & 0x07
+        },
+        pattern: background & 0x3F,
+        fore: (background >> 6) & 0x1F,
+        back: (background >> 11) & 0x1F
+    });
+}
+
+// BIFF8 NAME: options, shortcut, name length, formula length, sheet and the unused lengths
+function createName(options, key, name, formula, sheet = 0) {
+    return [
+        ...uint16(options), key, name.length, ...uint16(formula.length), ...uint16(0), ...uint16(sheet), 0, 0, 0, 0,
+        ...unicode(name), ...formula
+    ];
+}
+
+/**
+ * Convert the records of a BIFF2 to BIFF5 workbook stream to the BIFF8 layout
+ * @param {Array<{type: number, length: number, offset: number, data: Uint8Array}>} records - Records of the stream
+ * @param {number} version - BIFF version of the stream (see getBIFFVersion)
+ * @returns {Array<{type: number, length: number, offset: number, data: Uint8Array}>} Converted records
+ */
+export function upgradeRecords(records, version) {
+    const decode = createDecoder(records);
+
+    // BIFF2 cells take the XF index from the preceding IXFE record when it does not fit in 6 bits
+    let ixfe = 0;
+    const cellXF = (data) => (data[4] & 0x3F) === 0x3F ? ixfe : data[4] & 0x3F;
+
+    // Format indexes are implicit before BIFF5
+    let formatIndex = 0;
+
+    const convert = (type, data) => {
+        switch (type) {
+            // BOF
+            case 0x0009:
+            case 0x0209:
+            case 0x0409:
+                return [0x0809, [...uint16(0x0600), ...uint16(readUInt16LE(data, 2)), ...uint32(0), ...uint32(0), ...uint32(0)]];
+
+            // BIFF2 cells: row, column and 3 bytes of attributes
+            case 0x0001:
+                return version === 2 ? [0x0201, [...data.subarray(0, 4), ...uint16(cellXF(data))]] : null;
+            case 0x0002:
+                return version === 2 ? [0x0203, [...data.subarray(0, 4), ...uint16(cellXF(data)), ...float64(readUInt16LE(data, 7))]] : null;
+            case 0x0003:
+                return version === 2 ? [0x0203, [...data.subarray(0, 4), ...uint16(cellXF(data)), ...data.subarray(7, 15)]] : null;
+            case 0x0004:
+                if (version === 2) {
+                    const text = decode(data, 8, data[7]);
+                    return [0x0204, [...data.subarray(0, 4), ...uint16(cellXF(data)), ...uint16(text.length), ...unicode(text)]];
+                }
+                return null;
+            case 0x0005:
+                return version === 2 ? [0x0205, [...data.subarray(0, 4), ...uint16(cellXF(data)), data[7], data[8]]] : null;
+            case 0x0006:
+                // BIFF2 FORMULA: result, 1 byte of options and 1 byte of formula length
+                if (version === 2) {
+                    return [0x0006, [
+                        ...data.subarray(0, 4), ...uint16(cellXF(data)), ...data.subarray(7, 15),
+                        ...uint16(data[15]), ...uint32(0), ...uint16(data[16]), ...data.subarray(17, 17 + data[16])
+                    ]];
+                }
+                return null;
+            case 0x0007:
+                if (version === 2) {
+                    const text = decode(data, 1, data[0]);
+                    return [0x0207, [...uint16(text.length), ...unicode(text)]];
+                }
+                return null;
+            case 0x0008:
+                // BIFF2 ROW: bit 15 of the height flags the default height
+                if (version === 2) {
+                    return [0x0208, [...data.subarray(0, 6), ...uint16(readUInt16LE(data, 6) & 0x7FFF), ...uint16(0), ...uint16(0), ...uint32(0x0100)]];
+                }
+                return null;
+            case 0x0024:
+                // BIFF2 COLWIDTH: 8-bit column range
+                return [0x007D, [...uint16(data[0]), ...uint16(data[1]), ...data.subarray(2, 4), ...uint16(15), ...uint16(0), ...uint16(0)]];
+
+            // FORMULA of BIFF3 and BIFF4 has no chn field before the formula length
+            case 0x0206:
+            case 0x0406:
+                return [0x0006, [...data.subarray(0, 16), ...uint32(0), ...data.subarray(16)]];
+
+            // 8-bit strings of cells and formula results
+            case 0x0204:
+            case 0x00D6: {
+                const text = decode(data, 8, readUInt16LE(data, 6));
+                return [0x0204, [...data.subarray(0, 6), ...uint16(text.length), ...unicode(text)]];
+            }
+            case 0x0207: {
+                const text = decode(data, 2, readUInt16LE(data, 0));
+                return [0x0207, [...uint16(text.length), ...unicode(text)]];
+            }
+
+            // Shared formulas of BIFF5
+            case 0x00BC:
+                return [0x04BC, data];
+
+            // Sheets of BIFF5 and BIFF4 workbooks: position, state, type and name
+            case 0x0085:
+            case 0x008F: {
+                const name = decode(data, 7, data[6]);
+                return [0x0085, [...data.subarray(0, 6), name.length, ...unicode(name)]];
+            }
+
+            // FONT
+            case 0x0031:
+                if (version === 2) {
+                    const options = readUInt16LE(data, 2);
+                    const name = decode(data, 5, data[4]);
+                    return [0x0031, [
+                        ...data.subarray(0, 4), ...uint16(0x7FFF), ...uint16(options & 0x01 ? 700 : 400), ...uint16(0),
+                        options & 0x04 ? 1 : 0, 0, 0, 0, name.length, ...unicode(name)
+                    ]];
+                }
+                if (version === 5) {
+                    const name = decode(data, 15, data[14]);
+                    return [0x0031, [...data.subarray(0, 14), name.length, ...unicode(name)]];
+                }
+                return null;
+            case 0x0231: {
+                const options = readUInt16LE(data, 2);
+                const name = decode(data, 7, data[6]);
+                return [0x0031, [
+                    ...data.subarray(0, 6), ...uint16(options & 0x01 ? 700 : 400), ...uint16(0),
+                    options & 0x04 ? 1 : 0, 0, 0, 0, name.length, ...unicode(name)
+                ]];
+            }
+
+            // FORMAT
+            case 0x001E: {
+                const text = decode(data, 1, data[0]);
+                return [0x041E, [...uint16(formatIndex++), ...uint16(text.length), ...unicode(text)]];
+            }
+            case 0x041E: {
+                // BIFF4 has 2 unused bytes where BIFF5 stores the index
+                const text = decode(data, 3, data[2]);
+                const index = version === 5 ? readUInt16LE(data, 0) : formatIndex++;
+                return [0x041E, [...uint16(index), ...uint16(text.length), ...unicode(text)]];
+            }
+
+            // XF
+            case 0x0043:
+            case 0x0243:
+            case 0x0443:
+                return [0x00E0, convertXF(type, data)];
+            case 0x00E0:
+                return version === 5 ? [0x00E0, convertXF(type, data)] : null;
+
+            // NAME
+            case 0x0018:
+                if (version === 2) {
+                    const name = decode(data, 4, data[2]);
+                    return [0x0018, createName(data[0], data[1], name, data.subarray(4 + data[2], 4 + data[2] + data[3]))];
+                }
+                if (version === 5) {
+                    const name = decode(data, 14, data[3]);
+                    const start = 14 + data[3];
+                    return [0x0018, createName(readUInt16LE(data, 0), data[2], name, data.subarray(start, start + readUInt16LE(data, 4)), readUInt16LE(data, 8))];
+                }
+                return null;
+            case 0x0218: {
+                const name = decode(data, 6, data[3]);
+                const start = 6 + data[3];
+                return [0x0018, createName(readUInt16LE(data, 0), data[2], name, data.subarray(start, start + readUInt16LE(data, 4)))];
+            }
+
+            // EXTERNNAME: options, unused bytes and the name
+            case 0x0023:
+            case 0x0223: {
+                let name;
+                let options = 0;
+                if (version === 5) {
+                    options = readUInt16LE(data, 0);
+                    name = decode(data, 7, data[6]);
+                } else if (type === 0x0223) {
+                    options = readUInt16LE(data, 0);
+                    name = decode(data, 3, data[2]);
+                } else {
+                    name = decode(data, 1, data[0]);
+                }
+                return [0x0023, [...uint16(options), ...uint32(0), name.length, ...unicode(name)]];
+            }
+
+            // EXTERNSHEET has a single encoded sheet name before BIFF8, its first character is the type
+            case 0x0017: {
+                const text = decode(data, 1, data[0]);
+                return [0x0017, [text.length, ...unicode(text)]];
+            }
+
+            default:
+                return null;
+        }
+    };
+
+    return records.map(record => {
+        if (version === 2 && record.type === IXFE) {
+            ixfe = readUInt16LE(record.data, 0);
+            return record;
+        }
+
+        const converted = convert(record.type, record.data);
+        if (!converted) {
+            return record;
+        }
+
+        const data = new Uint8Array(converted[1]);
+        return { ...record, type: converted[0], length: data.length, data };
+    });
+}
@@ -0,0 +1,529 @@
+/**
+ * Lightweight cryptographic primitives for encrypted spreadsheet files
+ *
+ * Synchronous implementations of the hash functions and ciphers used by
+ * Office encryption: MD5 (RFC 1321), SHA-1 and SHA-512 (FIPS 180-4), RC4 and
+ * AES decryption (FIPS 197).
+ * Only decryption is implemented, files are never encrypted.
+ *
+ * @license MIT
+ */
+
+/**
+ * Concatenate byte arrays
+ */
+export function concatBytes(...arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        result.set(array, offset);
+        offset += array.length;
+    });
+    return result;
+}
+
+/**
+ * Encode a password as UTF-16LE bytes
+ */
+export function utf16le(text) {
+    const bytes = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i * 2] = code & 0xFF;
+        bytes[i * 2 + 1] = code >> 8;
+    }
+    return bytes;
+}
+
+/**
+ * Decode a base64 string to bytes
+ */
+export function base64ToBytes(text) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+    const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+    let buffer = 0;
+    let bits = 0;
+    let pos = 0;
+
+    for (const char of clean) {
+        buffer = (buffer << 6) | alphabet.indexOf(char);
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[pos++] = (buffer >> bits) & 0xFF;
+        }
+    }
+
+    return bytes.subarray(0, pos);
+}
+
+/**
+ * Encode bytes as a base64 string
+ */
+export function bytesToBase64(bytes) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let text = '';
+
+    for (let i = 0; i < bytes.length; i += 3) {
+        const value = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+        text += alphabet[(value >> 18) & 0x3F] + alphabet[(value >> 12) & 0x3F];
+        text += i + 1 < bytes.length ? alphabet[(value >> 6) & 0x3F] : '=';
+        text += i + 2 < bytes.length ? alphabet[value & 0x3F] : '=';
+    }
+
+    return text;
+}
+
+// Message padding shared by SHA-1 and SHA-512: 0x80, zeros and the length in bits (big-endian)
+function padMessage(data, blockSize, lengthSize) {
+    const length = Math.ceil((data.length + 1 + lengthSize) / blockSize) * blockSize;
+    const padded = new Uint8Array(length);
+    padded.set(data);
+    padded[data.length] = 0x80;
+
+    const bits = data.length * 8;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(length - 4, bits >>> 0);
+
+    return view;
+}
+
+// MD5 per-round shift amounts and constants
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = new Int32Array(64).map((value, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+/**
+ * MD5 digest (16 bytes)
+ */
+export function md5(data) {
+    // Same padding as SHA, with the length in little-endian
+    const length = Math.ceil((data.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, (data.length * 8) >>> 0, true);
+    view.setUint32(length - 4, Math.floor(data.length / 0x20000000), true);
+
+    const w = new Int32Array(16);
+    let h0 = 0x67452301, h1 = 0xEFCDAB89, h2 = 0x98BADCFE, h3 = 0x10325476;
+
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getInt32(offset + i * 4, true);
+        }
+
+        let a = h0, b = h1, c = h2, d = h3;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            const s = MD5_S[(i >> 4) * 4 + (i % 4)];
+            const x = (a + f + MD5_K[i] + w[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((x << s) | (x >>> (32 - s)))) | 0;
+        }
+
+        h0 = (h0 + a) | 0;
+        h1 = (h1 + b) | 0;
+        h2 = (h2 + c) | 0;
+        h3 = (h3 + d) | 0;
+    }
+
+    const result = new Uint8Array(16);
+    const out = new DataView(result.buffer);
+    [h0, h1, h2, h3].forEach((h, i) => out.setInt32(i * 4, h, true));
+    return result;
+}
+
+/**
+ * SHA-1 digest (20 bytes)
+ */
+export function sha1(data) {
+    const view = padMessage(data, 64, 8);
+    const w = new Int32Array(80);
+    let h0 = 0x67452301, h1 = 0xEFCDAB89, h2 = 0x98BADCFE, h3 = 0x10325476, h4 = 0xC3D2E1F0;
+
+    for (let offset = 0; offset < view.byteLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getInt32(offset + i * 4);
+        }
+        for (let i = 16; i < 80; i++) {
+            const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+            w[i] = (x << 1) | (x >>> 31);
+        }
+
+        let a = h0, b = h1, c = h2, d = h3, e = h4;
+        for (let i = 0; i < 80; i++) {
+            let f, k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+            const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = (b << 30) | (b >>> 2);
+            b = a;
+            a = t;
+        }
+
+        h0 = (h0 + a) | 0;
+        h1 = (h1 + b) | 0;
+        h2 = (h2 + c) | 0;
+        h3 = (h3 + d) | 0;
+        h4 = (h4 + e) | 0;
+    }
+
+    const result = new Uint8Array(20);
+    const out = new DataView(result.buffer);
+    [h0, h1, h2, h3, h4].forEach((h, i) => out.setInt32(i * 4, h));
+    return result;
+}
+
+// SHA-512 round constants, as pairs of high and low 32-bit words
+const SHA512_K = new Int32Array([
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+    0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+    0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+    0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+    0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+    0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+    0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+    0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+    0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+    0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+    0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+    0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+    0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+    0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+    0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+    0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+    0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+    0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+    0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+    0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+    0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+]);
+
+// SHA-512 initial hash value
+const SHA512_H = [
+    0x6a09e667, 0xf3bcc908,
+    0xbb67ae85, 0x84caa73b,
+    0x3c6ef372, 0xfe94f82b,
+    0xa54ff53a, 0x5f1d36f1,
+    0x510e527f, 0xade682d1,
+    0x9b05688c, 0x2b3e6c1f,
+    0x1f83d9ab, 0xfb41bd6b,
+    0x5be0cd19, 0x137e2179
+];
+
+/**
+ * SHA-512 digest (64 bytes)
+ */
+export function sha512(data) {
+    const view = padMessage(data, 128, 16);
+    const h = new Int32Array(SHA512_H);
+    const w = new Int32Array(160);
+
+    for (let offset = 0; offset < view.byteLength; offset += 128) {
+        for (let i = 0; i < 32; i++) {
+            w[i] = view.getInt32(offset + i * 4);
+        }
+
+        for (let i = 16; i < 80; i++) {
+            // sigma0(w[i - 15]) = rotr 1 ^ rotr 8 ^ shr 7
+            let xh = w[(i - 15) * 2], xl = w[(i - 15) * 2 + 1];
+            const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+            const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+
+            // sigma1(w[i - 2]) = rotr 19 ^ rotr 61 ^ shr 6
+            xh = w[(i - 2) * 2];
+            xl = w[(i - 2) * 2 + 1];
+            const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+            const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+
+            // w[i] = sigma1 + w[i - 7] + sigma0 + w[i - 16]
+            let lo = (s1l >>> 0) + (w[(i - 7) * 2 + 1] >>> 0) + (s0l >>> 0) + (w[(i - 16) * 2 + 1] >>> 0);
+            const hi = s1h + w[(i - 7) * 2] + s0h + w[(i - 16) * 2] + Math.floor(lo / 0x100000000);
+            w[i * 2] = hi;
+            w[i * 2 + 1] = lo;
+        }
+
+        let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+        let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], hh = h[14], hl = h[15];
+
+        for (let i = 0; i < 80; i++) {
+            // Sum1(e) = rotr 14 ^ rotr 18 ^ rotr 41
+            const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+            const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+            const chh = (eh & fh) ^ (~eh & gh);
+            const chl = (el & fl) ^ (~el & gl);
+
+            // t1 = h + Sum1 + ch + k[i] + w[i]
+            let lo = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + (SHA512_K[i * 2 + 1] >>> 0) + (w[i * 2 + 1] >>> 0);
+            const t1h = hh + S1h + chh + SHA512_K[i * 2] + w[i * 2] + Math.floor(lo / 0x100000000);
+            const t1l = lo | 0;
+
+            // Sum0(a) = rotr 28 ^ rotr 34 ^ rotr 39
+            const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+            const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+            const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+            const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+            // t2 = Sum0 + maj
+            lo = (S0l >>> 0) + (majl >>> 0);
+            const t2h = S0h + majh + Math.floor(lo / 0x100000000);
+            const t2l = lo | 0;
+
+            hh = gh; hl = gl;
+            gh = fh; gl = fl;
+            fh = eh; fl = el;
+            lo = (dl >>> 0) + (t1l >>> 0);
+            eh = (dh + t1h + Math.floor(lo / 0x100000000)) | 0;
+            el = lo | 0;
+            dh = ch; dl = cl;
+            ch = bh; cl = bl;
+            bh = ah; bl = al;
+            lo = (t1l >>> 0) + (t2l >>> 0);
+            ah = (t1h + t2h + Math.floor(lo / 0x100000000)) | 0;
+            al = lo | 0;
+        }
+
+        [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl].forEach((value, i) => {
+            if (i % 2 === 1) {
+                const lo = (h[i] >>> 0) + (value >>> 0);
+                h[i - 1] = h[i - 1] + Math.floor(lo / 0x100000000);
+                h[i] = lo;
+            } else {
+                h[i] = h[i] + value;
+            }
+        });
+    }
+
+    const result = new Uint8Array(64);
+    const out = new DataView(result.buffer);
+    h.forEach((value, i) => out.setInt32(i * 4, value));
+    return result;
+}
+
+// AES tables: the inverse round tables and the forward and inverse S-boxes
+let aesTables = null;
+
+function getAESTables() {
+    if (aesTables) return aesTables;
+
+    const decTable = [new Int32Array(256), new Int32Array(256), new Int32Array(256), new Int32Array(256)];
+    const sbox = new Uint8Array(256);
+    const sboxInv = new Uint8Array(256);
+    const d = [];
+    const th = [];
+
+    // Multiplication by x and the inverse of x in GF(2^8)
+    for (let i = 0; i < 256; i++) {
+        th[(d[i] = i << 1 ^ (i >> 7) * 283) ^ i] = i;
+    }
+
+    // Walk the field by powers of 3 (x) and of its inverse (xInv), from 0 until back to 1
+    for (let x = 0, xInv = 0; !sbox[x]; x ^= d[x] || 1, xInv = th[xInv] || 1) {
+        let s = xInv ^ xInv << 1 ^ xInv << 2 ^ xInv << 3 ^ xInv << 4;
+        s = s >> 8 ^ s & 255 ^ 99;
+        sbox[x] = s;
+        sboxInv[s] = x;
+
+        const x2 = d[x];
+        const x4 = d[x2];
+        const x8 = d[x4];
+        let tDec = x8 * 0x1010101 ^ x4 * 0x10001 ^ x2 * 0x101 ^ x * 0x1010100;
+        for (let i = 0; i < 4; i++) {
+            decTable[i][s] = tDec = tDec << 24 ^ tDec >>> 8;
+        }
+    }
+
+    aesTables = { decTable, sbox, sboxInv };
+    return aesTables;
+}
+
+// Expand the key and build the decryption round keys (equivalent inverse cipher)
+function aesDecryptionKey(key) {
+    const { decTable, sbox } = getAESTables();
+    const keyLength = key.length / 4;
+
+    if (keyLength !== 4 && keyLength !== 6 && keyLength !== 8) {
+        throw new Error('Invalid AES key size');
+    }
+
+    const encKey = [];
+    for (let i = 0; i < keyLength; i++) {
+        encKey[i] = key[i * 4] << 24 | key[i * 4 + 1] << 16 | key[i * 4 + 2] << 8 | key[i * 4 + 3];
+    }
+
+    let rcon = 1;
+    let i;
+    for (i = keyLength; i < 4 * keyLength + 28; i++) {
+        let tmp = encKey[i - 1];
+        if (i % keyLength === 0 || (keyLength === 8 && i % keyLength === 4)) {
+            tmp = sbox[tmp >>> 24] << 24 ^ sbox[tmp >> 16 & 255] << 16 ^ sbox[tmp >> 8 & 255] << 8 ^ sbox[tmp & 255];
+            if (i % keyLength === 0) {
+                tmp = tmp << 8 ^ tmp >>> 24 ^ rcon << 24;
+                rcon = rcon << 1 ^ (rcon >> 7) * 283;
+            }
+        }
+        encKey[i] = encKey[i - keyLength] ^ tmp;
+    }
+
+    const decKey = [];
+    for (let j = 0; i; j++, i--) {
+        const tmp = encKey[j & 3 ? i : i - 4];
+        if (i <= 4 || j < 4) {
+            decKey[j] = tmp;
+        } else {
+            decKey[j] = decTable[0][sbox[tmp >>> 24]] ^ decTable[1][sbox[tmp >> 16 & 255]] ^
+                decTable[2][sbox[tmp >> 8 & 255]] ^ decTable[3][sbox[tmp & 255]];
+        }
+    }
+
+    return decKey;
+}
+
+// Decrypt one 16-byte block in place
+function aesDecryptBlock(decKey, block, offset) {
+    const { decTable, sboxInv } = aesTables;
+    const [t0, t1, t2, t3] = decTable;
+    const word = i => block[offset + i * 4] << 24 | block[offset + i * 4 + 1] << 16 | block[offset + i * 4 + 2] << 8 | block[offset + i * 4 + 3];
+
+    let a = word(0) ^ decKey[0];
+    let b = word(3) ^ decKey[1];
+    let c = word(2) ^ decKey[2];
+    let d = word(1) ^ decKey[3];
+    let k = 4;
+    const rounds = decKey.length / 4 - 2;
+
+    for (let i = 0; i < rounds; i++) {
+        const a2 = t0[a >>> 24] ^ t1[b >> 16 & 255] ^ t2[c >> 8 & 255] ^ t3[d & 255] ^ decKey[k];
+        const b2 = t0[b >>> 24] ^ t1[c >> 16 & 255] ^ t2[d >> 8 & 255] ^ t3[a & 255] ^ decKey[k + 1];
+        const c2 = t0[c >>> 24] ^ t1[d >> 16 & 255] ^ t2[a >> 8 & 255] ^ t3[b & 255] ^ decKey[k + 2];
+        d = t0[d >>> 24] ^ t1[a >> 16 & 255] ^ t2[b >> 8 & 255] ^ t3[c & 255] ^ decKey[k + 3];
+        k += 4;
+        a = a2;
+        b = b2;
+        c = c2;
+    }
+
+    for (let i = 0; i < 4; i++) {
+        const value = sboxInv[a >>> 24] << 24 ^ sboxInv[b >> 16 & 255] << 16 ^ sboxInv[c >> 8 & 255] << 8 ^ sboxInv[d & 255] ^ decKey[k++];
+        const pos = offset + (3 & -i) * 4;
+        block[pos] = value >>> 24;
+        block[pos + 1] = value >> 16 & 255;
+        block[pos + 2] = value >> 8 & 255;
+        block[pos + 3] = value & 255;
+        const tmp = a;
+        a = b;
+        b = c;
+        c = d;
+        d = tmp;
+    }
+}
+
+/**
+ * AES decryption without padding: ECB when no IV is given, CBC otherwise
+ * @param {Uint8Array} key - 16, 24 or 32 bytes
+ * @param {Uint8Array} data - Encrypted data, a multiple of 16 bytes
+ * @param {Uint8Array} [iv] - Initialization vector (CBC)
+ * @returns {Uint8Array} Decrypted data
+ */
+export function aesDecrypt(key, data, iv) {
+    const decKey = aesDecryptionKey(key);
+    const length = data.length - data.length % 16;
+    const result = new Uint8Array(data.subarray(0, length));
+
+    for (let offset = 0; offset < length; offset += 16) {
+        aesDecryptBlock(decKey, result, offset);
+        if (iv) {
+            // XOR with the previous ciphertext block
+            const previous = offset === 0 ? iv : data;
+            const start = offset === 0 ? 0 : offset - 16;
+            for (let i = 0; i < 16; i++) {
+                result[offset + i] ^= previous[start + i];
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * RC4 stream cipher, encryption and decryption are the same operation
+ * @param {Uint8Array} key - Key (1 to 256 bytes)
+ * @param {Uint8Array} data - Data to decrypt
+ * @param {number} [skip=0] - Number of keystream bytes to discard first
+ * @returns {Uint8Array} Decrypted data
+ */
+export function rc4(key, data, skip = 0) {
+    const state = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        state[i] = i;
+    }
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + state[i] + key[i % key.length]) & 0xFF;
+        [state[i], state[j]] = [state[j], state[i]];
+    }
+
+    const result = new Uint8Array(data.length);
+    let i = 0, j = 0;
+    for (let n = 0; n < skip + data.length; n++) {
+        i = (i + 1) & 0xFF;
+        j = (j + state[i]) & 0xFF;
+        [state[i], state[j]] = [state[j], state[i]];
+        if (n >= skip) {
+            result[n - skip] = data[n - skip] ^ state[(state[i] + state[j]) & 0xFF];
+        }
+    }
+
+    return result;
+}
+
+export default { concatBytes, utf16le, base64ToBytes, bytesToBase64, md5, sha1, sha512, aesDecrypt, rc4 };
@@ -0,0 +1,283 @@
+/**
+ * File format detection by content (magic bytes and leading text)
+ *
+ * Used by the main parser to pick the right format when the file has no
+ * name, or when the extension does not match what the file really is
+ * (e.g. an HTML or XML export saved as .xls).
+ *
+ * @module detect
+ */
+
+import JSZip from 'jszip';
+import CFB from './cfb.js';
+import { readUInt16LE } from './helpers.js';
+import { isGzip, gunzip } from './loader.js';
+
+// Container signatures
+const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];
+
+// Valid dBase/FoxPro version bytes
+const DBF_VERSIONS = [0x02, 0x03, 0x04, 0x05, 0x30, 0x31, 0x43, 0x63, 0x83, 0x8B, 0x8E, 0xF5, 0xFB];
+
+// Lotus BOF version codes (WKS/WK1 and WK3/WK4)
+const LOTUS_VERSIONS = [0x0404, 0x0405, 0x0406, 0x1000, 0x1002, 0x1003, 0x1004, 0x1005];
+
+// BOF records of bare BIFF streams (Excel 2.x to 4.0 worksheets, or a BIFF5/BIFF8 stream)
+const BIFF_BOF_RECORDS = [0x0009, 0x0209, 0x0409, 0x0809];
+
+// Substream types of the BIFF BOF record: globals, worksheet, chart, macro sheet and BIFF4 workbook
+const BIFF_SUBSTREAMS = [0x0005, 0x0010, 0x0020, 0x0040, 0x0100];
+
+// Amount of text inspected for text based formats
+const SAMPLE_SIZE = 4096;
+
+/**
+ * Check if the buffer starts with the given byte signature
+ */
+function startsWith(buffer, signature) {
+    if (buffer.length < signature.length) return false;
+    for (let i = 0; i < signature.length; i++) {
+        if (buffer[i] !== signature[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Detect the format inside a Compound File Binary (OLE) container
+ */
+function detectCFB(buffer) {
+    const cfb = CFB.read(buffer, { type: 'buffer' });
+
+    // Excel 97-2003 (Workbook) or Excel 5/95 (Book)
+    if (CFB.find(cfb, 'Workbook') || CFB.find(cfb, 'Book')) {
+        return 'xls';
+    }
+
+    // Password protected OOXML packages are stored in a CFB container
+    if (CFB.find(cfb, 'EncryptedPackage')) {
+        return 'xlsx';
+    }
+
+    return null;
+}
+
+/**
+ * Detect the format inside a ZIP container
+ */
+async function detectZIP(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    if (zip.file('xl/workbook.xml')) {
+        return 'xlsx';
+    }
+
+    // Excel binary workbook: the same package with BIFF12 parts
+    if (zip.file('xl/workbook.bin')) {
+        return 'xlsb';
+    }
+
+    // Workbook part stored under another name
+    const contentTypes = zip.file('[Content_Types].xml');
+    if (contentTypes) {
+        const types = await contentTypes.async('string');
+        if (/spreadsheetml\.sheet\.main\+xml|ms-excel\.sheet\.macroEnabled\.main\+xml/.test(types)) {
+            return 'xlsx';
+        }
+        if (/ms-excel\.sheet\.binary\.macroEnabled\.main/.test(types)) {
+            return 'xlsb';
+        }
+    }
+
+    const mimetype = zip.file('mimetype');
+    if (mimetype) {
+        const type = (await mimetype.async('string')).trim();
+        if (type.startsWith('application/vnd.oasis.opendocument.spreadsheet')) {
+            return 'ods';
+        }
+    } else if (zip.file('content.xml')) {
+        return 'ods';
+    }
+
+    if (zip.file('Index.zip') || zip.file(/^Index\/.*\.iwa$/).length > 0) {
+        return 'numbers';
+    }
+
+    return null;
+}
+
+/**
+ * Check for a Gnumeric workbook, the XML root element and its namespace
+ */
+function isGnumeric(text) {
+    return text.startsWith('<') && /<(gnm:)?Workbook[\s>]/.test(text) && text.includes('www.gnumeric.org');
+}
+
+/**
+ * Detect the format of gzip compressed content (Gnumeric), from its first decompressed bytes
+ */
+async function detectGzip(buffer) {
+    const text = getSample(await gunzip(buffer, SAMPLE_SIZE)).trimStart();
+    return isGnumeric(text) ? 'gnumeric' : null;
+}
+
+/**
+ * Check for an Excel BOF record at the start of a workbook stream without container
+ */
+function isBIFF(buffer) {
+    if (buffer.length < 8) return false;
+    if (!BIFF_BOF_RECORDS.includes(readUInt16LE(buffer, 0))) return false;
+
+    const length = readUInt16LE(buffer, 2);
+    if (length < 4 || length > 20) return false;
+
+    return BIFF_SUBSTREAMS.includes(readUInt16LE(buffer, 6));
+}
+
+/**
+ * Check for a Lotus 1-2-3 BOF record
+ */
+function isLotus(buffer) {
+    if (buffer.length < 6) return false;
+    if (readUInt16LE(buffer, 0) !== 0x0000) return false;
+
+    const length = readUInt16LE(buffer, 2);
+    if (length !== 2 && length !== 0x1A) return false;
+
+    return LOTUS_VERSIONS.includes(readUInt16LE(buffer, 4));
+}
+
+/**
+ * Check for a plausible dBase header
+ */
+function isDBF(buffer) {
+    if (buffer.length < 33) return false;
+    if (!DBF_VERSIONS.includes(buffer[0])) return false;
+
+    // Last update date (YY MM DD)
+    const month = buffer[2];
+    const day = buffer[3];
+    if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+
+    // Header length must fit field descriptors (32 bytes each) plus terminator
+    const headerLength = readUInt16LE(buffer, 8);
+    const recordLength = readUInt16LE(buffer, 10);
+    if (headerLength < 33 || recordLength === 0 || headerLength > buffer.length) return false;
+
+    // Field descriptors are terminated by 0x0D
+    for (let pos = 32; pos < headerLength; pos += 32) {
+        if (buffer[pos] === 0x0D) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Decode the beginning of the buffer as text for signature checks
+ */
+function getSample(buffer) {
+    const sample = buffer.subarray(0, SAMPLE_SIZE);
+
+    if (sample[0] === 0xFF && sample[1] === 0xFE) {
+        return new TextDecoder('utf-16le').decode(sample.subarray(2));
+    }
+    if (sample[0] === 0xFE && sample[1] === 0xFF) {
+        return new TextDecoder('utf-16be').decode(sample.subarray(2));
+    }
+
+    return new TextDecoder('utf-8').decode(sample).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Detect text based formats from the leading content
+ */
+function detectText(buffer) {
+    const text = getSample(buffer).trimStart();
+
+    // SYLK starts with an ID;P record followed by other records, unlike a semicolon CSV with an ID column
+    if (/^ID;P[^\r\n]*\r?\n(?:(?:[BCFOPW]|N[NEU]);|E\s*$)/.test(text)) {
+        return 'slk';
+    }
+
+    // DIF starts with the TABLE header followed by 0,1
+    if (/^TABLE\r?\n0,\d+\r?\n/.test(text)) {
+        return 'dif';
+    }
+
+    // XML Spreadsheet 2003
+    if (text.startsWith('<') && /<(\w+:)?Workbook[\s>]/.test(text) &&
+        text.includes('urn:schemas-microsoft-com:office:spreadsheet')) {
+        return 'xml';
+    }
+
+    // Gnumeric saved without compression
+    if (isGnumeric(text)) {
+        return 'gnumeric';
+    }
+
+    // Flat OpenDocument (.fods), unless the declared mimetype is another kind of document
+    if (text.startsWith('<') && /<office:document[\s>]/.test(text)) {
+        const mimetype = text.match(/office:mimetype="([^"]*)"/);
+        if (!mimetype || mimetype[1].startsWith('application/vnd.oasis.opendocument.spreadsheet')) {
+            return 'ods';
+        }
+    }
+
+    // HTML documents or fragments with a table
+    if (/^<(!doctype\s+html|html)[\s>]/i.test(text) || (text.startsWith('<') && /<table[\s>]/i.test(text))) {
+        return 'html';
+    }
+
+    return null;
+}
+
+/**
+ * Detect the spreadsheet format of a buffer by inspecting its content
+ *
+ * Recognizes the CFB/OLE container (XLS), the ZIP container (XLSX, ODS, Numbers), gzip (Gnumeric),
+ * Excel 2.x to 4.0 BIFF streams, Lotus BOF records, dBase headers, SYLK, DIF, XML Spreadsheet 2003,
+ * flat OpenDocument and HTML tables.
+ *
+ * @param {Uint8Array} buffer - File content
+ * @returns {Promise<string|null>} Format name (e.g. 'xlsx', 'html') or null when inconclusive
+ * @example
+ * await detectFormat(new TextEncoder().encode('ID;PWXL;N;E\nE'))  // 'slk'
+ */
+export async function detectFormat(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+
+    try {
+        if (startsWith(buffer, CFB_SIGNATURE)) {
+            return detectCFB(buffer);
+        }
+
+        if (startsWith(buffer, ZIP_SIGNATURE)) {
+            return await detectZIP(buffer);
+        }
+
+        if (isGzip(buffer)) {
+            return await detectGzip(buffer);
+        }
+    } catch (e) {
+        // Damaged container or stream - let the extension decide
+        return null;
+    }
+
+    if (isBIFF(buffer)) {
+        return 'xls';
+    }
+
+    if (isLotus(buffer)) {
+        return 'lotus';
+    }
+
+    if (isDBF(buffer)) {
+        return 'dbf';
+    }
+
+    return detectText(buffer);
+}
+
+export default detectFormat;
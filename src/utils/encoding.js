@@ -0,0 +1,257 @@
+/**
+ * Text decoding shared by the text based parsers (CSV, DIF, SYLK, XML and HTML)
+ *
+ * The encoding is taken from the encoding option, the byte order mark, the XML declaration
+ * or the HTML meta charset, in that order, and otherwise guessed: UTF-16 from the zero bytes,
+ * UTF-8 when the content is valid UTF-8, and windows-1252 for anything else.
+ *
+ * @license MIT
+ */
+
+// Byte order marks, UTF-32 before UTF-16 as they share the first two bytes
+const BYTE_ORDER_MARKS = [
+    { encoding: 'utf-32le', bytes: [0xFF, 0xFE, 0x00, 0x00] },
+    { encoding: 'utf-32be', bytes: [0x00, 0x00, 0xFE, 0xFF] },
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+// Other names of the encodings decoded here
+const ALIASES = {
+    'utf8': 'utf-8',
+    'unicode': 'utf-16le',
+    'utf-16': 'utf-16le',
+    'ucs-2': 'utf-16le',
+    'utf16le': 'utf-16le',
+    'utf-32': 'utf-32le',
+    'latin1': 'windows-1252',
+    'iso-8859-1': 'windows-1252',
+    'ascii': 'windows-1252',
+    'us-ascii': 'windows-1252'
+};
+
+// windows-1252 characters from 0x80 to 0x9F, where it differs from ISO-8859-1 (some TextDecoder versions decode it as ISO-8859-1)
+const WINDOWS_1252 = [
+    0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+    0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+// Amount of content inspected for declarations and zero bytes
+const SAMPLE_SIZE = 1024;
+
+/**
+ * Normalize an encoding name, e.g. 'UTF8' or 'latin1'
+ * @param {string} encoding
+ * @returns {string}
+ */
+export function normalizeEncoding(encoding) {
+    const name = String(encoding).trim().toLowerCase();
+    return ALIASES[name] || name;
+}
+
+/**
+ * Find the byte order mark at the start of the buffer
+ * @param {Uint8Array} buffer
+ * @returns {{encoding: string, length: number}|null}
+ */
+export function detectBOM(buffer) {
+    for (const { encoding, bytes } of BYTE_ORDER_MARKS) {
+        if (buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)) {
+            return { encoding, length: bytes.length };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the encoding declared in the content: the XML declaration or the HTML meta charset
+ * @param {Uint8Array} buffer
+ * @param {string} type - 'xml' or 'html'
+ * @returns {string|null}
+ */
+export function detectDeclaredEncoding(buffer, type) {
+    // Declarations are ASCII, so a single byte decoding of the beginning is enough
+    const text = new TextDecoder('windows-1252').decode(buffer.subarray(0, SAMPLE_SIZE));
+
+    let match = text.match(/^\s*<\?xml[^>]*?\sencoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (!match && type === 'html') {
+        match = text.match(/<meta[^>]*?\scharset\s*=\s*["']?([\w.:-]+)/i);
+    }
+
+    return match ? normalizeEncoding(match[1]) : null;
+}
+
+/**
+ * Guess UTF-16 without byte order mark from the zero bytes of ASCII characters
+ */
+function detectUTF16(buffer) {
+    const sample = buffer.subarray(0, SAMPLE_SIZE & ~1);
+    if (sample.length < 4) {
+        return null;
+    }
+
+    let even = 0;
+    let odd = 0;
+    for (let i = 0; i < sample.length; i += 2) {
+        if (sample[i] === 0) even++;
+        if (sample[i + 1] === 0) odd++;
+    }
+
+    const pairs = sample.length / 2;
+    if (odd > pairs * 0.4 && even < pairs * 0.1) {
+        return 'utf-16le';
+    }
+    if (even > pairs * 0.4 && odd < pairs * 0.1) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Decode UTF-32, which TextDecoder does not support
+ */
+function decodeUTF32(buffer, littleEndian) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const chunks = [];
+    let codePoints = [];
+
+    for (let pos = 0; pos + 4 <= buffer.length; pos += 4) {
+        const codePoint = view.getUint32(pos, littleEndian);
+        codePoints.push(codePoint > 0x10FFFF ? 0xFFFD : codePoint);
+        // Keep the argument list of fromCodePoint short
+        if (codePoints.length === 8192) {
+            chunks.push(String.fromCodePoint(...codePoints));
+            codePoints = [];
+        }
+    }
+    chunks.push(String.fromCodePoint(...codePoints));
+
+    return chunks.join('');
+}
+
+/**
+ * Decode windows-1252
+ */
+function decodeWindows1252(buffer) {
+    const chunks = [];
+    for (let pos = 0; pos < buffer.length; pos += 8192) {
+        const codes = Array.from(buffer.subarray(pos, pos + 8192), byte => byte >= 0x80 && byte < 0xA0 ? WINDOWS_1252[byte - 0x80] : byte);
+        chunks.push(String.fromCharCode(...codes));
+    }
+    return chunks.join('');
+}
+
+/**
+ * Create a decoder with the interface of TextDecoder, which keeps the byte order mark
+ *
+ * Content can be decoded in chunks with { stream: true }, as with TextDecoder.
+ *
+ * @param {string} encoding - Encoding name
+ * @returns {{decode: function(Uint8Array=, Object=): string}}
+ */
+export function createDecoder(encoding) {
+    encoding = normalizeEncoding(encoding);
+
+    if (encoding === 'utf-32le' || encoding === 'utf-32be') {
+        // Bytes of a character cut by the end of the previous chunk
+        let rest = new Uint8Array(0);
+        return {
+            decode: function(buffer = new Uint8Array(0), options = {}) {
+                let data = buffer;
+                if (rest.length) {
+                    data = new Uint8Array(rest.length + buffer.length);
+                    data.set(rest);
+                    data.set(buffer, rest.length);
+                }
+                const length = data.length - data.length % 4;
+                rest = options.stream ? data.slice(length) : new Uint8Array(0);
+                return decodeUTF32(data.subarray(0, length), encoding === 'utf-32le');
+            }
+        };
+    }
+
+    if (encoding === 'windows-1252') {
+        return {
+            decode: function(buffer = new Uint8Array(0)) {
+                return decodeWindows1252(buffer);
+            }
+        };
+    }
+
+    return new TextDecoder(encoding, { ignoreBOM: true });
+}
+
+/**
+ * Detect the encoding of text content
+ * @param {Uint8Array} buffer - File content
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Encoding given by the caller, takes precedence over the detection
+ * @param {string} [options.type] - 'xml' or 'html' to read the declared encoding
+ * @param {boolean} [options.partial] - The buffer is the first chunk of the content, and may end in the middle of a character
+ * @returns {{encoding: string, offset: number}} Encoding and the length of the byte order mark
+ * @example
+ * detectTextEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00])) // { encoding: 'utf-16le', offset: 2 }
+ */
+export function detectTextEncoding(buffer, options = {}) {
+    const bom = detectBOM(buffer);
+    const offset = bom ? bom.length : 0;
+
+    if (options.encoding) {
+        const encoding = normalizeEncoding(options.encoding);
+        // A byte order mark of the same encoding is not part of the text
+        return { encoding, offset: bom && bom.encoding === encoding ? offset : 0 };
+    }
+
+    if (bom) {
+        return { encoding: bom.encoding, offset };
+    }
+
+    const declared = options.type ? detectDeclaredEncoding(buffer, options.type) : null;
+    if (declared) {
+        // Content with zero bytes can not be in the single byte encoding it declares
+        return { encoding: declared.startsWith('utf-16') ? (detectUTF16(buffer) || 'utf-16le') : declared, offset: 0 };
+    }
+
+    const utf16 = detectUTF16(buffer);
+    if (utf16) {
+        return { encoding: utf16, offset: 0 };
+    }
+
+    return { encoding: isUTF8(buffer, options.partial) ? 'utf-8' : 'windows-1252', offset: 0 };
+}
+
+/**
+ * Check if the content is valid UTF-8
+ * @param {Uint8Array} buffer
+ * @param {boolean} [partial=false] - Allow a character cut by the end of the buffer
+ * @returns {boolean}
+ */
+export function isUTF8(buffer, partial = false) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Decode text content with the detected or given encoding, without byte order mark
+ *
+ * Encodings that TextDecoder does not support (e.g. cp850) throw a RangeError.
+ *
+ * @param {Uint8Array} buffer - File content
+ * @param {Object} [options] - Same as detectTextEncoding
+ * @returns {{text: string, encoding: string}}
+ * @example
+ * decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xE9])) // { text: 'café', encoding: 'windows-1252' }
+ */
+export function decodeText(buffer, options = {}) {
+    const { encoding, offset } = detectTextEncoding(buffer, options);
+    const text = createDecoder(encoding).decode(buffer.subarray(offset));
+
+    return { text, encoding };
+}
+
+export default { decodeText, createDecoder, detectTextEncoding, detectDeclaredEncoding, detectBOM, isUTF8, normalizeEncoding };
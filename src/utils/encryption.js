@@ -0,0 +1,500 @@
+/**
+ * Office file decryption
+ *
+ * Password protected .xlsx files are a CFB container with an EncryptionInfo stream,
+ * describing the key derivation, and an EncryptedPackage stream holding the zip file.
+ * Password protected .xls files have a FILEPASS record and the data of the following
+ * records encrypted in place.
+ * Based on [MS-OFFCRYPTO]: Agile encryption (AES, SHA-512 or SHA-1), Standard
+ * encryption (AES-ECB, SHA-1), RC4, RC4 CryptoAPI and XOR obfuscation.
+ */
+
+import { parser } from '@lemonadejs/html-to-json';
+import CFB from './cfb.js';
+import { readUInt16LE, readUInt32LE, findNodes, parseAttributes } from './helpers.js';
+import { concatBytes, utf16le, base64ToBytes, md5, sha1, sha512, aesDecrypt, rc4 } from './crypto.js';
+
+// Excel encrypts files with this password when the user did not set one
+const DEFAULT_PASSWORD = 'VelvetSweatshop';
+
+// Block keys of the Agile key derivation
+const BLOCK_VERIFIER_INPUT = new Uint8Array([0xFE, 0xA7, 0xD2, 0x76, 0x3B, 0x4B, 0x9E, 0x79]);
+const BLOCK_VERIFIER_VALUE = new Uint8Array([0xD7, 0xAA, 0x0F, 0x6D, 0x30, 0x61, 0x34, 0x4E]);
+const BLOCK_KEY_VALUE = new Uint8Array([0x14, 0x6E, 0x0B, 0xE7, 0xAB, 0xAC, 0xD0, 0xD6]);
+
+// Size of the segments of the encrypted package in Agile encryption
+const SEGMENT_SIZE = 4096;
+
+// The RC4 key of BIFF streams changes every 1024 bytes
+const BIFF_BLOCK_SIZE = 1024;
+
+// BIFF records which are never encrypted: BOF, FILEPASS, USREXCL, FILELOCK, INTERFACEHDR, RRDINFO and RRDHEAD
+const BIFF_FILEPASS = 0x002F;
+const BIFF_BOUNDSHEET = 0x0085;
+const BIFF_PLAIN_RECORDS = [0x0009, 0x0209, 0x0409, 0x0809, 0x002F, 0x0194, 0x0195, 0x00E1, 0x0196, 0x0138];
+
+// Constants of the XOR obfuscation key derivation
+const XOR_INITIAL_CODE = [
+    0xE1F0, 0x1D0F, 0xCC9C, 0x84C0, 0x110C, 0x0E10, 0xF1CE, 0x313E,
+    0x1872, 0xE139, 0xD40F, 0x84F9, 0x280C, 0xA96A, 0x4EC3
+];
+const XOR_MATRIX = [
+    0xAEFC, 0x4DD9, 0x9BB2, 0x2745, 0x4E8A, 0x9D14, 0x2A09, 0x7B61, 0xF6C2, 0xFDA5, 0xEB6B, 0xC6F7, 0x9DCF, 0x2BBF,
+    0x4563, 0x8AC6, 0x05AD, 0x0B5A, 0x16B4, 0x2D68, 0x5AD0, 0x0375, 0x06EA, 0x0DD4, 0x1BA8, 0x3750, 0x6EA0, 0xDD40,
+    0xD849, 0xA0B3, 0x5147, 0xA28E, 0x553D, 0xAA7A, 0x44D5, 0x6F45, 0xDE8A, 0xAD35, 0x4A4B, 0x9496, 0x390D, 0x721A,
+    0xEB23, 0xC667, 0x9CEF, 0x29FF, 0x53FE, 0xA7FC, 0x5FD9, 0x47D3, 0x8FA6, 0x0F6D, 0x1EDA, 0x3DB4, 0x7B68, 0xF6D0,
+    0xB861, 0x60E3, 0xC1C6, 0x93AD, 0x377B, 0x6EF6, 0xDDEC, 0x45A0, 0x8B40, 0x06A1, 0x0D42, 0x1A84, 0x3508, 0x6A10,
+    0xAA51, 0x4483, 0x8906, 0x022D, 0x045A, 0x08B4, 0x1168, 0x76B4, 0xED68, 0xCAF1, 0x85C3, 0x1BA7, 0x374E, 0x6E9C,
+    0x3730, 0x6E60, 0xDCC0, 0xA9A1, 0x4363, 0x86C6, 0x1DAD, 0x3331, 0x6662, 0xCCC4, 0x89A9, 0x0373, 0x06E6, 0x0DCC,
+    0x1021, 0x2042, 0x4084, 0x8108, 0x1231, 0x2462, 0x48C4
+];
+const XOR_PAD = [0xBB, 0xFF, 0xFF, 0xBA, 0xFF, 0xFF, 0xB9, 0x80, 0x00, 0xBE, 0x0F, 0x00, 0xBF, 0x0F, 0x00];
+
+/**
+ * Error thrown when a password is missing or wrong
+ * code is 'PASSWORD_REQUIRED' or 'INVALID_PASSWORD'
+ */
+export class PasswordError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PasswordError';
+        this.code = code;
+    }
+}
+
+function uint32Bytes(value) {
+    return new Uint8Array([value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF]);
+}
+
+function equalBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+// Truncate or pad (with 0x36) a hash to the expected size
+function fitBytes(bytes, size) {
+    if (bytes.length >= size) {
+        return bytes.slice(0, size);
+    }
+    const result = new Uint8Array(size).fill(0x36);
+    result.set(bytes);
+    return result;
+}
+
+function getHash(algorithm) {
+    switch ((algorithm || '').toUpperCase()) {
+        case 'SHA512':
+            return sha512;
+        case 'SHA1':
+            return sha1;
+        default:
+            throw new Error(`Unsupported encryption hash algorithm: ${algorithm}`);
+    }
+}
+
+// Hash the password with the salt, then iterate the hash spinCount times
+function hashPassword(hash, salt, password, spinCount) {
+    let value = hash(concatBytes(salt, utf16le(password)));
+    for (let i = 0; i < spinCount; i++) {
+        value = hash(concatBytes(uint32Bytes(i), value));
+    }
+    return value;
+}
+
+// Parse the XML descriptor of Agile encryption
+function parseAgileInfo(data) {
+    const xml = new TextDecoder('utf-8').decode(data.subarray(8));
+    const parsed = parser(xml.substring(xml.indexOf('<encryption')));
+
+    const keyData = findNodes(parsed, 'keyData')[0];
+    const encryptedKey = findNodes(parsed, 'p:encryptedKey')[0] || findNodes(parsed, 'encryptedKey')[0];
+    if (!keyData || !encryptedKey) {
+        throw new Error('Invalid encryption info');
+    }
+
+    const read = (node) => {
+        const attrs = parseAttributes(node);
+        return {
+            cipherAlgorithm: attrs.cipherAlgorithm,
+            cipherChaining: attrs.cipherChaining,
+            hashAlgorithm: attrs.hashAlgorithm,
+            keyBits: parseInt(attrs.keyBits),
+            blockSize: parseInt(attrs.blockSize),
+            hashSize: parseInt(attrs.hashSize),
+            saltValue: base64ToBytes(attrs.saltValue || ''),
+            spinCount: parseInt(attrs.spinCount || 0),
+            encryptedVerifierHashInput: base64ToBytes(attrs.encryptedVerifierHashInput || ''),
+            encryptedVerifierHashValue: base64ToBytes(attrs.encryptedVerifierHashValue || ''),
+            encryptedKeyValue: base64ToBytes(attrs.encryptedKeyValue || '')
+        };
+    };
+
+    return {
+        keyData: read(keyData),
+        encryptedKey: read(encryptedKey)
+    };
+}
+
+// Agile encryption: returns the package key, or null when the password is wrong
+function agileKey(info, password) {
+    const key = info.encryptedKey;
+    if (key.cipherAlgorithm !== 'AES' || key.cipherChaining !== 'ChainingModeCBC') {
+        throw new Error(`Unsupported encryption cipher: ${key.cipherAlgorithm} ${key.cipherChaining}`);
+    }
+
+    const hash = getHash(key.hashAlgorithm);
+    const passwordHash = hashPassword(hash, key.saltValue, password, key.spinCount);
+    const derive = (blockKey) => fitBytes(hash(concatBytes(passwordHash, blockKey)), key.keyBits / 8);
+
+    // The verifier hash input, hashed, must match the verifier hash value
+    const verifierInput = aesDecrypt(derive(BLOCK_VERIFIER_INPUT), key.encryptedVerifierHashInput, key.saltValue);
+    const verifierHash = aesDecrypt(derive(BLOCK_VERIFIER_VALUE), key.encryptedVerifierHashValue, key.saltValue);
+    const expected = hash(verifierInput.subarray(0, key.saltValue.length));
+
+    if (!equalBytes(expected, verifierHash.subarray(0, expected.length))) {
+        return null;
+    }
+
+    return aesDecrypt(derive(BLOCK_KEY_VALUE), key.encryptedKeyValue, key.saltValue).slice(0, key.keyBits / 8);
+}
+
+// Agile encryption: decrypt the package in segments of 4096 bytes, each with its own IV
+function agileDecrypt(info, secretKey, data, size) {
+    const keyData = info.keyData;
+    const hash = getHash(keyData.hashAlgorithm);
+    const result = new Uint8Array(Math.ceil(data.length / 16) * 16);
+
+    for (let segment = 0, offset = 0; offset < data.length; segment++, offset += SEGMENT_SIZE) {
+        const iv = fitBytes(hash(concatBytes(keyData.saltValue, uint32Bytes(segment))), keyData.blockSize);
+        const chunk = data.subarray(offset, Math.min(offset + SEGMENT_SIZE, data.length));
+        result.set(aesDecrypt(secretKey, chunk, iv), offset);
+    }
+
+    return result.subarray(0, size);
+}
+
+// Parse the binary descriptor of Standard encryption
+function parseStandardInfo(data) {
+    const headerSize = readUInt32LE(data, 8);
+    const header = 12;
+    const verifier = header + headerSize;
+
+    const algId = readUInt32LE(data, header + 8);
+    // AES-128, AES-192 or AES-256
+    if (algId !== 0x660E && algId !== 0x660F && algId !== 0x6610) {
+        throw new Error('Unsupported encryption algorithm');
+    }
+
+    const saltSize = readUInt32LE(data, verifier);
+    return {
+        keySize: readUInt32LE(data, header + 16),
+        salt: data.slice(verifier + 4, verifier + 4 + saltSize),
+        encryptedVerifier: data.slice(verifier + 4 + saltSize, verifier + 20 + saltSize),
+        verifierHashSize: readUInt32LE(data, verifier + 20 + saltSize),
+        encryptedVerifierHash: data.slice(verifier + 24 + saltSize, verifier + 56 + saltSize)
+    };
+}
+
+// Standard encryption: returns the package key, or null when the password is wrong
+function standardKey(info, password) {
+    const hash = concatBytes(hashPassword(sha1, info.salt, password, 50000), uint32Bytes(0));
+    const finalHash = sha1(hash);
+
+    // Derive the key from two hashes of the final hash XORed with 0x36 and 0x5C
+    const buffer1 = new Uint8Array(64).fill(0x36);
+    const buffer2 = new Uint8Array(64).fill(0x5C);
+    for (let i = 0; i < finalHash.length; i++) {
+        buffer1[i] ^= finalHash[i];
+        buffer2[i] ^= finalHash[i];
+    }
+    const key = concatBytes(sha1(buffer1), sha1(buffer2)).slice(0, info.keySize / 8);
+
+    const verifier = aesDecrypt(key, info.encryptedVerifier);
+    const verifierHash = aesDecrypt(key, info.encryptedVerifierHash);
+
+    if (!equalBytes(sha1(verifier), verifierHash.subarray(0, info.verifierHashSize))) {
+        return null;
+    }
+
+    return key;
+}
+
+// Password as single bytes for XOR obfuscation, at most 15 characters
+function ansiPassword(password) {
+    return Array.from(password.substring(0, 15), char => {
+        const code = char.charCodeAt(0);
+        return (code & 0xFF) || (code >> 8);
+    });
+}
+
+function xorKey(bytes) {
+    let key = XOR_INITIAL_CODE[bytes.length - 1];
+    let element = 0x68;
+
+    for (let i = bytes.length - 1; i >= 0; i--) {
+        let char = bytes[i];
+        for (let bit = 0; bit < 7; bit++) {
+            if (char & 0x40) {
+                key ^= XOR_MATRIX[element];
+            }
+            char <<= 1;
+            element--;
+        }
+    }
+
+    return key;
+}
+
+function xorVerifier(bytes) {
+    let verifier = 0;
+
+    [bytes.length, ...bytes].reverse().forEach(byte => {
+        verifier = (((verifier >> 14) & 1) | ((verifier << 1) & 0x7FFF)) ^ byte;
+    });
+
+    return verifier ^ 0xCE4B;
+}
+
+// Expand the password and the key into the 16 byte array XORed with the data
+function xorArray(bytes, key) {
+    const high = key >> 8;
+    const low = key & 0xFF;
+    const xorRor = (byte, value) => {
+        const x = byte ^ value;
+        return ((x >> 1) | (x << 7)) & 0xFF;
+    };
+
+    const result = new Uint8Array(16);
+    let index = bytes.length;
+
+    if (index % 2 === 1) {
+        result[index] = xorRor(XOR_PAD[0], high);
+        index--;
+        result[index] = xorRor(bytes[bytes.length - 1], low);
+    }
+    while (index > 0) {
+        index--;
+        result[index] = xorRor(bytes[index], high);
+        index--;
+        result[index] = xorRor(bytes[index], low);
+    }
+
+    // The rest of the array is filled with the padding
+    index = 15;
+    let pad = 15 - bytes.length;
+    while (pad > 0) {
+        result[index--] = xorRor(XOR_PAD[pad--], high);
+        result[index--] = xorRor(XOR_PAD[pad--], low);
+    }
+
+    return result;
+}
+
+// XOR obfuscation: returns the record decrypter, or null when the password is wrong
+function xorDecrypter(key, verifier, password) {
+    const bytes = ansiPassword(password);
+    if (!bytes.length || xorKey(bytes) !== key || xorVerifier(bytes) !== verifier) {
+        return null;
+    }
+
+    const array = xorArray(bytes, key);
+
+    // The position in the array depends on the end of the record
+    return (data, offset, length) => {
+        const result = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            const value = data[offset + i] ^ array[(offset + length + i) % 16];
+            result[i] = ((value >> 5) | (value << 3)) & 0xFF;
+        }
+        return result;
+    };
+}
+
+// RC4 encryption with MD5 key derivation: returns the key of each block, or null when the password is wrong
+function rc4BlockKey(info, password) {
+    const salt = info.subarray(6, 22);
+    const encryptedVerifier = info.subarray(22, 38);
+    const encryptedVerifierHash = info.subarray(38, 54);
+
+    // The truncated password hash and the salt, repeated 16 times
+    const passwordHash = md5(utf16le(password)).subarray(0, 5);
+    const buffer = new Uint8Array(336);
+    for (let i = 0; i < 16; i++) {
+        buffer.set(passwordHash, i * 21);
+        buffer.set(salt, i * 21 + 5);
+    }
+    const hash = md5(buffer).subarray(0, 5);
+    const blockKey = (block) => md5(concatBytes(hash, uint32Bytes(block)));
+
+    const verifier = rc4(blockKey(0), concatBytes(encryptedVerifier, encryptedVerifierHash));
+    if (!equalBytes(md5(verifier.subarray(0, 16)), verifier.subarray(16))) {
+        return null;
+    }
+
+    return blockKey;
+}
+
+// RC4 CryptoAPI encryption with SHA-1 key derivation: returns the key of each block, or null when the password is wrong
+function cryptoApiBlockKey(info, password) {
+    // Encryption type (2), version (4), flags (4), header size (4), header and verifier
+    const header = 14;
+    const verifier = header + readUInt32LE(info, 10);
+    const keyBits = readUInt32LE(info, header + 16) || 40;
+
+    const saltSize = readUInt32LE(info, verifier);
+    const salt = info.subarray(verifier + 4, verifier + 4 + saltSize);
+    const encryptedVerifier = info.subarray(verifier + 4 + saltSize, verifier + 20 + saltSize);
+    const verifierHashSize = readUInt32LE(info, verifier + 20 + saltSize);
+    const encryptedVerifierHash = info.subarray(verifier + 24 + saltSize, verifier + 24 + saltSize + verifierHashSize);
+
+    const passwordHash = sha1(concatBytes(salt, utf16le(password)));
+    const blockKey = (block) => {
+        const hash = sha1(concatBytes(passwordHash, uint32Bytes(block)));
+        // 40-bit keys are padded with zeros to 128 bits
+        return keyBits === 40 ? concatBytes(hash.subarray(0, 5), new Uint8Array(11)) : hash.slice(0, keyBits / 8);
+    };
+
+    const decrypted = rc4(blockKey(0), concatBytes(encryptedVerifier, encryptedVerifierHash));
+    if (!equalBytes(sha1(decrypted.subarray(0, 16)), decrypted.subarray(16))) {
+        return null;
+    }
+
+    return blockKey;
+}
+
+// RC4 decrypts the whole stream once, in blocks of 1024 bytes each with its own key
+function rc4Decrypter(blockKey) {
+    let stream = null;
+
+    return (data, offset, length) => {
+        if (!stream) {
+            stream = new Uint8Array(data.length);
+            for (let block = 0, position = 0; position < data.length; block++, position += BIFF_BLOCK_SIZE) {
+                stream.set(rc4(blockKey(block), data.subarray(position, position + BIFF_BLOCK_SIZE)), position);
+            }
+        }
+        return stream.subarray(offset, offset + length);
+    };
+}
+
+/**
+ * Decrypt the records of a workbook stream protected with a FILEPASS record
+ * @param {Uint8Array} data - Workbook stream
+ * @param {Array<{type: number, offset: number, length: number}>} records - Records of the stream, offset of the record data
+ * @param {string} [password] - Password, Excel's default password is tried when not given
+ * @returns {Uint8Array} The workbook stream with the record data decrypted
+ * @throws {PasswordError} When the password is missing or wrong
+ */
+export function decryptBIFF(data, records, password) {
+    const filePass = records.find(record => record.type === BIFF_FILEPASS);
+    const info = data.subarray(filePass.offset, filePass.offset + filePass.length);
+
+    const hasPassword = password !== undefined && password !== null;
+    const candidate = hasPassword ? String(password) : DEFAULT_PASSWORD;
+
+    let decrypt;
+    if (info.length === 4) {
+        // Before BIFF8 only XOR obfuscation exists, without the encryption type
+        decrypt = xorDecrypter(readUInt16LE(info, 0), readUInt16LE(info, 2), candidate);
+    } else if (readUInt16LE(info, 0) === 0) {
+        decrypt = xorDecrypter(readUInt16LE(info, 2), readUInt16LE(info, 4), candidate);
+    } else {
+        const versionMajor = readUInt16LE(info, 2);
+        const blockKey = versionMajor === 1 ? rc4BlockKey(info, candidate) : cryptoApiBlockKey(info, candidate);
+        decrypt = blockKey && rc4Decrypter(blockKey);
+    }
+
+    if (!decrypt) {
+        if (!hasPassword) {
+            throw new PasswordError('The file is password protected, use the password option', 'PASSWORD_REQUIRED');
+        }
+        throw new PasswordError('Invalid password', 'INVALID_PASSWORD');
+    }
+
+    const result = new Uint8Array(data);
+    records.forEach(record => {
+        if (record.offset < filePass.offset || BIFF_PLAIN_RECORDS.includes(record.type)) {
+            return;
+        }
+        // The stream position of the sheet is not encrypted in BOUNDSHEET
+        const start = record.type === BIFF_BOUNDSHEET ? 4 : 0;
+        if (record.length > start) {
+            result.set(decrypt(data, record.offset, record.length).subarray(start), record.offset + start);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Check if a CFB container holds an encrypted OOXML package
+ * @param {Uint8Array} buffer - File content
+ * @returns {boolean}
+ */
+export function isEncryptedPackage(buffer) {
+    const signature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+    if (buffer.length < 512 || signature.some((byte, i) => buffer[i] !== byte)) {
+        return false;
+    }
+
+    try {
+        return !!CFB.find(CFB.read(buffer, { type: 'buffer' }), 'EncryptedPackage');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Decrypt a password protected OOXML package
+ * @param {Uint8Array} buffer - CFB container with the EncryptionInfo and EncryptedPackage streams
+ * @param {string} [password] - Password, Excel's default password is tried when not given
+ * @returns {Uint8Array} The decrypted zip package
+ * @throws {PasswordError} When the password is missing or wrong
+ */
+export function decryptPackage(buffer, password) {
+    const cfb = CFB.read(buffer, { type: 'buffer' });
+    const infoEntry = CFB.find(cfb, 'EncryptionInfo');
+    const packageEntry = CFB.find(cfb, 'EncryptedPackage');
+
+    if (!infoEntry || !packageEntry) {
+        throw new Error('Encrypted package not found');
+    }
+
+    const info = new Uint8Array(infoEntry.content);
+    const encrypted = new Uint8Array(packageEntry.content);
+    const versionMajor = readUInt16LE(info, 0);
+    const versionMinor = readUInt16LE(info, 2);
+
+    // Package size (8 bytes) followed by the encrypted data
+    const size = readUInt32LE(encrypted, 0) + readUInt32LE(encrypted, 4) * 0x100000000;
+    const data = encrypted.subarray(8);
+
+    const hasPassword = password !== undefined && password !== null;
+    const candidate = hasPassword ? String(password) : DEFAULT_PASSWORD;
+
+    if (versionMajor === 4 && versionMinor === 4) {
+        const agile = parseAgileInfo(info);
+        const key = agileKey(agile, candidate);
+        if (key) {
+            return agileDecrypt(agile, key, data, size);
+        }
+    } else if (versionMinor === 2 && versionMajor >= 2 && versionMajor <= 4) {
+        const standard = parseStandardInfo(info);
+        const key = standardKey(standard, candidate);
+        if (key) {
+            return aesDecrypt(key, data).subarray(0, size);
+        }
+    } else {
+        throw new Error(`Unsupported encryption version: ${versionMajor}.${versionMinor}`);
+    }
+
+    if (!hasPassword) {
+        throw new PasswordError('The file is password protected, use the password option', 'PASSWORD_REQUIRED');
+    }
+    throw new PasswordError('Invalid password', 'INVALID_PASSWORD');
+}
+
+export default { isEncryptedPackage, decryptPackage, decryptBIFF, PasswordError };
@@ -0,0 +1,209 @@
+/**
+ * Office Drawing (Escher) records of XLS files
+ *
+ * Pictures are stored once in the BLIP store of the MSODRAWINGGROUP record and
+ * placed on the sheets by the shapes of the MSODRAWING records, which reference
+ * them by their 1-based index (pib) and anchor them to the cells.
+ * Based on [MS-ODRAW].
+ */
+
+import { readUInt16LE, readUInt32LE } from './helpers.js';
+
+// Record types
+const DGG_CONTAINER = 0xF000;
+const BSTORE_CONTAINER = 0xF001;
+const SP_CONTAINER = 0xF004;
+const FBSE = 0xF007;
+const OPT = 0xF00B;
+const CLIENT_ANCHOR = 0xF010;
+const CLIENT_DATA = 0xF011;
+
+// Property of the shape with the index of its picture in the BLIP store
+const PROPERTY_PIB = 0x0104;
+
+// BLIP record types: metafiles have a header and may be compressed, bitmaps a tag byte
+const BLIP_TYPES = {
+    0xF01A: { mimeType: 'image/x-emf', metafile: true },
+    0xF01B: { mimeType: 'image/x-wmf', metafile: true },
+    0xF01C: { mimeType: 'image/x-pict', metafile: true },
+    0xF01D: { mimeType: 'image/jpeg' },
+    0xF01E: { mimeType: 'image/png' },
+    0xF01F: { mimeType: 'image/bmp', dib: true },
+    0xF029: { mimeType: 'image/tiff' },
+    0xF02A: { mimeType: 'image/jpeg' }
+};
+
+/**
+ * Read the record headers of an Escher stream between two positions
+ */
+function readRecords(data, start, end) {
+    const records = [];
+    let pos = start;
+
+    while (pos + 8 <= end) {
+        const options = readUInt16LE(data, pos);
+        const length = readUInt32LE(data, pos + 4);
+        records.push({
+            container: (options & 0x0F) === 0x0F,
+            instance: options >> 4,
+            type: readUInt16LE(data, pos + 2),
+            start: pos + 8,
+            end: Math.min(pos + 8 + length, end)
+        });
+        pos += 8 + length;
+    }
+
+    return records;
+}
+
+/**
+ * BMP file header for a device independent bitmap
+ */
+function bitmapFileHeader(dib) {
+    const headerSize = readUInt32LE(dib, 0);
+    const bitCount = readUInt16LE(dib, 14);
+    const compression = readUInt32LE(dib, 16);
+    const colorsUsed = headerSize >= 40 ? readUInt32LE(dib, 32) : 0;
+    const colors = colorsUsed || (bitCount <= 8 ? 1 << bitCount : 0);
+    const offset = 14 + headerSize + colors * 4 + (compression === 3 && headerSize === 40 ? 12 : 0);
+    const size = 14 + dib.length;
+
+    return [
+        0x42, 0x4D, size & 0xFF, (size >> 8) & 0xFF, (size >> 16) & 0xFF, (size >>> 24) & 0xFF, 0, 0, 0, 0,
+        offset & 0xFF, (offset >> 8) & 0xFF, (offset >> 16) & 0xFF, (offset >>> 24) & 0xFF
+    ];
+}
+
+/**
+ * Read a BLIP record: the picture type and its bytes
+ */
+function readBlip(data, record) {
+    const blipType = BLIP_TYPES[record.type];
+    if (!blipType) {
+        return null;
+    }
+
+    // One or two 16 byte identifiers, depending on the instance
+    let pos = record.start + ((record.instance & 0x01) ? 32 : 16);
+
+    if (blipType.metafile) {
+        // Header: uncompressed size, bounds, size in EMU, saved size, compression and filter
+        const savedSize = readUInt32LE(data, pos + 28);
+        const compressed = data[pos + 32] === 0x00;
+        pos += 34;
+        return {
+            mimeType: blipType.mimeType,
+            data: data.slice(pos, Math.min(pos + savedSize, record.end)),
+            compressed
+        };
+    }
+
+    // Tag byte before the bitmap
+    const bytes = data.slice(pos + 1, record.end);
+    return {
+        mimeType: blipType.mimeType,
+        data: blipType.dib ? new Uint8Array([...bitmapFileHeader(bytes), ...bytes]) : bytes,
+        compressed: false
+    };
+}
+
+/**
+ * Read the pictures of the BLIP store (OfficeArtDggContainer of the MSODRAWINGGROUP record)
+ * @param {Uint8Array} data - Drawing group data, with the data of its CONTINUE records
+ * @returns {Array<{mimeType: string, data: Uint8Array, compressed: boolean}|null>} Pictures by their position in the store
+ */
+export function parseBlipStore(data) {
+    const blips = [];
+
+    readRecords(data, 0, data.length).filter(r => r.type === DGG_CONTAINER).forEach(dgg => {
+        readRecords(data, dgg.start, dgg.end).filter(r => r.type === BSTORE_CONTAINER).forEach(store => {
+            readRecords(data, store.start, store.end).forEach(entry => {
+                if (entry.type !== FBSE) {
+                    blips.push(null);
+                    return;
+                }
+
+                // File BLIP store entry: 36 bytes, the name and the embedded BLIP record
+                const nameLength = data[entry.start + 33];
+                const blip = readRecords(data, entry.start + 36 + nameLength, entry.end)[0];
+                blips.push(blip ? readBlip(data, blip) : null);
+            });
+        });
+    });
+
+    return blips;
+}
+
+/**
+ * Read the shapes of a sheet drawing (OfficeArtDgContainer of the MSODRAWING records)
+ * @param {Uint8Array} data - Data of all MSODRAWING records of the sheet
+ * @returns {Array<{pib: number, object: number, anchor: Object}>} Shapes anchored to cells, with the picture index (1-based, 0 for none)
+ * and the index of the OBJ record describing the shape
+ */
+export function parseShapes(data) {
+    const shapes = [];
+    let object = 0;
+
+    const walk = (start, end) => {
+        readRecords(data, start, end).forEach(record => {
+            if (record.type === SP_CONTAINER) {
+                const shape = { pib: 0, object: -1, anchor: null };
+
+                readRecords(data, record.start, record.end).forEach(child => {
+                    if (child.type === OPT) {
+                        // Properties: identifier (2) and value (4), followed by the complex data
+                        for (let i = 0; i < child.instance && child.start + i * 6 + 6 <= child.end; i++) {
+                            const pos = child.start + i * 6;
+                            if ((readUInt16LE(data, pos) & 0x3FFF) === PROPERTY_PIB) {
+                                shape.pib = readUInt32LE(data, pos + 2);
+                            }
+                        }
+                    } else if (child.type === CLIENT_ANCHOR && child.end - child.start >= 18) {
+                        // Flags, then column, offset in 1/1024 of the width, row and offset in 1/256 of the height of both corners
+                        const values = [];
+                        for (let pos = child.start + 2; pos < child.start + 18; pos += 2) {
+                            values.push(readUInt16LE(data, pos));
+                        }
+                        const [colLeft, dxLeft, rowTop, dyTop, colRight, dxRight, rowBottom, dyBottom] = values;
+                        shape.anchor = { colLeft, dxLeft, rowTop, dyTop, colRight, dxRight, rowBottom, dyBottom };
+                    } else if (child.type === CLIENT_DATA) {
+                        // Each client data is followed by the OBJ record of the shape
+                        shape.object = object++;
+                    } else if (child.container) {
+                        walk(child.start, child.end);
+                    }
+                });
+
+                if (shape.anchor) {
+                    shapes.push(shape);
+                }
+            } else if (record.container) {
+                walk(record.start, record.end);
+            }
+        });
+    };
+
+    walk(0, data.length);
+
+    return shapes;
+}
+
+/**
+ * Decompress a metafile stored with deflate compression
+ * @param {Uint8Array} data - Compressed bytes (zlib format)
+ * @returns {Promise<Uint8Array|null>} The metafile, or null when it can not be decompressed
+ */
+export async function inflateMetafile(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        return null;
+    }
+
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (e) {
+        return null;
+    }
+}
+
+export default { parseBlipStore, parseShapes, inflateMetafile };
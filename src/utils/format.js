@@ -0,0 +1,739 @@
+/**
+ * Number format engine
+ * Renders a value with an Excel format code, producing the text displayed in the cell
+ *
+ * Supports sections (positive;negative;zero;text), colors, conditions, thousands separators,
+ * scaling, percentages, fractions, scientific notation, dates, elapsed time and locale tokens.
+ * Month and day names are rendered in English.
+ */
+
+import {
+    numberFormats,
+    excelSerialToDate,
+    dateToExcelSerial,
+    parseISODate
+} from './helpers.js';
+
+// Named colors, [Color1] to [Color8] use the same colors
+const COLORS = {
+    black: '#000000',
+    white: '#FFFFFF',
+    red: '#FF0000',
+    green: '#00FF00',
+    blue: '#0000FF',
+    yellow: '#FFFF00',
+    magenta: '#FF00FF',
+    cyan: '#00FFFF'
+};
+
+const INDEXED_COLORS = ['black', 'white', 'red', 'green', 'blue', 'yellow', 'magenta', 'cyan'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parsed format codes
+const cache = {};
+
+// Round a number to a number of decimals, avoiding binary representation issues (1.005 -> 1.01)
+function round(value, decimals) {
+    if (value === 0 || !isFinite(value) || Math.abs(value) >= 1e21) return value;
+
+    const shift = (number, exponent) => {
+        const parts = number.toExponential().split('e');
+        return Number(parts[0] + 'e' + (Number(parts[1]) + exponent));
+    };
+
+    const rounded = Math.round(shift(Math.abs(value), decimals));
+    return (value < 0 ? -1 : 1) * (rounded === 0 ? 0 : shift(rounded, -decimals));
+}
+
+// Parse the content of a [...] token
+function parseBracket(content, section) {
+    const lower = content.toLowerCase();
+
+    if (COLORS[lower]) {
+        section.color = COLORS[lower];
+        return null;
+    }
+
+    let match = lower.match(/^color\s*(\d+)$/);
+    if (match) {
+        const name = INDEXED_COLORS[parseInt(match[1]) - 1];
+        section.color = name ? COLORS[name] : null;
+        return null;
+    }
+
+    match = content.match(/^(<=|>=|<>|<|>|=)\s*(-?\d*\.?\d+(?:[eE][+-]?\d+)?)$/);
+    if (match) {
+        section.condition = { operator: match[1], value: parseFloat(match[2]) };
+        return null;
+    }
+
+    // Elapsed time [h], [mm], [ss]
+    if (/^(h+|m+|s+)$/i.test(content)) {
+        return { type: 'elapsed', unit: lower[0], length: content.length };
+    }
+
+    // Locale and currency: [$-409], [$€-407], [$USD]
+    if (content[0] === '$') {
+        const symbol = content.substring(1).split('-')[0];
+        return symbol ? { type: 'literal', text: symbol } : null;
+    }
+
+    // Calendars, DBNum and other unsupported modifiers
+    return null;
+}
+
+// Split a format code into tokens, one list per section
+function tokenize(code) {
+    const sections = [];
+    let section = { tokens: [] };
+    let i = 0;
+
+    const literal = (text) => {
+        const last = section.tokens[section.tokens.length - 1];
+        if (last && last.type === 'literal') {
+            last.text += text;
+        } else {
+            section.tokens.push({ type: 'literal', text: text });
+        }
+    };
+
+    const hasDigits = () => section.tokens.some(t => t.type === 'digit');
+
+    while (i < code.length) {
+        const c = code[i];
+        const lower = c.toLowerCase();
+
+        if (c === ';') {
+            sections.push(section);
+            section = { tokens: [] };
+            i++;
+        } else if (c === '"') {
+            const end = code.indexOf('"', i + 1);
+            literal(code.substring(i + 1, end === -1 ? code.length : end));
+            i = end === -1 ? code.length : end + 1;
+        } else if (c === '\\') {
+            literal(code[i + 1] || '');
+            i += 2;
+        } else if (c === '_') {
+            // Space with the width of the next character
+            literal(' ');
+            i += 2;
+        } else if (c === '*') {
+            // Repeat the next character to fill the cell, not applicable to text
+            i += 2;
+        } else if (c === '[') {
+            const end = code.indexOf(']', i);
+            const token = parseBracket(code.substring(i + 1, end === -1 ? code.length : end), section);
+            if (token && token.type === 'literal') {
+                literal(token.text);
+            } else if (token) {
+                section.tokens.push(token);
+            }
+            i = end === -1 ? code.length : end + 1;
+        } else if (code.substring(i, i + 7).toLowerCase() === 'general') {
+            section.tokens.push({ type: 'general' });
+            i += 7;
+        } else if (code.substring(i, i + 5).toUpperCase() === 'AM/PM') {
+            section.tokens.push({ type: 'ampm', text: code.substring(i, i + 5) });
+            i += 5;
+        } else if (code.substring(i, i + 3).toUpperCase() === 'A/P') {
+            section.tokens.push({ type: 'ampm', text: code.substring(i, i + 3) });
+            i += 3;
+        } else if ((c === 'E' || c === 'e') && (code[i + 1] === '+' || code[i + 1] === '-') && hasDigits()) {
+            section.tokens.push({ type: 'exponent', sign: code[i + 1] });
+            i += 2;
+        } else if ('ymdhs'.indexOf(lower) !== -1) {
+            let length = 1;
+            while (code[i + length] && code[i + length].toLowerCase() === lower) length++;
+            section.tokens.push({ type: lower === 'm' ? 'month' : lower, length: length });
+            i += length;
+        } else if (c === '0' || c === '#' || c === '?') {
+            section.tokens.push({ type: 'digit', char: c });
+            i++;
+        } else if (c === '.') {
+            section.tokens.push({ type: 'point' });
+            i++;
+        } else if (c === ',') {
+            section.tokens.push({ type: 'comma' });
+            i++;
+        } else if (c === '%') {
+            section.tokens.push({ type: 'percent' });
+            literal('%');
+            i++;
+        } else if (c === '@') {
+            section.tokens.push({ type: 'text' });
+            i++;
+        } else if (c === '/' && hasDigits()) {
+            section.tokens.push({ type: 'slash' });
+            i++;
+            // Fixed denominator, e.g. # ?/16
+            const match = code.substring(i).match(/^[1-9]\d*/);
+            if (match) {
+                section.tokens.push({ type: 'denominator', value: parseInt(match[0]) });
+                i += match[0].length;
+            }
+        } else {
+            literal(c);
+            i++;
+        }
+    }
+    sections.push(section);
+
+    sections.forEach(classify);
+
+    return sections;
+}
+
+// Resolve ambiguous tokens and find out how a section renders its value
+function classify(section) {
+    const tokens = section.tokens;
+
+    if (tokens.some(t => ['y', 'month', 'd', 'h', 's', 'ampm', 'elapsed'].indexOf(t.type) !== -1)) {
+        section.type = 'date';
+
+        // m is minutes after hours or before seconds
+        const units = tokens.filter(t => ['y', 'month', 'd', 'h', 's', 'elapsed'].indexOf(t.type) !== -1);
+        units.forEach((t, i) => {
+            if (t.type !== 'month' || t.length > 2) return;
+            const previous = units[i - 1];
+            const next = units[i + 1];
+            if ((previous && (previous.type === 'h' || (previous.type === 'elapsed' && previous.unit === 'h'))) ||
+                (next && (next.type === 's' || (next.type === 'elapsed' && next.unit === 's')))) {
+                t.type = 'minute';
+            }
+        });
+
+        // Fractions of a second: ss.00
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type === 'point' && tokens[i + 1] && tokens[i + 1].type === 'digit') {
+                let length = 0;
+                while (tokens[i + 1 + length] && tokens[i + 1 + length].type === 'digit') length++;
+                tokens.splice(i, length + 1, { type: 'subsecond', length: length });
+            }
+        }
+
+        section.hour12 = tokens.some(t => t.type === 'ampm');
+        section.precision = Math.max(0, ...tokens.filter(t => t.type === 'subsecond').map(t => t.length));
+
+        // Points and digits outside seconds are plain text in dates
+        section.tokens = tokens.map(t => {
+            if (t.type === 'point') return { type: 'literal', text: '.' };
+            if (t.type === 'comma') return { type: 'literal', text: ',' };
+            if (t.type === 'digit') return { type: 'literal', text: t.char };
+            return t;
+        });
+    } else if (tokens.some(t => t.type === 'digit')) {
+        section.type = 'number';
+    } else if (tokens.some(t => t.type === 'general')) {
+        section.type = 'general';
+    } else if (tokens.some(t => t.type === 'text')) {
+        section.type = 'text';
+    } else {
+        section.type = 'literal';
+    }
+}
+
+// Get the parsed sections of a format code
+function getSections(code) {
+    if (!cache[code]) {
+        cache[code] = tokenize(code);
+    }
+    return cache[code];
+}
+
+// Check a [>100] style condition
+function testCondition(condition, value) {
+    switch (condition.operator) {
+        case '<': return value < condition.value;
+        case '<=': return value <= condition.value;
+        case '>': return value > condition.value;
+        case '>=': return value >= condition.value;
+        case '=': return value === condition.value;
+        case '<>': return value !== condition.value;
+    }
+    return false;
+}
+
+// Choose the section for a number. Returns the section and whether the sign is part of the section.
+function chooseSection(sections, value) {
+    const numeric = sections.length === 4 ? sections.slice(0, 3) : sections.filter(s => s.type !== 'text');
+
+    if (numeric.length === 0) {
+        return { section: { type: 'general', tokens: [{ type: 'general' }] }, signed: false };
+    }
+
+    if (numeric[0].condition || (numeric[1] && numeric[1].condition)) {
+        for (let i = 0; i < 2 && i < numeric.length; i++) {
+            if (numeric[i].condition && testCondition(numeric[i].condition, value)) {
+                return { section: numeric[i], signed: false };
+            }
+        }
+        const other = numeric.find((s, i) => i > 0 && !s.condition);
+        return { section: other || null, signed: false };
+    }
+
+    if (value < 0 && numeric.length > 1) {
+        return { section: numeric[1], signed: true };
+    }
+    if (value === 0 && numeric.length > 2) {
+        return { section: numeric[2], signed: false };
+    }
+    return { section: numeric[0], signed: false };
+}
+
+// Render a number with the General format
+function formatGeneral(value) {
+    if (value === 0) return '0';
+
+    // Up to 11 characters
+    const abs = Math.abs(value);
+    const integerDigits = abs >= 1 ? Math.floor(Math.log10(abs)) + 1 : 1;
+    const rounded = round(value, Math.max(0, 10 - integerDigits));
+    const text = String(rounded);
+
+    if (abs >= 1e11 || rounded === 0 || text.indexOf('e') !== -1) {
+        const parts = value.toExponential(5).split('e');
+        const mantissa = parts[0].replace(/\.?0+$/, '');
+        const exponent = parseInt(parts[1]);
+        return mantissa + 'E' + (exponent < 0 ? '-' : '+') + String(Math.abs(exponent)).padStart(2, '0');
+    }
+
+    return text;
+}
+
+// Fill digit placeholders right to left with the integer digits
+function renderInteger(tokens, digits, grouping) {
+    const placeholders = tokens.filter(t => t.type === 'digit').length;
+    let output = '';
+    let position = Math.max(placeholders, digits.length) - 1;
+
+    const digitAt = (p) => digits.length - 1 - p >= 0 ? digits[digits.length - 1 - p] : null;
+    const separator = (p) => grouping && p > 0 && p % 3 === 0 ? ',' : '';
+
+    let first = true;
+    tokens.forEach(t => {
+        if (t.type === 'literal') {
+            output += t.text;
+            return;
+        }
+        if (t.type !== 'digit') return;
+
+        // Extra digits go into the first placeholder
+        if (first) {
+            while (position >= placeholders) {
+                output += digitAt(position) + separator(position);
+                position--;
+            }
+            first = false;
+        }
+
+        const digit = digitAt(position);
+        if (digit !== null) {
+            output += digit + separator(position);
+        } else if (t.char === '0') {
+            output += '0' + separator(position);
+        } else if (t.char === '?') {
+            output += ' ' + (separator(position) ? ' ' : '');
+        }
+        position--;
+    });
+
+    // No placeholders at all, e.g. .00
+    if (first && digits) {
+        output = digits + output;
+    }
+
+    return output;
+}
+
+// Fill digit placeholders left to right with the decimal digits
+function renderDecimals(tokens, digits) {
+    const placeholders = tokens.filter(t => t.type === 'digit');
+    const chars = digits.split('');
+
+    // Trailing zeros are optional for # and ?
+    for (let i = chars.length - 1; i >= 0 && chars[i] === '0'; i--) {
+        if (placeholders[i].char === '#') {
+            chars[i] = '';
+        } else if (placeholders[i].char === '?') {
+            chars[i] = ' ';
+        } else {
+            break;
+        }
+    }
+
+    let index = 0;
+    let output = '';
+    tokens.forEach(t => {
+        if (t.type === 'literal') {
+            output += t.text;
+        } else if (t.type === 'digit') {
+            output += chars[index++];
+        }
+    });
+    return output;
+}
+
+// Render a positive number with digit placeholders, split at the decimal point
+function renderDecimal(tokens, value) {
+    const point = tokens.findIndex(t => t.type === 'point');
+    const integerTokens = point === -1 ? tokens : tokens.slice(0, point);
+    const decimalTokens = point === -1 ? [] : tokens.slice(point + 1);
+    const decimals = decimalTokens.filter(t => t.type === 'digit').length;
+
+    // A comma between digit placeholders is the thousands separator
+    const digitIndexes = integerTokens.map((t, i) => t.type === 'digit' ? i : -1).filter(i => i !== -1);
+    const grouping = integerTokens.some((t, i) => t.type === 'comma' && i > digitIndexes[0] && i < digitIndexes[digitIndexes.length - 1]);
+
+    const parts = round(value, decimals).toFixed(decimals).split('.');
+    const integer = parts[0] === '0' ? '' : parts[0];
+
+    let output = renderInteger(integerTokens, integer, grouping);
+    if (point !== -1) {
+        output += '.' + renderDecimals(decimalTokens, parts[1] || '');
+    }
+    return output;
+}
+
+// Render a positive number in scientific notation
+function renderScientific(tokens, value) {
+    const index = tokens.findIndex(t => t.type === 'exponent');
+    const mantissaTokens = tokens.slice(0, index);
+    const exponentTokens = tokens.slice(index + 1);
+    const sign = tokens[index].sign;
+
+    const point = mantissaTokens.findIndex(t => t.type === 'point');
+    const integerPlaceholders = (point === -1 ? mantissaTokens : mantissaTokens.slice(0, point)).filter(t => t.type === 'digit').length;
+    const decimals = point === -1 ? 0 : mantissaTokens.slice(point + 1).filter(t => t.type === 'digit').length;
+
+    // With more than one integer placeholder the exponent is a multiple of their number (engineering notation)
+    const step = integerPlaceholders > 1 ? integerPlaceholders : 1;
+
+    let exponent = 0;
+    let mantissa = 0;
+    if (value !== 0) {
+        exponent = Math.floor(Math.floor(Math.log10(value)) / step) * step;
+        mantissa = round(value / Math.pow(10, exponent), decimals);
+        if (mantissa >= Math.pow(10, step)) {
+            exponent += step;
+            mantissa = round(value / Math.pow(10, exponent), decimals);
+        }
+    }
+
+    const zeros = exponentTokens.filter(t => t.type === 'digit' && t.char === '0').length;
+    const exponentText = String(Math.abs(exponent)).padStart(zeros, '0');
+
+    const literal = exponentTokens.filter(t => t.type === 'literal').map(t => t.text).join('');
+    const signText = exponent < 0 ? '-' : (sign === '+' ? '+' : '');
+
+    return renderDecimal(mantissaTokens, mantissa) + 'E' + signText + exponentText + literal;
+}
+
+// Find the best fraction for a value with a maximum number of denominator digits
+function approximate(value, maxDenominator) {
+    let best = [0, 1];
+    let error = Infinity;
+    for (let denominator = 1; denominator <= maxDenominator; denominator++) {
+        const numerator = Math.round(value * denominator);
+        const e = Math.abs(value - numerator / denominator);
+        if (e < error - 1e-12) {
+            best = [numerator, denominator];
+            error = e;
+            if (e === 0) break;
+        }
+    }
+    return best;
+}
+
+// Fill placeholders with a number aligned to the right (numerator) or to the left (denominator)
+function renderPart(placeholders, text, left) {
+    let output = text;
+    const padding = placeholders.slice(text.length).map(t => t.char === '?' ? ' ' : (t.char === '0' ? '0' : '')).join('');
+    output = left ? output + padding : padding + output;
+    return output;
+}
+
+// Render a positive number as a fraction, e.g. # ?/? or ?/16
+function renderFraction(tokens, value) {
+    const slash = tokens.findIndex(t => t.type === 'slash');
+
+    // Numerator: the digit placeholders right before the slash
+    let start = slash;
+    while (start > 0 && tokens[start - 1].type === 'digit') start--;
+    const numeratorTokens = tokens.slice(start, slash);
+
+    // Integer part: digit placeholders before the numerator
+    const integerTokens = tokens.slice(0, start);
+    const hasInteger = integerTokens.some(t => t.type === 'digit');
+
+    // Denominator: fixed value or digit placeholders
+    let end = slash + 1;
+    let fixed = null;
+    if (tokens[end] && tokens[end].type === 'denominator') {
+        fixed = tokens[end].value;
+        end++;
+    }
+    while (tokens[end] && tokens[end].type === 'digit') end++;
+    const denominatorTokens = tokens.slice(slash + 1, end).filter(t => t.type === 'digit');
+    const suffix = tokens.slice(end).filter(t => t.type === 'literal').map(t => t.text).join('');
+
+    let integer = hasInteger ? Math.floor(value) : 0;
+    const fraction = value - integer;
+
+    let numerator, denominator;
+    if (fixed) {
+        numerator = Math.round(fraction * fixed);
+        denominator = fixed;
+    } else {
+        [numerator, denominator] = approximate(fraction, Math.pow(10, Math.max(1, denominatorTokens.length)) - 1);
+    }
+
+    if (hasInteger && numerator === denominator) {
+        integer++;
+        numerator = 0;
+    }
+
+    // Integer part, a zero integer is only shown when there is no fraction
+    const integerText = integer ? String(integer) : (hasInteger && numerator === 0 ? '0' : '');
+    let output = hasInteger ? renderInteger(integerTokens, integerText, false) : integerTokens.filter(t => t.type === 'literal').map(t => t.text).join('');
+
+    if (hasInteger && numerator === 0) {
+        // Whole number, the fraction is replaced by spaces
+        const width = numeratorTokens.length + 1 + (fixed ? String(fixed).length : denominatorTokens.length);
+        return output + ' '.repeat(width) + suffix;
+    }
+
+    output += renderPart(numeratorTokens, String(numerator), false);
+    output += '/';
+    output += fixed ? String(fixed) + renderPart(denominatorTokens, '', true) : renderPart(denominatorTokens, String(denominator), true);
+
+    return output + suffix;
+}
+
+// Render a positive number with a number section
+function renderNumber(section, value) {
+    let tokens = section.tokens;
+
+    // Percentages
+    tokens.forEach(t => {
+        if (t.type === 'percent') value *= 100;
+    });
+
+    // Commas right after the last integer or decimal placeholder divide by 1000
+    const point = tokens.findIndex(t => t.type === 'point');
+    const scaling = new Set();
+    [point === -1 ? tokens.length : point, tokens.length].forEach(end => {
+        let last = -1;
+        for (let i = 0; i < end; i++) {
+            if (tokens[i].type === 'digit') last = i;
+        }
+        for (let i = last + 1; i < end && tokens[i].type === 'comma'; i++) {
+            scaling.add(i);
+        }
+    });
+    scaling.forEach(() => {
+        value /= 1000;
+    });
+    tokens = tokens.filter((t, i) => !scaling.has(i));
+
+    if (tokens.some(t => t.type === 'exponent')) {
+        return renderScientific(tokens, value);
+    }
+    if (tokens.some(t => t.type === 'slash')) {
+        return renderFraction(tokens, value);
+    }
+    return renderDecimal(tokens, value);
+}
+
+// Render a serial number with a date section
+function renderDate(section, serial, date1904) {
+    const elapsed = section.tokens.some(t => t.type === 'elapsed');
+    if (serial < 0 && !elapsed) {
+        return '#'.repeat(10);
+    }
+
+    const sign = serial < 0 ? '-' : '';
+    const factor = Math.pow(10, section.precision);
+    const total = Math.round(Math.abs(serial) * 86400 * factor) / factor;
+    const days = Math.floor(total / 86400);
+    const seconds = total - days * 86400;
+
+    // Excel displays the serial day 0 as January 0, 1900, a Saturday
+    const date = excelSerialToDate(days, date1904);
+    const zero = days === 0 && !date1904;
+    const year = zero ? 1900 : date.getUTCFullYear();
+    const month = zero ? 0 : date.getUTCMonth();
+    const day = zero ? 0 : date.getUTCDate();
+    const weekday = zero ? 6 : date.getUTCDay();
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const secondsInMinute = seconds % 60;
+
+    const pad = (number, length) => String(number).padStart(length, '0');
+
+    let output = '';
+    section.tokens.forEach(t => {
+        switch (t.type) {
+            case 'literal':
+                output += t.text;
+                break;
+            case 'y':
+                output += t.length <= 2 ? pad(year % 100, 2) : pad(year, 4);
+                break;
+            case 'month':
+                if (t.length === 1) output += month + 1;
+                else if (t.length === 2) output += pad(month + 1, 2);
+                else if (t.length === 3) output += MONTHS[month].substring(0, 3);
+                else if (t.length === 5) output += MONTHS[month][0];
+                else output += MONTHS[month];
+                break;
+            case 'd':
+                if (t.length === 1) output += day;
+                else if (t.length === 2) output += pad(day, 2);
+                else if (t.length === 3) output += DAYS[weekday].substring(0, 3);
+                else output += DAYS[weekday];
+                break;
+            case 'h': {
+                let hour = hours;
+                if (section.hour12) {
+                    hour = hour % 12 || 12;
+                }
+                output += pad(hour, Math.min(t.length, 2));
+                break;
+            }
+            case 'minute':
+                output += pad(minutes, Math.min(t.length, 2));
+                break;
+            case 's':
+                output += pad(Math.floor(secondsInMinute), Math.min(t.length, 2));
+                break;
+            case 'subsecond':
+                output += '.' + pad(Math.round((secondsInMinute % 1) * Math.pow(10, t.length)), t.length);
+                break;
+            case 'ampm': {
+                const pm = hours >= 12;
+                const text = t.text.length === 5 ? (pm ? t.text.substring(3) : t.text.substring(0, 2)) : (pm ? t.text[2] : t.text[0]);
+                output += text;
+                break;
+            }
+            case 'elapsed': {
+                let units = total / 3600;
+                if (t.unit === 'm') units = total / 60;
+                if (t.unit === 's') units = total;
+                output += sign + pad(Math.floor(units), t.length);
+                break;
+            }
+        }
+    });
+
+    return output;
+}
+
+// Render literals and the text placeholder
+function renderText(section, text) {
+    return section.tokens.map(t => {
+        if (t.type === 'text') return text;
+        if (t.type === 'literal') return t.text;
+        return '';
+    }).join('');
+}
+
+// Render a value, returns the text and the color of the section used
+function render(value, code, options = {}) {
+    if (value === null || value === undefined || value === '') {
+        return { text: '', color: null };
+    }
+
+    if (typeof value === 'boolean') {
+        return { text: value ? 'TRUE' : 'FALSE', color: null };
+    }
+
+    if (typeof code === 'number') {
+        code = numberFormats[code];
+    }
+    if (!code) {
+        code = 'General';
+    }
+
+    const sections = getSections(code);
+    const date1904 = !!options.date1904;
+
+    // Dates and ISO strings are serial numbers for date formats
+    if (value instanceof Date) {
+        value = isNaN(value.getTime()) ? '' : dateToExcelSerial(value, date1904);
+    } else if (typeof value === 'string' && sections[0].type === 'date') {
+        const date = parseISODate(value);
+        if (date) {
+            value = dateToExcelSerial(date, date1904);
+        }
+    }
+
+    if (typeof value !== 'number') {
+        const text = String(value);
+        const section = sections[3] || sections.find(s => s.type === 'text');
+        return section ? { text: renderText(section, text), color: section.color || null } : { text: text, color: null };
+    }
+
+    // NaN and infinities are not displayable numbers
+    if (!isFinite(value)) {
+        return { text: '', color: null };
+    }
+
+    const { section, signed } = chooseSection(sections, value);
+    if (!section) {
+        return { text: '#'.repeat(10), color: null };
+    }
+
+    const abs = Math.abs(value);
+    const sign = value < 0 && !signed && section.type !== 'date' && section.type !== 'literal' ? '-' : '';
+
+    let text;
+    if (section.type === 'date') {
+        text = renderDate(section, value, date1904);
+    } else if (section.type === 'number') {
+        text = sign + renderNumber(section, abs);
+    } else if (section.type === 'general') {
+        text = sign + section.tokens.map(t => t.type === 'general' ? formatGeneral(abs) : (t.type === 'literal' ? t.text : '')).join('');
+    } else {
+        text = renderText(section, '');
+    }
+
+    return { text: text, color: section.color || null };
+}
+
+/**
+ * Render a value with an Excel number format code, as displayed in the cell
+ *
+ * @param {number|string|boolean|Date} value - Cell value, ISO date strings and Dates are rendered with date formats
+ * @param {string|number} [code='General'] - Format code or built-in format id
+ * @param {Object} [options]
+ * @param {boolean} [options.date1904=false] - Serial numbers use the 1904 date system
+ * @returns {string} Displayed text
+ * @example
+ * format(1234.5, '$#,##0.00')       // '$1,234.50'
+ * format(45363, 'd-mmm-yyyy')       // '12-Mar-2024'
+ * format(-5, '0;[Red](0)')          // '(5)'
+ * format(1.5, '[h]:mm')             // '36:00'
+ * format(0.125, '# ?/?')            // ' 1/8'
+ */
+export function format(value, code, options) {
+    return render(value, code, options).text;
+}
+
+/**
+ * Get the color a format code applies to a value, e.g. [Red] in the negative section
+ *
+ * @param {number|string|boolean|Date} value - Cell value
+ * @param {string|number} [code='General'] - Format code or built-in format id
+ * @param {Object} [options]
+ * @param {boolean} [options.date1904=false] - Serial numbers use the 1904 date system
+ * @returns {string|null} Color as #RRGGBB or null
+ */
+export function getFormatColor(value, code, options) {
+    return render(value, code, options).color;
+}
+
+export default format;
@@ -175,6 +175,37 @@ const getCoordsFromRange = function(range, adjust) {
     return [ t1[0], t1[1], t2[0], t2[1] ];
 }
 
+/**
+ * Quote a sheet name for use in a reference when it is not a plain identifier
+ * @param {string} name
+ * @return {string}
+ * @example
+ * quoteSheetName('Sheet1')   // 'Sheet1'
+ * quoteSheetName("Bob's Q1") // "'Bob''s Q1'"
+ */
+const quoteSheetName = function(name) {
+    return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : "'" + name.replace(/'/g, "''") + "'";
+}
+
+/**
+ * Sheet prefix of a reference to one sheet or a range of sheets, quoted as a whole when needed
+ * @param {string} first - First sheet name
+ * @param {string} [last] - Last sheet name of a 3D range
+ * @param {string} [prefix] - External workbook prefix, such as [Book1.xls]
+ * @return {string}
+ * @example
+ * formatSheetRange('Jan', 'Mar')     // 'Jan:Mar'
+ * formatSheetRange('Jan', 'Q1 Data') // "'Jan:Q1 Data'"
+ */
+const formatSheetRange = function(first, last, prefix = '') {
+    if (last === undefined) {
+        last = first;
+    }
+    const text = prefix + (first === last ? first : `${first}:${last}`);
+    const plain = !prefix && quoteSheetName(first) === first && quoteSheetName(last) === last;
+    return plain ? text : quoteSheetName(text);
+}
+
 /**
  * Get the tokens from the coordinates
  * @param {number} x1
@@ -556,12 +587,15 @@ const readFloat64LE = function(buffer, offset) {
  * Decode HTML entities
  */
 const decodeHTMLEntities = function(text) {
+    // &amp; goes last so escaped entities such as &amp;lt; are not decoded twice
     return text
         .replace(/&quot;/gi, '"')
-        .replace(/&amp;/gi, '&')
         .replace(/&lt;/gi, '<')
         .replace(/&gt;/gi, '>')
-        .replace(/&apos;/gi, "'");
+        .replace(/&apos;/gi, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&amp;/gi, '&');
 };
 
 /**
@@ -724,6 +758,161 @@ const numberFormats = {
     65535: 'General',
 };
 
+// Built-in number formats which display a date or a time (27-36 and 50-58 are the CJK date formats)
+const dateFormatIds = [14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58];
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Check if a number format displays the value as a date or a time
+ *
+ * Elapsed time formats such as [h]:mm are durations and are not considered dates.
+ *
+ * @param {number|string|null} numFmtId - Built-in number format id
+ * @param {string|null} [formatCode] - Format code, e.g. 'yyyy-mm-dd'
+ * @returns {boolean}
+ * @example
+ * isDateFormat(14)                  // true
+ * isDateFormat(164, 'yyyy-mm-dd')   // true
+ * isDateFormat(null, '#,##0.00')    // false
+ * isDateFormat(null, '[h]:mm:ss')   // false
+ */
+const isDateFormat = function(numFmtId, formatCode) {
+    if (formatCode) {
+        // Remove quoted text, escaped and padding characters
+        const code = String(formatCode)
+            .replace(/"[^"]*"/g, '')
+            .replace(/\\./g, '')
+            .replace(/[_*]./g, '');
+
+        // Elapsed time
+        if (/\[(h+|m+|s+)\]/i.test(code)) {
+            return false;
+        }
+
+        // Colors, conditions and locales are not part of the pattern
+        return /[dmyhs]/i.test(code.replace(/\[[^\]]*\]/g, ''));
+    }
+
+    if (numFmtId === null || numFmtId === undefined || numFmtId === '') {
+        return false;
+    }
+
+    return dateFormatIds.indexOf(parseInt(numFmtId)) !== -1;
+}
+
+/**
+ * Convert an Excel serial number to a Date (UTC)
+ *
+ * The 1900 date system keeps the Lotus leap year bug: 1900-02-29 (serial 60) does not exist.
+ *
+ * @param {number} serial - Days since the epoch of the date system
+ * @param {boolean} [date1904=false] - Workbook uses the 1904 date system
+ * @returns {Date}
+ * @example
+ * excelSerialToDate(45363)        // 2024-03-12T00:00:00.000Z
+ * excelSerialToDate(43901, true)  // 2024-03-12T00:00:00.000Z
+ */
+const excelSerialToDate = function(serial, date1904) {
+    let epoch;
+    if (date1904) {
+        epoch = Date.UTC(1904, 0, 1);
+    } else if (serial < 60) {
+        epoch = Date.UTC(1899, 11, 31);
+    } else {
+        epoch = Date.UTC(1899, 11, 30);
+    }
+
+    return new Date(epoch + Math.round(serial * MS_PER_DAY));
+}
+
+/**
+ * Convert a Date (UTC) to an Excel serial number
+ *
+ * @param {Date} date
+ * @param {boolean} [date1904=false] - Workbook uses the 1904 date system
+ * @returns {number}
+ * @example
+ * dateToExcelSerial(new Date('2024-03-12'))  // 45363
+ */
+const dateToExcelSerial = function(date, date1904) {
+    if (date1904) {
+        return (date.getTime() - Date.UTC(1904, 0, 1)) / MS_PER_DAY;
+    }
+
+    const serial = (date.getTime() - Date.UTC(1899, 11, 30)) / MS_PER_DAY;
+    return serial < 61 ? serial - 1 : serial;
+}
+
+/**
+ * Parse an ISO 8601 date, date time or time (e.g. '2024-03-12', '2024-03-12T10:30:00', '10:30:00') as UTC
+ *
+ * A time without a date is placed on day zero of the 1900 date system.
+ *
+ * @param {string} text
+ * @returns {Date|null} Date or null when the text is not an ISO date
+ */
+const parseISODate = function(text) {
+    if (typeof(text) !== 'string') {
+        return null;
+    }
+
+    let value = text.trim();
+    if (/^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+        value = '1899-12-31T' + value;
+    }
+
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const ms = match[7] ? Math.round(parseFloat('0.' + match[7]) * 1000) : 0;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4] || 0, +match[5] || 0, +match[6] || 0, ms));
+
+    // Reject impossible dates such as 2024-02-30
+    if (date.getUTCDate() !== +match[3]) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Convert an Excel date serial to the representation requested by the dates option
+ *
+ * In ISO mode, dates without time give 'YYYY-MM-DD' and values on day zero
+ * of the 1900 date system give a time only ('HH:MM:SS').
+ *
+ * @param {number} serial - Excel serial number
+ * @param {string} [mode='iso'] - 'serial' keeps the number, 'iso' returns a string, 'date' returns a Date (UTC)
+ * @param {boolean} [date1904=false] - Workbook uses the 1904 date system
+ * @returns {number|string|Date}
+ * @example
+ * convertDateSerial(45363.5)          // '2024-03-12T12:00:00'
+ * convertDateSerial(0.75)             // '18:00:00'
+ * convertDateSerial(45363, 'serial')  // 45363
+ */
+const convertDateSerial = function(serial, mode, date1904) {
+    if (mode === 'serial' || typeof(serial) !== 'number' || !isFinite(serial)) {
+        return serial;
+    }
+
+    const date = excelSerialToDate(serial, date1904);
+    if (mode === 'date') {
+        return date;
+    }
+
+    let iso = date.toISOString().replace(/\.000Z$/, '').replace(/Z$/, '');
+    if (!date1904 && serial >= 0 && serial < 1) {
+        return iso.substring(11);
+    }
+    if (iso.substring(11) === '00:00:00') {
+        return iso.substring(0, 10);
+    }
+    return iso;
+}
+
 const borderStyles = {
     thin: ['solid', '1px'],
     medium: ['solid', '2px'],
@@ -779,6 +968,25 @@ const excelCFNumericOperators = {
     notBetween: 'not between',
 };
 
+// Excel default color palette (indexes 0-71)
+// Indexes 0-7: Fixed system colors
+// Indexes 8-63: Default colors (can be overridden by PALETTE record)
+// Indexes 64+: System/automatic colors
+const excelDefaultPalette = [
+    '#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF',
+    '#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF',
+    '#800000', '#008000', '#000080', '#808000', '#800080', '#008080', '#C0C0C0', '#808080',
+    '#9999FF', '#993366', '#FFFFCC', '#CCFFFF', '#660066', '#FF8080', '#0066CC', '#CCCCFF',
+    '#000080', '#FF00FF', '#FFFF00', '#00FFFF', '#800080', '#800000', '#008080', '#0000FF',
+    '#00CCFF', '#CCFFFF', '#CCFFCC', '#FFFF99', '#99CCFF', '#FF99CC', '#CC99FF', '#FFCC99',
+    '#3366FF', '#33CCCC', '#99CC00', '#FFCC00', '#FF9900', '#FF6600', '#666699', '#969696',
+    '#003366', '#339966', '#003300', '#333300', '#993300', '#993366', '#333399', '#333333',
+    // System/automatic colors (64+)
+    // Index 64: Window Text/Foreground (typically black, but for fills often renders as light color)
+    // Index 65: Window Background (typically white)
+    '#000000', '#FFFFFF', '#000000', '#000000', '#000000', '#000000', '#000000', '#000000'
+];
+
 const shapeMap = {
     rect: 'rectangle',
     roundRect: 'rounded-rectangle',
@@ -1004,6 +1212,8 @@ export {
     getCellNameFromCoords,
     getCoordsFromCellName,
     getCoordsFromRange,
+    quoteSheetName,
+    formatSheetRange,
     getTokensFromCoords,
     tokenIdentifier,
     getProp,
@@ -1021,6 +1231,11 @@ export {
     convertWidthToPixels,
     getDefaultTheme,
     numberFormats,
+    isDateFormat,
+    excelSerialToDate,
+    dateToExcelSerial,
+    parseISODate,
+    convertDateSerial,
     borderStyles,
     exclusions,
     excelValidationTypes,
@@ -1028,6 +1243,7 @@ export {
     excelCFSimpleTypes,
     excelCFTextTypes,
     excelCFNumericOperators,
+    excelDefaultPalette,
     shapeMap,
     hex2RGB,
     rgb2Hex,
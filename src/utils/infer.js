@@ -0,0 +1,294 @@
+/**
+ * Type inference for the values of text based formats (CSV, TSV, DIF and HTML)
+ *
+ * A column is converted when all its values, except a header in the first row, are numbers,
+ * booleans or dates of the same kind. Numbers may use either decimal separator, thousands
+ * separators, percentages and currency symbols. Values with leading zeros, such as ZIP codes
+ * and other identifiers, stay text.
+ *
+ * @license MIT
+ */
+
+import { parseISODate, dateToExcelSerial, convertDateSerial } from './helpers.js';
+
+// Currency symbols recognized before or after an amount
+const CURRENCY_SYMBOLS = '$€£¥₹₩₽';
+
+// Numbers with a point or a comma as decimal separator: integer part, decimals and exponent
+const NUMBER_PATTERNS = {
+    '.': /^(\d{1,3}(?:,\d{3})+|\d{1,3}(?:[ \u00A0\u202F]\d{3})+|\d+)?(?:\.(\d+))?(?:[eE]([-+]?\d+))?$/,
+    ',': /^(\d{1,3}(?:\.\d{3})+|\d{1,3}(?:[ \u00A0\u202F]\d{3})+|\d+)?(?:,(\d+))?$/
+};
+
+// Dates with the day and month in either order, and optionally a time
+const LOCALE_DATE = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Dates starting with the year, e.g. 2024/03/12
+const YEAR_FIRST_DATE = /^(\d{4})([/.])(\d{1,2})\2(\d{1,2})$/;
+
+// Largest number of digits kept as a number, longer identifiers lose precision
+const MAX_DIGITS = 15;
+
+/**
+ * Parse a number in the given decimal separator
+ * @param {string} text
+ * @param {string} decimal - '.' or ','
+ * @returns {{value: number, decimals: number, grouped: boolean, percent: boolean, currency: string|null, prefix: boolean}|null}
+ */
+export function parseNumber(text, decimal) {
+    let value = text.trim();
+    let negative = false;
+    let percent = false;
+    let currency = null;
+    let prefix = true;
+
+    // Accounting negatives, e.g. (1,234.00)
+    if (/^\(.+\)$/.test(value)) {
+        negative = true;
+        value = value.slice(1, -1).trim();
+    }
+    if (/^[-+]/.test(value)) {
+        negative = negative !== (value[0] === '-');
+        value = value.substring(1).trim();
+    }
+
+    if (value.endsWith('%')) {
+        percent = true;
+        value = value.slice(0, -1).trim();
+    }
+
+    let match = value.match(new RegExp(`^([${CURRENCY_SYMBOLS}])\\s?(-?)(.*)$`));
+    if (match) {
+        currency = match[1];
+        negative = negative !== (match[2] === '-');
+        value = match[3];
+    } else if ((match = value.match(new RegExp(`^(.*?)\\s?([${CURRENCY_SYMBOLS}])$`)))) {
+        currency = match[2];
+        prefix = false;
+        value = match[1];
+    }
+    if (currency && percent) {
+        return null;
+    }
+
+    match = value.match(NUMBER_PATTERNS[decimal]);
+    if (!match || (match[1] === undefined && match[2] === undefined)) {
+        return null;
+    }
+
+    const integer = (match[1] || '').replace(/\D/g, '');
+    const decimals = match[2] || '';
+
+    // Leading zeros belong to identifiers such as ZIP codes
+    if (integer.length > 1 && integer[0] === '0') {
+        return null;
+    }
+    if (integer.length + decimals.length > MAX_DIGITS) {
+        return null;
+    }
+
+    let number = parseFloat(`${integer || '0'}.${decimals || '0'}${match[3] ? 'e' + match[3] : ''}`);
+    if (negative) number = -number;
+    if (percent) number = number / 100;
+
+    return {
+        value: number,
+        decimals: decimals.length,
+        grouped: match[1] !== undefined && match[1].length !== integer.length,
+        percent,
+        currency,
+        prefix
+    };
+}
+
+/**
+ * Parse an ISO date, or a locale date in the given order
+ * @param {string} text
+ * @param {string} order - 'DMY' or 'MDY' for dates like 12/03/2024
+ * @returns {{date: Date, time: boolean}|null}
+ */
+export function parseDate(text, order) {
+    const value = text.trim();
+
+    if (/^\d{4}-\d{2}-\d{2}([T ]|$)/.test(value)) {
+        const date = parseISODate(value.replace(/Z$/, ''));
+        return date ? { date, time: value.length > 10 } : null;
+    }
+
+    let year;
+    let month;
+    let day;
+    let time = [];
+
+    let match = value.match(YEAR_FIRST_DATE);
+    if (match) {
+        [year, month, day] = [+match[1], +match[3], +match[4]];
+    } else if ((match = value.match(LOCALE_DATE))) {
+        [day, month] = order === 'MDY' ? [+match[3], +match[1]] : [+match[1], +match[3]];
+        year = +match[4];
+        // Two digit years as in Excel: 00-29 are 2000-2029
+        if (match[4].length === 2) {
+            year += year < 30 ? 2000 : 1900;
+        }
+        time = match[5] !== undefined ? [+match[5], +match[6], +match[7] || 0] : [];
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || time[0] > 23 || time[1] > 59 || time[2] > 59) {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day, time[0] || 0, time[1] || 0, time[2] || 0));
+    if (date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return { date, time: time.length > 0 };
+}
+
+// Order of day and month in the locale dates of a column, from the values that can only be read one way,
+// otherwise the option, or day first with a decimal comma or dotted dates (12.03.2024)
+function detectDateOrder(values, options) {
+    let dotted = false;
+    for (const value of values) {
+        const match = value.trim().match(LOCALE_DATE);
+        if (match && +match[1] > 12) return 'DMY';
+        if (match && +match[3] > 12) return 'MDY';
+        if (match && match[2] === '.') dotted = true;
+    }
+    if (options.dateOrder) {
+        return options.dateOrder;
+    }
+    return options.decimal === ',' || dotted ? 'DMY' : 'MDY';
+}
+
+// Excel style number format of a numeric column
+function getNumberMask(numbers) {
+    const decimals = Math.max(...numbers.map(number => number.decimals));
+    const fraction = decimals > 0 ? '.' + '0'.repeat(decimals) : '';
+
+    if (numbers.every(number => number.percent)) {
+        return '0' + fraction + '%';
+    }
+
+    const first = numbers[0];
+    if (first.currency && numbers.every(number => number.currency === first.currency && number.prefix === first.prefix)) {
+        return first.prefix ? `${first.currency}#,##0${fraction}` : `#,##0${fraction} ${first.currency}`;
+    }
+
+    if (numbers.some(number => number.percent || number.currency)) {
+        return null;
+    }
+
+    if (decimals > 0 || numbers.some(number => number.grouped)) {
+        return '#,##0' + fraction;
+    }
+
+    return null;
+}
+
+// Type of a column from its values, with a function converting each value, or null for text
+function inferColumn(values, options) {
+    if (!values.length) {
+        return null;
+    }
+
+    const strings = values.filter(value => typeof(value) === 'string');
+
+    if (strings.length === values.length && strings.every(value => /^(true|false)$/i.test(value.trim()))) {
+        return {
+            column: { type: 'checkbox' },
+            convert: value => typeof(value) === 'string' && /^(true|false)$/i.test(value.trim()) ? value.trim().toLowerCase() === 'true' : undefined
+        };
+    }
+
+    const order = detectDateOrder(strings, options);
+    if (strings.length === values.length) {
+        const dates = strings.map(value => parseDate(value, order));
+        if (dates.every(Boolean)) {
+            return {
+                column: { type: 'calendar', options: { format: dates.some(date => date.time) ? 'YYYY-MM-DD HH:mm:ss' : 'YYYY-MM-DD' } },
+                convert: value => {
+                    const parsed = typeof(value) === 'string' ? parseDate(value, order) : null;
+                    return parsed ? convertDateSerial(dateToExcelSerial(parsed.date), options.dates) : undefined;
+                }
+            };
+        }
+    }
+
+    // Numbers already typed by the format (DIF) fit any decimal separator
+    const separators = options.decimal === ',' ? [',', '.'] : ['.', ','];
+    for (const decimal of separators) {
+        const numbers = strings.map(value => parseNumber(value, decimal));
+        if (numbers.every(Boolean) && values.every(value => typeof(value) === 'string' || typeof(value) === 'number')) {
+            const column = { type: 'numeric' };
+            const mask = numbers.length ? getNumberMask(numbers) : null;
+            if (mask) {
+                column.mask = mask;
+            }
+            return {
+                column,
+                convert: value => {
+                    if (typeof(value) === 'number') return value;
+                    const number = typeof(value) === 'string' ? parseNumber(value, decimal) : null;
+                    return number ? number.value : undefined;
+                }
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert the values of the columns with numbers, booleans or dates, and set the column type and mask
+ *
+ * Unless header is false, the first row is left as it is when it does not fit the type of the values
+ * below it, as a header.
+ *
+ * @param {Array<Array>} data - Rows of values, converted in place
+ * @param {Array<Object>} columns - Column definitions, type and mask are added in place
+ * @param {Object} [options]
+ * @param {string} [options.decimal='.'] - Decimal separator when the values could be read with both, e.g. 1,234
+ * @param {string} [options.dateOrder] - 'DMY' or 'MDY' when dates could be read both ways, e.g. 03/04/2024 (default: from the decimal separator)
+ * @param {string} [options.dates='iso'] - Dates as 'iso' strings, 'date' objects or 'serial' numbers
+ * @param {boolean} [options.header=true] - The first row may be a header
+ * @returns {Array<Object>} The columns
+ * @example
+ * inferColumnTypes([['Amount'], ['1,234.50'], ['99']], [{ title: 'A' }]) // [{ title: 'A', type: 'numeric', mask: '#,##0.00' }]
+ */
+export function inferColumnTypes(data, columns, options = {}) {
+    const numColumns = data.reduce((count, row) => Math.max(count, row.length), 0);
+
+    for (let c = 0; c < numColumns; c++) {
+        const values = data.slice(options.header === false ? 0 : 1).map(row => row[c]).filter(value => value !== '' && value !== undefined && value !== null);
+        const first = data.length ? data[0][c] : undefined;
+
+        // A single row is typed from itself
+        const inferred = inferColumn(values.length ? values : [first].filter(value => value !== '' && value !== undefined), options);
+        if (!columns[c]) {
+            columns[c] = {};
+        }
+        if (!inferred) {
+            columns[c].type = 'text';
+            continue;
+        }
+
+        Object.assign(columns[c], inferred.column);
+        for (let r = 0; r < data.length; r++) {
+            const value = data[r][c];
+            if (value === '' || value === undefined || value === null) {
+                continue;
+            }
+            const converted = inferred.convert(value);
+            if (converted !== undefined) {
+                data[r][c] = converted;
+            }
+        }
+    }
+
+    return columns;
+}
+
+export default { inferColumnTypes, parseNumber, parseDate };
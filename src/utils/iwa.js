@@ -0,0 +1,286 @@
+/**
+ * iWork Archive (IWA) reader
+ *
+ * IWA files (Index/*.iwa in Numbers, Pages and Keynote packages) are a series of chunks,
+ * each a 4 byte header (type 0 and a 24 bit length) followed by a Snappy compressed block
+ * without the CRC of the Snappy framing format. The uncompressed stream holds ArchiveInfo
+ * messages, each followed by the Protocol Buffers messages it describes.
+ *
+ * @license MIT
+ */
+
+// Protocol Buffers wire types
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+const utf8 = new TextDecoder('utf-8');
+
+/**
+ * Read a varint, returning the value and the position after it.
+ * Values above 32 bits are kept exact up to 2^53 (object identifiers are 64 bit).
+ */
+export function readVarint(data, pos) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+        if (pos >= data.length) {
+            throw new Error('Unexpected end of data while reading varint');
+        }
+        byte = data[pos++];
+        value += (byte & 0x7F) * scale;
+        scale *= 128;
+    } while (byte & 0x80);
+
+    return { value, pos };
+}
+
+/**
+ * Decompress a raw Snappy block
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function decompressSnappy(data) {
+    let { value: length, pos } = readVarint(data, 0);
+    const out = new Uint8Array(length);
+    let o = 0;
+
+    while (pos < data.length) {
+        const tag = data[pos++];
+        let len;
+        let offset;
+
+        switch (tag & 3) {
+            case 0: // Literal, lengths above 60 are stored in the following 1 to 4 bytes
+                len = tag >> 2;
+                if (len >= 60) {
+                    const bytes = len - 59;
+                    len = 0;
+                    for (let i = 0; i < bytes; i++) {
+                        len += data[pos++] * Math.pow(256, i);
+                    }
+                }
+                len++;
+                if (pos + len > data.length || o + len > out.length) {
+                    throw new Error('Invalid Snappy literal');
+                }
+                out.set(data.subarray(pos, pos + len), o);
+                pos += len;
+                o += len;
+                continue;
+            case 1: // Copy with a 11 bit offset
+                len = ((tag >> 2) & 7) + 4;
+                offset = ((tag >> 5) << 8) | data[pos++];
+                break;
+            case 2: // Copy with a 16 bit offset
+                len = (tag >> 2) + 1;
+                offset = data[pos] | (data[pos + 1] << 8);
+                pos += 2;
+                break;
+            default: // Copy with a 32 bit offset
+                len = (tag >> 2) + 1;
+                offset = (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+                pos += 4;
+                break;
+        }
+
+        if (offset === 0 || offset > o || o + len > out.length) {
+            throw new Error('Invalid Snappy copy');
+        }
+        // Copies may overlap the bytes being written, so go byte by byte
+        for (let i = 0; i < len; i++, o++) {
+            out[o] = out[o - offset];
+        }
+    }
+
+    if (o !== length) {
+        throw new Error('Invalid Snappy block: length mismatch');
+    }
+
+    return out;
+}
+
+/**
+ * Decompress the chunks of an IWA file into a single stream
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function decompressIWA(data) {
+    const blocks = [];
+    let total = 0;
+    let pos = 0;
+
+    while (pos + 4 <= data.length) {
+        const type = data[pos];
+        const length = data[pos + 1] | (data[pos + 2] << 8) | (data[pos + 3] << 16);
+        pos += 4;
+        if (type !== 0) {
+            throw new Error('Invalid IWA chunk type ' + type);
+        }
+        if (pos + length > data.length) {
+            throw new Error('Invalid IWA chunk length');
+        }
+        const block = decompressSnappy(data.subarray(pos, pos + length));
+        blocks.push(block);
+        total += block.length;
+        pos += length;
+    }
+
+    if (blocks.length === 1) {
+        return blocks[0];
+    }
+
+    const out = new Uint8Array(total);
+    let o = 0;
+    for (const block of blocks) {
+        out.set(block, o);
+        o += block.length;
+    }
+    return out;
+}
+
+/**
+ * Read the fields of a Protocol Buffers message without a schema.
+ * Every field is an array of values: numbers for varints, Uint8Array for the other wire types.
+ * @param {Uint8Array} data
+ * @returns {Object<number, Array<number|Uint8Array>>}
+ */
+export function readMessage(data) {
+    const fields = {};
+    let pos = 0;
+
+    while (pos < data.length) {
+        const tag = readVarint(data, pos);
+        pos = tag.pos;
+        const field = Math.floor(tag.value / 8);
+        const wireType = tag.value % 8;
+        let value;
+
+        switch (wireType) {
+            case WIRE_VARINT:
+                ({ value, pos } = readVarint(data, pos));
+                break;
+            case WIRE_FIXED64:
+                value = data.subarray(pos, pos + 8);
+                pos += 8;
+                break;
+            case WIRE_BYTES: {
+                const length = readVarint(data, pos);
+                pos = length.pos;
+                value = data.subarray(pos, pos + length.value);
+                pos += length.value;
+                break;
+            }
+            case WIRE_FIXED32:
+                value = data.subarray(pos, pos + 4);
+                pos += 4;
+                break;
+            default:
+                throw new Error('Unsupported protobuf wire type ' + wireType);
+        }
+
+        if (pos > data.length) {
+            throw new Error('Unexpected end of protobuf message');
+        }
+
+        (fields[field] || (fields[field] = [])).push(value);
+    }
+
+    return fields;
+}
+
+/**
+ * Read packed repeated varints (or a single unpacked one)
+ */
+export function readPackedVarints(value) {
+    if (typeof value === 'number') {
+        return [value];
+    }
+    const values = [];
+    let pos = 0;
+    while (pos < value.length) {
+        const varint = readVarint(value, pos);
+        values.push(varint.value);
+        pos = varint.pos;
+    }
+    return values;
+}
+
+/**
+ * Decode a length delimited field as UTF-8 text
+ */
+export function readString(value) {
+    return value ? utf8.decode(value) : '';
+}
+
+/**
+ * Decode a fixed64 field as a double
+ */
+export function readDouble(value) {
+    return new DataView(value.buffer, value.byteOffset, 8).getFloat64(0, true);
+}
+
+/**
+ * Decode a fixed32 field as a float
+ */
+export function readFloat(value) {
+    return new DataView(value.buffer, value.byteOffset, 4).getFloat32(0, true);
+}
+
+/**
+ * Decode a zigzag encoded varint (sint32 and sint64 fields)
+ */
+export function readSigned(value) {
+    return value % 2 ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Identifier of a TSP.Reference message
+ */
+export function readReference(value) {
+    const message = readMessage(value);
+    return message[1] ? message[1][0] : null;
+}
+
+/**
+ * Read the objects of an IWA file
+ * @param {Uint8Array} data - Compressed IWA file content
+ * @param {Map} [objects] - Map to add the objects to
+ * @returns {Map<number, {type: number, data: Uint8Array, references: number[]}>} Objects by identifier
+ */
+export function readIWA(data, objects = new Map()) {
+    const stream = decompressIWA(data);
+    let pos = 0;
+
+    while (pos < stream.length) {
+        // ArchiveInfo: identifier (1) and message infos (2)
+        const length = readVarint(stream, pos);
+        pos = length.pos;
+        const info = readMessage(stream.subarray(pos, pos + length.value));
+        pos += length.value;
+
+        const id = info[1] ? info[1][0] : 0;
+        // MessageInfo: type (1), length (3) and object references (5)
+        for (const raw of info[2] || []) {
+            const messageInfo = readMessage(raw);
+            const size = messageInfo[3] ? messageInfo[3][0] : 0;
+            const message = {
+                type: messageInfo[1] ? messageInfo[1][0] : 0,
+                data: stream.subarray(pos, pos + size),
+                references: (messageInfo[5] || []).flatMap(readPackedVarints)
+            };
+            pos += size;
+
+            // An object can be stored as several messages, the first one holds its type
+            if (!objects.has(id)) {
+                objects.set(id, message);
+            }
+        }
+    }
+
+    return objects;
+}
+
+export default { readIWA, decompressIWA, decompressSnappy, readMessage, readVarint };
@@ -3,6 +3,8 @@
  * Works in both Browser and Node.js environments
  */
 
+import { decodeText, detectTextEncoding } from './encoding.js';
+
 let fs = null; // Cache fs module for Node.js
 let iconv = null; // Cache iconv-lite module for extended encoding support
 
@@ -33,6 +35,58 @@ export async function loadAsBuffer(input) {
     throw new Error('Invalid input: expected file path, File, Blob, Uint8Array, or Buffer');
 }
 
+/**
+ * Load file in chunks - for content too large to be held in memory at once
+ *
+ * Reading stops, and the source is cancelled, when the consumer stops iterating.
+ *
+ * @param {string|Blob|ReadableStream|AsyncIterable|Uint8Array} input - File path (Node.js), Blob or File,
+ * web ReadableStream, Node.js Readable, or buffer
+ * @returns {AsyncGenerator<Uint8Array|string>} Chunks, as strings when the Node.js stream has an encoding set
+ */
+export async function* loadAsStream(input) {
+    // File path (Node.js)
+    if (typeof input === 'string') {
+        if (!fs) fs = await import('fs');
+        input = fs.createReadStream(input);
+    }
+
+    // File/Blob - read through its stream
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        input = input.stream();
+    }
+
+    // Uint8Array and Node.js Buffer - a single chunk
+    if (input instanceof Uint8Array) {
+        yield input;
+        return;
+    }
+
+    // Web ReadableStream
+    if (input && typeof input.getReader === 'function') {
+        const reader = input.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            await reader.cancel();
+        }
+    }
+
+    // Node.js Readable, or any other async iterable
+    if (input && typeof input[Symbol.asyncIterator] === 'function') {
+        for await (const chunk of input) {
+            yield chunk;
+        }
+        return;
+    }
+
+    throw new Error('Invalid input: expected file path, Blob, ReadableStream, Node.js Readable, Uint8Array, or Buffer');
+}
+
 /**
  * Load file as string - Direct, no intermediate steps
  */
@@ -89,6 +143,28 @@ export async function loadAsString(input, encoding = 'utf-8') {
     throw new Error('Invalid input: expected file path, File, Blob, Uint8Array, or Buffer');
 }
 
+/**
+ * Load file as text, with the encoding from the byte order mark, the options, the declaration or the content
+ * @param {string|File|Blob|Uint8Array} input - File path (Node.js), File object (Browser), Blob, or buffer
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Encoding of the file (default: detected)
+ * @param {string} [options.type] - 'xml' or 'html' to read the encoding declared in the content
+ * @returns {Promise<string>} Text without byte order mark
+ */
+export async function loadAsText(input, options = {}) {
+    const buffer = await loadAsBuffer(input);
+
+    try {
+        return decodeText(buffer, options).text;
+    } catch (e) {
+        if (!(e instanceof RangeError)) throw e;
+
+        // Encodings TextDecoder does not support, e.g. DOS code pages, need iconv-lite
+        const { encoding, offset } = detectTextEncoding(buffer, options);
+        return loadAsString(buffer.subarray(offset), encoding);
+    }
+}
+
 /**
  * Detect file encoding - Node.js only (uses chardet)
  * @param {string|Uint8Array|Buffer} input - File path or buffer
@@ -139,6 +215,50 @@ export async function detectEncoding(input) {
     }
 }
 
+/**
+ * Check for the gzip signature
+ */
+export function isGzip(buffer) {
+    return buffer.length > 2 && buffer[0] === 0x1F && buffer[1] === 0x8B;
+}
+
+/**
+ * Decompress gzip data with the DecompressionStream API (browsers and Node.js 18+)
+ * @param {Uint8Array} buffer - Compressed content
+ * @param {number} [limit] - Stop once this many bytes are decompressed, to inspect the beginning only
+ * @returns {Promise<Uint8Array>}
+ */
+export async function gunzip(buffer, limit) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Gzip compressed files require DecompressionStream support');
+    }
+
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    if (!limit) {
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const reader = stream.getReader();
+    const chunks = [];
+    let length = 0;
+    while (length < limit) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.length;
+    }
+    // The rest of the content is not decompressed
+    await reader.cancel();
+
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result.subarray(0, limit);
+}
+
 /**
  * Simple wrapper for onload callback - minimal overhead
  */
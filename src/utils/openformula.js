@@ -0,0 +1,192 @@
+/**
+ * OpenFormula (ODF) to Excel formula translation
+ *
+ * ODS files store formulas with a namespace prefix (of:=), references in brackets with a dot
+ * before the cell ([.A1], [$Sheet2.A1:.B2]), semicolons between the arguments, inline arrays
+ * with | between the rows, ~ and ! as union and intersection operators, and a few function
+ * names of their own.
+ *
+ * @license MIT
+ */
+
+import { formatSheetRange } from './helpers.js';
+
+// ODF function names with a different name in Excel
+const FUNCTION_NAMES = {
+    'B': 'BINOM.DIST.RANGE',
+    'CHISQDIST': 'CHISQ.DIST',
+    'CHISQINV': 'CHISQ.INV',
+    'FORMULA': 'FORMULATEXT',
+    'SKEWP': 'SKEW.P'
+};
+
+// Prefixes of functions that exist in Excel under the name after the prefix: functions added in
+// Excel 2010 and later, Excel's versions of functions that ODF redefines, and the Analysis add-in
+// functions as written by OpenOffice.org (com.sun.star.sheet.addin.Analysis.getEomonth).
+// ORG.OPENOFFICE. and ORG.LIBREOFFICE. functions have no Excel equivalent and keep their name.
+const FUNCTION_PREFIXES = ['COM.MICROSOFT.', 'LEGACY.', 'COM.SUN.STAR.SHEET.ADDIN.ANALYSIS.GET'];
+
+// One side of a reference: optional external document, sheet and cell, column or row
+const REFERENCE_PART = /^(?:('(?:[^']|'')*'|[^'#]*)#)?\$?('(?:[^']|'')*'|[^'.]*)\.(\$?[A-Za-z]*\$?\d*)$/;
+
+// Error constants, e.g. #DIV/0!, #NAME? and #N/A
+const ERROR_LITERAL = /^#(?:N\/A|[A-Za-z0-9\/_]+[!?])/;
+
+const unquote = (name) => name.startsWith("'") ? name.slice(1, -1).replace(/''/g, "'") : name;
+
+// Split at the colons outside quoted names
+function splitRange(text) {
+    const parts = [''];
+    let quoted = false;
+    for (const char of text) {
+        if (char === "'") quoted = !quoted;
+        if (char === ':' && !quoted) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Translate an ODF reference, without the brackets, to Excel syntax
+ * @param {string} reference - e.g. '.A1', '$Sheet2.A1:.B2' or "$'My Sheet'.$A$1"
+ * @returns {string} e.g. 'A1', 'Sheet2!A1:B2' or "'My Sheet'!$A$1"
+ * @example
+ * translateReference('$Sheet1.A1:$Sheet3.B2') // 'Sheet1:Sheet3!A1:B2'
+ */
+export function translateReference(reference) {
+    if (reference.includes('#REF!')) {
+        return '#REF!';
+    }
+
+    const parts = splitRange(reference).map(part => part.match(REFERENCE_PART));
+    if (parts.length > 2 || parts.some(part => !part)) {
+        return reference;
+    }
+
+    // The sheet may be given on either endpoint, the other one is then on the same sheet
+    const cells = parts.map(part => part[3]).join(':');
+    const first = unquote(parts[0][2] || (parts[1] && parts[1][2]) || '');
+    if (!first) {
+        return cells;
+    }
+
+    const last = parts[1] && parts[1][2] ? unquote(parts[1][2]) : first;
+    const source = parts[0][1] ? `[${unquote(parts[0][1])}]` : '';
+    return formatSheetRange(first, last, source) + '!' + cells;
+}
+
+// Excel name of a function
+function translateFunction(name) {
+    const upper = name.toUpperCase();
+    if (FUNCTION_NAMES[upper]) {
+        return FUNCTION_NAMES[upper];
+    }
+    const prefix = FUNCTION_PREFIXES.find(prefix => upper.startsWith(prefix) && upper.length > prefix.length);
+    return prefix ? upper.substring(prefix.length) : name;
+}
+
+/**
+ * Translate an OpenFormula expression to Excel syntax
+ * @param {string} formula - Formula as stored in table:formula, e.g. 'of:=SUM([.A1:.B3];2)'
+ * @returns {string} Excel formula, e.g. '=SUM(A1:B3,2)'
+ * @example
+ * translateFormula('of:=IF([$Sheet2.A1]>0;"a;b";{1;2|3;4})') // '=IF(Sheet2!A1>0,"a;b",{1,2;3,4})'
+ */
+export function translateFormula(formula) {
+    const namespace = formula.match(/^([a-z]+):(?==)/);
+    if (namespace) {
+        formula = formula.substring(namespace[0].length);
+        // Formulas in the Excel namespace are already in Excel syntax
+        if (namespace[1] === 'msoxl') {
+            return formula;
+        }
+    }
+
+    let result = '';
+    let array = 0;
+    let pos = 0;
+
+    while (pos < formula.length) {
+        const char = formula[pos];
+
+        // String literals and quoted names are copied as they are
+        if (char === '"' || char === "'") {
+            let end = pos + 1;
+            while (end < formula.length) {
+                if (formula[end] === char) {
+                    if (formula[end + 1] !== char) break;
+                    end++;
+                }
+                end++;
+            }
+            result += formula.substring(pos, end + 1);
+            pos = end + 1;
+            continue;
+        }
+
+        // References, the closing bracket can not be inside a quoted sheet name
+        if (char === '[') {
+            let end = pos + 1;
+            let quoted = false;
+            while (end < formula.length && (quoted || formula[end] !== ']')) {
+                if (formula[end] === "'") quoted = !quoted;
+                end++;
+            }
+            result += translateReference(formula.substring(pos + 1, end));
+            pos = end + 1;
+            continue;
+        }
+
+        // Error constants, so that ! is not read as the intersection operator
+        const error = formula.substring(pos).match(ERROR_LITERAL);
+        if (char === '#' && error) {
+            result += error[0];
+            pos += error[0].length;
+            continue;
+        }
+
+        // Numbers, so that exponents are not read as names
+        const number = formula.substring(pos).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+        if (number) {
+            result += number[0];
+            pos += number[0].length;
+            continue;
+        }
+
+        // Function names and other identifiers
+        const name = formula.substring(pos).match(/^[A-Za-z_][\w.]*/);
+        if (name) {
+            const isFunction = /^\s*\(/.test(formula.substring(pos + name[0].length));
+            result += isFunction ? translateFunction(name[0]) : name[0];
+            pos += name[0].length;
+            continue;
+        }
+
+        if (char === '{') {
+            array++;
+            result += char;
+        } else if (char === '}') {
+            array--;
+            result += char;
+        } else if (char === ';' || char === '~') {
+            // Argument separator, column separator of inline arrays and union operator
+            result += ',';
+        } else if (char === '|' && array > 0) {
+            // Row separator of inline arrays
+            result += ';';
+        } else if (char === '!') {
+            // Intersection operator
+            result += ' ';
+        } else {
+            result += char;
+        }
+        pos++;
+    }
+
+    return result;
+}
+
+export default { translateFormula, translateReference };
@@ -0,0 +1,491 @@
+/**
+ * BIFF12 PTG (Parsed Token) Formula Decoder
+ * Decodes the binary formula tokens of XLSB files to text formulas
+ *
+ * The tokens are the same as in BIFF8, with wider operands: 4 byte rows, 2 byte columns
+ * (14 bits and the relative flags), 4 byte name indexes and UTF-16 strings with a 2 byte length.
+ * Based on [MS-XLSB] 2.5.97 (Rgce)
+ */
+
+import { getColumnName, formatSheetRange, readUInt16LE, readUInt32LE, readFloat64LE } from './helpers.js';
+import { FUNCTIONS, FUNCTION_ARG_COUNTS } from './ptg-decoder.js';
+
+// Last row and column of a BIFF12 sheet, used by whole row and column references
+const MAX_ROW = 0xFFFFF;
+const MAX_COL = 0x3FFF;
+
+// Binary operators (tAdd to tRange)
+const OPERATORS = {
+    0x03: '+',
+    0x04: '-',
+    0x05: '*',
+    0x06: '/',
+    0x07: '^',
+    0x08: '&',
+    0x09: '<',
+    0x0A: '<=',
+    0x0B: '=',
+    0x0C: '>=',
+    0x0D: '>',
+    0x0E: '<>',
+    0x0F: ' ',
+    0x10: ',',
+    0x11: ':'
+};
+
+/**
+ * Error values (BErr) of cells and formulas
+ */
+export const ERRORS = {
+    0x00: '#NULL!',
+    0x07: '#DIV/0!',
+    0x0F: '#VALUE!',
+    0x17: '#REF!',
+    0x1D: '#NAME?',
+    0x24: '#NUM!',
+    0x2A: '#N/A',
+    0x2B: '#GETTING_DATA'
+};
+
+// tAttr types
+const ATTR_CHOOSE = 0x04;
+const ATTR_SUM = 0x10;
+
+// Strings of the tokens and of the array constants are UTF-16
+const utf16 = new TextDecoder('utf-16le');
+
+/**
+ * Read a row, made absolute with the cell of the formula when relative in a shared formula (tRefN, tAreaN)
+ */
+function resolveRow(row, relative, offsets, cellContext) {
+    if (relative && offsets) {
+        return (cellContext ? cellContext.row : 0) + (row | 0);
+    }
+    return row;
+}
+
+/**
+ * Read a column (ColRelU), the 14 bits offset is signed in shared formulas
+ */
+function resolveCol(col, offsets, cellContext) {
+    const relative = (col & 0x4000) !== 0;
+    let number = col & MAX_COL;
+    if (relative && offsets) {
+        if (number & 0x2000) {
+            number -= 0x4000;
+        }
+        number += cellContext ? cellContext.col : 0;
+    }
+    return number;
+}
+
+/**
+ * Format a cell reference (RgceLoc or RgceLocRel)
+ */
+function formatCell(tokens, pos, offsets, cellContext) {
+    const col = readUInt16LE(tokens, pos + 4);
+    const rowRel = (col & 0x8000) !== 0;
+    const colRel = (col & 0x4000) !== 0;
+    const row = resolveRow(readUInt32LE(tokens, pos), rowRel, offsets, cellContext);
+
+    return (colRel ? '' : '$') + getColumnName(resolveCol(col, offsets, cellContext)) + (rowRel ? '' : '$') + (row + 1);
+}
+
+/**
+ * Format an area reference (RgceArea or RgceAreaRel), whole columns and whole rows as A:B and 1:2
+ */
+function formatArea(tokens, pos, offsets, cellContext) {
+    const rowFirst = readUInt32LE(tokens, pos);
+    const rowLast = readUInt32LE(tokens, pos + 4);
+    const colFirst = readUInt16LE(tokens, pos + 8);
+    const colLast = readUInt16LE(tokens, pos + 10);
+
+    const col = (value) => ((value & 0x4000) ? '' : '$') + getColumnName(resolveCol(value, offsets, cellContext));
+    const row = (value, flags) => ((flags & 0x8000) ? '' : '$') + (resolveRow(value, (flags & 0x8000) !== 0, offsets, cellContext) + 1);
+
+    if (!offsets && rowFirst === 0 && rowLast === MAX_ROW) {
+        return col(colFirst) + ':' + col(colLast);
+    }
+    if (!offsets && (colFirst & MAX_COL) === 0 && (colLast & MAX_COL) === MAX_COL) {
+        return row(rowFirst, colFirst) + ':' + row(rowLast, colLast);
+    }
+
+    return col(colFirst) + row(rowFirst, colFirst) + ':' + col(colLast) + row(rowLast, colLast);
+}
+
+/**
+ * Sheet prefix of a 3D reference from the index of the external sheet (Xti)
+ */
+function formatSheetRef(workbook, ixti) {
+    const sheet = workbook && workbook.externSheets ? workbook.externSheets[ixti] : undefined;
+    return sheet ? sheet + '!' : '';
+}
+
+/**
+ * Read the values of an array constant (PtgExtraArray) from the extra data of the formula
+ */
+function readArray(extra, pos) {
+    if (!extra || pos + 8 > extra.length) {
+        return { text: '{}', end: pos };
+    }
+
+    const rows = readUInt32LE(extra, pos);
+    const cols = readUInt32LE(extra, pos + 4);
+    pos += 8;
+
+    const lines = [];
+    for (let r = 0; r < rows; r++) {
+        const values = [];
+        for (let c = 0; c < cols && pos < extra.length; c++) {
+            // SerAr: type, then a number, a string, a boolean or an error
+            const type = extra[pos++];
+            if (type === 0x00) {
+                values.push(String(readFloat64LE(extra, pos)));
+                pos += 8;
+            } else if (type === 0x01) {
+                const length = readUInt16LE(extra, pos);
+                values.push('"' + utf16.decode(extra.subarray(pos + 2, pos + 2 + length * 2)).replace(/"/g, '""') + '"');
+                pos += 2 + length * 2;
+            } else if (type === 0x02) {
+                values.push(extra[pos] ? 'TRUE' : 'FALSE');
+                pos += 1;
+            } else if (type === 0x04) {
+                values.push(ERRORS[extra[pos]] || '#N/A');
+                pos += 1;
+            } else {
+                values.push('');
+            }
+        }
+        lines.push(values.join(','));
+    }
+
+    return { text: '{' + lines.join(';') + '}', end: pos };
+}
+
+// Items of the rows of a table reference (PtgRowType)
+const TABLE_ROWS = {
+    0x01: ['#All'],
+    0x02: ['#Headers'],
+    0x04: ['#Data'],
+    0x06: ['#Headers', '#Data'],
+    0x08: ['#Totals'],
+    0x0C: ['#Data', '#Totals'],
+    0x10: ['#This Row']
+};
+
+// Structured reference of a PtgList as stored in XLSX files, e.g. Table1[[#This Row],[Amount]], or null for unknown tables
+function formatTableReference(workbook, flags, id, colFirst, colLast) {
+    const table = workbook && workbook.tables ? workbook.tables[id] : null;
+    const columns = flags & 0x03;
+    const rows = (flags >> 2) & 0x1F;
+    if (!table || (rows && !TABLE_ROWS[rows])) {
+        return null;
+    }
+
+    // Special characters of the column names are escaped with an apostrophe
+    const column = (index) => table.columns[index] === undefined ? null : '[' + table.columns[index].replace(/['[\]#]/g, "'$&") + ']';
+
+    const items = rows ? TABLE_ROWS[rows].map(item => `[${item}]`) : [];
+    if (columns === 1 || columns === 2) {
+        const first = column(colFirst);
+        const last = columns === 2 ? column(colLast) : first;
+        if (!first || !last) {
+            return null;
+        }
+        items.push(columns === 2 ? first + ':' + last : first);
+    }
+
+    if (items.length === 1 && columns !== 2) {
+        return table.name + items[0];
+    }
+    return table.name + '[' + items.join(',') + ']';
+}
+
+/**
+ * Decode BIFF12 PTG tokens to formula string
+ * @param {Uint8Array} tokens - Formula tokens (rgce)
+ * @param {Uint8Array} [extra] - Extra data of the formula (rgcb), with the values of array constants
+ * @param {Object} [cellContext] - Cell of the formula, for the relative references of shared formulas (tRefN, tAreaN)
+ * @param {number} cellContext.row - Cell row (0-based)
+ * @param {number} cellContext.col - Cell column (0-based)
+ * @param {Object} [workbook] - Workbook context for names and references to other sheets
+ * @param {string[]} workbook.names - Defined names, in the order of the BrtName records (tName)
+ * @param {string[]} workbook.externSheets - Sheet prefix of each external sheet entry (tRef3d, tArea3d)
+ * @param {Array<string[]|null>} workbook.externNames - Names available through each external sheet entry (tNameX)
+ * @param {Object} [workbook.tables] - Name and column names of each table by id, for structured references (PtgList)
+ * @returns {string|null} Formula string (without leading =), or null when it refers to a table that is not known
+ */
+export function decodeBIFF12Formula(tokens, extra = null, cellContext = null, workbook = null) {
+    if (!tokens || tokens.length === 0) {
+        return '';
+    }
+
+    const stack = [];
+    const pop = () => stack.length > 0 ? stack.pop() : '';
+    let extraPos = 0;
+    let pos = 0;
+
+    while (pos < tokens.length) {
+        const token = tokens[pos++];
+
+        // Extended tokens (>= 0x20) have class bits (reference, value or array)
+        if (token >= 0x20) {
+            const base = token & 0x1F;
+            const offsets = base === 0x0C || base === 0x0D;
+
+            switch (base) {
+                // Array constant, with its values in the extra data
+                case 0x00: {
+                    const array = readArray(extra, extraPos);
+                    extraPos = array.end;
+                    stack.push(array.text);
+                    pos += 14;
+                    break;
+                }
+
+                // Function with fixed args
+                case 0x01: {
+                    const index = readUInt16LE(tokens, pos) & 0x7FFF;
+                    pos += 2;
+                    const argCount = FUNCTION_ARG_COUNTS[index] === undefined ? 1 : FUNCTION_ARG_COUNTS[index];
+                    const args = [];
+                    for (let i = 0; i < argCount; i++) {
+                        args.unshift(pop());
+                    }
+                    stack.push(`${FUNCTIONS[index] || `FUNC${index}`}(${args.join(',')})`);
+                    break;
+                }
+
+                // Function with variable args
+                case 0x02: {
+                    const argCount = tokens[pos] & 0x7F;
+                    const index = readUInt16LE(tokens, pos + 1) & 0x7FFF;
+                    pos += 3;
+                    const args = [];
+                    for (let i = 0; i < argCount; i++) {
+                        args.unshift(pop());
+                    }
+
+                    // Add-in, user defined and newer functions: the name is the first argument
+                    if (index === 255 && args.length > 0) {
+                        const name = args.shift();
+                        stack.push(`${name}(${args.join(',')})`);
+                    } else {
+                        stack.push(`${FUNCTIONS[index] || `FUNC${index}`}(${args.join(',')})`);
+                    }
+                    break;
+                }
+
+                // Defined name (1-based index of the BrtName record)
+                case 0x03: {
+                    const index = readUInt32LE(tokens, pos);
+                    const name = workbook && workbook.names ? workbook.names[index - 1] : undefined;
+                    stack.push(name || `NAME${index}`);
+                    pos += 4;
+                    break;
+                }
+
+                // Cell reference, and relative reference of shared formulas
+                case 0x04:
+                case 0x0C:
+                    stack.push(formatCell(tokens, pos, offsets, cellContext));
+                    pos += 6;
+                    break;
+
+                // Area reference, and relative area of shared formulas
+                case 0x05:
+                case 0x0D:
+                    stack.push(formatArea(tokens, pos, offsets, cellContext));
+                    pos += 12;
+                    break;
+
+                // Reference subexpressions: the operand follows as regular tokens
+                case 0x06:
+                    // The areas of tMemArea are listed in the extra data (count and 16 bytes each)
+                    if (extra && extraPos + 4 <= extra.length) {
+                        extraPos += 4 + readUInt32LE(extra, extraPos) * 16;
+                    }
+                    pos += 6;
+                    break;
+                case 0x07:
+                case 0x08:
+                    pos += 6;
+                    break;
+                case 0x09:
+                    pos += 2;
+                    break;
+
+                // References to deleted cells
+                case 0x0A:
+                    stack.push('#REF!');
+                    pos += 6;
+                    break;
+                case 0x0B:
+                    stack.push('#REF!');
+                    pos += 12;
+                    break;
+
+                // Name in another workbook, add-in or newer function
+                case 0x19: {
+                    const ixti = readUInt16LE(tokens, pos);
+                    const index = readUInt32LE(tokens, pos + 2);
+                    const names = workbook && workbook.externNames ? workbook.externNames[ixti] : undefined;
+                    stack.push((names && names[index - 1]) || `NAME${index}`);
+                    pos += 6;
+                    break;
+                }
+
+                // Cell and area reference in another sheet
+                case 0x1A:
+                    stack.push(formatSheetRef(workbook, readUInt16LE(tokens, pos)) + formatCell(tokens, pos + 2, false, cellContext));
+                    pos += 8;
+                    break;
+                case 0x1B:
+                    stack.push(formatSheetRef(workbook, readUInt16LE(tokens, pos)) + formatArea(tokens, pos + 2, false, cellContext));
+                    pos += 14;
+                    break;
+
+                // References to deleted cells in another sheet
+                case 0x1C:
+                    stack.push(formatSheetRef(workbook, readUInt16LE(tokens, pos)) + '#REF!');
+                    pos += 8;
+                    break;
+                case 0x1D:
+                    stack.push(formatSheetRef(workbook, readUInt16LE(tokens, pos)) + '#REF!');
+                    pos += 14;
+                    break;
+
+                default:
+                    // Unknown extended token, the rest of the formula can not be read
+                    pos = tokens.length;
+                    break;
+            }
+            continue;
+        }
+
+        if (OPERATORS[token]) {
+            const b = pop();
+            const a = pop();
+            stack.push(a + OPERATORS[token] + b);
+            continue;
+        }
+
+        switch (token) {
+            // Shared or array formula, resolved by the parser from the cell
+            case 0x01:
+            case 0x02:
+                pos += 4;
+                break;
+
+            // Unary operators
+            case 0x12:
+                stack.push('+' + pop());
+                break;
+            case 0x13:
+                stack.push('-' + pop());
+                break;
+            case 0x14:
+                stack.push(pop() + '%');
+                break;
+            case 0x15:
+                stack.push('(' + pop() + ')');
+                break;
+
+            case 0x16:
+                stack.push('');
+                break;
+
+            // String: length (2 bytes) and UTF-16 characters
+            case 0x17: {
+                const length = readUInt16LE(tokens, pos);
+                const text = utf16.decode(tokens.subarray(pos + 2, pos + 2 + length * 2));
+                stack.push('"' + text.replace(/"/g, '""') + '"');
+                pos += 2 + length * 2;
+                break;
+            }
+
+            // Structured reference to a table (PtgList): sheet (2 bytes), flags (2 bytes), table id (4 bytes),
+            // first and last column (2 bytes each), other extended tokens are not decoded
+            case 0x18: {
+                if (tokens[pos] !== 0x19) {
+                    pos = tokens.length;
+                    break;
+                }
+                const reference = formatTableReference(workbook, readUInt16LE(tokens, pos + 3), readUInt32LE(tokens, pos + 5),
+                    readUInt16LE(tokens, pos + 9), readUInt16LE(tokens, pos + 11));
+                if (reference === null) {
+                    return null;
+                }
+                stack.push(reference);
+                pos += 13;
+                break;
+            }
+
+            // Attribute: type (1 byte) and data (2 bytes)
+            case 0x19: {
+                const type = tokens[pos];
+                const data = readUInt16LE(tokens, pos + 1);
+                pos += 3;
+                if (type === ATTR_SUM) {
+                    stack.push('SUM(' + pop() + ')');
+                } else if (type === ATTR_CHOOSE) {
+                    // Jump table of the CHOOSE arguments
+                    pos += (data + 1) * 2;
+                }
+                break;
+            }
+
+            case 0x1C:
+                stack.push(ERRORS[tokens[pos]] || '#N/A');
+                pos += 1;
+                break;
+            case 0x1D:
+                stack.push(tokens[pos] ? 'TRUE' : 'FALSE');
+                pos += 1;
+                break;
+            case 0x1E:
+                stack.push(String(readUInt16LE(tokens, pos)));
+                pos += 2;
+                break;
+            case 0x1F:
+                stack.push(String(readFloat64LE(tokens, pos)));
+                pos += 8;
+                break;
+
+            default:
+                pos = tokens.length;
+                break;
+        }
+    }
+
+    return stack.length > 0 ? stack[stack.length - 1] : '';
+}
+
+/**
+ * Sheet prefix of each external sheet entry (Xti) of a BIFF12 workbook
+ * @param {Array<{supBook: number, first: number, last: number}>} entries - Entries of the BrtExternSheet record
+ * @param {Array<{self: boolean, sheets: string[]}>} supBooks - Supporting links, in the order of their records
+ * @param {string[]} sheetNames - Sheet names of the workbook
+ * @returns {string[]} Prefix of each entry without the '!', empty for workbook level entries
+ */
+export function formatExternSheets(entries, supBooks, sheetNames) {
+    let external = 0;
+    const books = supBooks.map(book => book.self ? 0 : ++external);
+
+    return entries.map(({ supBook, first, last }) => {
+        const book = supBooks[supBook];
+        if (!book || first === -2) {
+            return '';
+        }
+        if (first < 0) {
+            return '#REF';
+        }
+        if (book.self) {
+            return formatSheetRange(sheetNames[first], sheetNames[last] === undefined ? sheetNames[first] : sheetNames[last]);
+        }
+        const sheets = book.sheets || [];
+        return formatSheetRange(sheets[first] || '', sheets[last] === undefined ? sheets[first] || '' : sheets[last], `[${books[supBook]}]`);
+    });
+}
+
+export default { decodeBIFF12Formula, formatExternSheets, ERRORS };
@@ -9,7 +9,9 @@
 import {
     getColumnName,
     getCellNameFromCoords,
+    formatSheetRange,
     readUInt16LE,
+    readInt16LE,
     readUInt32LE,
     readFloat64LE
 } from './helpers.js';
@@ -58,6 +60,11 @@ const PTG = {
     tMemErr: 0x07,     // Full values: 0x27, 0x47, 0x67
     tRefN: 0x0C,       // Full values: 0x2C, 0x4C, 0x6C (relative reference in shared formulas)
     tAreaN: 0x0D,      // Full values: 0x2D, 0x4D, 0x6D (relative area in shared formulas)
+    tNameX: 0x19,      // Full values: 0x39, 0x59, 0x79 (external or add-in name)
+    tRef3d: 0x1A,      // Full values: 0x3A, 0x5A, 0x7A (reference in another sheet)
+    tArea3d: 0x1B,     // Full values: 0x3B, 0x5B, 0x7B (area in another sheet)
+    tRefErr3d: 0x1C,   // Full values: 0x3C, 0x5C, 0x7C (reference to a deleted cell)
+    tAreaErr3d: 0x1D,  // Full values: 0x3D, 0x5D, 0x7D (area with deleted cells)
 
     // Class modifiers (bits 5-6)
     VALUE: 0x20,
@@ -71,7 +78,7 @@ const PTG = {
 // Built-in Excel functions by index
 // Complete table from SheetJS xlsx library
 // https://github.com/SheetJS/sheetjs
-const FUNCTIONS = {
+export const FUNCTIONS = {
     0: "COUNT",
     1: "IF",
     2: "ISNA",
@@ -556,7 +563,7 @@ const FUNCTIONS = {
 // Function argument counts for tFunc (fixed argument functions)
 // Complete table from SheetJS xlsx library
 // https://github.com/SheetJS/sheetjs
-const FUNCTION_ARG_COUNTS = {
+export const FUNCTION_ARG_COUNTS = {
     2: 1,
     3: 1,
     10: 0,
@@ -826,6 +833,98 @@ function formatRowRef(row, isAbsolute) {
     return isAbsolute ? '$' + (row + 1) : (row + 1).toString();
 }
 
+/**
+ * Read a cell address, BIFF2-5 keep the relative flags in the row and use one byte for the column.
+ * The result uses the BIFF8 layout, with the flags in the column.
+ */
+function readCellAddress(tokens, pos, version) {
+    if (version < 8) {
+        const row = readUInt16LE(tokens, pos);
+        return { row: row & 0x3FFF, col: tokens[pos + 2] | (row & 0xC000) };
+    }
+    return { row: readUInt16LE(tokens, pos), col: readUInt16LE(tokens, pos + 2) };
+}
+
+/**
+ * Read an area address (first row, last row, first column, last column) in the BIFF8 layout
+ */
+function readAreaAddress(tokens, pos, version) {
+    if (version < 8) {
+        const row1 = readUInt16LE(tokens, pos);
+        const row2 = readUInt16LE(tokens, pos + 2);
+        return {
+            row1: row1 & 0x3FFF,
+            row2: row2 & 0x3FFF,
+            col1: tokens[pos + 4] | (row1 & 0xC000),
+            col2: tokens[pos + 5] | (row2 & 0xC000)
+        };
+    }
+    return {
+        row1: readUInt16LE(tokens, pos),
+        row2: readUInt16LE(tokens, pos + 2),
+        col1: readUInt16LE(tokens, pos + 4),
+        col2: readUInt16LE(tokens, pos + 6)
+    };
+}
+
+/**
+ * Sheet prefix of a 3D reference from the EXTERNSHEET index
+ */
+function formatSheetRef(workbook, ixti) {
+    const sheet = workbook && workbook.externSheets ? workbook.externSheets[ixti] : undefined;
+    return sheet !== undefined ? sheet + '!' : '';
+}
+
+/**
+ * Sheet prefix of a BIFF5 3D reference: negative indexes refer to sheets of this workbook
+ */
+function formatSheetRefBIFF5(workbook, ixals, first, last) {
+    if (ixals >= 0) {
+        return formatSheetRef(workbook, ixals - 1);
+    }
+
+    const sheetNames = workbook && workbook.sheetNames;
+    if (!sheetNames) {
+        return '';
+    }
+    if (sheetNames[first] === undefined) {
+        return '#REF!';
+    }
+    return formatSheetRange(sheetNames[first], sheetNames[last] === undefined ? sheetNames[first] : sheetNames[last]) + '!';
+}
+
+/**
+ * Format a 3D area, whole columns and whole rows as A:B and 1:2
+ */
+function formatArea3d(row1, row2, col1, col2, rowOffset, colOffset, lastRow = 0xFFFF) {
+    const row1Rel = (col1 & 0x8000) !== 0;
+    const col1Rel = (col1 & 0x4000) !== 0;
+    const row2Rel = (col2 & 0x8000) !== 0;
+    const col2Rel = (col2 & 0x4000) !== 0;
+
+    let row1Num = row1;
+    let row2Num = row2;
+    let col1Num = col1 & 0x3FFF;
+    let col2Num = col2 & 0x3FFF;
+
+    if (row1Num === 0 && row2Num === lastRow) {
+        return formatColRef(col1Num + (col1Rel ? colOffset : 0), !col1Rel) + ':' + formatColRef(col2Num + (col2Rel ? colOffset : 0), !col2Rel);
+    }
+    if (col1Num === 0 && col2Num === 0xFF) {
+        return formatRowRef(row1Num + (row1Rel ? rowOffset : 0), !row1Rel) + ':' + formatRowRef(row2Num + (row2Rel ? rowOffset : 0), !row2Rel);
+    }
+
+    // Adjust relative references for shared formulas
+    if (row1Rel) row1Num += rowOffset;
+    if (col1Rel) col1Num += colOffset;
+    if (row2Rel) row2Num += rowOffset;
+    if (col2Rel) col2Num += colOffset;
+
+    const cell1 = formatColRef(col1Num, !col1Rel) + formatRowRef(row1Num, !row1Rel);
+    const cell2 = formatColRef(col2Num, !col2Rel) + formatRowRef(row2Num, !row2Rel);
+    return `${cell1}:${cell2}`;
+}
+
 /**
  * Decode BIFF PTG tokens to formula string
  * @param {Uint8Array} tokens - Binary formula tokens
@@ -835,9 +934,15 @@ function formatRowRef(row, isAbsolute) {
  * @param {number} cellContext.col - Target cell column (0-based)
  * @param {number} cellContext.baseRow - Base cell row for shared formula (0-based)
  * @param {number} cellContext.baseCol - Base cell column for shared formula (0-based)
+ * @param {Object} workbook - Workbook context for names and references to other sheets
+ * @param {string[]} workbook.names - Defined names, in the order of the NAME records (tName)
+ * @param {string[]} workbook.externSheets - Sheet prefix of each EXTERNSHEET entry (tRef3d, tArea3d)
+ * @param {string[][]} workbook.externNames - Names available through each EXTERNSHEET entry (tNameX)
+ * @param {string[]} workbook.sheetNames - Sheet names, for BIFF5 references to other sheets
+ * @param {number} workbook.version - BIFF version of the tokens: 2, 3, 4, 5 or 8 (default: 8)
  * @returns {string} Formula string (without leading =)
  */
-export function decodePTG(tokens, debug = false, cellContext = null) {
+export function decodePTG(tokens, debug = false, cellContext = null, workbook = null) {
     if (!tokens || tokens.length === 0) {
         return '';
     }
@@ -845,6 +950,11 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
     const stack = [];
     let pos = 0;
 
+    // Token sizes changed between BIFF versions
+    const version = (workbook && workbook.version) || 8;
+    const cellSize = version < 8 ? 3 : 4;
+    const areaSize = version < 8 ? 6 : 8;
+
     // Calculate offset for adjusting relative references in shared formulas
     const rowOffset = cellContext ? (cellContext.row - (cellContext.baseRow || 0)) : 0;
     const colOffset = cellContext ? (cellContext.col - (cellContext.baseCol || 0)) : 0;
@@ -866,9 +976,8 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
             switch (baseToken) {
                 // Cell reference
                 case PTG.tRef:
-                    if (pos + 4 <= tokens.length) {
-                        const row = readUInt16LE(tokens, pos);
-                        const col = readUInt16LE(tokens, pos + 2);
+                    if (pos + cellSize <= tokens.length) {
+                        const { row, col } = readCellAddress(tokens, pos, version);
                         const rowRel = (col & 0x8000) !== 0;
                         const colRel = (col & 0x4000) !== 0;
                         let colNum = col & 0xFF; // Column is 8 bits
@@ -908,16 +1017,15 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
                         const colStr = formatColRef(colNum, !colRel);
                         const rowStr = formatRowRef(rowNum, !rowRel);
                         stack.push(colStr + rowStr);
-                        pos += 4;
+                        pos += cellSize;
                     }
                     break;
 
                 // Relative cell reference (used in shared formulas)
                 // tRefN stores offsets from the base cell, not absolute positions
                 case PTG.tRefN:
-                    if (pos + 4 <= tokens.length) {
-                        const row = readUInt16LE(tokens, pos);
-                        const col = readUInt16LE(tokens, pos + 2);
+                    if (pos + cellSize <= tokens.length) {
+                        const { row, col } = readCellAddress(tokens, pos, version);
                         const rowRel = (col & 0x8000) !== 0;
                         const colRel = (col & 0x4000) !== 0;
 
@@ -940,17 +1048,14 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
                         const colStr = formatColRef(colNum, !colRel);
                         const rowStr = formatRowRef(rowNum, !rowRel);
                         stack.push(colStr + rowStr);
-                        pos += 4;
+                        pos += cellSize;
                     }
                     break;
 
                 // Area reference (range)
                 case PTG.tArea:
-                    if (pos + 8 <= tokens.length) {
-                        const row1 = readUInt16LE(tokens, pos);
-                        const row2 = readUInt16LE(tokens, pos + 2);
-                        const col1 = readUInt16LE(tokens, pos + 4);
-                        const col2 = readUInt16LE(tokens, pos + 6);
+                    if (pos + areaSize <= tokens.length) {
+                        const { row1, row2, col1, col2 } = readAreaAddress(tokens, pos, version);
 
                         const row1Rel = (col1 & 0x8000) !== 0;
                         const col1Rel = (col1 & 0x4000) !== 0;
@@ -971,15 +1076,97 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
                         const cell1 = formatColRef(col1Num, !col1Rel) + formatRowRef(row1Num, !row1Rel);
                         const cell2 = formatColRef(col2Num, !col2Rel) + formatRowRef(row2Num, !row2Rel);
                         stack.push(`${cell1}:${cell2}`);
-                        pos += 8;
+                        pos += areaSize;
+                    }
+                    break;
+
+                // Defined name (1-based index of the NAME record), followed by unused bytes before BIFF8
+                case PTG.tName: {
+                    const nameSize = { 2: 7, 3: 10, 4: 10, 5: 14 }[version] || 4;
+                    if (pos + nameSize <= tokens.length) {
+                        const nameIndex = readUInt16LE(tokens, pos);
+                        const name = workbook && workbook.names ? workbook.names[nameIndex - 1] : undefined;
+                        stack.push(name || `NAME${nameIndex}`);
+                        pos += nameSize;
+                    }
+                    break;
+                }
+
+                // Name in another workbook or add-in function
+                case PTG.tNameX:
+                    if (pos + (version < 8 ? 24 : 6) <= tokens.length) {
+                        // BIFF5: EXTERNSHEET record (1-based, negative for this workbook) and the name index after 8 unused bytes
+                        const ixti = version < 8 ? Math.abs(readInt16LE(tokens, pos)) - 1 : readUInt16LE(tokens, pos);
+                        const nameIndex = readUInt16LE(tokens, version < 8 ? pos + 10 : pos + 2);
+                        const names = workbook && workbook.externNames ? workbook.externNames[ixti] : undefined;
+                        stack.push((names && names[nameIndex - 1]) || `NAME${nameIndex}`);
+                        pos += version < 8 ? 24 : 6;
+                    }
+                    break;
+
+                // Cell reference in another sheet
+                case PTG.tRef3d:
+                    if (pos + (version < 8 ? 17 : 6) <= tokens.length) {
+                        let prefix;
+                        let address;
+                        if (version < 8) {
+                            // EXTERNSHEET record, 8 unused bytes, first and last sheet and the cell
+                            prefix = formatSheetRefBIFF5(workbook, readInt16LE(tokens, pos), readUInt16LE(tokens, pos + 10), readUInt16LE(tokens, pos + 12));
+                            address = readCellAddress(tokens, pos + 14, version);
+                        } else {
+                            prefix = formatSheetRef(workbook, readUInt16LE(tokens, pos));
+                            address = readCellAddress(tokens, pos + 2, version);
+                        }
+
+                        const rowRel = (address.col & 0x8000) !== 0;
+                        const colRel = (address.col & 0x4000) !== 0;
+                        const rowNum = address.row + (rowRel ? rowOffset : 0);
+                        const colNum = (address.col & 0x3FFF) + (colRel ? colOffset : 0);
+
+                        stack.push(prefix + formatColRef(colNum, !colRel) + formatRowRef(rowNum, !rowRel));
+                        pos += version < 8 ? 17 : 6;
                     }
                     break;
 
+                // Area reference in another sheet
+                case PTG.tArea3d:
+                    if (pos + (version < 8 ? 20 : 10) <= tokens.length) {
+                        let prefix;
+                        let area;
+                        if (version < 8) {
+                            prefix = formatSheetRefBIFF5(workbook, readInt16LE(tokens, pos), readUInt16LE(tokens, pos + 10), readUInt16LE(tokens, pos + 12));
+                            area = readAreaAddress(tokens, pos + 14, version);
+                        } else {
+                            prefix = formatSheetRef(workbook, readUInt16LE(tokens, pos));
+                            area = readAreaAddress(tokens, pos + 2, version);
+                        }
+
+                        const lastRow = version < 8 ? 0x3FFF : 0xFFFF;
+                        stack.push(prefix + formatArea3d(area.row1, area.row2, area.col1, area.col2, rowOffset, colOffset, lastRow));
+                        pos += version < 8 ? 20 : 10;
+                    }
+                    break;
+
+                // References to deleted cells in another sheet
+                case PTG.tRefErr3d:
+                case PTG.tAreaErr3d: {
+                    const errSize = (version < 8 ? 14 : 2) + (baseToken === PTG.tRefErr3d ? cellSize : areaSize);
+                    if (pos + errSize <= tokens.length) {
+                        const prefix = version < 8 ?
+                            formatSheetRefBIFF5(workbook, readInt16LE(tokens, pos), readUInt16LE(tokens, pos + 10), readUInt16LE(tokens, pos + 12)) :
+                            formatSheetRef(workbook, readUInt16LE(tokens, pos));
+                        stack.push(prefix + '#REF!');
+                        pos += errSize;
+                    }
+                    break;
+                }
+
                 // Function with fixed args
                 case PTG.tFunc:
-                    if (pos + 2 <= tokens.length) {
-                        const funcIndex = readUInt16LE(tokens, pos);
-                        pos += 2;
+                    // BIFF2 and BIFF3 use one byte for the function index
+                    if (pos + (version <= 3 ? 1 : 2) <= tokens.length) {
+                        const funcIndex = version <= 3 ? tokens[pos] : readUInt16LE(tokens, pos);
+                        pos += version <= 3 ? 1 : 2;
                         const funcName = FUNCTIONS[funcIndex] || `FUNC${funcIndex}`;
 
                         // Get argument count for this function
@@ -1002,10 +1189,10 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
 
                 // Function with variable args
                 case PTG.tFuncVar:
-                    if (pos + 3 <= tokens.length) {
+                    if (pos + (version <= 3 ? 2 : 3) <= tokens.length) {
                         const argCount = tokens[pos];
-                        const funcIndex = readUInt16LE(tokens, pos + 1);
-                        pos += 3;
+                        const funcIndex = version <= 3 ? tokens[pos + 1] : readUInt16LE(tokens, pos + 1);
+                        pos += version <= 3 ? 2 : 3;
                         const funcName = FUNCTIONS[funcIndex & 0x7FFF] || `FUNC${funcIndex & 0x7FFF}`;
 
                         // Pop arguments from stack
@@ -1013,7 +1200,14 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
                         for (let i = 0; i < (argCount & 0x7F); i++) {
                             args.unshift(stack.pop() || '');
                         }
-                        stack.push(`${funcName}(${args.join(',')})`);
+
+                        // Add-in and user defined functions: the name is the first argument
+                        if ((funcIndex & 0x7FFF) === 255 && args.length > 0) {
+                            const name = args.shift();
+                            stack.push(`${name}(${args.join(',')})`);
+                        } else {
+                            stack.push(`${funcName}(${args.join(',')})`);
+                        }
                     }
                     break;
 
@@ -1155,9 +1349,12 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
                 if (pos < tokens.length) {
                     const strLen = tokens[pos];
                     pos++;
-                    if (pos < tokens.length) {
-                        const isUnicode = tokens[pos] & 0x01;
-                        pos++;
+                    // Before BIFF8 the string has no flags byte and uses 8-bit characters
+                    if (pos < tokens.length || (version < 8 && strLen === 0)) {
+                        const isUnicode = version < 8 ? 0 : tokens[pos] & 0x01;
+                        if (version >= 8) {
+                            pos++;
+                        }
                         let str = '';
                         if (isUnicode) {
                             for (let i = 0; i < strLen && pos + 1 < tokens.length; i++, pos += 2) {
@@ -1184,8 +1381,10 @@ export function decodePTG(tokens, debug = false, cellContext = null) {
             case PTG.tAttr:
                 // Attribute token - control flow metadata (IF/CHOOSE/GOTO optimization)
                 // Structure: token(1) + type(1) + data(2) = 4 bytes total
-                // Skip the type and data bytes (3 bytes after the token)
-                if (pos + 2 < tokens.length) {
+                // Skip the type and data bytes (3 bytes after the token, 2 in BIFF2)
+                if (version === 2) {
+                    pos += 2;
+                } else if (pos + 2 < tokens.length) {
                     pos += 3; // Skip type byte + 2 data bytes
                 }
                 // Don't push anything to stack - these are metadata only
@@ -0,0 +1,1088 @@
+import JSZip from 'jszip';
+import {
+    getCellNameFromCoords,
+    getCoordsFromCellName,
+    numberFormats,
+    isDateFormat,
+    dateToExcelSerial,
+    parseISODate,
+    borderStyles,
+    excelValidationTypes,
+    excelValidationOperations,
+    excelCFSimpleTypes,
+    excelCFTextTypes,
+    excelCFNumericOperators,
+    rgb2Hex,
+    quoteSheetName
+} from '../utils/helpers.js';
+
+// Namespaces
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Relationship types
+const REL_TYPES = {
+    officeDocument: `${NS_REL}/officeDocument`,
+    worksheet: `${NS_REL}/worksheet`,
+    styles: `${NS_REL}/styles`,
+    sharedStrings: `${NS_REL}/sharedStrings`,
+    comments: `${NS_REL}/comments`,
+    vmlDrawing: `${NS_REL}/vmlDrawing`,
+    hyperlink: `${NS_REL}/hyperlink`,
+};
+
+// Content types
+const CONTENT_TYPES = {
+    workbook: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+    worksheet: 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml',
+    styles: 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml',
+    sharedStrings: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml',
+    comments: 'application/vnd.openxmlformats-officedocument.spreadsheetml.comments+xml',
+    vmlDrawing: 'application/vnd.openxmlformats-officedocument.vmlDrawing',
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Row height the parser reports when a row has no explicit height
+const DEFAULT_ROW_HEIGHT = 21;
+
+// Workbook default font
+const DEFAULT_FONT = { name: 'Calibri', size: 11 };
+
+// First id available for custom number formats
+const FIRST_CUSTOM_FORMAT = 164;
+
+// CSS border "style width" -> Excel border style (reverse of borderStyles)
+const cssBorderStyles = {};
+Object.keys(borderStyles).forEach(name => {
+    const key = borderStyles[name].join(' ');
+    if (!cssBorderStyles[key]) {
+        cssBorderStyles[key] = name;
+    }
+});
+
+// Jspreadsheet vertical alignment -> Excel
+const verticalAlign = { top: 'top', middle: 'center', bottom: 'bottom' };
+
+// Excel horizontal alignments
+const horizontalAlign = ['general', 'left', 'center', 'right', 'fill', 'justify', 'centerContinuous', 'distributed'];
+
+// Reverse a mapping object (first key wins)
+function invert(map) {
+    const result = {};
+    Object.keys(map).forEach(key => {
+        if (result[map[key]] === undefined) {
+            result[map[key]] = key;
+        }
+    });
+    return result;
+}
+
+const validationTypes = { ...invert(excelValidationTypes), number: 'decimal', formula: 'custom' };
+const validationOperators = invert(excelValidationOperations);
+const cfSimpleTypes = invert(excelCFSimpleTypes);
+const cfTextTypes = invert(excelCFTextTypes);
+const cfOperators = invert(excelCFNumericOperators);
+
+// Escape text for XML content and attributes, dropping characters XML can not hold
+function escapeXML(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text node, preserving leading/trailing whitespace and line breaks
+function textElement(tag, text) {
+    const value = String(text);
+    const preserve = /^\s|\s$|\n/.test(value) ? ' xml:space="preserve"' : '';
+    return `<${tag}${preserve}>${escapeXML(value)}</${tag}>`;
+}
+
+// Build an element from a tag, an attribute object and inner XML
+function element(tag, attrs = {}, inner = null) {
+    let xml = `<${tag}`;
+    Object.keys(attrs).forEach(name => {
+        if (attrs[name] !== undefined && attrs[name] !== null) {
+            xml += ` ${name}="${escapeXML(attrs[name])}"`;
+        }
+    });
+    return inner === null ? xml + '/>' : `${xml}>${inner}</${tag}>`;
+}
+
+// Convert a CSS color to Excel ARGB (e.g. #FF0000 -> FFFF0000)
+function cssColorToARGB(color) {
+    if (!color) return null;
+    color = color.trim();
+
+    let match = color.match(/^#([0-9a-f]{6})$/i);
+    if (match) {
+        return 'FF' + match[1];
+    }
+
+    match = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+    if (match) {
+        return 'FF' + match[1] + match[1] + match[2] + match[2] + match[3] + match[3];
+    }
+
+    match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    if (match) {
+        return 'FF' + rgb2Hex([parseInt(match[1]), parseInt(match[2]), parseInt(match[3])]);
+    }
+
+    return null;
+}
+
+// Parse a CSS declaration string into a list of [property, value]
+function parseCSS(css) {
+    const declarations = [];
+    if (!css) return declarations;
+
+    String(css).split(';').forEach(declaration => {
+        const index = declaration.indexOf(':');
+        if (index > 0) {
+            const property = declaration.substring(0, index).trim().toLowerCase();
+            const value = declaration.substring(index + 1).trim();
+            if (property && value) {
+                declarations.push([property, value]);
+            }
+        }
+    });
+
+    return declarations;
+}
+
+// Parse a CSS border value (e.g. "1px solid #000") into an Excel border side
+function parseBorder(value) {
+    const tokens = value.split(/\s+(?![^(]*\))/);
+    let width = '1px';
+    let lineStyle = null;
+    let color = null;
+
+    tokens.forEach(token => {
+        if (/^\d+(\.\d+)?px$/.test(token)) {
+            width = token;
+        } else if (['solid', 'dotted', 'dashed', 'double', 'none', 'hidden'].includes(token)) {
+            lineStyle = token;
+        } else {
+            color = token;
+        }
+    });
+
+    if (!lineStyle || lineStyle === 'none' || lineStyle === 'hidden') {
+        return null;
+    }
+
+    const side = {
+        style: cssBorderStyles[`${lineStyle} ${width}`] || cssBorderStyles[`${lineStyle} 1px`] || 'thin'
+    };
+
+    // #000 is what the parser reports for borders without a color
+    if (color && color !== '#000') {
+        side.color = cssColorToARGB(color);
+    }
+
+    return side;
+}
+
+// Convert a CSS declaration string into font, fill, border and alignment definitions
+function cssToStyle(css) {
+    const style = {
+        font: {},
+        fill: null,
+        border: {},
+        alignment: {}
+    };
+
+    parseCSS(css).forEach(([property, value]) => {
+        switch (property) {
+            case 'font-family':
+                style.font.name = value.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+                break;
+            case 'font-size': {
+                const size = parseFloat(value);
+                if (!isNaN(size)) {
+                    style.font.size = value.endsWith('px') ? Math.round(size * 0.75 * 100) / 100 : size;
+                }
+                break;
+            }
+            case 'font-weight':
+                if (value === 'bold' || value === 'bolder' || parseInt(value) >= 600) {
+                    style.font.bold = true;
+                }
+                break;
+            case 'font-style':
+                if (value === 'italic' || value === 'oblique') {
+                    style.font.italic = true;
+                }
+                break;
+            case 'text-decoration':
+                if (value.includes('underline')) style.font.underline = true;
+                if (value.includes('line-through')) style.font.strike = true;
+                break;
+            case 'color':
+                style.font.color = cssColorToARGB(value);
+                break;
+            case 'background':
+            case 'background-color':
+                style.fill = cssColorToARGB(value);
+                break;
+            case 'border':
+                ['left', 'right', 'top', 'bottom'].forEach(side => {
+                    style.border[side] = parseBorder(value);
+                });
+                break;
+            case 'border-left':
+            case 'border-right':
+            case 'border-top':
+            case 'border-bottom':
+                style.border[property.substring(7)] = parseBorder(value);
+                break;
+            case 'text-align': {
+                const align = { start: 'left', end: 'right' }[value] || value;
+                if (horizontalAlign.includes(align)) {
+                    style.alignment.horizontal = align;
+                }
+                break;
+            }
+            case 'vertical-align':
+                if (verticalAlign[value]) {
+                    style.alignment.vertical = verticalAlign[value];
+                }
+                break;
+            case 'white-space':
+                if (value === 'pre-wrap' || value === 'pre-line' || value === 'break-spaces') {
+                    style.alignment.wrapText = true;
+                }
+                break;
+        }
+    });
+
+    return style;
+}
+
+// Collects fonts, fills, borders, number formats and cell formats (xf) shared by all worksheets
+function createStyleSheet() {
+    const sheet = {
+        fonts: ['<font><sz val="11"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>'],
+        fills: ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'],
+        borders: ['<border><left/><right/><top/><bottom/><diagonal/></border>'],
+        numFmts: {},
+        cellXfs: ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'],
+        dxfs: [],
+        cache: new Map()
+    };
+
+    // Index of an item in a list, adding it when new
+    const indexOf = (list, xml) => {
+        let index = list.indexOf(xml);
+        if (index === -1) {
+            index = list.length;
+            list.push(xml);
+        }
+        return index;
+    };
+
+    // Number format id for a format code (built-in when possible)
+    const getNumFmtId = (code) => {
+        for (const id in numberFormats) {
+            if (id > 0 && id < FIRST_CUSTOM_FORMAT && numberFormats[id] === code) {
+                return parseInt(id);
+            }
+        }
+        if (sheet.numFmts[code] === undefined) {
+            sheet.numFmts[code] = FIRST_CUSTOM_FORMAT + Object.keys(sheet.numFmts).length;
+        }
+        return sheet.numFmts[code];
+    };
+
+    const fontXML = (font) => {
+        let xml = '';
+        if (font.bold) xml += '<b/>';
+        if (font.italic) xml += '<i/>';
+        if (font.strike) xml += '<strike/>';
+        if (font.underline) xml += '<u/>';
+        if (font.size) xml += element('sz', { val: font.size });
+        if (font.color) xml += element('color', { rgb: font.color });
+        if (font.name) xml += element('name', { val: font.name });
+        return xml;
+    };
+
+    const borderXML = (border) => {
+        let xml = '';
+        ['left', 'right', 'top', 'bottom', 'diagonal'].forEach(side => {
+            const info = border[side];
+            if (info) {
+                xml += element(side, { style: info.style }, info.color ? element('color', { rgb: info.color }) : null);
+            } else {
+                xml += `<${side}/>`;
+            }
+        });
+        return xml;
+    };
+
+    /**
+     * Get the cellXfs index for a CSS string plus cell properties (format, align, wrap, locked)
+     */
+    sheet.getXf = (css, cell) => {
+        const format = cell && cell.format && cell.format !== 'General' ? cell.format : null;
+        const align = cell && cell.align;
+        const wrap = cell && cell.wrap;
+        const locked = cell && typeof cell.locked === 'boolean' ? cell.locked : null;
+
+        const key = JSON.stringify([css || '', format, align, wrap, locked]);
+        if (sheet.cache.has(key)) {
+            return sheet.cache.get(key);
+        }
+
+        const style = cssToStyle(css);
+        if (align && horizontalAlign.includes(align)) {
+            style.alignment.horizontal = align;
+        }
+        if (wrap) {
+            style.alignment.wrapText = true;
+        }
+
+        const attrs = {};
+        let inner = null;
+
+        attrs.numFmtId = format ? getNumFmtId(format) : 0;
+
+        // Fonts, fills and borders are only referenced when set, so the parser does not add defaults
+        if (Object.keys(style.font).length > 0) {
+            const font = fontXML({ name: DEFAULT_FONT.name, size: DEFAULT_FONT.size, ...style.font });
+            attrs.fontId = indexOf(sheet.fonts, `<font>${font}</font>`);
+        }
+        if (style.fill) {
+            attrs.fillId = indexOf(sheet.fills, `<fill><patternFill patternType="solid">${element('fgColor', { rgb: style.fill })}<bgColor indexed="64"/></patternFill></fill>`);
+        }
+        if (Object.keys(style.border).some(side => style.border[side])) {
+            attrs.borderId = indexOf(sheet.borders, `<border>${borderXML(style.border)}</border>`);
+        }
+        attrs.xfId = 0;
+
+        if (format) attrs.applyNumberFormat = 1;
+        if (attrs.fontId !== undefined) attrs.applyFont = 1;
+        if (attrs.fillId !== undefined) attrs.applyFill = 1;
+        if (attrs.borderId !== undefined) attrs.applyBorder = 1;
+
+        if (Object.keys(style.alignment).length > 0) {
+            attrs.applyAlignment = 1;
+            inner = element('alignment', {
+                horizontal: style.alignment.horizontal,
+                vertical: style.alignment.vertical,
+                wrapText: style.alignment.wrapText ? 1 : undefined
+            });
+        }
+
+        // Locked cells can not be edited once the sheet is protected
+        if (locked !== null) {
+            attrs.applyProtection = 1;
+            inner = (inner || '') + element('protection', { locked: locked ? 1 : 0 });
+        }
+
+        const index = indexOf(sheet.cellXfs, element('xf', attrs, inner));
+        sheet.cache.set(key, index);
+
+        return index;
+    };
+
+    /**
+     * Get the dxfs index for a conditional format style ({ color: '#F00', 'font-weight': 'bold', ... })
+     */
+    sheet.getDxf = (format) => {
+        const css = Object.keys(format).map(key => `${key}: ${format[key]}`).join('; ');
+        const style = cssToStyle(css);
+
+        let xml = '';
+        const font = fontXML(style.font);
+        if (font) {
+            xml += `<font>${font}</font>`;
+        }
+        if (style.fill) {
+            xml += `<fill><patternFill>${element('bgColor', { rgb: style.fill })}</patternFill></fill>`;
+        }
+        if (Object.keys(style.border).some(side => style.border[side])) {
+            xml += `<border>${borderXML(style.border)}</border>`;
+        }
+
+        return indexOf(sheet.dxfs, `<dxf>${xml}</dxf>`);
+    };
+
+    sheet.toXML = () => {
+        let xml = XML_HEADER + `<styleSheet xmlns="${NS_MAIN}">`;
+
+        const codes = Object.keys(sheet.numFmts);
+        if (codes.length > 0) {
+            xml += `<numFmts count="${codes.length}">`;
+            codes.forEach(code => {
+                xml += element('numFmt', { numFmtId: sheet.numFmts[code], formatCode: code });
+            });
+            xml += '</numFmts>';
+        }
+
+        xml += `<fonts count="${sheet.fonts.length}">${sheet.fonts.join('')}</fonts>`;
+        xml += `<fills count="${sheet.fills.length}">${sheet.fills.join('')}</fills>`;
+        xml += `<borders count="${sheet.borders.length}">${sheet.borders.join('')}</borders>`;
+        xml += '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>';
+        xml += `<cellXfs count="${sheet.cellXfs.length}">${sheet.cellXfs.join('')}</cellXfs>`;
+        xml += '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>';
+        xml += `<dxfs count="${sheet.dxfs.length}">${sheet.dxfs.join('')}</dxfs>`;
+        xml += '</styleSheet>';
+
+        return xml;
+    };
+
+    return sheet;
+}
+
+// Collects the shared string table
+function createSharedStrings() {
+    const strings = [];
+    const map = new Map();
+    let count = 0;
+
+    return {
+        add(text) {
+            count++;
+            if (!map.has(text)) {
+                map.set(text, strings.length);
+                strings.push(text);
+            }
+            return map.get(text);
+        },
+        toXML() {
+            let xml = XML_HEADER + `<sst xmlns="${NS_MAIN}" count="${count}" uniqueCount="${strings.length}">`;
+            strings.forEach(text => {
+                xml += `<si>${textElement('t', text)}</si>`;
+            });
+            return xml + '</sst>';
+        }
+    };
+}
+
+// Convert a column width in pixels to Excel character units
+function pixelsToWidth(width) {
+    return Math.round(parseFloat(width) / 8.43 * 10000) / 10000;
+}
+
+// Get a cell value as <c> element. ISO strings in cells with a date format are written as serial numbers.
+function cellXML(ref, value, xf, sharedStrings, isDate) {
+    const attrs = { r: ref, s: xf || undefined };
+
+    if (typeof value === 'string' && value.length > 1 && value[0] === '=') {
+        // Formula, calculated by Excel when the workbook is opened
+        return element('c', attrs, textElement('f', value.substring(1)));
+    }
+
+    if (typeof value === 'number' && isFinite(value)) {
+        return element('c', attrs, `<v>${value}</v>`);
+    }
+
+    if (typeof value === 'boolean') {
+        attrs.t = 'b';
+        return element('c', attrs, `<v>${value ? 1 : 0}</v>`);
+    }
+
+    if (isDate && typeof value === 'string') {
+        const date = parseISODate(value);
+        if (date) {
+            value = date;
+        }
+    }
+
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return element('c', attrs, `<v>${dateToExcelSerial(value)}</v>`);
+    }
+
+    if (value === '' || value === null || value === undefined) {
+        return element('c', attrs);
+    }
+
+    attrs.t = 's';
+    return element('c', attrs, `<v>${sharedStrings.add(String(value))}</v>`);
+}
+
+// Remove the sheet name prefix from a range (Sheet1!A1:B2 -> A1:B2)
+function stripSheetName(range) {
+    const index = range.lastIndexOf('!');
+    return index === -1 ? range : range.substring(index + 1);
+}
+
+// First cell of a range, used as anchor in conditional format formulas
+function firstCell(range) {
+    return range.split(' ')[0].split(':')[0].replace(/\$/g, '');
+}
+
+// Quote a string for use inside a formula
+function formulaString(text) {
+    return '"' + String(text).replace(/"/g, '""') + '"';
+}
+
+// Items of a list validation written in the formula, null for a range reference or another type
+function listItems(validation) {
+    if (!validation.dropdown && validationTypes[validation.type] !== 'list') {
+        return null;
+    }
+    const values = Array.isArray(validation.value) ? validation.value : (validation.value !== undefined ? [validation.value] : []);
+    return values.length === 1 && /[!:]/.test(String(values[0])) ? null : values;
+}
+
+/**
+ * Excel separates the items of a list validation with commas and can not escape them, so lists with
+ * commas in their items are written to the columns of a hidden sheet and the validation refers to them.
+ * Returns the validations to write and the hidden sheet, or null when no list needs it
+ */
+function moveListsToSheet(validations, worksheets) {
+    const existing = worksheets.map(worksheet => String(worksheet.worksheetName).toLowerCase());
+    let name = '_Lists';
+    for (let i = 2; existing.includes(name.toLowerCase()); i++) {
+        name = `_Lists${i}`;
+    }
+
+    const lists = [];
+    const result = validations.map(validation => {
+        const items = validation && validation.range ? listItems(validation) : null;
+        if (!items || !items.some(item => String(item).includes(','))) {
+            return validation;
+        }
+        const column = getCellNameFromCoords(lists.length, 0).replace(/\d+$/, '');
+        lists.push(items);
+        return { ...validation, value: [`${quoteSheetName(name)}!$${column}$1:$${column}$${items.length}`] };
+    });
+
+    if (!lists.length) {
+        return { validations, sheet: null };
+    }
+
+    const rows = Math.max(...lists.map(list => list.length));
+    const data = Array.from({ length: rows }, (row, r) => lists.map(list => r < list.length ? list[r] : ''));
+    return { validations: result, sheet: { worksheetName: name, data, worksheetState: 'hidden' } };
+}
+
+// Build a <dataValidation> element
+function dataValidationXML(validation) {
+    const type = validation.dropdown ? 'list' : validationTypes[validation.type];
+    const values = Array.isArray(validation.value) ? validation.value : (validation.value !== undefined ? [validation.value] : []);
+
+    const attrs = {
+        type: type,
+        errorStyle: validation.action === 'warning' ? 'warning' : undefined,
+        operator: validationOperators[validation.criteria],
+        allowBlank: validation.allowBlank ? 1 : undefined,
+        showInputMessage: 1,
+        showErrorMessage: 1,
+        error: validation.text,
+        sqref: stripSheetName(validation.range)
+    };
+
+    let inner = '';
+    if (type === 'list') {
+        if (values.length === 1 && /[!:]/.test(String(values[0]))) {
+            // Range reference
+            inner = textElement('formula1', String(values[0]).replace(/^=/, ''));
+        } else if (values.length > 0) {
+            inner = textElement('formula1', formulaString(values.join(',')));
+        }
+    } else {
+        values.slice(0, 2).forEach((value, i) => {
+            inner += textElement(`formula${i + 1}`, String(value).replace(/^=/, ''));
+        });
+    }
+
+    return element('dataValidation', attrs, inner);
+}
+
+// Build a <cfRule> element for a conditional format (validation with action 'format')
+function cfRuleXML(validation, priority, styleSheet) {
+    const range = stripSheetName(validation.range);
+    const cell = firstCell(range);
+    const values = Array.isArray(validation.value) ? validation.value : (validation.value !== undefined ? [validation.value] : []);
+    const attrs = { type: null, dxfId: undefined, priority: priority };
+    let inner = '';
+
+    if (cfSimpleTypes[validation.type]) {
+        attrs.type = cfSimpleTypes[validation.type];
+        const formula = `LEN(TRIM(${cell}))=0`;
+        inner = textElement('formula', attrs.type === 'containsBlanks' ? formula : `NOT(${formula})`);
+    } else if (validation.type === 'text' && cfTextTypes[validation.criteria]) {
+        attrs.type = cfTextTypes[validation.criteria];
+        const text = values.length > 0 ? String(values[0]) : '';
+        const quoted = formulaString(text);
+        const formulas = {
+            containsText: `NOT(ISERROR(SEARCH(${quoted},${cell})))`,
+            notContainsText: `ISERROR(SEARCH(${quoted},${cell}))`,
+            beginsWith: `LEFT(${cell},LEN(${quoted}))=${quoted}`,
+            endsWith: `RIGHT(${cell},LEN(${quoted}))=${quoted}`,
+        };
+        attrs.operator = attrs.type;
+        attrs.text = text;
+        inner = textElement('formula', formulas[attrs.type]);
+    } else if ((validation.type === 'number' || validation.type === 'text') && cfOperators[validation.criteria]) {
+        attrs.type = 'cellIs';
+        attrs.operator = cfOperators[validation.criteria];
+        values.slice(0, 2).forEach(value => {
+            const numeric = typeof value === 'number' || (validation.type === 'number' && value !== '' && !isNaN(value));
+            if (typeof value === 'string' && value[0] === '=') {
+                inner += textElement('formula', value.substring(1));
+            } else {
+                inner += textElement('formula', numeric ? String(value) : formulaString(value));
+            }
+        });
+    } else if (validation.type === 'formula' && values.length > 0) {
+        attrs.type = 'expression';
+        inner = textElement('formula', String(values[0]).replace(/^=/, ''));
+    } else if (validation.type === 'dataBar') {
+        attrs.type = 'dataBar';
+        inner = '<dataBar><cfvo type="min"/><cfvo type="max"/><color rgb="FF638EC6"/></dataBar>';
+    } else if (validation.type === 'colorScale') {
+        attrs.type = 'colorScale';
+        inner = '<colorScale><cfvo type="min"/><cfvo type="max"/><color rgb="FFF8696B"/><color rgb="FF63BE7B"/></colorScale>';
+    } else if (validation.type === 'iconSet') {
+        attrs.type = 'iconSet';
+        inner = '<iconSet><cfvo type="percent" val="0"/><cfvo type="percent" val="33"/><cfvo type="percent" val="67"/></iconSet>';
+    } else {
+        return null;
+    }
+
+    if (validation.format && Object.keys(validation.format).length > 0 && !['dataBar', 'colorScale', 'iconSet'].includes(attrs.type)) {
+        attrs.dxfId = styleSheet.getDxf(validation.format);
+    }
+
+    return element('cfRule', attrs, inner);
+}
+
+// Build the legacy VML drawing Excel uses to display comment boxes
+function vmlXML(refs) {
+    let xml = '<xml xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:x="urn:schemas-microsoft-com:office:excel">';
+    xml += '<o:shapelayout v:ext="edit"><o:idmap v:ext="edit" data="1"/></o:shapelayout>';
+    xml += '<v:shapetype id="_x0000_t202" coordsize="21600,21600" o:spt="202" path="m,l,21600r21600,l21600,xe">';
+    xml += '<v:stroke joinstyle="miter"/><v:path gradientshapeok="t" o:connecttype="rect"/></v:shapetype>';
+
+    refs.forEach((ref, i) => {
+        const [col, row] = getCoordsFromCellName(ref);
+        xml += `<v:shape id="_x0000_s${1025 + i}" type="#_x0000_t202" style="position:absolute;margin-left:59.25pt;margin-top:1.5pt;width:108pt;height:59.25pt;z-index:${i + 1};visibility:hidden" fillcolor="#ffffe1" o:insetmode="auto">`;
+        xml += '<v:fill color2="#ffffe1"/><v:shadow on="t" color="black" obscured="t"/><v:path o:connecttype="none"/>';
+        xml += '<v:textbox style="mso-direction-alt:auto"><div style="text-align:left"></div></v:textbox>';
+        xml += '<x:ClientData ObjectType="Note"><x:MoveWithCells/><x:SizeWithCells/>';
+        xml += `<x:Anchor>${col + 1}, 15, ${row}, 2, ${col + 3}, 15, ${row + 4}, 4</x:Anchor>`;
+        xml += `<x:AutoFill>False</x:AutoFill><x:Row>${row}</x:Row><x:Column>${col}</x:Column></x:ClientData></v:shape>`;
+    });
+
+    return xml + '</xml>';
+}
+
+// Build the comments part for a worksheet
+function commentsXML(comments, refs) {
+    let xml = XML_HEADER + `<comments xmlns="${NS_MAIN}"><authors><author></author></authors><commentList>`;
+    refs.forEach(ref => {
+        let text = comments[ref];
+        if (text && typeof text === 'object') {
+            text = text.comments || text.text || '';
+        }
+        xml += element('comment', { ref: ref, authorId: 0 }, `<text><r>${textElement('t', text)}</r></text>`);
+    });
+    return xml + '</commentList></comments>';
+}
+
+// Build a relationships part
+function relsXML(relationships) {
+    let xml = XML_HEADER + `<Relationships xmlns="${NS_PKG_REL}">`;
+    relationships.forEach(rel => {
+        xml += element('Relationship', rel);
+    });
+    return xml + '</Relationships>';
+}
+
+// Number of frozen rows/columns from a freezeRows/freezeColumns value (array of indexes or count)
+function frozenCount(value) {
+    if (Array.isArray(value)) return value.length;
+    return parseInt(value) || 0;
+}
+
+// Make worksheet names valid and unique (max 31 chars, no []:*?/\)
+function getSheetNames(worksheets) {
+    const used = new Set();
+
+    return worksheets.map((worksheet, i) => {
+        let name = String(worksheet.worksheetName || `Sheet${i + 1}`).replace(/[\[\]:*?\/\\]/g, '_').substring(0, 31);
+        if (!name.trim()) name = `Sheet${i + 1}`;
+
+        let unique = name;
+        let n = 2;
+        while (used.has(unique.toLowerCase())) {
+            const suffix = ` (${n++})`;
+            unique = name.substring(0, 31 - suffix.length) + suffix;
+        }
+        used.add(unique.toLowerCase());
+
+        return unique;
+    });
+}
+
+// Build a worksheet part and its related parts
+function writeWorksheet(zip, worksheet, index, context) {
+    const { globalStyles, styleSheet, sharedStrings, validations } = context;
+    const sheetNumber = index + 1;
+    const data = worksheet.data || [];
+    const columns = worksheet.columns || [];
+    const rows = worksheet.rows || {};
+    const cells = worksheet.cells || {};
+    const styles = worksheet.style || {};
+    const comments = worksheet.comments || {};
+    const relationships = [];
+
+    // Style of a cell, as CSS (worksheet style values are indexes in the global style array)
+    const getCSS = (ref) => {
+        const style = styles[ref];
+        if (typeof style === 'number') {
+            return globalStyles[style] || '';
+        }
+        return style || '';
+    };
+
+    // Cells that may need a <c> element even when empty
+    const styledRefs = new Set([...Object.keys(styles), ...Object.keys(cells)]);
+    const extraCells = {};
+    styledRefs.forEach(ref => {
+        const coords = getCoordsFromCellName(ref);
+        if (coords && coords[0] !== null && coords[1] !== null) {
+            if (!extraCells[coords[1]]) extraCells[coords[1]] = new Set();
+            extraCells[coords[1]].add(coords[0]);
+        }
+    });
+
+    // Dimension
+    let maxRow = data.length - 1;
+    let maxCol = Math.max(columns.length - 1, 0);
+    data.forEach(row => {
+        if (row && row.length - 1 > maxCol) maxCol = row.length - 1;
+    });
+    if (worksheet.minDimensions) {
+        maxCol = Math.max(maxCol, (worksheet.minDimensions[0] || 1) - 1);
+        maxRow = Math.max(maxRow, (worksheet.minDimensions[1] || 1) - 1);
+    }
+    Object.keys(rows).forEach(r => {
+        if (parseInt(r) > maxRow) maxRow = parseInt(r);
+    });
+    Object.keys(extraCells).forEach(r => {
+        if (parseInt(r) > maxRow) maxRow = parseInt(r);
+        extraCells[r].forEach(c => {
+            if (c > maxCol) maxCol = c;
+        });
+    });
+    maxRow = Math.max(maxRow, 0);
+
+    let xml = XML_HEADER + `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`;
+    xml += element('dimension', { ref: `A1:${getCellNameFromCoords(maxCol, maxRow)}` });
+
+    // Sheet view: selected tab, grid lines and frozen panes
+    const freezeColumns = frozenCount(worksheet.freezeColumns);
+    const freezeRows = frozenCount(worksheet.freezeRows);
+    let pane = null;
+    if (freezeColumns || freezeRows) {
+        pane = element('pane', {
+            xSplit: freezeColumns || undefined,
+            ySplit: freezeRows || undefined,
+            topLeftCell: getCellNameFromCoords(freezeColumns, freezeRows),
+            activePane: freezeColumns && freezeRows ? 'bottomRight' : (freezeRows ? 'bottomLeft' : 'topRight'),
+            state: 'frozen'
+        });
+    }
+    xml += '<sheetViews>' + element('sheetView', {
+        showGridLines: worksheet.gridline === false ? 0 : undefined,
+        tabSelected: index === 0 ? 1 : undefined,
+        workbookViewId: 0
+    }, pane) + '</sheetViews>';
+
+    // Default sizes
+    xml += element('sheetFormatPr', {
+        defaultColWidth: worksheet.defaultColWidth ? pixelsToWidth(worksheet.defaultColWidth) : undefined,
+        defaultRowHeight: 15
+    });
+
+    // Column widths, consecutive identical columns share one <col>
+    const cols = [];
+    for (let c = 0; c < columns.length; c++) {
+        const column = columns[c];
+        if (!column || (!column.width && column.visible !== false)) continue;
+
+        const attrs = {
+            width: pixelsToWidth(column.width || 100),
+            hidden: column.visible === false ? 1 : undefined
+        };
+        const last = cols[cols.length - 1];
+        if (last && last.max === c && last.width === attrs.width && last.hidden === attrs.hidden) {
+            last.max = c + 1;
+        } else {
+            cols.push({ min: c + 1, max: c + 1, ...attrs });
+        }
+    }
+    if (cols.length > 0) {
+        xml += '<cols>' + cols.map(col => element('col', { ...col, customWidth: 1 })).join('') + '</cols>';
+    }
+
+    // Cells
+    xml += '<sheetData>';
+    for (let r = 0; r <= maxRow; r++) {
+        const row = data[r] || [];
+        const rowProps = rows[r] || {};
+        let rowXML = '';
+
+        const colCount = Math.max(row.length, extraCells[r] ? Math.max(...extraCells[r]) + 1 : 0);
+        for (let c = 0; c < colCount; c++) {
+            const ref = getCellNameFromCoords(c, r);
+            const value = row[c];
+            const css = getCSS(ref);
+            const cell = cells[ref];
+            const xf = css || (cell && (cell.format || cell.align || cell.wrap || typeof cell.locked === 'boolean')) ? styleSheet.getXf(css, cell) : 0;
+
+            if ((value === '' || value === null || value === undefined) && !xf) {
+                continue;
+            }
+
+            rowXML += cellXML(ref, value, xf, sharedStrings, cell && cell.format && isDateFormat(null, cell.format));
+        }
+
+        const height = parseFloat(rowProps.height);
+        const hidden = rowProps.visible === false;
+        const customHeight = height && height !== DEFAULT_ROW_HEIGHT;
+
+        if (rowXML || customHeight || hidden) {
+            xml += element('row', {
+                r: r + 1,
+                ht: customHeight ? height : undefined,
+                customHeight: customHeight ? 1 : undefined,
+                hidden: hidden ? 1 : undefined
+            }, rowXML);
+        }
+    }
+    xml += '</sheetData>';
+
+    // Protection
+    if (worksheet.locked) {
+        const locked = typeof worksheet.locked === 'object' ? worksheet.locked : {};
+        xml += element('sheetProtection', {
+            sheet: 1,
+            objects: 1,
+            scenarios: 1,
+            insertColumns: locked.allowInsertColumn ? 0 : undefined,
+            deleteColumns: locked.allowDeleteColumn ? 0 : undefined,
+            insertRows: locked.allowInsertRow ? 0 : undefined,
+            deleteRows: locked.allowDeleteRow ? 0 : undefined,
+            selectLockedCells: worksheet.selectLockedCells === false ? 1 : undefined,
+            selectUnlockedCells: worksheet.selectUnLockedCells === false ? 1 : undefined
+        });
+    }
+
+    // Merged cells
+    const merges = Object.keys(worksheet.mergeCells || {}).filter(ref => Array.isArray(worksheet.mergeCells[ref]));
+    if (merges.length > 0) {
+        xml += `<mergeCells count="${merges.length}">`;
+        merges.forEach(ref => {
+            const [colspan, rowspan] = worksheet.mergeCells[ref];
+            const [col, row] = getCoordsFromCellName(ref);
+            const end = getCellNameFromCoords(col + (colspan || 1) - 1, row + (rowspan || 1) - 1);
+            xml += element('mergeCell', { ref: `${ref}:${end}` });
+        });
+        xml += '</mergeCells>';
+    }
+
+    // Conditional formatting and data validations
+    let priority = 1;
+    validations.filter(v => v.action === 'format').forEach(validation => {
+        const rule = cfRuleXML(validation, priority, styleSheet);
+        if (rule) {
+            priority++;
+            xml += element('conditionalFormatting', { sqref: stripSheetName(validation.range) }, rule);
+        }
+    });
+
+    const dataValidations = validations.filter(v => v.action !== 'format');
+    if (dataValidations.length > 0) {
+        xml += `<dataValidations count="${dataValidations.length}">` + dataValidations.map(dataValidationXML).join('') + '</dataValidations>';
+    }
+
+    // Hyperlinks (external targets go to the relationships, internal ones stay as location)
+    const links = Object.keys(cells).filter(ref => cells[ref] && cells[ref].options && cells[ref].options.url);
+    if (links.length > 0) {
+        xml += '<hyperlinks>';
+        links.forEach(ref => {
+            const url = String(cells[ref].options.url);
+            if (/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+                const id = `rId${relationships.length + 1}`;
+                relationships.push({ Id: id, Type: REL_TYPES.hyperlink, Target: url, TargetMode: 'External' });
+                xml += element('hyperlink', { ref: ref, 'r:id': id });
+            } else {
+                xml += element('hyperlink', { ref: ref, location: url.replace(/^#/, '') });
+            }
+        });
+        xml += '</hyperlinks>';
+    }
+
+    // Comments
+    const commentRefs = Object.keys(comments).filter(ref => comments[ref]);
+    if (commentRefs.length > 0) {
+        zip.file(`xl/comments${sheetNumber}.xml`, commentsXML(comments, commentRefs));
+        zip.file(`xl/drawings/vmlDrawing${sheetNumber}.vml`, vmlXML(commentRefs));
+        context.contentTypes.push({ PartName: `/xl/comments${sheetNumber}.xml`, ContentType: CONTENT_TYPES.comments });
+
+        relationships.push({ Id: `rId${relationships.length + 1}`, Type: REL_TYPES.comments, Target: `../comments${sheetNumber}.xml` });
+        const vmlId = `rId${relationships.length + 1}`;
+        relationships.push({ Id: vmlId, Type: REL_TYPES.vmlDrawing, Target: `../drawings/vmlDrawing${sheetNumber}.vml` });
+
+        xml += element('legacyDrawing', { 'r:id': vmlId });
+    }
+
+    xml += '</worksheet>';
+
+    zip.file(`xl/worksheets/sheet${sheetNumber}.xml`, xml);
+    if (relationships.length > 0) {
+        zip.file(`xl/worksheets/_rels/sheet${sheetNumber}.xml.rels`, relsXML(relationships));
+    }
+}
+
+/**
+ * Write a workbook in the Jspreadsheet Pro format to an XLSX file
+ *
+ * Writes worksheets, shared strings, styles (global style array to cellXfs), number formats,
+ * merged cells, comments, hyperlinks, column widths, row heights, formulas, frozen panes,
+ * data validations, conditional formatting, sheet protection with the locked cells in the cell style
+ * and defined names. Media is not written.
+ *
+ * @param {object} result - Jspreadsheet Pro format ({ worksheets, style, definedNames, validations })
+ * @param {Object} options - Writer options
+ * @param {string} options.type - Output type for JSZip: 'uint8array' (default), 'nodebuffer', 'blob', 'arraybuffer' or 'base64'
+ * @returns {Promise<Uint8Array>} XLSX file content
+ */
+export async function writeXLSX(result, options = {}) {
+    if (!result || !Array.isArray(result.worksheets) || result.worksheets.length === 0) {
+        throw new Error('Invalid data: expected an object with at least one worksheet');
+    }
+
+    const zip = new JSZip();
+    const lists = moveListsToSheet(result.validations || [], result.worksheets);
+    const worksheets = lists.sheet ? [...result.worksheets, lists.sheet] : result.worksheets;
+    const names = getSheetNames(worksheets);
+
+    const context = {
+        globalStyles: result.style || [],
+        styleSheet: createStyleSheet(),
+        sharedStrings: createSharedStrings(),
+        contentTypes: [],
+        validations: []
+    };
+
+    // Group validations by worksheet using the sheet name prefix of the range
+    const validationsBySheet = worksheets.map(() => []);
+    lists.validations.forEach(validation => {
+        if (!validation || !validation.range) return;
+
+        const range = String(validation.range);
+        let index = worksheets.findIndex(worksheet => {
+            const name = worksheet.worksheetName;
+            return name && (range.startsWith(`${name}!`) || range.startsWith(`'${String(name).replace(/'/g, "''")}'!`));
+        });
+        if (index === -1) index = 0;
+
+        validationsBySheet[index].push(validation);
+    });
+
+    // Worksheets
+    worksheets.forEach((worksheet, i) => {
+        context.validations = validationsBySheet[i];
+        writeWorksheet(zip, worksheet, i, context);
+    });
+
+    // Workbook
+    let workbook = XML_HEADER + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`;
+    workbook += '<bookViews><workbookView activeTab="0"/></bookViews><sheets>';
+    worksheets.forEach((worksheet, i) => {
+        workbook += element('sheet', {
+            name: names[i],
+            sheetId: i + 1,
+            state: worksheet.worksheetState === 'hidden' ? 'hidden' : undefined,
+            'r:id': `rId${i + 1}`
+        });
+    });
+    workbook += '</sheets>';
+
+    const definedNames = result.definedNames || {};
+    const definedNameKeys = Object.keys(definedNames).filter(name => definedNames[name]);
+    if (definedNameKeys.length > 0) {
+        workbook += '<definedNames>';
+        definedNameKeys.forEach(key => {
+            let value = String(definedNames[key]).replace(/^=/, '');
+            let name = key;
+            let localSheetId;
+
+            // Names local to a sheet may be keyed with the sheet, e.g. 'My Data'!_xlnm.Print_Area
+            const separator = key.lastIndexOf('!');
+            if (separator !== -1) {
+                const index = names.indexOf(key.substring(0, separator).replace(/^'|'$/g, '').replace(/''/g, "'"));
+                if (index !== -1) {
+                    name = key.substring(separator + 1);
+                    localSheetId = index;
+                }
+            }
+
+            // Built-in names (print area, titles, filters) belong to the sheet they refer to
+            if (name.startsWith('_xlnm.') && localSheetId === undefined) {
+                const sheet = value.includes('!') ? value.substring(0, value.indexOf('!')).replace(/^'|'$/g, '').replace(/''/g, "'") : null;
+                const index = names.indexOf(sheet);
+                if (index !== -1) {
+                    localSheetId = index;
+                }
+            }
+
+            workbook += element('definedName', { name: name, localSheetId: localSheetId }, escapeXML(value));
+        });
+        workbook += '</definedNames>';
+    }
+
+    workbook += '<calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>';
+    zip.file('xl/workbook.xml', workbook);
+
+    // Shared parts
+    zip.file('xl/styles.xml', context.styleSheet.toXML());
+    zip.file('xl/sharedStrings.xml', context.sharedStrings.toXML());
+
+    // Workbook relationships
+    const workbookRels = worksheets.map((worksheet, i) => ({
+        Id: `rId${i + 1}`,
+        Type: REL_TYPES.worksheet,
+        Target: `worksheets/sheet${i + 1}.xml`
+    }));
+    workbookRels.push({ Id: `rId${worksheets.length + 1}`, Type: REL_TYPES.styles, Target: 'styles.xml' });
+    workbookRels.push({ Id: `rId${worksheets.length + 2}`, Type: REL_TYPES.sharedStrings, Target: 'sharedStrings.xml' });
+    zip.file('xl/_rels/workbook.xml.rels', relsXML(workbookRels));
+
+    // Package relationships
+    zip.file('_rels/.rels', relsXML([{ Id: 'rId1', Type: REL_TYPES.officeDocument, Target: 'xl/workbook.xml' }]));
+
+    // Content types
+    let types = XML_HEADER + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">';
+    types += '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>';
+    types += '<Default Extension="xml" ContentType="application/xml"/>';
+    types += element('Default', { Extension: 'vml', ContentType: CONTENT_TYPES.vmlDrawing });
+    types += element('Override', { PartName: '/xl/workbook.xml', ContentType: CONTENT_TYPES.workbook });
+    worksheets.forEach((worksheet, i) => {
+        types += element('Override', { PartName: `/xl/worksheets/sheet${i + 1}.xml`, ContentType: CONTENT_TYPES.worksheet });
+    });
+    types += element('Override', { PartName: '/xl/styles.xml', ContentType: CONTENT_TYPES.styles });
+    types += element('Override', { PartName: '/xl/sharedStrings.xml', ContentType: CONTENT_TYPES.sharedStrings });
+    context.contentTypes.forEach(type => {
+        types += element('Override', type);
+    });
+    types += '</Types>';
+    zip.file('[Content_Types].xml', types);
+
+    return zip.generateAsync({
+        type: options.type || 'uint8array',
+        compression: 'DEFLATE',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
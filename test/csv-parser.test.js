@@ -1,5 +1,7 @@
 import { expect } from 'chai';
-import { parseCSVString } from '../src/parser/csv.js';
+import { Readable } from 'node:stream';
+import { parseCSVString, parseCSVFile, parseCSVStream, readCSVRows, sniffCSV } from '../src/parser/csv.js';
+import tabularjs from '../src/parser.js';
 
 describe('CSV Parser', () => {
     describe('parseCSVString - Basic functionality', () => {
@@ -382,4 +384,162 @@ NYC, NY 10001"`;
             expect(ws.data[1][2]).to.equal('');
         });
     });
+
+    describe('sniffCSV - Delimiter, quote and header detection', () => {
+        it('should detect semicolons in European exports with decimal commas', () => {
+            const csv = 'Name;Amount;Date\nApples;1,5;12.03.2024\nPears;2,25;13.03.2024';
+
+            expect(sniffCSV(csv)).to.deep.equal({ delimiter: ';', quote: '"', header: true });
+        });
+
+        it('should detect pipes, tabs and colons', () => {
+            expect(sniffCSV('id|name\n1|a, b\n2|c').delimiter).to.equal('|');
+            expect(sniffCSV('a\tb,c\n1\t2,3\n4\t5').delimiter).to.equal('\t');
+            expect(sniffCSV('user:uid:shell\nroot:0:/bin/sh\nbin:1:/bin/false').delimiter).to.equal(':');
+        });
+
+        it('should ignore delimiters inside quotes', () => {
+            const csv = 'Name;Note\n"Smith, John";"a, b, c"\n"Doe, Jane";"d, e"';
+
+            expect(sniffCSV(csv).delimiter).to.equal(';');
+        });
+
+        it('should detect single quotes', () => {
+            const csv = "Name,City\n'Smith, John','New York'\n'Doe, Jane','Boston'";
+
+            const sniffed = sniffCSV(csv);
+            expect(sniffed).to.include({ delimiter: ',', quote: "'" });
+            expect(parseCSVString(csv, sniffed.delimiter, sniffed.quote).worksheets[0].data[1]).to.deep.equal(['Smith, John', 'New York']);
+        });
+
+        it('should only report a header when the first row differs from the data', () => {
+            expect(sniffCSV('Name,Age\nJohn,25\nJane,30').header).to.equal(true);
+            expect(sniffCSV('John,25\nJane,30\nMary,40').header).to.equal(false);
+            expect(sniffCSV('a,b').header).to.equal(false);
+        });
+
+        it('should leave out the record cut by the end of the sample', () => {
+            const csv = 'a;b;c\n'.repeat(2000) + '"1;2\n3"';
+
+            expect(sniffCSV(csv).delimiter).to.equal(';');
+        });
+
+        it('should fall back to a comma for a single column', () => {
+            expect(sniffCSV('one\ntwo\nthree').delimiter).to.equal(',');
+        });
+
+        it('should not split single columns of URLs or times at the colons', () => {
+            const urls = 'http://a.com\nhttps://b.org/path\nhttp://c.net';
+            expect(sniffCSV(urls).delimiter).to.equal(',');
+            expect(parseCSVString(urls, sniffCSV(urls).delimiter).worksheets[0].data).to.deep.equal([['http://a.com'], ['https://b.org/path'], ['http://c.net']]);
+
+            const times = 'Time\n12:30\n13:45:10\n9:05';
+            expect(sniffCSV(times).delimiter).to.equal(',');
+            expect(parseCSVString(times, sniffCSV(times).delimiter).worksheets[0].data[1]).to.deep.equal(['12:30']);
+        });
+
+        it('should not use a delimiter that splits the records inconsistently', () => {
+            expect(sniffCSV('a;b\nc\nd\ne\nf;g;h').delimiter).to.equal(',');
+        });
+    });
+
+    describe('parseCSVFile - Detection', () => {
+        const encode = (text) => new TextEncoder().encode(text);
+
+        it('should parse with the detected delimiter and report it in meta', async () => {
+            const result = await parseCSVFile(encode('Name;Amount\nApples;1,5'));
+
+            const ws = result.worksheets[0];
+            expect(ws.data).to.deep.equal([['Name', 'Amount'], ['Apples', '1,5']]);
+            expect(ws.meta).to.deep.equal({ delimiter: ';', quote: '"', header: true });
+        });
+
+        it('should prefer an explicit delimiter', async () => {
+            const result = await parseCSVFile(encode('a;b,c\n1;2,3'), { delimiter: ',' });
+
+            expect(result.worksheets[0].data[0]).to.deep.equal(['a;b', 'c']);
+            expect(result.worksheets[0].meta.delimiter).to.equal(',');
+        });
+
+        it('should detect the delimiter of .txt files', async () => {
+            const file = new File(['id|name\n1|Apples\n2|Pears'], 'dump.txt');
+
+            const result = await tabularjs(file);
+            expect(result.worksheets[0].data[1]).to.deep.equal(['1', 'Apples']);
+        });
+    });
+
+    describe('parseCSVStream - Streaming', () => {
+        const encode = (text) => new TextEncoder().encode(text);
+
+        // Web stream of the content cut into chunks of the given size
+        const chunked = (bytes, size) => new ReadableStream({
+            start(controller) {
+                for (let i = 0; i < bytes.length; i += size) {
+                    controller.enqueue(bytes.slice(i, i + size));
+                }
+                controller.close();
+            }
+        });
+
+        const csv = 'Name;Note\n"Smith; John";"Said ""hi""\nthen left"\nJosé;€\n';
+
+        it('should keep quotes and line breaks across chunk boundaries', async () => {
+            const expected = parseCSVString(csv, ';').worksheets[0].data;
+            for (const size of [1, 2, 3, 7]) {
+                const result = await parseCSVStream(chunked(encode(csv), size));
+                expect(result.worksheets[0].data).to.deep.equal(expected);
+                expect(result.worksheets[0].meta).to.include({ delimiter: ';', encoding: 'utf-8', rows: 3 });
+            }
+        });
+
+        it('should pass the rows to onRow without keeping them', async () => {
+            const rows = [];
+            const result = await parseCSVStream(new Blob([csv]), {
+                onRow: async (row, index) => {
+                    await new Promise(resolve => setTimeout(resolve, 1));
+                    rows.push([index, row[0]]);
+                }
+            });
+
+            expect(rows).to.deep.equal([[0, 'Name'], [1, 'Smith; John'], [2, 'José']]);
+            expect(result.worksheets[0].data).to.deep.equal([]);
+            expect(result.worksheets[0].columns).to.have.lengthOf(2);
+        });
+
+        it('should stop reading when onRow returns false', async () => {
+            let pulled = 0;
+            const source = Readable.from((function* () {
+                for (let i = 0; i < 100000; i++) {
+                    pulled++;
+                    yield Buffer.from(`${i},row ${i}\n`.repeat(10));
+                }
+            })());
+
+            const result = await parseCSVStream(source, { onRow: (row, index) => index < 4 });
+
+            expect(result.worksheets[0].meta.rows).to.equal(4);
+            expect(pulled).to.be.below(1000);
+        });
+
+        it('should read the rows with an async iterator', async () => {
+            const rows = [];
+            for await (const row of readCSVRows(Readable.from(['a,b\n', '1,"2', '\n3"\n']))) {
+                rows.push(row);
+            }
+
+            expect(rows).to.deep.equal([['a', 'b'], ['1', '2\n3']]);
+        });
+
+        it('should decode UTF-16 streams and an explicit delimiter', async () => {
+            const bytes = [0xFF, 0xFE];
+            for (const char of 'a;b,c\n1;2,3') {
+                bytes.push(char.charCodeAt(0), 0);
+            }
+
+            const result = await parseCSVStream(chunked(new Uint8Array(bytes), 3), { delimiter: ',' });
+            expect(result.worksheets[0].data).to.deep.equal([['a;b', 'c'], ['1;2', '3']]);
+            expect(result.worksheets[0].meta.encoding).to.equal('utf-16le');
+        });
+    });
 });
@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { detectFormat } from '../src/utils/detect.js';
+import parser from '../src/parser.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('Format Detection', () => {
+    describe('detectFormat - Text formats', () => {
+        it('should detect SYLK', async () => {
+            expect(await detectFormat(encode('ID;PWXL;N;E\nC;Y1;X1;K1\nE\n'))).to.equal('slk');
+        });
+
+        it('should detect DIF', async () => {
+            expect(await detectFormat(encode('TABLE\r\n0,1\r\n""\r\nVECTORS\r\n0,1\r\n""\r\n'))).to.equal('dif');
+        });
+
+        it('should detect XML Spreadsheet 2003', async () => {
+            const xml = '<?xml version="1.0"?>\n' +
+                '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"><Worksheet ss:Name="Sheet1"/></Workbook>';
+            expect(await detectFormat(encode(xml))).to.equal('xml');
+        });
+
+        it('should detect HTML documents and table fragments', async () => {
+            expect(await detectFormat(encode('<!DOCTYPE html><html><body></body></html>'))).to.equal('html');
+            expect(await detectFormat(encode('\uFEFF<table><tr><td>1</td></tr></table>'))).to.equal('html');
+        });
+
+        it('should not take a semicolon CSV with an ID column for SYLK', async () => {
+            expect(await detectFormat(encode('ID;Name;Age\n1;Bob;30\n'))).to.be.null;
+            expect(await detectFormat(encode('ID;Price;Qty\n1;2.50;3\n'))).to.be.null;
+            expect(await detectFormat(encode('ID;P\r\nC;Y1;X1;K"A"\r\nE\r\n'))).to.equal('slk');
+        });
+
+        it('should return null for plain delimited text', async () => {
+            expect(await detectFormat(encode('a,b,c\n1,2,3\n'))).to.be.null;
+            expect(await detectFormat(new Uint8Array(0))).to.be.null;
+        });
+    });
+
+    describe('detectFormat - Binary formats', () => {
+        it('should detect a dBase header', async () => {
+            const buffer = new Uint8Array(65);
+            buffer[0] = 0x03;  // dBase III
+            buffer[1] = 124;   // YY
+            buffer[2] = 5;     // MM
+            buffer[3] = 17;    // DD
+            buffer[8] = 65;    // Header length
+            buffer[10] = 11;   // Record length
+            buffer[64] = 0x0D; // Field terminator
+            expect(await detectFormat(buffer)).to.equal('dbf');
+        });
+
+        it('should detect a Lotus BOF record', async () => {
+            const buffer = new Uint8Array([0x00, 0x00, 0x02, 0x00, 0x06, 0x04, 0x01, 0x00]);
+            expect(await detectFormat(buffer)).to.equal('lotus');
+        });
+
+        it('should detect an Excel 2.x to 4.0 worksheet without container', async () => {
+            // BIFF3 BOF record of a worksheet
+            const buffer = new Uint8Array([0x09, 0x02, 0x06, 0x00, 0x00, 0x03, 0x10, 0x00, 0x00, 0x00]);
+            expect(await detectFormat(buffer)).to.equal('xls');
+        });
+
+        it('should detect XLSX and ODS zip containers', async () => {
+            const xlsx = new JSZip();
+            xlsx.file('[Content_Types].xml', '<Types/>');
+            xlsx.file('xl/workbook.xml', '<workbook/>');
+            expect(await detectFormat(await xlsx.generateAsync({ type: 'uint8array' }))).to.equal('xlsx');
+
+            const ods = new JSZip();
+            ods.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet');
+            ods.file('content.xml', '<office:document-content/>');
+            expect(await detectFormat(await ods.generateAsync({ type: 'uint8array' }))).to.equal('ods');
+        });
+
+        it('should detect XLSX with a workbook part under another name', async () => {
+            const zip = new JSZip();
+            zip.file('[Content_Types].xml', '<Types><Override PartName="/book.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/></Types>');
+            zip.file('book.xml', '<workbook/>');
+            expect(await detectFormat(await zip.generateAsync({ type: 'uint8array' }))).to.equal('xlsx');
+        });
+
+        it('should detect XLSB zip containers', async () => {
+            const zip = new JSZip();
+            zip.file('[Content_Types].xml', '<Types/>');
+            zip.file('xl/workbook.bin', new Uint8Array([0x83, 0x01, 0x00]));
+            expect(await detectFormat(await zip.generateAsync({ type: 'uint8array' }))).to.equal('xlsb');
+        });
+
+        it('should return null for a damaged container', async () => {
+            const buffer = new Uint8Array([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0, 0, 0, 0]);
+            expect(await detectFormat(buffer)).to.be.null;
+        });
+    });
+
+    describe('parser - Content detection', () => {
+        it('should parse a buffer without a file name', async () => {
+            const result = await parser(encode('<table><tr><th>Name</th></tr><tr><td>John</td></tr></table>'));
+
+            expect(result.detected).to.deep.equal({ format: 'html', source: 'content' });
+            expect(result.worksheets[0].data).to.deep.equal([['John']]);
+        });
+
+        it('should prefer the content over a misleading extension', async () => {
+            const file = new Blob(['<html><body><table><tr><th>A</th></tr><tr><td>1</td></tr></table></body></html>']);
+            file.name = 'report.xls';
+
+            const result = await parser(file);
+            expect(result.detected).to.deep.equal({ format: 'html', source: 'content' });
+        });
+
+        it('should fall back to the extension when the content is inconclusive', async () => {
+            const file = new Blob(['a,b\n1,2\n']);
+            file.name = 'data.csv';
+
+            const result = await parser(file);
+            expect(result.detected).to.deep.equal({ format: 'csv', source: 'extension' });
+            expect(result.worksheets[0].data[1]).to.deep.equal(['1', '2']);
+        });
+
+        it('should parse a semicolon CSV whose first header is ID', async () => {
+            const file = new Blob(['ID;Name;Age\n1;Bob;30\n']);
+            file.name = 'people.csv';
+
+            const result = await parser(file);
+            expect(result.detected).to.deep.equal({ format: 'csv', source: 'extension' });
+            expect(result.worksheets[0].data).to.deep.equal([['ID', 'Name', 'Age'], ['1', 'Bob', '30']]);
+        });
+
+        it('should prefer the extension of a text format over the leading text', async () => {
+            const file = new Blob(['ID;PWXL;N;E\nC;Y1;X1;K1\nE\n']);
+            file.name = 'export.csv';
+
+            const result = await parser(file);
+            expect(result.detected).to.deep.equal({ format: 'csv', source: 'extension' });
+        });
+
+        it('should throw for unrecognized content without a file name', async () => {
+            try {
+                await parser(encode('just some text'));
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('Unsupported file type');
+            }
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import { decodeText, detectTextEncoding } from '../src/utils/encoding.js';
+import { loadAsText } from '../src/utils/loader.js';
+import { parseCSVFile } from '../src/parser/csv.js';
+import { parseHTMLTable } from '../src/parser/table.js';
+import { parseXMLSpreadsheet } from '../src/parser/xml.js';
+import { parseDIF } from '../src/parser/dif.js';
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const utf16 = (text, littleEndian = true, bom = true) => {
+    const bytes = bom ? [littleEndian ? 0xFF : 0xFE, littleEndian ? 0xFE : 0xFF] : [];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        bytes.push(...(littleEndian ? [code & 0xFF, code >> 8] : [code >> 8, code & 0xFF]));
+    }
+    return new Uint8Array(bytes);
+};
+
+// Single byte text, e.g. windows-1252 where é is 0xE9
+const bytes = (text) => new Uint8Array(Array.from(text, char => char.charCodeAt(0)));
+
+describe('Text decoding', () => {
+    it('should strip UTF-8, UTF-16 and UTF-32 byte order marks', () => {
+        expect(decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8('café')]))).to.deep.equal({ text: 'café', encoding: 'utf-8' });
+        expect(decodeText(utf16('café'))).to.deep.equal({ text: 'café', encoding: 'utf-16le' });
+        expect(decodeText(utf16('café', false))).to.deep.equal({ text: 'café', encoding: 'utf-16be' });
+        expect(decodeText(new Uint8Array([0xFF, 0xFE, 0, 0, 0x41, 0, 0, 0, 0x00, 0xF6, 0x01, 0]))).to.deep.equal({ text: 'A😀', encoding: 'utf-32le' });
+        expect(decodeText(new Uint8Array([0, 0, 0xFE, 0xFF, 0, 0, 0, 0x41]))).to.deep.equal({ text: 'A', encoding: 'utf-32be' });
+    });
+
+    it('should tell UTF-8 from windows-1252 without byte order mark', () => {
+        expect(decodeText(utf8('Zürich;€'))).to.deep.equal({ text: 'Zürich;€', encoding: 'utf-8' });
+        expect(decodeText(bytes('Z\xFCrich;\x80'))).to.deep.equal({ text: 'Zürich;€', encoding: 'windows-1252' });
+    });
+
+    it('should recognize UTF-16 without byte order mark', () => {
+        expect(decodeText(utf16('Name\tAmount', true, false)).encoding).to.equal('utf-16le');
+        expect(decodeText(utf16('Name\tAmount', false, false)).encoding).to.equal('utf-16be');
+    });
+
+    it('should honour the encoding option', () => {
+        expect(decodeText(utf8('café'), { encoding: 'latin1' }).text).to.equal('cafÃ©');
+        expect(detectTextEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]), { encoding: 'UTF8' })).to.deep.equal({ encoding: 'utf-8', offset: 3 });
+    });
+
+    it('should read the XML declaration and the HTML meta charset', () => {
+        const xml = bytes('<?xml version="1.0" encoding="ISO-8859-1"?><a>\xE9</a>');
+        expect(decodeText(xml, { type: 'xml' }).text).to.equal('<?xml version="1.0" encoding="ISO-8859-1"?><a>é</a>');
+
+        // windows-1251, where 0xE4 is д, would be windows-1252 ä without the declaration
+        const html = bytes('<html><head><meta http-equiv="Content-Type" content="text/html; charset=windows-1251"></head><body>\xE4</body></html>');
+        expect(decodeText(html, { type: 'html' }).encoding).to.equal('windows-1251');
+        expect(decodeText(bytes('<meta charset="koi8-r"><p>x</p>'), { type: 'html' }).encoding).to.equal('koi8-r');
+        expect(decodeText(html).encoding).to.equal('windows-1252');
+    });
+
+    it('should load files as text', async () => {
+        expect(await loadAsText(new Blob([utf16('a,b')]))).to.equal('a,b');
+    });
+});
+
+describe('Text parsers encoding', () => {
+    it('should read UTF-16 CSV exports ("Unicode Text")', async () => {
+        const result = await parseCSVFile(utf16('Name\tCity\nJosé\tMünchen'));
+        expect(result.worksheets[0].data).to.deep.equal([['Name', 'City'], ['José', 'München']]);
+    });
+
+    it('should read windows-1252 CSV files and honour the encoding option', async () => {
+        const content = bytes('Name;Price\nCaf\xE9;\x805');
+        expect((await parseCSVFile(content)).worksheets[0].data[1]).to.deep.equal(['Café', '€5']);
+        expect((await parseCSVFile(content, { encoding: 'iso-8859-15' })).worksheets[0].data[1]).to.deep.equal(['Café', '\x805']);
+    });
+
+    it('should read HTML tables in the declared charset', async () => {
+        const html = bytes('<html><head><meta charset="iso-8859-2"></head><body><table><tr><td>\xB3</td></tr></table></body></html>');
+        const result = await parseHTMLTable(html, { firstRowAsHeader: false });
+        expect(result.worksheets[0].data[0][0]).to.equal('ł');
+    });
+
+    it('should read XML spreadsheets in the declared encoding', async () => {
+        const xml = bytes('<?xml version="1.0" encoding="windows-1252"?>' +
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">' +
+            '<Worksheet ss:Name="Sheet1"><Table><Row><Cell><Data ss:Type="String">\x80 caf\xE9</Data></Cell></Row></Table></Worksheet></Workbook>');
+        const result = await parseXMLSpreadsheet(xml);
+        expect(result.worksheets[0].data[0][0]).to.equal('€ café');
+    });
+
+    it('should read DIF files without chardet', async () => {
+        const dif = bytes('TABLE\r\n0,1\r\n""\r\nVECTORS\r\n0,1\r\n""\r\nTUPLES\r\n0,1\r\n""\r\nDATA\r\n0,0\r\n""\r\n-1,0\r\nBOT\r\n1,0\r\n"Caf\xE9"\r\n-1,0\r\nEOD\r\n');
+        const result = await parseDIF(dif);
+        expect(result.worksheets[0].data[0][0]).to.equal('Café');
+    });
+});
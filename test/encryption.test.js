@@ -0,0 +1,394 @@
+import { expect } from 'chai';
+import crypto from 'node:crypto';
+import { md5, sha1, sha512, aesDecrypt, rc4, base64ToBytes, bytesToBase64 } from '../src/utils/crypto.js';
+import { PasswordError } from '../src/utils/encryption.js';
+import { writeXLSX } from '../src/writer/xlsx.js';
+import { parseXLSX } from '../src/parser/xlsx.js';
+import { parseXLS } from '../src/parser/xls.js';
+import parser from '../src/parser.js';
+import { writeCFB } from './fixtures/cfb.js';
+import { record, number, workbookStream } from './fixtures/biff.js';
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+};
+
+const hash = (algorithm, ...parts) => crypto.createHash(algorithm).update(Buffer.concat(parts)).digest();
+
+const encrypt = (algorithm, key, iv, data) => {
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    cipher.setAutoPadding(false);
+    const padded = Buffer.alloc(Math.ceil(data.length / 16) * 16);
+    Buffer.from(data).copy(padded);
+    return Buffer.concat([cipher.update(padded), cipher.final()]);
+};
+
+const packageStream = (size, encrypted) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(size);
+    return Buffer.concat([header, encrypted]);
+};
+
+const workbook = () => writeXLSX({
+    worksheets: [{
+        worksheetName: 'Secret',
+        data: [['Name', 'Amount'], ['Ann', 10]]
+    }]
+});
+
+/**
+ * Agile encryption (AES-256, SHA-512) as written by Excel 2010 and later
+ */
+function encryptAgile(zip, password, spinCount = 1000) {
+    const keySalt = crypto.randomBytes(16);
+    const passwordSalt = crypto.randomBytes(16);
+    const secretKey = crypto.randomBytes(32);
+
+    let passwordHash = hash('sha512', passwordSalt, Buffer.from(password, 'utf16le'));
+    for (let i = 0; i < spinCount; i++) {
+        passwordHash = hash('sha512', uint32(i), passwordHash);
+    }
+    const derive = (blockKey) => hash('sha512', passwordHash, Buffer.from(blockKey)).subarray(0, 32);
+
+    const verifier = crypto.randomBytes(16);
+    const encryptedVerifierHashInput = encrypt('aes-256-cbc', derive([0xFE, 0xA7, 0xD2, 0x76, 0x3B, 0x4B, 0x9E, 0x79]), passwordSalt, verifier);
+    const encryptedVerifierHashValue = encrypt('aes-256-cbc', derive([0xD7, 0xAA, 0x0F, 0x6D, 0x30, 0x61, 0x34, 0x4E]), passwordSalt, hash('sha512', verifier));
+    const encryptedKeyValue = encrypt('aes-256-cbc', derive([0x14, 0x6E, 0x0B, 0xE7, 0xAB, 0xAC, 0xD0, 0xD6]), passwordSalt, secretKey);
+
+    const segments = [];
+    for (let offset = 0, segment = 0; offset < zip.length; offset += 4096, segment++) {
+        const iv = hash('sha512', keySalt, uint32(segment)).subarray(0, 16);
+        segments.push(encrypt('aes-256-cbc', secretKey, iv, zip.subarray(offset, offset + 4096)));
+    }
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n' +
+        '<encryption xmlns="http://schemas.microsoft.com/office/2006/encryption" xmlns:p="http://schemas.microsoft.com/office/2006/keyEncryptor/password">' +
+        `<keyData saltSize="16" blockSize="16" keyBits="256" hashSize="64" cipherAlgorithm="AES" cipherChaining="ChainingModeCBC" hashAlgorithm="SHA512" saltValue="${keySalt.toString('base64')}"/>` +
+        '<keyEncryptors><keyEncryptor uri="http://schemas.microsoft.com/office/2006/keyEncryptor/password">' +
+        `<p:encryptedKey spinCount="${spinCount}" saltSize="16" blockSize="16" keyBits="256" hashSize="64" cipherAlgorithm="AES" cipherChaining="ChainingModeCBC" hashAlgorithm="SHA512" ` +
+        `saltValue="${passwordSalt.toString('base64')}" encryptedVerifierHashInput="${encryptedVerifierHashInput.toString('base64')}" ` +
+        `encryptedVerifierHashValue="${encryptedVerifierHashValue.toString('base64')}" encryptedKeyValue="${encryptedKeyValue.toString('base64')}"/>` +
+        '</keyEncryptor></keyEncryptors></encryption>';
+
+    return writeCFB({
+        EncryptionInfo: Buffer.concat([Buffer.from([4, 0, 4, 0, 0x40, 0, 0, 0]), Buffer.from(xml)]),
+        EncryptedPackage: packageStream(zip.length, Buffer.concat(segments))
+    });
+}
+
+/**
+ * Standard encryption (AES-128, SHA-1) as written by Excel 2007
+ */
+function encryptStandard(zip, password) {
+    const salt = crypto.randomBytes(16);
+
+    let passwordHash = hash('sha1', salt, Buffer.from(password, 'utf16le'));
+    for (let i = 0; i < 50000; i++) {
+        passwordHash = hash('sha1', uint32(i), passwordHash);
+    }
+    const finalHash = hash('sha1', passwordHash, uint32(0));
+    const buffer1 = Buffer.alloc(64, 0x36);
+    const buffer2 = Buffer.alloc(64, 0x5C);
+    for (let i = 0; i < finalHash.length; i++) {
+        buffer1[i] ^= finalHash[i];
+        buffer2[i] ^= finalHash[i];
+    }
+    const key = Buffer.concat([hash('sha1', buffer1), hash('sha1', buffer2)]).subarray(0, 16);
+
+    const verifier = crypto.randomBytes(16);
+    const cspName = Buffer.from('Microsoft Enhanced RSA and AES Cryptographic Provider\0', 'utf16le');
+    const header = Buffer.concat([uint32(0x24), uint32(0), uint32(0x660E), uint32(0x8004), uint32(128), uint32(0x18), uint32(0), uint32(0), cspName]);
+
+    return writeCFB({
+        EncryptionInfo: Buffer.concat([
+            Buffer.from([3, 0, 2, 0]), uint32(0x24), uint32(header.length), header,
+            uint32(16), salt, encrypt('aes-128-ecb', key, null, verifier),
+            uint32(20), encrypt('aes-128-ecb', key, null, hash('sha1', verifier))
+        ]),
+        EncryptedPackage: packageStream(zip.length, encrypt('aes-128-ecb', key, null, zip))
+    });
+}
+
+/**
+ * Encryption of a BIFF8 workbook stream, encrypt returns the whole stream encrypted
+ */
+function encryptBIFF(filePass, encrypt) {
+    const stream = workbookStream([
+        { name: 'Data', records: [number(0, 0, 42), number(1, 1, 3.5)] }
+    ], [record(0x002F, filePass)]);
+
+    const encrypted = encrypt(stream);
+
+    // Record headers, BOF, FILEPASS and the sheet position in BOUNDSHEET stay in plain text
+    const result = new Uint8Array(stream);
+    for (let offset = 0; offset < stream.length;) {
+        const type = stream[offset] | (stream[offset + 1] << 8);
+        const length = stream[offset + 2] | (stream[offset + 3] << 8);
+        const start = offset + 4 + (type === 0x0085 ? 4 : 0);
+        if (type !== 0x0809 && type !== 0x002F) {
+            result.set(encrypted.subarray(start, offset + 4 + length), start);
+        }
+        offset += 4 + length;
+    }
+
+    return writeCFB({ Workbook: result });
+}
+
+// RC4 in blocks of 1024 bytes, each with its own key
+const rc4Blocks = (blockKey) => (stream) => {
+    const encrypted = new Uint8Array(stream.length);
+    for (let block = 0, position = 0; position < stream.length; block++, position += 1024) {
+        encrypted.set(rc4(blockKey(block), stream.subarray(position, position + 1024)), position);
+    }
+    return encrypted;
+};
+
+/**
+ * XOR obfuscation (MS-OFFCRYPTO 2.3.7), the password is at most 15 single byte characters
+ */
+function encryptXOR(password) {
+    const bytes = Array.from(password, char => char.charCodeAt(0));
+    const initialCode = [0xE1F0, 0x1D0F, 0xCC9C, 0x84C0, 0x110C, 0x0E10, 0xF1CE, 0x313E, 0x1872, 0xE139, 0xD40F, 0x84F9, 0x280C, 0xA96A, 0x4EC3];
+    const pad = [0xBB, 0xFF, 0xFF, 0xBA, 0xFF, 0xFF, 0xB9, 0x80, 0x00, 0xBE, 0x0F, 0x00, 0xBF, 0x0F, 0x00];
+
+    // Each bit of a character toggles a CRC-CCITT multiple of the value of its position from the end
+    const positions = [0x1021, 0x3331, 0x3730, 0x76B4, 0xAA51, 0x45A0, 0xB861, 0x47D3, 0xEB23, 0x6F45, 0xD849, 0x0375, 0x4563, 0x7B61, 0xAEFC];
+    let key = initialCode[bytes.length - 1];
+    bytes.forEach((byte, i) => {
+        let value = positions[bytes.length - 1 - i];
+        for (let bit = 0; bit < 7; bit++) {
+            if (byte & (1 << bit)) {
+                key ^= value;
+            }
+            value = value & 0x8000 ? ((value << 1) & 0xFFFF) ^ 0x1021 : value << 1;
+        }
+    });
+
+    let verifier = 0;
+    for (const byte of [...bytes].reverse().concat(bytes.length)) {
+        verifier = (((verifier >> 14) & 1) | ((verifier << 1) & 0x7FFF)) ^ byte;
+    }
+    verifier ^= 0xCE4B;
+
+    // Password followed by the padding, XORed with the key bytes and rotated right by one bit
+    const array = [...bytes, ...pad].slice(0, 16).map((byte, i) => {
+        const value = byte ^ (i % 2 ? key >> 8 : key & 0xFF);
+        return ((value >> 1) | (value << 7)) & 0xFF;
+    });
+
+    // Each byte is rotated left by 5 bits and XORed with the array at its position from the record end
+    return encryptBIFF([0, 0, key & 0xFF, key >> 8, verifier & 0xFF, verifier >> 8], (stream) => {
+        const encrypted = new Uint8Array(stream.length);
+        for (let offset = 0; offset < stream.length;) {
+            const length = stream[offset + 2] | (stream[offset + 3] << 8);
+            for (let i = 0; i < length; i++) {
+                const byte = stream[offset + 4 + i];
+                encrypted[offset + 4 + i] = (((byte << 5) | (byte >> 3)) & 0xFF) ^ array[(offset + 4 + length + i) % 16];
+            }
+            offset += 4 + length;
+        }
+        return encrypted;
+    });
+}
+
+function encryptRC4(password) {
+    const salt = crypto.randomBytes(16);
+    const passwordHash = hash('md5', Buffer.from(password, 'utf16le')).subarray(0, 5);
+    const buffer = Buffer.concat(Array.from({ length: 16 }, () => Buffer.concat([passwordHash, salt])));
+    const key = hash('md5', buffer).subarray(0, 5);
+    const blockKey = (block) => hash('md5', key, uint32(block));
+
+    const verifier = crypto.randomBytes(16);
+    const encryptedVerifier = rc4(blockKey(0), Buffer.concat([verifier, hash('md5', verifier)]));
+
+    return encryptBIFF([1, 0, 1, 0, 1, 0, ...salt, ...encryptedVerifier], rc4Blocks(blockKey));
+}
+
+function encryptCryptoAPI(password, keyBits = 128) {
+    const salt = crypto.randomBytes(16);
+    const passwordHash = hash('sha1', salt, Buffer.from(password, 'utf16le'));
+    const blockKey = (block) => {
+        const key = hash('sha1', passwordHash, uint32(block));
+        return keyBits === 40 ? Buffer.concat([key.subarray(0, 5), Buffer.alloc(11)]) : key.subarray(0, keyBits / 8);
+    };
+
+    const verifier = crypto.randomBytes(16);
+    const encryptedVerifier = rc4(blockKey(0), Buffer.concat([verifier, hash('sha1', verifier)]));
+    const cspName = Buffer.from('Microsoft Enhanced Cryptographic Provider v1.0\0', 'utf16le');
+    const header = Buffer.concat([uint32(0x04), uint32(0), uint32(0x6801), uint32(0x8004), uint32(keyBits), uint32(1), uint32(0), uint32(0), cspName]);
+
+    return encryptBIFF([
+        1, 0, 4, 0, 2, 0, ...uint32(0x04), ...uint32(header.length), ...header,
+        ...uint32(16), ...salt, ...encryptedVerifier.subarray(0, 16), ...uint32(20), ...encryptedVerifier.subarray(16)
+    ], rc4Blocks(blockKey));
+}
+
+describe('Encryption', () => {
+    describe('crypto primitives', () => {
+        it('should compute SHA-1 and SHA-512 digests', () => {
+            [0, 3, 55, 56, 64, 111, 112, 128, 1000].forEach(length => {
+                const data = crypto.randomBytes(length);
+                expect(hex(sha1(data))).to.equal(crypto.createHash('sha1').update(data).digest('hex'));
+                expect(hex(sha512(data))).to.equal(crypto.createHash('sha512').update(data).digest('hex'));
+            });
+        });
+
+        it('should decrypt AES in ECB and CBC modes', () => {
+            [16, 24, 32].forEach(size => {
+                const key = crypto.randomBytes(size);
+                const iv = crypto.randomBytes(16);
+                const data = crypto.randomBytes(64);
+
+                expect(hex(aesDecrypt(key, encrypt(`aes-${size * 8}-ecb`, key, null, data)))).to.equal(hex(data));
+                expect(hex(aesDecrypt(key, encrypt(`aes-${size * 8}-cbc`, key, iv, data), iv))).to.equal(hex(data));
+            });
+        });
+
+        it('should compute MD5 digests', () => {
+            [0, 3, 55, 56, 64, 1000].forEach(length => {
+                const data = crypto.randomBytes(length);
+                expect(hex(md5(data))).to.equal(crypto.createHash('md5').update(data).digest('hex'));
+            });
+        });
+
+        it('should apply the RC4 keystream', () => {
+            expect(hex(rc4(Buffer.from('Key'), Buffer.from('Plaintext')))).to.equal('bbf316e8d940af0ad3');
+            expect(hex(rc4(Buffer.from('Secret'), Buffer.from('Attack at dawn')))).to.equal('45a01f645fc35b383552544b9bf5');
+            expect(hex(rc4(Buffer.from('Key'), Buffer.from('text'), 5))).to.equal(hex(rc4(Buffer.from('Key'), Buffer.from('Plaintext')).subarray(5)));
+        });
+
+        it('should decode base64', () => {
+            const data = crypto.randomBytes(35);
+            expect(hex(base64ToBytes(data.toString('base64')))).to.equal(hex(data));
+        });
+
+        it('should encode base64', () => {
+            [0, 1, 2, 3, 35].forEach(length => {
+                const data = crypto.randomBytes(length);
+                expect(bytesToBase64(data)).to.equal(data.toString('base64'));
+            });
+        });
+    });
+
+    describe('parseXLSX - Encrypted workbooks', () => {
+        it('should decrypt Agile encryption with the password option', async () => {
+            const file = encryptAgile(await workbook(), 'secret');
+            const result = await parseXLSX(file, { password: 'secret' });
+
+            expect(result.worksheets[0].worksheetName).to.equal('Secret');
+            expect(result.worksheets[0].data[1]).to.deep.equal(['Ann', 10]);
+        });
+
+        it('should decrypt Standard encryption', async () => {
+            const file = encryptStandard(await workbook(), 'pa55');
+            const result = await parseXLSX(file, { password: 'pa55' });
+
+            expect(result.worksheets[0].data[0]).to.deep.equal(['Name', 'Amount']);
+        });
+
+        it('should use the default Excel password when none is given', async () => {
+            const file = encryptAgile(await workbook(), 'VelvetSweatshop');
+            const result = await parseXLSX(file);
+
+            expect(result.worksheets[0].data[1][0]).to.equal('Ann');
+        });
+
+        it('should throw a PasswordError for a missing or wrong password', async () => {
+            const file = encryptAgile(await workbook(), 'secret');
+
+            try {
+                await parseXLSX(file);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(PasswordError);
+                expect(error.code).to.equal('PASSWORD_REQUIRED');
+            }
+
+            try {
+                await parseXLSX(file, { password: 'wrong' });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(PasswordError);
+                expect(error.code).to.equal('INVALID_PASSWORD');
+            }
+        });
+
+        it('should detect encrypted workbooks in the main parser', async () => {
+            const file = encryptAgile(await workbook(), 'secret');
+            const result = await parser(file, { password: 'secret' });
+
+            expect(result.detected).to.deep.equal({ format: 'xlsx', source: 'content' });
+            expect(result.worksheets[0].data[1][1]).to.equal(10);
+        });
+    });
+
+    describe('parseXLS - Encrypted workbooks', () => {
+        it('should decrypt RC4 CryptoAPI encryption with the password option', async () => {
+            const result = await parseXLS(encryptCryptoAPI('secret'), { password: 'secret' });
+
+            expect(result.worksheets[0].worksheetName).to.equal('Data');
+            expect(result.worksheets[0].data[0][0]).to.equal(42);
+            expect(result.worksheets[0].data[1][1]).to.equal(3.5);
+        });
+
+        it('should decrypt RC4 CryptoAPI encryption with 40-bit keys', async () => {
+            const result = await parseXLS(encryptCryptoAPI('secret', 40), { password: 'secret' });
+
+            expect(result.worksheets[0].data[1][1]).to.equal(3.5);
+        });
+
+        it('should decrypt RC4 encryption', async () => {
+            const result = await parseXLS(encryptRC4('pa55'), { password: 'pa55' });
+
+            expect(result.worksheets[0].data[0][0]).to.equal(42);
+        });
+
+        it('should decrypt XOR obfuscation', async () => {
+            const result = await parseXLS(encryptXOR('Obfuscate'), { password: 'Obfuscate' });
+
+            expect(result.worksheets[0].worksheetName).to.equal('Data');
+            expect(result.worksheets[0].data[0][0]).to.equal(42);
+            expect(result.worksheets[0].data[1][1]).to.equal(3.5);
+        });
+
+        it('should throw a PasswordError for a wrong XOR obfuscation password', async () => {
+            try {
+                await parseXLS(encryptXOR('Obfuscate'), { password: 'obfuscate' });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(PasswordError);
+                expect(error.code).to.equal('INVALID_PASSWORD');
+            }
+        });
+
+        it('should use the default Excel password when none is given', async () => {
+            const result = await parser(encryptCryptoAPI('VelvetSweatshop'));
+
+            expect(result.worksheets[0].data[0][0]).to.equal(42);
+        });
+
+        it('should throw a PasswordError for a missing or wrong password', async () => {
+            const file = encryptRC4('secret');
+
+            try {
+                await parseXLS(file);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(PasswordError);
+                expect(error.code).to.equal('PASSWORD_REQUIRED');
+            }
+
+            try {
+                await parseXLS(file, { password: 'wrong' });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(PasswordError);
+                expect(error.code).to.equal('INVALID_PASSWORD');
+            }
+        });
+    });
+});
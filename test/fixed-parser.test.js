@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { parseFixedWidth, parseFixedWidthString } from '../src/parser/fixed.js';
+import tabularjs from '../src/parser.js';
+
+const report = [
+    'Name        Unit Price  City',
+    '----------  ----------  --------',
+    'Apples            1.50  Paris',
+    'Pears           120.00  New York',
+    '',
+    '\fName        Unit Price  City',
+    'Plums            10.00  Rome'
+].join('\r\n');
+
+describe('parseFixedWidth', () => {
+    const encode = (text) => new TextEncoder().encode(text);
+
+    it('should find the columns from the blank runs and title them from the header', () => {
+        const ws = parseFixedWidthString(report).worksheets[0];
+
+        expect(ws.data).to.deep.equal([['Apples', '1.50', 'Paris'], ['Pears', '120.00', 'New York'], ['Plums', '10.00', 'Rome']]);
+        expect(ws.columns).to.deep.equal([{ title: 'Name' }, { title: 'Unit Price', align: 'right' }, { title: 'City' }]);
+        expect(ws.meta).to.deep.equal({ boundaries: [0, 12, 24], header: true });
+    });
+
+    it('should keep header words above right-aligned values in their column', () => {
+        const ws = parseFixedWidthString('Item   Unit Cost  Qty\nTea         3.50    2\nCake       12.00   10').worksheets[0];
+
+        expect(ws.columns.map(column => column.title)).to.deep.equal(['Item', 'Unit Cost', 'Qty']);
+        expect(ws.data).to.deep.equal([['Tea', '3.50', '2'], ['Cake', '12.00', '10']]);
+    });
+
+    it('should not take a line of values for a header', () => {
+        const ws = parseFixedWidthString('Apples    1.50 Paris\nPears   120.00 Rome').worksheets[0];
+
+        expect(ws.meta.header).to.equal(false);
+        expect(ws.columns.map(column => column.title)).to.deep.equal(['A', 'B', 'C']);
+        expect(ws.data).to.have.length(2);
+    });
+
+    it('should split at the given boundaries', () => {
+        const ws = parseFixedWidthString('0001Smith     19.99\n0002Jones      5.00', { boundaries: [0, 4, 14] }).worksheets[0];
+
+        expect(ws.data).to.deep.equal([['0001', 'Smith', '19.99'], ['0002', 'Jones', '5.00']]);
+        expect(ws.meta).to.deep.equal({ boundaries: [0, 4, 14], header: false });
+    });
+
+    it('should reject invalid boundaries', () => {
+        expect(() => parseFixedWidthString('abc', { boundaries: [0, 5, 3] })).to.throw('Invalid fixed-width boundaries');
+    });
+
+    it('should expand tabs and infer the column types', async () => {
+        const text = 'ID\tZip\tAmount\tDate\n1\t01234\t1,234.5\t2024-03-01\n2\t99501\t12.00\t2024-03-02';
+        const ws = (await parseFixedWidth(encode(text), { inferTypes: true })).worksheets[0];
+
+        expect(ws.data).to.deep.equal([[1, '01234', 1234.5, '2024-03-01'], [2, '99501', 12, '2024-03-02']]);
+        expect(ws.columns.map(column => column.type)).to.deep.equal(['numeric', 'text', 'numeric', 'calendar']);
+    });
+
+    it('should be used by the main parser for .prn files and fixed .txt files', async () => {
+        const prn = await tabularjs(new File([report], 'report.prn'));
+        expect(prn.detected).to.deep.equal({ format: 'fixed', source: 'extension' });
+        expect(prn.worksheets[0].data[1]).to.deep.equal(['Pears', '120.00', 'New York']);
+
+        const txt = await tabularjs(new File([report], 'report.txt'), { format: 'fixed' });
+        expect(txt.detected.format).to.equal('fixed');
+        expect(txt.worksheets[0].columns[1].title).to.equal('Unit Price');
+
+        const delimited = await tabularjs(new File(['a,b\n1,2'], 'data.txt'));
+        expect(delimited.detected.format).to.equal('txt');
+    });
+});
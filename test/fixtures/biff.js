@@ -0,0 +1,55 @@
+/**
+ * BIFF8 record builders used to create XLS workbook fixtures
+ */
+
+export const uint16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+export const uint32 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+
+export const float64 = (value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value, true);
+    return Array.from(bytes);
+};
+
+// Record header (type and size) followed by the data
+export const record = (type, data = []) => [...uint16(type), ...uint16(data.length), ...data];
+
+// Workbook globals (0x0005) or worksheet (0x0010) substream
+export const bof = (type) => record(0x0809, [...uint16(0x0600), ...uint16(type), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(0)]);
+
+export const eof = () => record(0x000A);
+
+export const boundsheet = (name) => record(0x0085, [...uint32(0), 0, 0, name.length, 0, ...Array.from(name, char => char.charCodeAt(0))]);
+
+export const number = (row, column, value) => record(0x0203, [...uint16(row), ...uint16(column), ...uint16(0), ...float64(value)]);
+
+// Formula cell with a numeric result and its PTG tokens
+export const formula = (row, column, tokens, value = 0) => record(0x0006, [
+    ...uint16(row), ...uint16(column), ...uint16(0), ...float64(value),
+    ...uint16(0), ...uint32(0), ...uint16(tokens.length), ...tokens
+]);
+
+// Short string with a flags byte and 8-bit characters (XLUnicodeStringNoCch)
+export const string8 = (text) => [0, ...Array.from(text, char => char.charCodeAt(0))];
+
+/**
+ * Build a workbook stream
+ * @param {Array<{name: string, records: Array<number[]>}>} sheets - Worksheets and their cell records
+ * @param {Array<number[]>} [globals] - Extra records of the workbook globals
+ * @returns {Uint8Array}
+ */
+export function workbookStream(sheets, globals = []) {
+    const bytes = [
+        ...bof(0x0005),
+        ...globals.flat(),
+        ...sheets.map(sheet => boundsheet(sheet.name)).flat(),
+        ...eof()
+    ];
+
+    sheets.forEach(sheet => {
+        bytes.push(...bof(0x0010), ...sheet.records.flat(), ...eof());
+    });
+
+    return new Uint8Array(bytes);
+}
@@ -0,0 +1,63 @@
+/**
+ * BIFF12 record builders used to create XLSB workbook fixtures
+ */
+
+import { uint16, uint32, float64 } from './biff.js';
+
+export { uint16, uint32, float64 };
+
+// Variable length integer of the record headers, 7 bits per byte
+const varint = (value) => {
+    const bytes = [];
+    do {
+        let byte = value & 0x7F;
+        value >>>= 7;
+        if (value) byte |= 0x80;
+        bytes.push(byte);
+    } while (value);
+    return bytes;
+};
+
+// Record header (type and size) followed by the data
+export const record = (type, data = []) => [...varint(type), ...varint(data.length), ...data];
+
+// XLWideString: character count and UTF-16 characters
+export const wideString = (text) => [...uint32(text.length), ...Array.from(text).flatMap(char => uint16(char.charCodeAt(0)))];
+
+// RichStr without formatting runs
+export const richString = (text) => [0, ...wideString(text)];
+
+// Cell: column and style index
+export const cell = (column, style = 0) => [...uint32(column), ...uint32(style)];
+
+// RfX: first row, last row, first column and last column
+export const range = (rowFirst, rowLast, colFirst, colLast) => [...uint32(rowFirst), ...uint32(rowLast), ...uint32(colFirst), ...uint32(colLast)];
+
+// CellParsedFormula: tokens and extra data
+export const parsedFormula = (tokens, extra = []) => [...uint32(tokens.length), ...tokens, ...uint32(extra.length), ...extra];
+
+// BrtColor with an RGB value
+export const rgbColor = (hex) => [0x05, 0, 0, 0, parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16), 0xFF];
+
+// BrtColor with an index of the default palette
+export const indexedColor = (index) => [0x03, index, 0, 0, 0, 0, 0, 0xFF];
+
+export const rowHeader = (row, height = 0, flags = 0) => record(0x0000, [...uint32(row), ...uint32(0), ...uint16(height), 0, flags, 0, ...uint32(0)]);
+
+export const realCell = (column, value, style = 0) => record(0x0005, [...cell(column, style), ...float64(value)]);
+
+export const stringCell = (column, text, style = 0) => record(0x0006, [...cell(column, style), ...wideString(text)]);
+
+export const sharedStringCell = (column, index, style = 0) => record(0x0007, [...cell(column, style), ...uint32(index)]);
+
+// Formula cell with a numeric result
+export const formulaCell = (column, tokens, value = 0, extra = []) => record(0x0009, [...cell(column), ...float64(value), ...uint16(0), ...parsedFormula(tokens, extra)]);
+
+/**
+ * Build a BIFF12 part
+ * @param {Array<number[]>} records
+ * @returns {Uint8Array}
+ */
+export function part(records) {
+    return new Uint8Array(records.flat());
+}
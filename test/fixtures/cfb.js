@@ -0,0 +1,143 @@
+/**
+ * Minimal Compound File Binary writer used to build test fixtures (XLS workbooks,
+ * encrypted OOXML packages). Streams under 4096 bytes are stored in the mini stream.
+ */
+
+const SECTOR = 512;
+const MINI_SECTOR = 64;
+const MINI_CUTOFF = 4096;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FREESECT = 0xFFFFFFFF;
+const FATSECT = 0xFFFFFFFD;
+const NOSTREAM = 0xFFFFFFFF;
+
+/**
+ * Build a CFB container with the given streams in the root storage
+ * @param {Object<string, Uint8Array>} streams - Stream name to content
+ * @returns {Uint8Array}
+ */
+export function writeCFB(streams) {
+    const names = Object.keys(streams);
+    const small = names.filter(name => streams[name].length < MINI_CUTOFF);
+    const large = names.filter(name => streams[name].length >= MINI_CUTOFF);
+
+    // Mini stream: 64-byte sectors chained in the mini FAT
+    const miniFat = [];
+    const miniStart = {};
+    let miniStream = [];
+    small.forEach(name => {
+        const count = Math.max(1, Math.ceil(streams[name].length / MINI_SECTOR));
+        miniStart[name] = streams[name].length ? miniFat.length : ENDOFCHAIN;
+        for (let i = 0; i < count; i++) {
+            miniFat.push(i === count - 1 ? ENDOFCHAIN : miniFat.length + 1);
+        }
+        const padded = new Uint8Array(count * MINI_SECTOR);
+        padded.set(streams[name]);
+        miniStream.push(padded);
+    });
+    miniStream = concat(miniStream);
+
+    const sectors = (length) => Math.ceil(length / SECTOR);
+    const miniFatSectors = sectors(miniFat.length * 4);
+    const dirSectors = sectors((names.length + 1) * 128);
+    const miniStreamSectors = sectors(miniStream.length);
+    const largeSectors = large.reduce((total, name) => total + sectors(streams[name].length), 0);
+
+    let fatSectors = 1;
+    while (fatSectors * 128 < fatSectors + miniFatSectors + dirSectors + miniStreamSectors + largeSectors) {
+        fatSectors++;
+    }
+
+    const total = fatSectors + miniFatSectors + dirSectors + miniStreamSectors + largeSectors;
+    const out = new Uint8Array(SECTOR * (1 + total));
+    const view = new DataView(out.buffer);
+    const fat = new Array(fatSectors * 128).fill(FREESECT);
+
+    // Allocate a chain of sectors and return its first sector
+    let next = 0;
+    const chain = (count, value) => {
+        const start = next;
+        for (let i = 0; i < count; i++) {
+            fat[next] = value !== undefined ? value : (i === count - 1 ? ENDOFCHAIN : next + 1);
+            next++;
+        }
+        return count ? start : ENDOFCHAIN;
+    };
+    const write = (sector, bytes) => out.set(bytes, SECTOR * (1 + sector));
+
+    chain(fatSectors, FATSECT);
+    const miniFatStart = chain(miniFatSectors);
+    const dirStart = chain(dirSectors);
+    const miniStreamStart = chain(miniStreamSectors);
+    const largeStart = {};
+    large.forEach(name => {
+        largeStart[name] = chain(sectors(streams[name].length));
+        write(largeStart[name], streams[name]);
+    });
+
+    // Header
+    out.set([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+    view.setUint16(24, 0x003E, true);
+    view.setUint16(26, 3, true);
+    view.setUint16(28, 0xFFFE, true);
+    view.setUint16(30, 9, true);
+    view.setUint16(32, 6, true);
+    view.setUint32(44, fatSectors, true);
+    view.setUint32(48, dirStart, true);
+    view.setUint32(56, MINI_CUTOFF, true);
+    view.setUint32(60, miniFatSectors ? miniFatStart : ENDOFCHAIN, true);
+    view.setUint32(64, miniFatSectors, true);
+    view.setUint32(68, ENDOFCHAIN, true);
+    for (let i = 0; i < 109; i++) {
+        view.setUint32(76 + i * 4, i < fatSectors ? i : FREESECT, true);
+    }
+
+    // FAT and mini FAT
+    fat.forEach((value, i) => view.setUint32(SECTOR + i * 4, value >>> 0, true));
+    const miniFatBytes = new Uint8Array(miniFatSectors * SECTOR).fill(0xFF);
+    const miniFatView = new DataView(miniFatBytes.buffer);
+    miniFat.forEach((value, i) => miniFatView.setUint32(i * 4, value >>> 0, true));
+    if (miniFatSectors) write(miniFatStart, miniFatBytes);
+    if (miniStreamSectors) write(miniStreamStart, miniStream);
+
+    // Directory: the root entry, then the streams as a chain of right siblings
+    const dir = new Uint8Array(dirSectors * SECTOR);
+    const dirView = new DataView(dir.buffer);
+    const entry = (index, name, type, child, right, start, size) => {
+        const offset = index * 128;
+        for (let i = 0; i < name.length; i++) {
+            dirView.setUint16(offset + i * 2, name.charCodeAt(i), true);
+        }
+        dirView.setUint16(offset + 64, (name.length + 1) * 2, true);
+        dir[offset + 66] = type;
+        dir[offset + 67] = 1;
+        dirView.setUint32(offset + 68, NOSTREAM, true);
+        dirView.setUint32(offset + 72, right, true);
+        dirView.setUint32(offset + 76, child, true);
+        dirView.setUint32(offset + 116, start, true);
+        dirView.setUint32(offset + 120, size, true);
+    };
+    entry(0, 'Root Entry', 5, names.length ? 1 : NOSTREAM, NOSTREAM, miniStreamSectors ? miniStreamStart : ENDOFCHAIN, miniStream.length);
+    names.forEach((name, i) => {
+        const start = streams[name].length < MINI_CUTOFF ? miniStart[name] : largeStart[name];
+        entry(i + 1, name, 2, NOSTREAM, i + 1 < names.length ? i + 2 : NOSTREAM, start, streams[name].length);
+    });
+    for (let i = names.length + 1; i < dirSectors * 4; i++) {
+        dirView.setUint32(i * 128 + 68, NOSTREAM, true);
+        dirView.setUint32(i * 128 + 72, NOSTREAM, true);
+        dirView.setUint32(i * 128 + 76, NOSTREAM, true);
+    }
+    write(dirStart, dir);
+
+    return out;
+}
+
+function concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        result.set(array, offset);
+        offset += array.length;
+    });
+    return result;
+}
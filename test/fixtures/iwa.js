@@ -0,0 +1,129 @@
+/**
+ * Protocol Buffers and IWA builders used to create Numbers document fixtures
+ */
+
+export const varint = (value) => {
+    const bytes = [];
+    do {
+        let byte = value % 128;
+        value = Math.floor(value / 128);
+        if (value) byte |= 0x80;
+        bytes.push(byte);
+    } while (value);
+    return bytes;
+};
+
+const utf8 = (text) => Array.from(new TextEncoder().encode(text));
+
+// Fields: varint, length delimited (bytes, string or message), fixed64 double and fixed32 float
+export const int = (field, value) => [...varint(field * 8), ...varint(value)];
+export const sint = (field, value) => int(field, value < 0 ? -value * 2 - 1 : value * 2);
+export const bytes = (field, data) => [...varint(field * 8 + 2), ...varint(data.length), ...data];
+export const string = (field, text) => bytes(field, utf8(text));
+export const message = (field, ...fields) => bytes(field, fields.flat());
+export const double = (field, value) => {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value, true);
+    return [...varint(field * 8 + 1), ...data];
+};
+export const float = (field, value) => {
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setFloat32(0, value, true);
+    return [...varint(field * 8 + 5), ...data];
+};
+
+// TSP.Reference
+export const reference = (field, id) => message(field, int(1, id));
+
+// Raw Snappy block made of literals only
+export const snappy = (data) => {
+    const out = varint(data.length);
+    for (let pos = 0; pos < data.length; pos += 60) {
+        const chunk = data.slice(pos, pos + 60);
+        out.push((chunk.length - 1) << 2, ...chunk);
+    }
+    return out;
+};
+
+/**
+ * Build an IWA file from objects
+ * @param {Array<{id: number, type: number, data: number[]}>} objects
+ * @returns {Uint8Array}
+ */
+export function iwa(objects) {
+    const stream = objects.flatMap(({ id, type, data }) => {
+        const info = [...int(1, id), ...message(2, int(1, type), int(3, data.length))];
+        return [...varint(info.length), ...info, ...data];
+    });
+    const block = snappy(stream);
+    return new Uint8Array([0, block.length & 0xFF, (block.length >> 8) & 0xFF, block.length >> 16, ...block]);
+}
+
+/**
+ * Cell storage of Numbers 5 and later
+ * @param {number} type - Cell value type
+ * @param {Object} values - number (decimal128), double, seconds, string, richText and formula
+ */
+export function cellStorage(type, values = {}) {
+    const data = [5, type, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    let flags = 0;
+    const view = (size, write) => {
+        const part = new Uint8Array(size);
+        write(new DataView(part.buffer));
+        data.push(...part);
+    };
+
+    if (values.number !== undefined) {
+        flags |= 0x1;
+        // Integer significand with the exponent bias 0x1820 and the given number of decimals
+        const decimals = values.decimals || 0;
+        const exponent = 0x1820 - decimals;
+        let mantissa = Math.round(Math.abs(values.number) * Math.pow(10, decimals));
+        const part = new Array(16).fill(0);
+        for (let i = 0; i < 14; i++) {
+            part[i] = mantissa % 256;
+            mantissa = Math.floor(mantissa / 256);
+        }
+        part[14] = (exponent & 0x7F) << 1;
+        part[15] = (exponent >> 7) | (values.number < 0 ? 0x80 : 0);
+        data.push(...part);
+    }
+    if (values.double !== undefined) {
+        flags |= 0x2;
+        view(8, v => v.setFloat64(0, values.double, true));
+    }
+    if (values.seconds !== undefined) {
+        flags |= 0x4;
+        view(8, v => v.setFloat64(0, values.seconds, true));
+    }
+    if (values.string !== undefined) {
+        flags |= 0x8;
+        view(4, v => v.setUint32(0, values.string, true));
+    }
+    if (values.richText !== undefined) {
+        flags |= 0x10;
+        view(4, v => v.setUint32(0, values.richText, true));
+    }
+    if (values.formula !== undefined) {
+        flags |= 0x200;
+        view(4, v => v.setUint32(0, values.formula, true));
+    }
+
+    data[8] = flags & 0xFF;
+    data[9] = (flags >> 8) & 0xFF;
+    return data;
+}
+
+/**
+ * TST.TileRowInfo for a row of cells (undefined for empty columns)
+ */
+export function tileRow(row, cells) {
+    const storage = [];
+    const offsets = [];
+    for (const cell of cells) {
+        const offset = cell ? storage.length : 0xFFFF;
+        offsets.push(offset & 0xFF, offset >> 8);
+        if (cell) storage.push(...cell);
+    }
+    return message(5, int(1, row), int(2, cells.filter(Boolean).length), int(5, 5), bytes(6, storage), bytes(7, offsets));
+}
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import { format, getFormatColor } from '../src/utils/format.js';
+
+describe('Number Format Engine', () => {
+    describe('format - Numbers', () => {
+        it('should render General', () => {
+            expect(format(123.456)).to.equal('123.456');
+            expect(format(1 / 3, 'General')).to.equal('0.333333333');
+            expect(format(12345678901234, 'General')).to.equal('1.23457E+13');
+            expect(format(-5, 'General')).to.equal('-5');
+        });
+
+        it('should render digit placeholders and thousands separators', () => {
+            expect(format(1234.5, '$#,##0.00')).to.equal('$1,234.50');
+            expect(format(1234567.891, '#,##0.00')).to.equal('1,234,567.89');
+            expect(format(7, '00000')).to.equal('00007');
+            expect(format(0.5, '#.##')).to.equal('.5');
+            expect(format(5551234, '000-0000')).to.equal('555-1234');
+            expect(format(1.005, '0.00')).to.equal('1.01');
+            expect(format(-3, '0.00')).to.equal('-3.00');
+        });
+
+        it('should scale by thousands and percentages', () => {
+            expect(format(1234567, '#,##0,')).to.equal('1,235');
+            expect(format(1234567, '0.0,,"M"')).to.equal('1.2M');
+            expect(format(0.256, '0.0%')).to.equal('25.6%');
+        });
+
+        it('should render scientific notation', () => {
+            expect(format(12345, '0.00E+00')).to.equal('1.23E+04');
+            expect(format(0.00012, '0.00E+00')).to.equal('1.20E-04');
+            expect(format(12345, '##0.0E+0')).to.equal('12.3E+3');
+        });
+
+        it('should render fractions', () => {
+            expect(format(0.125, '# ?/?')).to.equal(' 1/8');
+            expect(format(1.25, '# ??/16')).to.equal('1  4/16');
+            expect(format(0.75, '?/4')).to.equal('3/4');
+            expect(format(2, '# ?/?')).to.equal('2    ');
+        });
+
+        it('should render built-in format ids', () => {
+            expect(format(0.5, 10)).to.equal('50.00%');
+            expect(format(45363, 14)).to.equal('3/12/24');
+        });
+    });
+
+    describe('format - Sections, colors and conditions', () => {
+        it('should choose the positive, negative and zero sections', () => {
+            expect(format(-5, '0;[Red](0)')).to.equal('(5)');
+            expect(format(-1234.5, '#,##0.00_);(#,##0.00)')).to.equal('(1,234.50)');
+            expect(format(1234.5, '#,##0.00_);(#,##0.00)')).to.equal('1,234.50 ');
+            expect(format(0, '0;-0;"zero"')).to.equal('zero');
+            expect(format(0, '0;-0;;@')).to.equal('');
+        });
+
+        it('should use the text section for strings', () => {
+            expect(format('abc', '0;-0;0;"text: "@')).to.equal('text: abc');
+            expect(format('abc', '0.00')).to.equal('abc');
+            expect(format(true, '0.00')).to.equal('TRUE');
+        });
+
+        it('should evaluate conditions', () => {
+            expect(format(150, '[>100]"big";"small"')).to.equal('big');
+            expect(format(50, '[>100]"big";"small"')).to.equal('small');
+        });
+
+        it('should render locale currency symbols', () => {
+            expect(format(5, '[$€-407] #,##0.00')).to.equal('€ 5.00');
+            expect(format(45363, '[$-409]mmmm d, yyyy')).to.equal('March 12, 2024');
+        });
+
+        it('should report the section color', () => {
+            expect(getFormatColor(-5, '0;[Red](0)')).to.equal('#FF0000');
+            expect(getFormatColor(5, '0;[Red](0)')).to.be.null;
+            expect(getFormatColor(5, '[Color5]0')).to.equal('#0000FF');
+        });
+    });
+
+    describe('format - Dates and times', () => {
+        it('should render dates', () => {
+            expect(format(45363, 'd-mmm-yyyy')).to.equal('12-Mar-2024');
+            expect(format(45363, 'mmmmm')).to.equal('M');
+            expect(format('2024-03-12', 'dddd, mmmm d, yyyy')).to.equal('Tuesday, March 12, 2024');
+            expect(format(new Date(Date.UTC(2024, 2, 12)), 'yyyy-mm-dd')).to.equal('2024-03-12');
+            expect(format(43901, 'yyyy-mm-dd', { date1904: true })).to.equal('2024-03-12');
+        });
+
+        it('should render times and distinguish minutes from months', () => {
+            expect(format(45363.75, 'm/d/yy h:mm AM/PM')).to.equal('3/12/24 6:00 PM');
+            expect(format(45363.75, 'yyyy-mm-dd hh:mm:ss')).to.equal('2024-03-12 18:00:00');
+            expect(format(0.5, 'h:mm:ss.00')).to.equal('12:00:00.00');
+            expect(format('10:30:00', 'h:mm a/p')).to.equal('10:30 a');
+        });
+
+        it('should render elapsed time', () => {
+            expect(format(1.5, '[h]:mm')).to.equal('36:00');
+            expect(format(3661 / 86400, '[mm]:ss')).to.equal('61:01');
+            expect(format(-0.5, '[h]:mm')).to.equal('-12:00');
+        });
+
+        it('should render the serial day 0 as January 0, 1900', () => {
+            expect(format(0.5, 'm')).to.equal('1');
+            expect(format(0, 'yyyy-mm-dd')).to.equal('1900-01-00');
+            expect(format(0.75, 'dddd d mmm yy h:mm')).to.equal('Saturday 0 Jan 00 18:00');
+            expect(format(0, 'yyyy-mm-dd', { date1904: true })).to.equal('1904-01-01');
+        });
+
+        it('should render non-finite numbers as empty text', () => {
+            expect(format(NaN, 'yyyy-mm-dd')).to.equal('');
+            expect(format(NaN, '0.00')).to.equal('');
+            expect(format(Infinity)).to.equal('');
+        });
+    });
+});
@@ -0,0 +1,162 @@
+import { expect } from 'chai';
+import { gzipSync } from 'node:zlib';
+import { parseGnumeric } from '../src/parser/gnumeric.js';
+import { detectFormat } from '../src/utils/detect.js';
+import { gunzip } from '../src/utils/loader.js';
+import tabularjs from '../src/parser.js';
+
+// Style region with the attributes Gnumeric always writes, and the given ones
+const style = (region, attributes, content = '') => {
+    const values = { HAlign: 'GNM_HALIGN_GENERAL', VAlign: 'GNM_VALIGN_BOTTOM', WrapText: '0', Shade: '0', Fore: '0:0:0', Back: 'FFFF:FFFF:FFFF', Format: 'General', ...attributes };
+    return `<gnm:StyleRegion startCol="${region[0]}" startRow="${region[1]}" endCol="${region[2]}" endRow="${region[3]}">` +
+        `<gnm:Style ${Object.entries(values).map(([name, value]) => `${name}="${value}"`).join(' ')}>` +
+        `<gnm:Font Unit="10" Bold="0" Italic="0" Underline="0" StrikeThrough="0">Sans</gnm:Font>${content}</gnm:Style></gnm:StyleRegion>`;
+};
+
+const workbook = `<?xml version="1.0" encoding="UTF-8"?>
+<gnm:Workbook xmlns:gnm="http://www.gnumeric.org/v10.dtd" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <gnm:SheetNameIndex><gnm:SheetName>Data</gnm:SheetName><gnm:SheetName>Hidden</gnm:SheetName></gnm:SheetNameIndex>
+  <gnm:Names><gnm:Name><gnm:name>Amounts</gnm:name><gnm:value>Data!$B$2:$B$3</gnm:value><gnm:position>A1</gnm:position></gnm:Name></gnm:Names>
+  <gnm:Sheets>
+    <gnm:Sheet DisplayFormulas="0" HideGrid="1" Visibility="GNM_SHEET_VISIBILITY_VISIBLE">
+      <gnm:Name>Data</gnm:Name>
+      <gnm:MaxCol>2</gnm:MaxCol>
+      <gnm:MaxRow>3</gnm:MaxRow>
+      <gnm:Cols DefaultSizePts="48"><gnm:ColInfo No="0" Unit="96" Count="1"/><gnm:ColInfo No="2" Unit="48" Hidden="1"/></gnm:Cols>
+      <gnm:Rows DefaultSizePts="12.75"><gnm:RowInfo No="0" Unit="24"/></gnm:Rows>
+      <gnm:Styles>
+        ${style([0, 0, 255, 0], { HAlign: 'GNM_HALIGN_CENTER', Shade: '1', Back: 'FFFF:0:0' }, '<gnm:StyleBorder><gnm:Bottom Style="2" Color="0:0:0"/></gnm:StyleBorder>')}
+        ${style([0, 1, 0, 1], { Format: 'yyyy-mm-dd' })}
+        ${style([1, 1, 1, 3], { Format: '0.00', WrapText: '1' })}
+      </gnm:Styles>
+      <gnm:Cells>
+        <gnm:Cell Row="0" Col="0" ValueType="60">Name &amp; date</gnm:Cell>
+        <gnm:Cell Row="0" Col="1" ValueType="60">Amount</gnm:Cell>
+        <gnm:Cell Row="0" Col="2" ValueType="20">TRUE</gnm:Cell>
+        <gnm:Cell Row="1" Col="0" ValueType="40">45363</gnm:Cell>
+        <gnm:Cell Row="1" Col="1" ValueType="40">1.5</gnm:Cell>
+        <gnm:Cell Row="1" Col="2" ExprID="1">=B2*2+$B$2</gnm:Cell>
+        <gnm:Cell Row="2" Col="1" ValueType="30">3</gnm:Cell>
+        <gnm:Cell Row="2" Col="2" ExprID="1"/>
+        <gnm:Cell Row="3" Col="0" ValueType="50">#DIV/0!</gnm:Cell>
+        <gnm:Cell Row="3" Col="1">=SUM(Amounts)</gnm:Cell>
+      </gnm:Cells>
+      <gnm:MergedRegions><gnm:Merge>A4:A5</gnm:Merge></gnm:MergedRegions>
+      <gnm:SheetLayout TopLeft="A2"><gnm:FreezePanes FrozenTopLeft="A1" UnfrozenTopLeft="A2"/></gnm:SheetLayout>
+      <gnm:Objects><gnm:CellComment Author="Ann" Text="Sold in March" ObjectBound="B2"/></gnm:Objects>
+    </gnm:Sheet>
+    <gnm:Sheet Visibility="GNM_SHEET_VISIBILITY_HIDDEN">
+      <gnm:Name>Hidden</gnm:Name>
+      <gnm:MaxCol>0</gnm:MaxCol>
+      <gnm:MaxRow>0</gnm:MaxRow>
+      <gnm:Cells><gnm:Cell Row="0" Col="0" ValueType="60">Secret</gnm:Cell></gnm:Cells>
+    </gnm:Sheet>
+  </gnm:Sheets>
+</gnm:Workbook>`;
+
+describe('parseGnumeric', () => {
+    const encode = (text) => new TextEncoder().encode(text);
+    const compressed = new Uint8Array(gzipSync(workbook));
+    let result;
+
+    before(async () => {
+        result = await parseGnumeric(compressed);
+    });
+
+    it('should read the sheets and the cell values by type', () => {
+        expect(result.worksheets.map(worksheet => worksheet.worksheetName)).to.deep.equal(['Data', 'Hidden']);
+        const data = result.worksheets[0].data;
+        expect(data[0]).to.deep.equal(['Name & date', 'Amount', true]);
+        expect(data[1].slice(0, 2)).to.deep.equal(['2024-03-12', 1.5]);
+        expect(data[3].slice(0, 2)).to.deep.equal(['#DIV/0!', '=SUM(Amounts)']);
+        expect(result.worksheets[0].minDimensions).to.deep.equal([3, 4]);
+    });
+
+    it('should move the references of shared expressions', () => {
+        const data = result.worksheets[0].data;
+        expect(data[1][2]).to.equal('=B2*2+$B$2');
+        expect(data[2][2]).to.equal('=B3*2+$B$2');
+    });
+
+    it('should convert style regions to styles and cell properties', () => {
+        const worksheet = result.worksheets[0];
+        const header = result.style[worksheet.style.A1];
+        expect(header).to.include('text-align: center');
+        expect(header).to.include('background-color: #FF0000');
+        expect(header).to.include('border-bottom: 2px solid #000000');
+        expect(worksheet.cells.A1).to.deep.equal({ align: 'center' });
+        expect(worksheet.cells.A2).to.deep.equal({ format: 'yyyy-mm-dd' });
+        expect(worksheet.cells.B3).to.deep.equal({ format: '0.00', wrap: true });
+        expect(worksheet.style.C4).to.be.undefined;
+    });
+
+    it('should read sizes, merges, comments, frozen rows and names', () => {
+        const worksheet = result.worksheets[0];
+        expect(worksheet.columns[0].width).to.equal(128);
+        expect(worksheet.columns[1].width).to.equal(64);
+        expect(worksheet.columns[2].visible).to.equal(false);
+        expect(worksheet.rows[0].height).to.equal(24);
+        expect(worksheet.mergeCells).to.deep.equal({ A4: [1, 2] });
+        expect(worksheet.comments).to.deep.equal({ B2: 'Sold in March' });
+        expect(worksheet.freezeRows).to.equal(1);
+        expect(worksheet.gridline).to.equal(false);
+        expect(result.worksheets[1].worksheetState).to.equal('hidden');
+        expect(result.definedNames).to.deep.equal({ Amounts: 'Data!$B$2:$B$3' });
+    });
+
+    it('should honour the dates and text options', async () => {
+        const parsed = await parseGnumeric(compressed, { dates: 'serial', text: true });
+        expect(parsed.worksheets[0].data[1][0]).to.equal(45363);
+        expect(parsed.worksheets[0].cells.A2.text).to.equal('2024-03-12');
+        expect(parsed.worksheets[0].cells.B2.text).to.equal('1.50');
+    });
+
+    it('should read files saved without compression', async () => {
+        const plain = await parseGnumeric(encode(workbook));
+        expect(plain.worksheets[0].data).to.deep.equal(result.worksheets[0].data);
+    });
+
+    it('should reject other XML documents', async () => {
+        let error;
+        try {
+            await parseGnumeric(encode('<root><item/></root>'));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('Invalid Gnumeric file');
+    });
+
+    it('should style only the cells inside each style region', async () => {
+        const cells = [];
+        const regions = [];
+        for (let row = 0; row < 200; row++) {
+            cells.push(`<gnm:Cell Row="${row}" Col="0" ValueType="40">${row}</gnm:Cell><gnm:Cell Row="${row}" Col="1" ValueType="40">${row}</gnm:Cell>`);
+            regions.push(style([1, row, 1, row], { Format: row % 2 ? '0.00' : '0%' }));
+        }
+        regions.push(style([0, 0, 0, 65535], { Format: '0.0' }));
+        const sheet = workbook.replace(/<gnm:Styles>[\s\S]*<\/gnm:Styles>/, `<gnm:Styles>${regions.join('')}</gnm:Styles>`)
+            .replace(/<gnm:Cells>[\s\S]*?<\/gnm:Cells>/, `<gnm:Cells>${cells.join('')}</gnm:Cells>`);
+
+        const styled = (await parseGnumeric(encode(sheet))).worksheets[0].cells;
+        expect(styled.A200).to.deep.equal({ format: '0.0' });
+        expect(styled.B1).to.deep.equal({ format: '0%' });
+        expect(styled.B2).to.deep.equal({ format: '0.00' });
+        expect(styled.C1).to.be.undefined;
+    });
+
+    it('should only decompress the beginning of a file to detect it', async () => {
+        const prefix = await gunzip(compressed, 64);
+        expect(new TextDecoder().decode(prefix)).to.equal(workbook.substring(0, 64));
+        expect((await gunzip(compressed)).length).to.equal(encode(workbook).length);
+    });
+
+    it('should be detected and parsed by the main parser', async () => {
+        expect(await detectFormat(compressed)).to.equal('gnumeric');
+        expect(await detectFormat(encode(workbook))).to.equal('gnumeric');
+        expect(await detectFormat(new Uint8Array(gzipSync('a,b\n1,2')))).to.equal(null);
+
+        const parsed = await tabularjs(compressed);
+        expect(parsed.detected).to.deep.equal({ format: 'gnumeric', source: 'content' });
+        expect(parsed.worksheets[0].data[0][1]).to.equal('Amount');
+    });
+});
@@ -22,6 +22,11 @@ import {
     convertWidthToPixels,
     getDefaultTheme,
     numberFormats,
+    isDateFormat,
+    excelSerialToDate,
+    dateToExcelSerial,
+    parseISODate,
+    convertDateSerial,
     borderStyles,
     excelValidationTypes,
     excelValidationOperations,
@@ -514,6 +519,14 @@ describe('String Utility Functions', () => {
         it('should handle text without entities', () => {
             expect(decodeHTMLEntities('plain text')).to.equal('plain text');
         });
+
+        it('should decode numeric entities', () => {
+            expect(decodeHTMLEntities('line1&#10;line2 &#x263A;')).to.equal('line1\nline2 \u263A');
+        });
+
+        it('should not decode escaped entities twice', () => {
+            expect(decodeHTMLEntities('&amp;lt;b&amp;gt;')).to.equal('&lt;b&gt;');
+        });
     });
 
     describe('convertR1C1toA1', () => {
@@ -580,6 +593,83 @@ describe('Width Conversion Functions', () => {
     });
 });
 
+describe('Date Functions', () => {
+    describe('isDateFormat', () => {
+        it('should detect built-in date and time formats', () => {
+            expect(isDateFormat(14)).to.be.true;
+            expect(isDateFormat('22')).to.be.true;
+            expect(isDateFormat(31)).to.be.true;
+            expect(isDateFormat(2)).to.be.false;
+            expect(isDateFormat(null)).to.be.false;
+        });
+
+        it('should detect custom date format codes', () => {
+            expect(isDateFormat(164, 'yyyy-mm-dd')).to.be.true;
+            expect(isDateFormat(164, '[$-409]mmmm d, yyyy;@')).to.be.true;
+            expect(isDateFormat(164, 'hh:mm AM/PM')).to.be.true;
+        });
+
+        it('should ignore quoted text, colors and elapsed time', () => {
+            expect(isDateFormat(164, '#,##0.00 "days"')).to.be.false;
+            expect(isDateFormat(164, '[Red]0.00')).to.be.false;
+            expect(isDateFormat(164, '[h]:mm:ss')).to.be.false;
+            expect(isDateFormat(164, 'General')).to.be.false;
+        });
+    });
+
+    describe('excelSerialToDate', () => {
+        it('should convert serials in the 1900 date system', () => {
+            expect(excelSerialToDate(1).toISOString()).to.equal('1900-01-01T00:00:00.000Z');
+            expect(excelSerialToDate(59).toISOString()).to.equal('1900-02-28T00:00:00.000Z');
+            expect(excelSerialToDate(61).toISOString()).to.equal('1900-03-01T00:00:00.000Z');
+            expect(excelSerialToDate(45363.5).toISOString()).to.equal('2024-03-12T12:00:00.000Z');
+        });
+
+        it('should convert serials in the 1904 date system', () => {
+            expect(excelSerialToDate(0, true).toISOString()).to.equal('1904-01-01T00:00:00.000Z');
+            expect(excelSerialToDate(43901, true).toISOString()).to.equal('2024-03-12T00:00:00.000Z');
+        });
+    });
+
+    describe('dateToExcelSerial', () => {
+        it('should be the inverse of excelSerialToDate', () => {
+            [1, 59, 61, 45363, 45363.75].forEach(serial => {
+                expect(dateToExcelSerial(excelSerialToDate(serial))).to.equal(serial);
+            });
+            expect(dateToExcelSerial(excelSerialToDate(43901, true), true)).to.equal(43901);
+        });
+    });
+
+    describe('parseISODate', () => {
+        it('should parse dates, date times and times as UTC', () => {
+            expect(parseISODate('2024-03-12').toISOString()).to.equal('2024-03-12T00:00:00.000Z');
+            expect(parseISODate('2024-03-12T10:30:15').toISOString()).to.equal('2024-03-12T10:30:15.000Z');
+            expect(parseISODate('18:00:00').toISOString()).to.equal('1899-12-31T18:00:00.000Z');
+        });
+
+        it('should return null for other text', () => {
+            expect(parseISODate('12/03/2024')).to.be.null;
+            expect(parseISODate('2024-02-30')).to.be.null;
+            expect(parseISODate(45363)).to.be.null;
+        });
+    });
+
+    describe('convertDateSerial', () => {
+        it('should return ISO strings by default', () => {
+            expect(convertDateSerial(45363)).to.equal('2024-03-12');
+            expect(convertDateSerial(45363.5)).to.equal('2024-03-12T12:00:00');
+            expect(convertDateSerial(0.75)).to.equal('18:00:00');
+            expect(convertDateSerial(43901, 'iso', true)).to.equal('2024-03-12');
+        });
+
+        it('should return Date objects or the serial number', () => {
+            expect(convertDateSerial(45363, 'date')).to.be.instanceOf(Date);
+            expect(convertDateSerial(45363, 'date').toISOString()).to.equal('2024-03-12T00:00:00.000Z');
+            expect(convertDateSerial(45363, 'serial')).to.equal(45363);
+        });
+    });
+});
+
 describe('Theme and Constants', () => {
     describe('getDefaultTheme', () => {
         it('should return theme with arrayColors', () => {
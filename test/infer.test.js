@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import { inferColumnTypes, parseNumber, parseDate } from '../src/utils/infer.js';
+import { parseCSVFile } from '../src/parser/csv.js';
+import { parseHTMLTable } from '../src/parser/table.js';
+import { parseDIF } from '../src/parser/dif.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('Type inference', () => {
+    describe('parseNumber', () => {
+        it('should read both decimal separators with thousands separators', () => {
+            expect(parseNumber('1,234.50', '.').value).to.equal(1234.5);
+            expect(parseNumber('1.234,50', ',').value).to.equal(1234.5);
+            expect(parseNumber('1 234,5', ',').value).to.equal(1234.5);
+            expect(parseNumber('1,234.50', ',')).to.equal(null);
+            expect(parseNumber('-1.5e3', '.').value).to.equal(-1500);
+        });
+
+        it('should read percentages, currency amounts and accounting negatives', () => {
+            expect(parseNumber('45%', '.')).to.include({ value: 0.45, percent: true });
+            expect(parseNumber('$1,000.00', '.')).to.include({ value: 1000, currency: '$', prefix: true });
+            expect(parseNumber('12,50 €', ',')).to.include({ value: 12.5, currency: '€', prefix: false });
+            expect(parseNumber('(25)', '.').value).to.equal(-25);
+        });
+
+        it('should keep identifiers with leading zeros or many digits as text', () => {
+            expect(parseNumber('01234', '.')).to.equal(null);
+            expect(parseNumber('4111111111111111', '.')).to.equal(null);
+            expect(parseNumber('0.5', '.').value).to.equal(0.5);
+            expect(parseNumber('1.2.3', '.')).to.equal(null);
+        });
+    });
+
+    describe('parseDate', () => {
+        it('should read ISO and locale dates', () => {
+            expect(parseDate('2024-03-12', 'MDY').date).to.deep.equal(new Date(Date.UTC(2024, 2, 12)));
+            expect(parseDate('12.03.2024', 'DMY').date).to.deep.equal(new Date(Date.UTC(2024, 2, 12)));
+            expect(parseDate('03/12/24 10:30', 'MDY')).to.deep.equal({ date: new Date(Date.UTC(2024, 2, 12, 10, 30)), time: true });
+            expect(parseDate('2024/03/12', 'DMY').date).to.deep.equal(new Date(Date.UTC(2024, 2, 12)));
+        });
+
+        it('should reject impossible dates', () => {
+            expect(parseDate('31/02/2024', 'DMY')).to.equal(null);
+            expect(parseDate('13/13/2024', 'DMY')).to.equal(null);
+        });
+    });
+
+    describe('inferColumnTypes', () => {
+        it('should convert the columns and set their type and mask', () => {
+            const data = [
+                ['Amount', 'Zip', 'Paid', 'Date', 'Share', 'Price', 'Note'],
+                ['1,234.50', '01234', 'TRUE', '2024-03-01', '45%', '$5.00', 'a'],
+                ['99', '12345', 'false', '2024-03-02', '5.5%', '$1,000.00', '1'],
+                ['', '', '', '', '', '', '']
+            ];
+            const columns = data[0].map(() => ({ width: 100 }));
+
+            inferColumnTypes(data, columns);
+
+            expect(data[1]).to.deep.equal([1234.5, '01234', true, '2024-03-01', 0.45, 5, 'a']);
+            expect(data[2]).to.deep.equal([99, '12345', false, '2024-03-02', 0.055, 1000, '1']);
+            expect(data[0][0]).to.equal('Amount');
+            expect(columns).to.deep.equal([
+                { width: 100, type: 'numeric', mask: '#,##0.00' },
+                { width: 100, type: 'text' },
+                { width: 100, type: 'checkbox' },
+                { width: 100, type: 'calendar', options: { format: 'YYYY-MM-DD' } },
+                { width: 100, type: 'numeric', mask: '0.0%' },
+                { width: 100, type: 'numeric', mask: '$#,##0.00' },
+                { width: 100, type: 'text' }
+            ]);
+        });
+
+        it('should find the decimal separator and the date order from the values', () => {
+            const data = [['1.234,5', '03/04/2024', '03/04/2024'], ['2,25', '25/12/2024', '04/03/2024']];
+
+            inferColumnTypes(data, [], { header: false });
+
+            expect(data).to.deep.equal([[1234.5, '2024-04-03', '2024-03-04'], [2.25, '2024-12-25', '2024-04-03']]);
+        });
+
+        it('should honour the dates option', () => {
+            const data = [['Date'], ['2024-03-12']];
+
+            inferColumnTypes(data, [], { dates: 'serial' });
+
+            expect(data[1][0]).to.equal(45363);
+        });
+    });
+
+    describe('Parsers', () => {
+        it('should infer CSV types with the decimal comma of semicolon separated files', async () => {
+            const result = await parseCSVFile(encode('Name;Amount;Date\nApples;1.234;12.03.2024\nPears;2,5;13.03.2024'), { inferTypes: true });
+
+            const ws = result.worksheets[0];
+            expect(ws.data).to.deep.equal([['Name', 'Amount', 'Date'], ['Apples', 1234, '2024-03-12'], ['Pears', 2.5, '2024-03-13']]);
+            expect(ws.columns.map(column => column.type)).to.deep.equal(['text', 'numeric', 'calendar']);
+        });
+
+        it('should leave CSV values as text without the option', async () => {
+            const result = await parseCSVFile(encode('a,b\n1,TRUE'));
+
+            expect(result.worksheets[0].data[1]).to.deep.equal(['1', 'TRUE']);
+            expect(result.worksheets[0].columns[0].type).to.be.undefined;
+        });
+
+        it('should infer HTML types below the header row', async () => {
+            const html = '<table><tr><th>Item</th><th>Price</th></tr><tr><td>Tea</td><td>€3,50</td></tr><tr><td>Cake</td><td>€12,00</td></tr></table>';
+            const result = await parseHTMLTable(encode(html), { inferTypes: { decimal: ',' } });
+
+            const ws = result.worksheets[0];
+            expect(ws.data).to.deep.equal([['Tea', 3.5], ['Cake', 12]]);
+            expect(ws.columns[1]).to.include({ title: 'Price', type: 'numeric', mask: '€#,##0.00' });
+        });
+
+        it('should infer DIF text values next to numeric values', async () => {
+            const dif = 'TABLE\r\n0,1\r\n""\r\nVECTORS\r\n0,2\r\n""\r\nTUPLES\r\n0,2\r\n""\r\nDATA\r\n0,0\r\n""\r\n' +
+                '-1,0\r\nBOT\r\n1,0\r\n"Count"\r\n1,0\r\n"Paid"\r\n' +
+                '-1,0\r\nBOT\r\n0,5\r\nV\r\n1,0\r\n"TRUE"\r\n' +
+                '-1,0\r\nBOT\r\n1,0\r\n"1,500"\r\n1,0\r\n"FALSE"\r\n-1,0\r\nEOD\r\n';
+            const result = await parseDIF(encode(dif), { inferTypes: true });
+
+            const ws = result.worksheets[0];
+            expect(ws.data.slice(0, 3)).to.deep.equal([['Count', 'Paid'], [5, true], [1500, false]]);
+            expect(ws.columns.map(column => column.type)).to.deep.equal(['numeric', 'checkbox']);
+        });
+    });
+});
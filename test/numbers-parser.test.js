@@ -0,0 +1,178 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { parseNumbers, isNumbersFile } from '../src/parser/numbers.js';
+import { decompressSnappy, readIWA } from '../src/utils/iwa.js';
+import tabularjs from '../src/parser.js';
+import { int, sint, string, message, double, float, reference, varint, iwa, cellStorage, tileRow } from './fixtures/iwa.js';
+
+// Formula AST node
+const node = (type, ...fields) => message(1, int(1, type), ...fields);
+const cellReference = (column, row) => node(36, message(19, sint(1, column)), message(20, sint(1, row)));
+
+// Packed row and column of a merged range
+const packed = (field, first, second) => message(field, [...varint(1 * 8 + 5), first & 0xFF, first >> 8, second & 0xFF, second >> 8]);
+
+// Table model with its data store
+const tableModel = (name, rows, columns, store) => [
+    ...string(1, 'table-' + name), ...message(4, ...store), ...int(6, rows), ...int(7, columns), ...string(8, name)
+];
+
+const tiles = (...list) => message(3, ...list.map(([index, id]) => message(1, int(1, index), reference(2, id))));
+
+const seconds = (Date.UTC(2024, 2, 12) - Date.UTC(2001, 0, 1)) / 1000;
+
+function createObjects() {
+    return [
+        { id: 1, type: 1, data: [...reference(1, 2), ...reference(1, 20)] },
+
+        // Sheet with one table
+        { id: 2, type: 2, data: [...string(1, 'Sheet 1'), ...reference(2, 3)] },
+        { id: 3, type: 6000, data: reference(2, 4) },
+        {
+            id: 4, type: 6001, data: tableModel('Table 1', 3, 3, [
+                message(1, reference(2, 9)),
+                reference(2, 10),
+                tiles([0, 5]),
+                reference(4, 6),
+                reference(6, 7),
+                reference(13, 8),
+                reference(17, 11)
+            ])
+        },
+        {
+            id: 5, type: 6002, data: [
+                ...int(1, 2), ...int(2, 2), ...int(3, 7), ...int(4, 3),
+                ...tileRow(0, [cellStorage(3, { string: 1 }), cellStorage(9, { richText: 1 }), cellStorage(6, { double: 1 })]),
+                ...tileRow(1, [cellStorage(5, { seconds }), cellStorage(2, { number: 1.5, decimals: 1 }), cellStorage(2, { number: 7, formula: 1 })]),
+                ...tileRow(2, [undefined, cellStorage(10, { number: -2 }), cellStorage(2, { number: 42, formula: 2 })])
+            ]
+        },
+        { id: 6, type: 6005, data: [...int(1, 1), ...message(3, int(1, 1), int(2, 1), string(3, 'Name'))] },
+        {
+            id: 7, type: 6005, data: [
+                ...int(1, 3),
+                // SUM(B2:B3)*2 in C2
+                ...message(3, int(1, 1), message(5, message(1,
+                    cellReference(-1, 0), cellReference(-1, 1), node(29),
+                    node(16, int(2, 168), int(3, 1)),
+                    node(17, double(4, 2)), node(3)
+                ))),
+                // Reference to another table
+                ...message(3, int(1, 2), message(5, message(1, node(28))))
+            ]
+        },
+        { id: 8, type: 6144, data: message(1, packed(1, 2, 0), packed(2, 1, 2)) },
+        { id: 9, type: 6006, data: message(2, int(1, 0), float(3, 30)) },
+        { id: 10, type: 6006, data: [...message(2, int(1, 1), float(3, 150)), ...message(2, int(1, 2), int(4, 1))] },
+        { id: 11, type: 6005, data: [...int(1, 8), ...message(3, int(1, 1), reference(9, 12))] },
+        { id: 12, type: 6218, data: reference(1, 13) },
+        { id: 13, type: 2001, data: [...string(3, 'Rich '), ...string(3, 'text')] },
+
+        // Sheet with two tables
+        { id: 20, type: 2, data: [...string(1, 'Sheet 2'), ...reference(2, 21), ...reference(2, 23)] },
+        { id: 21, type: 6000, data: reference(2, 22) },
+        { id: 22, type: 6001, data: tableModel('Table A', 1, 1, [tiles([0, 25])]) },
+        { id: 23, type: 6000, data: reference(2, 24) },
+        { id: 24, type: 6001, data: tableModel('Table B', 1, 2, [tiles([0, 26])]) },
+        { id: 25, type: 6002, data: tileRow(0, [cellStorage(2, { number: 10 })]) },
+        { id: 26, type: 6002, data: tileRow(0, [undefined, cellStorage(6, { double: 0 })]) }
+    ];
+}
+
+async function createDocument(nested = false) {
+    const zip = new JSZip();
+    const objects = createObjects();
+    // Tiles are stored in their own files like in Numbers
+    const files = {
+        'Index/Document.iwa': iwa(objects.filter(object => object.type !== 6002)),
+        'Index/Tables/Tile.iwa': iwa(objects.filter(object => object.type === 6002))
+    };
+
+    if (nested) {
+        const index = new JSZip();
+        for (const [path, data] of Object.entries(files)) index.file(path, data);
+        zip.file('Index.zip', await index.generateAsync({ type: 'uint8array' }));
+    } else {
+        for (const [path, data] of Object.entries(files)) zip.file(path, data);
+    }
+    zip.file('Metadata/DocumentIdentifier', 'id');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('IWA reader', () => {
+    it('should decompress Snappy literals and copies', () => {
+        // 'ab' literal, then a copy of 6 bytes at offset 2
+        const data = decompressSnappy(new Uint8Array([8, 4, 0x61, 0x62, 9, 2]));
+        expect(new TextDecoder().decode(data)).to.equal('abababab');
+    });
+
+    it('should read the objects of an IWA file by identifier', () => {
+        const objects = readIWA(iwa([{ id: 7, type: 6005, data: int(1, 1) }, { id: 300, type: 2, data: string(1, 'x') }]));
+        expect(objects.get(7).type).to.equal(6005);
+        expect(objects.get(300).type).to.equal(2);
+        expect(Array.from(objects.get(300).data)).to.deep.equal(string(1, 'x'));
+    });
+
+    it('should reject invalid chunks', () => {
+        expect(() => readIWA(new Uint8Array([1, 0, 0, 0]))).to.throw('Invalid IWA chunk type');
+    });
+});
+
+describe('parseNumbers', () => {
+    let result;
+
+    before(async () => {
+        result = await parseNumbers(await createDocument());
+    });
+
+    it('should return a worksheet per table, named after the sheet and the table', () => {
+        expect(result.worksheets.map(worksheet => worksheet.worksheetName)).to.deep.equal(['Sheet 1', 'Sheet 2 - Table A', 'Sheet 2 - Table B']);
+        expect(result.worksheets[1].data).to.deep.equal([[10]]);
+        expect(result.worksheets[2].data).to.deep.equal([['', false]]);
+        expect(result.warnings).to.be.undefined;
+    });
+
+    it('should resolve strings, rich text, numbers, dates and booleans', () => {
+        const data = result.worksheets[0].data;
+        expect(data[0]).to.deep.equal(['Name', 'Rich text', true]);
+        expect(data[1][0]).to.equal('2024-03-12');
+        expect(data[1][1]).to.equal(1.5);
+        expect(data[2][0]).to.equal('');
+        expect(data[2][1]).to.equal(-2);
+        expect(result.worksheets[0].minDimensions).to.deep.equal([3, 3]);
+    });
+
+    it('should decode formulas and keep the value of formulas it can not decode', () => {
+        const data = result.worksheets[0].data;
+        expect(data[1][2]).to.equal('=SUM(B2:B3)*2');
+        expect(data[2][2]).to.equal(42);
+    });
+
+    it('should read merged cells, column widths and row heights', () => {
+        const worksheet = result.worksheets[0];
+        expect(worksheet.mergeCells).to.deep.equal({ A3: [2, 1] });
+        expect(worksheet.columns[0].width).to.equal(100);
+        expect(worksheet.columns[1].width).to.equal(200);
+        expect(worksheet.columns[2].visible).to.equal(false);
+        expect(worksheet.rows[0].height).to.equal(30);
+    });
+
+    it('should honour the dates option', async () => {
+        const dates = await parseNumbers(await createDocument(), { dates: 'date' });
+        expect(dates.worksheets[0].data[1][0]).to.deep.equal(new Date(Date.UTC(2024, 2, 12)));
+    });
+
+    it('should read the Index.zip layout of Numbers 3', async () => {
+        const document = await createDocument(true);
+        expect(await isNumbersFile(document)).to.equal(true);
+        const nested = await parseNumbers(document);
+        expect(nested.worksheets[0].data[0][0]).to.equal('Name');
+    });
+
+    it('should be detected and parsed by the main parser', async () => {
+        const detected = await tabularjs(await createDocument());
+        expect(detected.detected).to.deep.equal({ format: 'numbers', source: 'content' });
+        expect(detected.worksheets[0].data[1][2]).to.equal('=SUM(B2:B3)*2');
+    });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { parseODS } from '../src/parser/ods.js';
+import { detectFormat } from '../src/utils/detect.js';
+import tabularjs from '../src/parser.js';
+
+const NS = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+    'xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" ' +
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" ' +
+    'xmlns:config="urn:oasis:names:tc:opendocument:xmlns:config:1.0"';
+
+const styles = '<number:number-style style:name="N1"><number:number number:decimal-places="2" number:min-integer-digits="1"/></number:number-style>' +
+    '<style:style style:name="ce1" style:family="table-cell" style:data-style-name="N1"><style:text-properties fo:font-weight="bold"/></style:style>';
+
+const settings = '<config:config-item-set config:name="ooo:view-settings"><config:config-item-map-indexed config:name="Views"><config:config-item-map-entry>' +
+    '<config:config-item-map-named config:name="Tables"><config:config-item-map-entry config:name="Data">' +
+    '<config:config-item config:name="VerticalSplitMode" config:type="short">2</config:config-item>' +
+    '<config:config-item config:name="PositionBottom" config:type="int">1</config:config-item>' +
+    '</config:config-item-map-entry></config:config-item-map-named></config:config-item-map-entry></config:config-item-map-indexed></config:config-item-set>';
+
+const body = '<office:spreadsheet><table:table table:name="Data">' +
+    '<table:table-row><table:table-cell office:value-type="string"><text:p>Name</text:p></table:table-cell>' +
+    '<table:table-cell office:value-type="string"><text:p>Amount</text:p></table:table-cell></table:table-row>' +
+    '<table:table-row><table:table-cell office:value-type="string"><text:p>Apples</text:p></table:table-cell>' +
+    '<table:table-cell table:style-name="ce1" office:value-type="float" office:value="1.5"><text:p>1.50</text:p></table:table-cell></table:table-row>' +
+    '<table:table-row><table:table-cell table:formula="of:=SUM([.B2:.B$2];[$\'Other sheet\'.A1])&amp;&quot;;&quot;" office:value-type="string"><text:p>1.5;</text:p></table:table-cell></table:table-row>' +
+    '</table:table>' +
+    '<table:named-expressions><table:named-range table:name="Amounts" table:base-cell-address="$Data.$B$2" table:cell-range-address="$Data.$B$2:.$B$2"/></table:named-expressions>' +
+    '</office:spreadsheet>';
+
+const flatDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document ${NS} office:version="1.3" office:mimetype="application/vnd.oasis.opendocument.spreadsheet">
+<office:settings>${settings}</office:settings>
+<office:styles>${styles}</office:styles>
+<office:automatic-styles/>
+<office:body>${body}</office:body>
+</office:document>`;
+
+async function createTemplate() {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet-template');
+    zip.file('content.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-content ${NS}><office:automatic-styles/><office:body>${body}</office:body></office:document-content>`);
+    zip.file('styles.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-styles ${NS}><office:styles>${styles}</office:styles></office:document-styles>`);
+    zip.file('settings.xml', `<?xml version="1.0" encoding="UTF-8"?><office:document-settings ${NS}><office:settings>${settings}</office:settings></office:document-settings>`);
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+// Document with a sheet of the given columns and rows, followed by other spreadsheet elements
+const tableDocument = (table, after = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<office:document ${NS} office:version="1.3" office:mimetype="application/vnd.oasis.opendocument.spreadsheet">
+<office:body><office:spreadsheet><table:table table:name="Data">${table}</table:table>${after}</office:spreadsheet></office:body>
+</office:document>`;
+
+// Document with a sheet and the given database ranges
+const rangesDocument = (ranges) => tableDocument(
+    '<table:table-row><table:table-cell office:value-type="string"><text:p>Region</text:p></table:table-cell></table:table-row>',
+    `<table:database-ranges>${ranges}</table:database-ranges>`);
+
+describe('parseODS', () => {
+    const encode = (text) => new TextEncoder().encode(text);
+
+    it('should read flat XML documents (.fods)', async () => {
+        const result = await parseODS(encode(flatDocument));
+        const worksheet = result.worksheets[0];
+        expect(worksheet.worksheetName).to.equal('Data');
+        expect(worksheet.data.slice(0, 2)).to.deep.equal([['Name', 'Amount'], ['Apples', 1.5]]);
+        expect(worksheet.freezeRows).to.equal(1);
+        expect(result.style[worksheet.style.B2]).to.include('font-weight: bold');
+    });
+
+    it('should translate formulas and named ranges to Excel syntax', async () => {
+        const result = await parseODS(encode(flatDocument));
+        expect(result.worksheets[0].data[2][0]).to.equal(`=SUM(B2:B$2,'Other sheet'!A1)&";"`);
+        expect(result.definedNames).to.deep.equal({ Amounts: 'Data!$B$2:$B$2' });
+    });
+
+    it('should keep the OpenFormula text with the originalFormulas option', async () => {
+        const result = await parseODS(encode(flatDocument), { originalFormulas: true });
+        expect(result.worksheets[0].data[2][0]).to.equal(`of:=SUM([.B2:.B$2];[$'Other sheet'.A1])&";"`);
+        expect(result.definedNames).to.deep.equal({ Amounts: '$Data.$B$2:.$B$2' });
+    });
+
+    it('should read the same result from a template package (.ots)', async () => {
+        const flat = await parseODS(encode(flatDocument));
+        const template = await parseODS(await createTemplate());
+        expect(template.worksheets[0].data).to.deep.equal(flat.worksheets[0].data);
+        expect(template.worksheets[0].freezeRows).to.equal(1);
+        expect(template.worksheets[0].cells.B2).to.deep.equal(flat.worksheets[0].cells.B2);
+    });
+
+    it('should reject content that is neither a package nor a flat document', async () => {
+        let error;
+        try {
+            await parseODS(encode('<html><body>No spreadsheet</body></html>'));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('Invalid ODS file');
+    });
+
+    it('should detect flat documents and templates', async () => {
+        expect(await detectFormat(encode(flatDocument))).to.equal('ods');
+        expect(await detectFormat(encode(flatDocument.replace('spreadsheet"', 'text"')))).to.equal(null);
+        expect(await detectFormat(await createTemplate())).to.equal('ods');
+
+        const result = await tabularjs(encode(flatDocument));
+        expect(result.detected).to.deep.equal({ format: 'ods', source: 'content' });
+        expect(result.worksheets[0].data[1][0]).to.equal('Apples');
+    });
+    it('should read the AutoFilter range, criteria and sort of a database range', async () => {
+        const document = rangesDocument('<table:database-range table:name="__Anonymous_Sheet_DB__0" table:target-range-address="Data.A1:Data.C10" table:display-filter-buttons="true">' +
+            '<table:filter><table:filter-and>' +
+            '<table:filter-condition table:field-number="0" table:operator="=" table:value="East"><table:filter-set-item table:value="East"/><table:filter-set-item table:value="West"/></table:filter-condition>' +
+            '<table:filter-condition table:field-number="1" table:operator="&gt;" table:value="100" table:data-type="number"/>' +
+            '<table:filter-condition table:field-number="1" table:operator="&lt;" table:value="500" table:data-type="number"/>' +
+            '<table:filter-condition table:field-number="2" table:operator="contains" table:value="ann"/>' +
+            '</table:filter-and></table:filter>' +
+            '<table:sort><table:sort-by table:field-number="1" table:order="descending"/></table:sort>' +
+            '</table:database-range>');
+        const result = await parseODS(encode(document));
+
+        expect(result.worksheets[0].filters).to.deep.equal({
+            ref: 'A1:C10',
+            columns: [
+                { column: 0, type: 'values', values: ['East', 'West'] },
+                { column: 1, type: 'custom', and: true, criteria: [{ operator: 'greaterThan', value: 100 }, { operator: 'lessThan', value: 500 }] },
+                { column: 2, type: 'custom', and: false, criteria: [{ operator: 'equal', value: '*ann*' }] }
+            ],
+            sort: { ref: 'A2:C10', keys: [{ column: 1, descending: true }] }
+        });
+    });
+
+    it('should read top and empty conditions, and ignore named database ranges', async () => {
+        const document = rangesDocument('<table:database-range table:name="Named" table:target-range-address="Data.A1:Data.B5"/>' +
+            '<table:database-range table:name="__Anonymous_Sheet_DB__0" table:target-range-address="Data.B2:Data.C8" table:display-filter-buttons="true">' +
+            '<table:filter><table:filter-or>' +
+            '<table:filter-condition table:field-number="0" table:operator="top percent" table:value="10" table:data-type="number"/>' +
+            '<table:filter-condition table:field-number="1" table:operator="empty" table:value=""/>' +
+            '</table:filter-or></table:filter></table:database-range>');
+        const result = await parseODS(encode(document));
+
+        expect(result.worksheets[0].filters).to.deep.equal({
+            ref: 'B2:C8',
+            columns: [
+                { column: 1, type: 'top10', top: true, percent: true, value: 10 },
+                { column: 2, type: 'values', values: [], blank: true }
+            ]
+        });
+    });
+    it('should read nested and collapsed row and column groups', async () => {
+        const row = (value, attributes = '') => `<table:table-row${attributes}><table:table-cell office:value-type="float" office:value="${value}"/>` +
+            '<table:table-cell/><table:table-cell/><table:table-cell office:value-type="float" office:value="0"/></table:table-row>';
+        const document = tableDocument(
+            '<table:table-column/>' +
+            '<table:table-column-group table:display="false"><table:table-column table:number-columns-repeated="2" table:visibility="collapse"/></table:table-column-group>' +
+            '<table:table-column/>' +
+            row(1) +
+            '<table:table-row-group>' + row(2) +
+            '<table:table-row-group table:display="false">' + row(3, ' table:visibility="collapse"') + row(4, ' table:visibility="collapse"') + '</table:table-row-group>' +
+            row(5) + '</table:table-row-group>' +
+            row(6));
+        const worksheet = (await parseODS(encode(document))).worksheets[0];
+
+        expect(worksheet.rows[0]).to.be.undefined;
+        expect(worksheet.rows[1]).to.deep.equal({ level: 1 });
+        expect(worksheet.rows[2]).to.deep.equal({ visible: false, level: 2 });
+        expect(worksheet.rows[3]).to.deep.equal({ visible: false, level: 2 });
+        expect(worksheet.rows[4]).to.deep.equal({ level: 1, collapsed: true });
+        expect(worksheet.rows[5]).to.be.undefined;
+
+        expect(worksheet.columns.map(column => [column.level, column.visible, column.collapsed])).to.deep.equal([
+            [undefined, undefined, undefined],
+            [1, false, undefined],
+            [1, false, undefined],
+            [undefined, undefined, true]
+        ]);
+        expect(worksheet.outline).to.deep.equal({ summaryBelow: true, summaryRight: true });
+    });
+
+    it('should not set an outline without groups', async () => {
+        const worksheet = (await parseODS(encode(flatDocument))).worksheets[0];
+        expect(worksheet.outline).to.be.undefined;
+    });
+});
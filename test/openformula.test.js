@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import { translateFormula, translateReference } from '../src/utils/openformula.js';
+
+describe('OpenFormula translation', () => {
+    describe('translateReference', () => {
+        it('should translate cells and ranges on the same sheet', () => {
+            expect(translateReference('.A1')).to.equal('A1');
+            expect(translateReference('.$A$1:.B$5')).to.equal('$A$1:B$5');
+            expect(translateReference('.A:.C')).to.equal('A:C');
+        });
+
+        it('should translate references to other sheets', () => {
+            expect(translateReference('$Sheet2.A1:.B2')).to.equal('Sheet2!A1:B2');
+            expect(translateReference("$'My ''Data'''.A1")).to.equal("'My ''Data'''!A1");
+            expect(translateReference('$Jan.A1:$Mar.B2')).to.equal('Jan:Mar!A1:B2');
+            expect(translateReference('.B2:$Sheet2.C3')).to.equal('Sheet2!B2:C3');
+        });
+
+        it('should translate references to other documents and invalid references', () => {
+            expect(translateReference("'file:///tmp/book.ods'#$Sheet1.A1")).to.equal("'[file:///tmp/book.ods]Sheet1'!A1");
+            expect(translateReference('$#REF!.A1')).to.equal('#REF!');
+        });
+    });
+
+    describe('translateFormula', () => {
+        it('should strip the namespace and convert references and separators', () => {
+            expect(translateFormula('of:=SUM([.A1:.B3])')).to.equal('=SUM(A1:B3)');
+            expect(translateFormula('of:=IF([$Sheet2.A1]>0;[.A1:.A$5];0)')).to.equal('=IF(Sheet2!A1>0,A1:A$5,0)');
+            expect(translateFormula('oooc:=[.A1]*2')).to.equal('=A1*2');
+        });
+
+        it('should leave string literals and numbers untouched', () => {
+            expect(translateFormula('of:=CONCATENATE("a;b";"[.A1]";1.5E+3)')).to.equal('=CONCATENATE("a;b","[.A1]",1.5E+3)');
+            expect(translateFormula('of:="say ""hi"";"')).to.equal('="say ""hi"";"');
+        });
+
+        it('should convert inline arrays and the union and intersection operators', () => {
+            expect(translateFormula('of:=SUM({1;2|3;4})')).to.equal('=SUM({1,2;3,4})');
+            expect(translateFormula('of:=SUM([.A1]~[.B2])')).to.equal('=SUM(A1,B2)');
+            expect(translateFormula('of:=SUM([.A1:.C3]![.B1:.B5])')).to.equal('=SUM(A1:C3 B1:B5)');
+        });
+
+        it('should map ODF function names to Excel', () => {
+            expect(translateFormula('of:=COM.MICROSOFT.IFS([.A1]>1;1;TRUE();0)')).to.equal('=IFS(A1>1,1,TRUE(),0)');
+            expect(translateFormula('of:=LEGACY.NORMSDIST(1)+CHISQDIST(1;2;1)')).to.equal('=NORMSDIST(1)+CHISQ.DIST(1,2,1)');
+            expect(translateFormula('of:=FORMULA([.A1])')).to.equal('=FORMULATEXT(A1)');
+            expect(translateFormula('of:=ORG.OPENOFFICE.WEEKS([.A1];[.B1];0)')).to.equal('=ORG.OPENOFFICE.WEEKS(A1,B1,0)');
+        });
+
+        it('should map ODF-only functions with an Excel equivalent', () => {
+            expect(translateFormula('of:=B(10;0.5;2;4)')).to.equal('=BINOM.DIST.RANGE(10,0.5,2,4)');
+            expect(translateFormula('of:=SKEWP([.A1:.A9])')).to.equal('=SKEW.P(A1:A9)');
+            expect(translateFormula('of:=[.B1]*2')).to.equal('=B1*2');
+            expect(translateFormula('of:=COM.MICROSOFT.textjoin(",";1;[.A1:.A3])')).to.equal('=TEXTJOIN(",",1,A1:A3)');
+            expect(translateFormula('of:=LEGACY.CHIDIST(3;2)+LEGACY.FDIST(1;2;3)')).to.equal('=CHIDIST(3,2)+FDIST(1,2,3)');
+        });
+
+        it('should strip the Analysis add-in names of OpenOffice.org and keep other namespaced functions', () => {
+            expect(translateFormula('oooc:=com.sun.star.sheet.addin.Analysis.getEomonth([.A1];1)')).to.equal('=EOMONTH(A1,1)');
+            expect(translateFormula('of:=COM.SUN.STAR.SHEET.ADDIN.ANALYSIS.GETNETWORKDAYS([.A1];[.B1])')).to.equal('=NETWORKDAYS(A1,B1)');
+            expect(translateFormula('of:=ORG.OPENOFFICE.DAYSINMONTH([.A1])')).to.equal('=ORG.OPENOFFICE.DAYSINMONTH(A1)');
+            expect(translateFormula('of:=ORG.LIBREOFFICE.REGEX([.A1];"a+")')).to.equal('=ORG.LIBREOFFICE.REGEX(A1,"a+")');
+        });
+
+        it('should keep error constants whole', () => {
+            expect(translateFormula('of:=IFERROR(1/0;#DIV/0!)')).to.equal('=IFERROR(1/0,#DIV/0!)');
+            expect(translateFormula('of:=IF([.A1]=#N/A;#REF!;#NULL!)')).to.equal('=IF(A1=#N/A,#REF!,#NULL!)');
+            expect(translateFormula('of:=ISERROR(#NAME?)+ISERROR(#NUM!)+ISERROR(#VALUE!)')).to.equal('=ISERROR(#NAME?)+ISERROR(#NUM!)+ISERROR(#VALUE!)');
+            expect(translateFormula('of:=SUM([.A1:.C3]![.B1:.B5])')).to.equal('=SUM(A1:C3 B1:B5)');
+        });
+
+        it('should keep formulas in the Excel namespace as they are', () => {
+            expect(translateFormula('msoxl:=SUM(A1;B1)')).to.equal('=SUM(A1;B1)');
+        });
+    });
+});
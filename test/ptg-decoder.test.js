@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import { decodePTG } from '../src/utils/ptg-decoder.js';
+import { decodeBIFF12Formula, formatExternSheets } from '../src/utils/ptg-decoder-biff12.js';
 
 describe('PTG Decoder', () => {
     describe('Basic Operands', () => {
@@ -535,4 +536,163 @@ describe('PTG Decoder', () => {
             expect(result).to.equal('A1');
         });
     });
+
+    describe('Names and 3D References', () => {
+        const workbook = {
+            names: ['Totals', 'Rates'],
+            externSheets: ['Sheet1', "'My Data'", "'[book.xls]Prices'"],
+            externNames: [['Totals', 'Rates'], [], ['EDATE']]
+        };
+
+        it('should decode a reference to another sheet (tRef3d)', () => {
+            const tokens = new Uint8Array([
+                0x3A,           // tRef3d
+                0x01, 0x00,     // ixti 1
+                0x04, 0x00,     // row 4
+                0x02, 0x00      // col 2 (absolute)
+            ]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal("'My Data'!$C$5");
+        });
+
+        it('should decode an area in another workbook (tArea3d)', () => {
+            const tokens = new Uint8Array([
+                0x3B,           // tArea3d
+                0x02, 0x00,     // ixti 2
+                0x00, 0x00,     // first row 0
+                0x09, 0x00,     // last row 9
+                0x00, 0xC0,     // first col 0 (relative)
+                0x01, 0xC0      // last col 1 (relative)
+            ]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal("'[book.xls]Prices'!A1:B10");
+        });
+
+        it('should decode whole columns in a 3D area', () => {
+            const tokens = new Uint8Array([0x3B, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0x00, 0x00, 0x01, 0x00]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal('Sheet1!$A:$B');
+        });
+
+        it('should decode defined names (tName)', () => {
+            const tokens = new Uint8Array([
+                0x23, 0x02, 0x00, 0x00, 0x00,   // tName 2
+                0x1E, 0x02, 0x00,               // 2
+                0x05                            // tMul
+            ]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal('Rates*2');
+        });
+
+        it('should decode add-in functions (tNameX with tFuncVar 255)', () => {
+            const tokens = new Uint8Array([
+                0x39, 0x02, 0x00, 0x01, 0x00, 0x00, 0x00,  // tNameX ixti 2, name 1
+                0x44, 0x00, 0x00, 0x00, 0xC0,              // A1
+                0x1E, 0x03, 0x00,                          // 3
+                0x42, 0x03, 0xFF, 0x00                     // tFuncVar 3 args, function 255
+            ]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal('EDATE(A1,3)');
+        });
+
+        it('should decode references to deleted cells (tRefErr3d)', () => {
+            const tokens = new Uint8Array([0x3C, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            expect(decodePTG(tokens, false, null, workbook)).to.equal('Sheet1!#REF!');
+        });
+
+        it('should fall back without a workbook context', () => {
+            const tokens = new Uint8Array([0x3A, 0x01, 0x00, 0x00, 0x00, 0x00, 0xC0]);
+            expect(decodePTG(tokens)).to.equal('A1');
+        });
+    });
+
+    describe('BIFF12 (XLSB)', () => {
+        const workbook = {
+            names: ['Rates', '_xlfn.XLOOKUP'],
+            externSheets: ['Sheet1', "'My Data'"],
+            externNames: [['Rates', '_xlfn.XLOOKUP'], null]
+        };
+
+        it('should decode references with 4 byte rows and 2 byte columns', () => {
+            const tokens = new Uint8Array([
+                0x24, 0x0F, 0x27, 0x00, 0x00, 0x02, 0x40,                           // C$10000
+                0x25, 0x00, 0x00, 0x00, 0x00, 0x09, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00,  // $A$1:$B$10
+                0x10                                                                // tUnion
+            ]);
+            expect(decodeBIFF12Formula(tokens)).to.equal('C$10000,$A$1:$B$10');
+        });
+
+        it('should decode whole columns and rows', () => {
+            const columns = new Uint8Array([0x25, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0x0F, 0x00, 0x00, 0xC0, 0x01, 0xC0]);
+            const rows = new Uint8Array([0x25, 0x01, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0x3F]);
+            expect(decodeBIFF12Formula(columns)).to.equal('A:B');
+            expect(decodeBIFF12Formula(rows)).to.equal('$2:$3');
+        });
+
+        it('should decode UTF-16 strings with a 2 byte length', () => {
+            const tokens = new Uint8Array([0x17, 0x04, 0x00, 0x61, 0x00, 0x22, 0x00, 0xE9, 0x00, 0xAC, 0x20]);
+            expect(decodeBIFF12Formula(tokens)).to.equal('"a""é€"');
+        });
+
+        it('should decode SUM as an attribute and functions without arguments', () => {
+            const tokens = new Uint8Array([
+                0x25, 0x00, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0xC0, 0x00, 0xC0,  // A1:A3
+                0x19, 0x10, 0x00, 0x00,                                                          // tAttrSum
+                0x21, 0x13, 0x00,                                                                // PI()
+                0x03                                                                             // tAdd
+            ]);
+            expect(decodeBIFF12Formula(tokens)).to.equal('SUM(A1:A3)+PI()');
+        });
+
+        it('should decode array constants from the extra data', () => {
+            const tokens = new Uint8Array([0x60, ...new Array(14).fill(0)]);
+            const extra = new Uint8Array([
+                0x02, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00,  // 2 rows, 2 columns
+                0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF0, 0x3F,  // 1
+                0x01, 0x01, 0x00, 0x78, 0x00,                     // "x"
+                0x02, 0x01,                                       // TRUE
+                0x04, 0x2A                                        // #N/A
+            ]);
+            expect(decodeBIFF12Formula(tokens, extra)).to.equal('{1,"x";TRUE,#N/A}');
+        });
+
+        it('should resolve the relative references of shared formulas from the cell', () => {
+            const tokens = new Uint8Array([0x2C, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);  // two rows up, one column left
+            expect(decodeBIFF12Formula(tokens, null, { row: 4, col: 3 })).to.equal('C3');
+        });
+
+        it('should decode names, newer functions and references to other sheets', () => {
+            const tokens = new Uint8Array([
+                0x59, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00,                    // tNameX _xlfn.XLOOKUP
+                0x23, 0x01, 0x00, 0x00, 0x00,                                // Rates
+                0x5A, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,        // 'My Data'!$A$1
+                0x3C, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,        // Sheet1!#REF!
+                0x42, 0x04, 0xFF, 0x00                                       // tFuncVar 4 args, function 255
+            ]);
+            expect(decodeBIFF12Formula(tokens, null, null, workbook)).to.equal("_xlfn.XLOOKUP(Rates,'My Data'!$A$1,Sheet1!#REF!)");
+        });
+
+        it('should decode structured references to tables (PtgList)', () => {
+            const tables = { ...workbook, tables: { 3: { name: 'Sales', columns: ['Region', 'Amount', 'Q[1]'] } } };
+            const list = (flags, id, colFirst, colLast) => new Uint8Array([0x18, 0x19, 0x00, 0x00, flags, 0x00, id, 0x00, 0x00, 0x00, colFirst, 0x00, colLast, 0x00]);
+
+            expect(decodeBIFF12Formula(list(0x41, 3, 1, 1), null, null, tables)).to.equal('Sales[[#This Row],[Amount]]');
+            expect(decodeBIFF12Formula(list(0x01, 3, 1, 1), null, null, tables)).to.equal('Sales[Amount]');
+            expect(decodeBIFF12Formula(list(0x02, 3, 0, 1), null, null, tables)).to.equal('Sales[[Region]:[Amount]]');
+            expect(decodeBIFF12Formula(list(0x04, 3, 0, 0), null, null, tables)).to.equal('Sales[#All]');
+            expect(decodeBIFF12Formula(list(0x00, 3, 0, 0), null, null, tables)).to.equal('Sales[]');
+            expect(decodeBIFF12Formula(list(0x19, 3, 2, 2), null, null, tables)).to.equal("Sales[[#Headers],[#Data],[Q'[1']]]");
+        });
+
+        it('should not decode formulas with references to unknown tables', () => {
+            const tokens = new Uint8Array([0x18, 0x19, 0x00, 0x00, 0x41, 0x00, 0x07, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x1E, 0x02, 0x00, 0x05]);
+            expect(decodeBIFF12Formula(tokens, null, null, workbook)).to.equal(null);
+        });
+
+        it('should format the sheet prefix of each external sheet entry', () => {
+            const supBooks = [{ self: true, sheets: [] }, { self: false, sheets: ['Prices'] }];
+            const entries = [
+                { supBook: 0, first: 0, last: 1 },
+                { supBook: 0, first: -2, last: -2 },
+                { supBook: 0, first: -1, last: -1 },
+                { supBook: 1, first: 0, last: 0 }
+            ];
+            expect(formatExternSheets(entries, supBooks, ['Jan', 'Feb'])).to.deep.equal(['Jan:Feb', '', '#REF', "'[1]Prices'"]);
+        });
+    });
 });
@@ -0,0 +1,508 @@
+import { expect } from 'chai';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { parseXLS, parseXLSBuffer } from '../src/parser/xls.js';
+import { writeCFB } from './fixtures/cfb.js';
+import { record, uint16, uint32, float64, number, formula, string8, workbookStream } from './fixtures/biff.js';
+
+// NAME record: options, shortcut, name length, formula size, reserved, sheet (1-based), reserved, name and tokens
+const name = (text, tokens, options = 0, sheet = 0) => record(0x0018, [
+    ...uint16(options), 0, text.length, ...uint16(tokens.length), ...uint16(0), ...uint16(sheet), ...uint32(0),
+    ...string8(text), ...tokens
+]);
+
+// tArea3d with absolute rows and columns
+const area3d = (ixti, row1, row2, col1, col2) => [0x3B, ...uint16(ixti), ...uint16(row1), ...uint16(row2), ...uint16(col1), ...uint16(col2)];
+
+function createNamesWorkbook() {
+    const globals = [
+        // This workbook and an external workbook with one sheet
+        record(0x01AE, [...uint16(2), ...uint16(0x0401)]),
+        record(0x01AE, [...uint16(1), ...uint16(10), ...string8('\x01rates.xls'), ...uint16(6), ...string8('Prices')]),
+        // EXTERNSHEET: Summary, My Data, [rates.xls]Prices
+        record(0x0017, [...uint16(3), ...uint16(0), ...uint16(0), ...uint16(0), ...uint16(0), ...uint16(1), ...uint16(1), ...uint16(1), ...uint16(0), ...uint16(0)]),
+        name('Totals', area3d(1, 0, 4, 0, 1)),
+        name('\x06', area3d(0, 0, 9, 0, 3), 0x0020, 1),
+        name('Rate', [0x3A, ...uint16(2), ...uint16(1), ...uint16(1)])
+    ];
+
+    const stream = workbookStream([
+        {
+            name: 'Summary',
+            records: [
+                // SUM('My Data'!$A$1:$B$5) and Rate*2
+                formula(0, 0, [...area3d(1, 0, 4, 0, 1), 0x41, 0x04, 0x00], 15),
+                formula(1, 0, [0x23, ...uint16(3), ...uint16(0), 0x1E, ...uint16(2), 0x05], 4)
+            ]
+        },
+        {
+            name: 'My Data',
+            records: [number(0, 0, 1), number(0, 1, 2)]
+        }
+    ], globals);
+
+    return writeCFB({ Workbook: stream });
+}
+
+// BIFF5 (Excel 5.0 and 95) workbook in a Book stream, strings are stored in the code page of the file
+function createBIFF5Workbook() {
+    const bytes = (text) => Array.from(text, char => char.charCodeAt(0));
+    const bof = (type) => record(0x0809, [...uint16(0x0500), ...uint16(type), ...uint16(0), ...uint16(0)]);
+    const boundsheet = (text) => record(0x0085, [...uint32(0), 0, 0, text.length, ...bytes(text)]);
+
+    // Own workbook (ixals -1), 8 reserved bytes and the sheet range
+    const ref3d = (sheet) => [...uint16(0xFFFF), ...new Array(8).fill(0), ...uint16(sheet), ...uint16(sheet)];
+
+    const globals = [
+        bof(0x0005),
+        record(0x0042, uint16(1252)),
+        record(0x041E, [...uint16(164), 5, ...bytes('0.0 %')]),
+        // NAME Total: Data!$A$1:$A$2
+        record(0x0018, [
+            ...uint16(0), 0, 5, ...uint16(21), ...uint16(0), ...uint16(0), 0, 0, 0, 0,
+            ...bytes('Total'), 0x3B, ...ref3d(1), ...uint16(0), ...uint16(1), 0, 0
+        ]),
+        boundsheet('R\xe9sum\xe9'),
+        boundsheet('Data'),
+        record(0x000A)
+    ];
+
+    const summary = [
+        bof(0x0010),
+        record(0x0204, [...uint16(0), ...uint16(0), ...uint16(0), ...uint16(4), ...bytes('Caf\xe9')]),
+        // SUM(Total), Data!$B$1+A1 and a string result
+        formula(1, 0, [0x23, ...uint16(1), ...new Array(12).fill(0), 0x41, 0x04, 0x00], 3),
+        formula(2, 0, [0x3A, ...ref3d(1), ...uint16(0), 1, 0x24, ...uint16(0xC000), 0, 0x03], 2),
+        record(0x0006, [
+            ...uint16(3), ...uint16(0), ...uint16(0), 0, 0, 0, 0, 0, 0, 0xFF, 0xFF,
+            ...uint16(0), ...uint32(0), ...uint16(4), 0x17, 2, ...bytes('ab')
+        ]),
+        record(0x0207, [...uint16(2), ...bytes('ab')]),
+        record(0x000A)
+    ];
+
+    const data = [bof(0x0010), number(0, 0, 1), number(1, 0, 2), number(0, 1, 5), record(0x000A)];
+
+    return writeCFB({ Book: new Uint8Array([...globals, ...summary, ...data].flat()) });
+}
+
+// BIFF2 (Excel 2.x) worksheet, a stream without CFB container
+function createBIFF2Worksheet() {
+    const bytes = (text) => Array.from(text, char => char.charCodeAt(0));
+    const cell = (type, row, column, data, xf = 0) => record(type, [...uint16(row), ...uint16(column), xf, 0, 0, ...data]);
+
+    return new Uint8Array([
+        record(0x0009, [...uint16(2), ...uint16(0x0010)]),
+        record(0x0031, [...uint16(200), ...uint16(0), 5, ...bytes('Arial')]),
+        record(0x001E, [7, ...bytes('General')]),
+        record(0x001E, [4, ...bytes('0.00')]),
+        // XF 0: General, XF 1: format 1 with a bottom border
+        record(0x0043, [0, 0, 0, 0]),
+        record(0x0043, [0, 0, 1, 0x40]),
+        record(0x0024, [0, 1, ...uint16(20 * 256)]),
+        cell(0x0004, 0, 0, [5, ...bytes('Hello')]),
+        cell(0x0002, 0, 1, uint16(42)),
+        cell(0x0003, 1, 0, float64(1.5), 1),
+        cell(0x0005, 1, 1, [1, 0]),
+        // SUM(A2,B1) with 8-bit function indexes
+        cell(0x0006, 2, 0, [...float64(43.5), 0, 11, 0x44, ...uint16(0xC001), 0, 0x44, ...uint16(0xC000), 1, 0x42, 2, 4]),
+        record(0x000A)
+    ].flat());
+}
+
+// Sheet with conditional formatting (CONDFMT, CF) and data validation (DVAL, DV) records, and more CF records
+// given by their type, operator and tokens
+function createValidationWorkbook(name = 'Sheet1', rules = []) {
+    const bytes = (text) => Array.from(text, char => char.charCodeAt(0));
+    const ranges = (list) => [...uint16(list.length), ...list.map(range => range.map(uint16).flat()).flat()];
+    const string = (text) => text ? [...uint16(text.length), ...string8(text)] : [...uint16(1), 0, 0];
+    const dvFormula = (tokens) => [...uint16(tokens.length), ...uint16(0), ...tokens];
+    const cf = (type, operator, dxf, tokens1, tokens2 = []) => record(0x01B1, [
+        type, operator, ...uint16(tokens1.length), ...uint16(tokens2.length), ...dxf, ...tokens1, ...tokens2
+    ]);
+
+    // Font block: bold (weight 700) in red (palette index 10), italic not set
+    const font = new Array(118).fill(0);
+    font.splice(72, 2, ...uint16(700));
+    font.splice(80, 4, ...uint32(10));
+    font.splice(88, 4, ...uint32(0x82));
+
+    // Solid fill in yellow (palette index 13)
+    const fill = [...uint16(1 << 10), ...uint16(64 | (13 << 7))];
+
+    return writeCFB({
+        Workbook: workbookStream([{
+            name: name,
+            records: [
+                number(0, 0, 150),
+                record(0x01B0, [...uint16(2 + rules.length), ...uint16(0), ...uint16(0), ...uint16(4), ...uint16(0), ...uint16(0), ...ranges([[0, 4, 0, 0]])]),
+                cf(1, 5, [...uint32(0x04000000), ...uint16(0), ...font], [0x1E, ...uint16(100)]),
+                cf(2, 0, [...uint32(0x20000000), ...uint16(0), ...fill], [0x44, ...uint16(0), ...uint16(0xC000), 0x1E, ...uint16(0), 0x0D]),
+                ...rules.map(([type, operator, tokens1, tokens2]) => cf(type, operator, [...uint32(0), ...uint16(0)], tokens1, tokens2)),
+                record(0x01B2, [...uint16(0), ...uint32(0), ...uint32(0), ...uint32(0xFFFFFFFF), ...uint32(2)]),
+                // Explicit list with blanks allowed, and a whole number between 1 and 10 with a warning
+                record(0x01BE, [
+                    ...uint32(0x03 | 0x80 | 0x100), ...string(''), ...string(''), ...string(''), ...string('Pick one'),
+                    ...dvFormula([0x17, 5, 0, ...bytes('a\x00b\x00c')]), ...dvFormula([]), ...ranges([[0, 9, 1, 1]])
+                ]),
+                record(0x01BE, [
+                    ...uint32(0x01 | (1 << 4)), ...string(''), ...string(''), ...string(''), ...string(''),
+                    ...dvFormula([0x1E, ...uint16(1)]), ...dvFormula([0x1E, ...uint16(10)]), ...ranges([[0, 0, 2, 2]])
+                ])
+            ]
+        }])
+    });
+}
+
+// Office drawing record: version, instance, type, size and data
+const escher = (type, data, instance = 0, version = 0) => [...uint16(version | (instance << 4)), ...uint16(type), ...uint32(data.length), ...data];
+
+const PNG = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3];
+const EMF = [0x01, 0x00, 0x00, 0x00, 0x6C, 0x00, 0x00, 0x00, 4, 5, 6, 7];
+
+// Sheet with a PNG picture and a compressed EMF picture of the BLIP store, the drawing of the first
+// shape may continue in a CONTINUE record after a TXO record with its own CONTINUE
+function createPictureWorkbook(continued = false) {
+    const uid = new Array(16).fill(0xAB);
+    const compressed = Array.from(deflateSync(new Uint8Array(EMF)));
+
+    const blips = [
+        escher(0xF01E, [...uid, 0xFF, ...PNG], 0x6E0),
+        escher(0xF01A, [...uid, ...uint32(EMF.length), ...new Array(24).fill(0), ...uint32(compressed.length), 0x00, 0xFE, ...compressed], 0x3D4)
+    ];
+    const entries = blips.map(blip => escher(0xF007, [
+        6, 6, ...uid, ...uint16(0xFF), ...uint32(blip.length), ...uint32(1), ...uint32(0), 0, 0, 0, 0, ...blip
+    ], 6, 2));
+    const group = escher(0xF000, escher(0xF001, entries.flat(), 2, 0x0F), 0, 0x0F);
+
+    // Picture shape: BLIP index, anchor (column, offset, row, offset of both corners) and client data
+    const picture = (pib, anchor) => escher(0xF004, [
+        ...escher(0xF00B, [...uint16(0x4104), ...uint32(pib)], 1, 3),
+        ...escher(0xF010, [...uint16(0), ...anchor.map(uint16).flat()]),
+        ...escher(0xF011, [])
+    ], 0, 0x0F);
+    const first = picture(1, [1, 512, 1, 128, 3, 0, 5, 0]);
+    const second = picture(2, [0, 0, 0, 0, 1, 0, 1, 0]);
+    const groupShape = escher(0xF004, escher(0xF00A, [...uint32(1024), ...uint32(5)], 0, 2), 0, 0x0F);
+    const drawing = escher(0xF002, escher(0xF003, [...groupShape, ...first, ...second], 0, 0x0F), 0, 0x0F);
+
+    // The drawing is split after each client data, the OBJ record of the shape follows
+    const split = drawing.length - second.length;
+    const obj = record(0x005D, [...uint16(0x15), ...uint16(0x12), ...uint16(8), ...uint16(1), ...new Array(14).fill(0), ...uint32(0)]);
+
+    return writeCFB({
+        Workbook: workbookStream([{
+            name: 'Sheet1',
+            records: [
+                number(0, 0, 1),
+                ...(continued ? [
+                    record(0x00EC, drawing.slice(0, 30)),
+                    record(0x003C, drawing.slice(30, split))
+                ] : [record(0x00EC, drawing.slice(0, split))]),
+                obj,
+                ...(continued ? [record(0x01B6, new Array(18).fill(0)), record(0x003C, [0, ...string8('text')])] : []),
+                record(0x00EC, drawing.slice(split)),
+                obj
+            ]
+        }], [record(0x00EB, group.slice(0, 40)), record(0x003C, group.slice(40))])
+    });
+}
+
+describe('parseXLS', () => {
+    describe('Defined names', () => {
+        it('should return the defined names with sheet references', async () => {
+            const result = await parseXLS(createNamesWorkbook());
+
+            expect(result.definedNames).to.deep.equal({
+                Totals: "'My Data'!$A$1:$B$5",
+                '_xlnm.Print_Area': 'Summary!$A$1:$D$10',
+                Rate: "'[rates.xls]Prices'!$B$2"
+            });
+        });
+
+        it('should decode 3D references and names in cell formulas', async () => {
+            const result = await parseXLS(createNamesWorkbook());
+            const sheet = result.worksheets[0];
+
+            expect(sheet.data[0][0]).to.equal("=SUM('My Data'!$A$1:$B$5)");
+            expect(sheet.data[1][0]).to.equal('=Rate*2');
+        });
+
+        it('should key names defined on several sheets with their sheet', async () => {
+            const globals = [
+                record(0x01AE, [...uint16(2), ...uint16(0x0401)]),
+                // EXTERNSHEET: Summary, My Data
+                record(0x0017, [...uint16(2), ...uint16(0), ...uint16(0), ...uint16(0), ...uint16(0), ...uint16(1), ...uint16(1)]),
+                name('\x06', area3d(0, 0, 9, 0, 3), 0x0020, 1),
+                name('\x06', area3d(1, 0, 4, 0, 1), 0x0020, 2),
+                name('Rate', area3d(0, 1, 1, 1, 1)),
+                name('Rate', area3d(1, 2, 2, 0, 0), 0, 2),
+                name('Local', area3d(1, 0, 0, 0, 0), 0, 2)
+            ];
+            const stream = workbookStream([
+                { name: 'Summary', records: [number(0, 0, 1)] },
+                { name: 'My Data', records: [number(0, 0, 2)] }
+            ], globals);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.definedNames).to.deep.equal({
+                'Summary!_xlnm.Print_Area': 'Summary!$A$1:$D$10',
+                "'My Data'!_xlnm.Print_Area": "'My Data'!$A$1:$B$5",
+                Rate: 'Summary!$B$2:$B$2',
+                "'My Data'!Rate": "'My Data'!$A$3:$A$3",
+                Local: "'My Data'!$A$1:$A$1"
+            });
+        });
+
+        it('should not return definedNames when the workbook has none', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [number(0, 0, 1)] }]);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.definedNames).to.be.undefined;
+        });
+    });
+
+    describe('Excel 2.x to 95 files', () => {
+        it('should read the sheets and cells of a BIFF5 workbook', async () => {
+            const result = await parseXLS(createBIFF5Workbook());
+
+            expect(result.worksheets.map(sheet => sheet.worksheetName)).to.deep.equal(['Résumé', 'Data']);
+            expect(result.worksheets[0].data[0][0]).to.equal('Café');
+            expect(result.worksheets[1].data[0]).to.deep.equal([1, 5]);
+        });
+
+        it('should decode BIFF5 formulas and defined names', async () => {
+            const result = await parseXLS(createBIFF5Workbook());
+            const sheet = result.worksheets[0];
+
+            expect(result.definedNames).to.deep.equal({ Total: 'Data!$A$1:$A$2' });
+            expect(sheet.data[1][0]).to.equal('=SUM(Total)');
+            expect(sheet.data[2][0]).to.equal('=Data!$B$1+A1');
+            expect(sheet.data[3][0]).to.equal('="ab"');
+        });
+
+        it('should read a BIFF2 worksheet without container', async () => {
+            const result = await parseXLS(createBIFF2Worksheet());
+            const sheet = result.worksheets[0];
+
+            expect(result.worksheets).to.have.length(1);
+            expect(sheet.worksheetName).to.equal('Sheet1');
+            expect(sheet.data[0]).to.deep.equal(['Hello', 42]);
+            expect(sheet.data[1]).to.deep.equal([1.5, true]);
+            expect(sheet.data[2][0]).to.equal('=SUM(A2,B1)');
+            expect(sheet.columns[0].width).to.equal(sheet.columns[1].width);
+            expect(sheet.columns[0].width).to.not.equal(100);
+        });
+    });
+
+    describe('Validations and conditional formatting', () => {
+        it('should return data validations like the XLSX parser', async () => {
+            const result = await parseXLS(createValidationWorkbook());
+            const validations = result.validations.filter(validation => validation.action !== 'format');
+
+            expect(validations).to.deep.equal([
+                { range: 'Sheet1!B1:B10', type: 'list', action: 'reject', text: 'Pick one', allowBlank: true, dropdown: true, value: ['a', 'b', 'c'] },
+                { range: 'Sheet1!C1', type: 'number', action: 'warning', value: ['1', '10'] }
+            ]);
+        });
+
+        it('should return conditional formatting with action format', async () => {
+            const result = await parseXLS(createValidationWorkbook());
+            const rules = result.validations.filter(validation => validation.action === 'format');
+
+            expect(rules).to.deep.equal([
+                { range: 'Sheet1!A1:A5', action: 'format', type: 'number', criteria: '>', value: [100], format: { color: '#FF0000', 'font-weight': 'bold' } },
+                { range: 'Sheet1!A1:A5', action: 'format', type: 'formula', value: ['=A1>0'], format: { 'background-color': '#FFFF00' } }
+            ]);
+        });
+
+        it('should keep reference and formula operands and quote the sheet name', async () => {
+            const result = await parseXLS(createValidationWorkbook('My Data', [
+                // Between 1 and $B$1, greater than $B$1*2 and equal to the text high
+                [1, 1, [0x1E, ...uint16(1)], [0x44, ...uint16(0), ...uint16(1)]],
+                [1, 5, [0x44, ...uint16(0), ...uint16(1), 0x1E, ...uint16(2), 0x05]],
+                [1, 3, [0x17, 4, ...string8('high')]]
+            ]));
+            const rules = result.validations.filter(validation => validation.action === 'format');
+
+            expect(rules.map(rule => rule.range)).to.deep.equal(new Array(5).fill("'My Data'!A1:A5"));
+            expect(rules.slice(2)).to.deep.equal([
+                { range: "'My Data'!A1:A5", action: 'format', type: 'number', criteria: 'between', value: [1, '=$B$1'] },
+                { range: "'My Data'!A1:A5", action: 'format', type: 'number', criteria: '>', value: ['=$B$1*2'] },
+                { range: "'My Data'!A1:A5", action: 'format', type: 'text', criteria: '=', value: ['high'] }
+            ]);
+        });
+
+        it('should not return validations when the workbook has none', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [number(0, 0, 1)] }]);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.validations).to.be.undefined;
+        });
+    });
+
+    describe('AutoFilter', () => {
+        // _FilterDatabase of the first sheet (built-in name 0x0D) on A1:C10
+        const filterDatabase = record(0x0018, [...uint16(0x0020), 0, 1, ...uint16(11), ...uint16(0), ...uint16(1), 0, 0, 0, 0, 0, 0x0D,
+            0x3B, ...uint16(0), ...uint16(0), ...uint16(9), ...uint16(0), ...uint16(2)]);
+        // DOPER: value type, comparison and 8 bytes of value, strings have their length at the 7th byte
+        const doper = (vt, operator, value = []) => [vt, operator, ...value, ...new Array(8 - value.length).fill(0)];
+        const stringDoper = (length) => [0x06, 2, 0, 0, 0, 0, length, 0, 0, 0];
+
+        it('should read the range and the criteria of each column', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [
+                number(0, 0, 1),
+                record(0x009D, uint16(3)),
+                record(0x009B),
+                // Values East or West, selected from the list
+                record(0x009E, [...uint16(0), ...uint16(0x0005), ...stringDoper(4), ...stringDoper(4), ...string8('East'), ...string8('West')]),
+                // Custom: greater than 100 and less than 500
+                record(0x009E, [...uint16(1), ...uint16(0x0000), ...doper(0x04, 4, float64(100)), ...doper(0x04, 1, float64(500))]),
+                // Top 5 items
+                record(0x009E, [...uint16(2), ...uint16(0x0010 | 0x0020 | (5 << 7)), ...doper(0, 0), ...doper(0, 0)])
+            ] }], [filterDatabase]);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.worksheets[0].filters).to.deep.equal({
+                ref: 'A1:C10',
+                columns: [
+                    { column: 0, type: 'values', values: ['East', 'West'] },
+                    { column: 1, type: 'custom', and: true, criteria: [{ operator: 'greaterThan', value: 100 }, { operator: 'lessThan', value: 500 }] },
+                    { column: 2, type: 'top10', top: true, percent: false, value: 5 }
+                ]
+            });
+        });
+
+        it('should read blank and non blank criteria', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [
+                record(0x009D, uint16(2)),
+                record(0x009E, [...uint16(0), ...uint16(0x0004), ...doper(0x0C, 2), ...doper(0, 0)]),
+                record(0x009E, [...uint16(1), ...uint16(0x0000), ...doper(0x0E, 5), ...doper(0, 0)])
+            ] }], [filterDatabase]);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.worksheets[0].filters.columns).to.deep.equal([
+                { column: 0, type: 'values', values: [], blank: true },
+                { column: 1, type: 'custom', and: true, criteria: [{ operator: 'notEqual', value: '' }] }
+            ]);
+        });
+
+        it('should not return filters for sheets without AutoFilter', async () => {
+            const result = await parseXLS(writeCFB({ Workbook: workbookStream([{ name: 'Sheet1', records: [number(0, 0, 1)] }]) }));
+            expect(result.worksheets[0].filters).to.be.undefined;
+        });
+    });
+
+    describe('Outline', () => {
+        // ROW with custom height (fUnsynced) and the given level, collapsed (0x10) and hidden (0x20) bits
+        const row = (index, options) => record(0x0208, [...uint16(index), ...uint16(0), ...uint16(4), ...uint16(300), ...uint16(0), ...uint16(0), ...uint16(options | 0x0100), ...uint16(0x0F)]);
+        // COLINFO with the given hidden (0x01), level (bits 8-10) and collapsed (0x1000) bits
+        const colinfo = (first, last, options) => record(0x007D, [...uint16(first), ...uint16(last), ...uint16(2560), ...uint16(0x0F), ...uint16(options), ...uint16(0)]);
+
+        it('should read the levels and the hidden and collapsed groups', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [
+                // Summary rows above the details, summary columns on the right
+                record(0x0081, uint16(0x0080 | 0x0001)),
+                colinfo(1, 2, 0x0100 | 0x0001),
+                colinfo(3, 3, 0x1000),
+                row(1, 0x0001),
+                row(2, 0x0002 | 0x0020),
+                row(3, 0x0002 | 0x0020),
+                row(4, 0x0001 | 0x0010),
+                row(5, 0),
+                number(5, 3, 1)
+            ] }]);
+            const worksheet = (await parseXLS(writeCFB({ Workbook: stream }))).worksheets[0];
+
+            expect(worksheet.rows[1]).to.deep.equal({ height: 15, level: 1 });
+            expect(worksheet.rows[2]).to.deep.equal({ height: 15, visible: false, level: 2 });
+            expect(worksheet.rows[3]).to.deep.equal({ height: 15, visible: false, level: 2 });
+            expect(worksheet.rows[4]).to.deep.equal({ height: 15, level: 1, collapsed: true });
+            expect(worksheet.rows[5]).to.deep.equal({ height: 15 });
+
+            expect(worksheet.columns.map(column => [column.level, column.visible, column.collapsed])).to.deep.equal([
+                [undefined, undefined, undefined],
+                [1, false, undefined],
+                [1, false, undefined],
+                [undefined, undefined, true]
+            ]);
+            expect(worksheet.outline).to.deep.equal({ summaryBelow: false, summaryRight: true });
+        });
+
+        it('should keep the hidden and grouped rows after the last cell', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [
+                row(0, 0x0010),
+                row(1, 0x0001 | 0x0020),
+                row(2, 0x0001 | 0x0020),
+                row(3, 0),
+                number(0, 0, 1)
+            ] }]);
+            const worksheet = (await parseXLS(writeCFB({ Workbook: stream }))).worksheets[0];
+
+            expect(worksheet.rows).to.deep.equal({
+                0: { height: 15, collapsed: true },
+                1: { height: 15, visible: false, level: 1 },
+                2: { height: 15, visible: false, level: 1 }
+            });
+            expect(worksheet.minDimensions).to.deep.equal([1, 3]);
+        });
+
+        it('should default to summaries below and on the right, and omit the outline without groups', async () => {
+            const grouped = workbookStream([{ name: 'Sheet1', records: [row(0, 0x0001), number(0, 0, 1)] }]);
+            expect((await parseXLS(writeCFB({ Workbook: grouped }))).worksheets[0].outline).to.deep.equal({ summaryBelow: true, summaryRight: true });
+
+            const flat = workbookStream([{ name: 'Sheet1', records: [record(0x0081, uint16(0x04C1)), row(0, 0), number(0, 0, 1)] }]);
+            expect((await parseXLS(writeCFB({ Workbook: flat }))).worksheets[0].outline).to.be.undefined;
+        });
+    });
+
+    describe('Pictures', () => {
+        it('should return the pictures with their anchor and size in pixels', async () => {
+            const result = await parseXLS(createPictureWorkbook());
+            const media = result.worksheets[0].media;
+
+            expect(media).to.have.length(2);
+            expect(media[0]).to.deep.equal({
+                src: 'data:image/png;base64,' + Buffer.from(PNG).toString('base64'),
+                left: 96,
+                top: 30,
+                width: 96,
+                height: 70,
+                cellAnchor: 'B2'
+            });
+        });
+
+        it('should decompress metafiles', async () => {
+            const result = await parseXLS(createPictureWorkbook());
+            const media = result.worksheets[0].media;
+
+            expect(media[1].src).to.equal('data:image/x-emf;base64,' + Buffer.from(EMF).toString('base64'));
+            expect(media[1]).to.include({ left: 0, top: 0, width: 64, height: 20, cellAnchor: 'A1' });
+        });
+
+        it('should parse buffers synchronously, with the compressed metafiles and their type', () => {
+            const result = parseXLSBuffer(createPictureWorkbook());
+            const media = result.worksheets[0].media;
+
+            expect(result).to.not.be.an.instanceof(Promise);
+            expect(media).to.have.length(2);
+            expect(media[0].cellAnchor).to.equal('B2');
+            expect(media[1]).to.include({ src: null, mimeType: 'image/x-emf', cellAnchor: 'A1' });
+            expect(new Uint8Array(inflateSync(Buffer.from(media[1].compressed, 'base64')))).to.deep.equal(new Uint8Array(EMF));
+        });
+
+        it('should read drawings that continue in CONTINUE records', async () => {
+            const result = await parseXLS(createPictureWorkbook(true));
+            const media = result.worksheets[0].media;
+
+            expect(media.map(item => item.cellAnchor)).to.deep.equal(['B2', 'A1']);
+            expect(media[1].src).to.equal('data:image/x-emf;base64,' + Buffer.from(EMF).toString('base64'));
+        });
+
+        it('should not return media for sheets without pictures', async () => {
+            const stream = workbookStream([{ name: 'Sheet1', records: [number(0, 0, 1)] }]);
+            const result = await parseXLS(writeCFB({ Workbook: stream }));
+
+            expect(result.worksheets[0].media).to.be.undefined;
+        });
+    });
+});
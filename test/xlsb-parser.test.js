@@ -0,0 +1,230 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { parseXLSB } from '../src/parser/xlsb.js';
+import tabularjs from '../src/parser.js';
+import {
+    uint16, uint32, record, wideString, richString, cell, range, parsedFormula, rgbColor, indexedColor,
+    rowHeader, realCell, stringCell, sharedStringCell, formulaCell, part
+} from './fixtures/biff12.js';
+
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const rels = (items) => `<?xml version="1.0"?><Relationships xmlns="${NS_PKG_REL}">` +
+    items.map(([id, type, target, mode]) => `<Relationship Id="${id}" Type="${NS_REL}/${type}" Target="${target}"${mode ? ` TargetMode="${mode}"` : ''}/>`).join('') +
+    '</Relationships>';
+
+// Sheet: state, id, relationship and name
+const bundleSheet = (state, id, relId, name) => record(0x009C, [...uint32(state), ...uint32(id), ...wideString(relId), ...wideString(name)]);
+
+// Font: height in twips, flags, weight, underline, color and name
+const font = (name, { bold = false, italic = false, color = null } = {}) => record(0x002B, [
+    ...uint16(220), ...uint16(italic ? 0x02 : 0), ...uint16(bold ? 700 : 400), ...uint16(0), 0, 2, 0, 0,
+    ...(color ? rgbColor(color) : [0x07, 1, 0, 0, 0, 0, 0, 0xFF]), 0, ...wideString(name)
+]);
+
+const fill = (pattern, color = null) => record(0x002D, [...uint32(pattern), ...(color ? rgbColor(color) : new Array(8).fill(0)), ...new Array(8).fill(0)]);
+
+// Border: flags, then the top, bottom, left, right and diagonal lines
+const border = (bottom = 0, color = rgbColor('000000')) => record(0x002E, [0, ...new Array(10).fill(0), bottom, 0, ...color, ...new Array(30).fill(0)]);
+
+const xf = ({ numFmt = 0, font = 0, fill = 0, border = 0, flags = 0 } = {}) => record(0x002F, [
+    ...uint16(0), ...uint16(numFmt), ...uint16(font), ...uint16(fill), ...uint16(border), 0, 0, ...uint16(flags), 0
+]);
+
+/**
+ * Workbook with styles, shared strings, formulas, a defined name, comments, hyperlinks and a hidden sheet
+ */
+async function createWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="bin" ContentType="application/vnd.ms-excel.sheet.binary.macroEnabled.main"/>' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '</Types>');
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.bin']]));
+    zip.file('xl/_rels/workbook.bin.rels', rels([
+        ['rId1', 'worksheet', 'worksheets/sheet1.bin'],
+        ['rId2', 'worksheet', 'worksheets/sheet2.bin'],
+        ['rId3', 'sharedStrings', 'sharedStrings.bin'],
+        ['rId4', 'styles', 'styles.bin']
+    ]));
+
+    zip.file('xl/workbook.bin', part([
+        record(0x0099, [...uint32(0), ...uint32(0), ...uint32(0)]),
+        bundleSheet(0, 1, 'rId1', 'Sheet1'),
+        bundleSheet(1, 2, 'rId2', 'Sheet2'),
+        record(0x0165),
+        record(0x016A, [...uint32(2), ...uint32(0), ...uint32(0), ...uint32(0), ...uint32(0), ...uint32(1), ...uint32(1)]),
+        record(0x0027, [
+            ...uint32(0), 0, ...uint32(0xFFFFFFFF), ...wideString('Total'),
+            ...parsedFormula([0x3B, 0x00, 0x00, ...uint32(0), ...uint32(1), ...uint16(0), ...uint16(1)]),
+            ...uint32(0xFFFFFFFF)
+        ])
+    ]));
+
+    zip.file('xl/sharedStrings.bin', part([
+        record(0x009F, [...uint32(1), ...uint32(1)]),
+        record(0x0013, richString('Hello'))
+    ]));
+
+    zip.file('xl/styles.bin', part([
+        record(0x002C, [...uint16(164), ...wideString('yyyy-mm-dd')]),
+        font('Calibri'),
+        font('Arial', { bold: true, italic: true, color: 'FF0000' }),
+        fill(0),
+        fill(17),
+        fill(1, 'FFFF00'),
+        border(),
+        // Navy of the default palette
+        border(1, indexedColor(18)),
+        // Cell style formats are not referenced by the cells
+        record(0x0272, uint32(1)),
+        xf({ font: 1 }),
+        record(0x0273),
+        record(0x0269, uint32(3)),
+        xf(),
+        xf({ font: 1, fill: 2, border: 1, flags: 0x42 }),
+        xf({ numFmt: 164 }),
+        record(0x026A)
+    ]));
+
+    // Shared formula B2*2 in A3:A4 (tRefN one row up and one column right, tInt 2, tMul)
+    const sharedFormula = [0x2C, ...uint32(0xFFFFFFFF), ...uint16(0xC001), 0x1E, ...uint16(2), 0x05];
+
+    zip.file('xl/worksheets/sheet1.bin', part([
+        record(0x0094, range(0, 3, 0, 2)),
+        record(0x003C, [...uint32(0), ...uint32(0), ...uint32(20 * 256), ...uint32(0), ...uint16(0)]),
+        rowHeader(0, 600, 0x20),
+        sharedStringCell(0, 0, 1),
+        realCell(1, 1.5),
+        record(0x0002, [...cell(2), ...uint32((100 << 2) | 0x02)]),
+        rowHeader(1),
+        realCell(0, 45000, 2),
+        // SUM(B1,Sheet2!$A$1)
+        formulaCell(1, [0x24, ...uint32(0), ...uint16(0xC001), 0x3A, ...uint16(1), ...uint32(0), ...uint16(0), 0x22, 0x02, ...uint16(4)], 11.5),
+        record(0x0004, [...cell(2), 1]),
+        rowHeader(2),
+        formulaCell(0, [0x01, ...uint32(2)], 3),
+        record(0x01AB, [...range(2, 3, 0, 0), ...parsedFormula(sharedFormula)]),
+        record(0x0003, [...cell(1), 0x07]),
+        rowHeader(3, 0, 0x10),
+        formulaCell(0, [0x01, ...uint32(2)], 0),
+        stringCell(1, 'text'),
+        record(0x00B0, range(3, 3, 1, 2)),
+        record(0x01EE, [...range(0, 0, 1, 1), ...wideString('rId2'), ...wideString(''), ...wideString(''), ...wideString('')])
+    ]));
+    zip.file('xl/worksheets/_rels/sheet1.bin.rels', rels([
+        ['rId1', 'comments', '../comments1.bin'],
+        ['rId2', 'hyperlink', 'https://example.com', 'External']
+    ]));
+    zip.file('xl/comments1.bin', part([
+        record(0x0278, wideString('Ann')),
+        record(0x027B, [...uint32(0), ...range(0, 0, 0, 0), ...new Array(16).fill(0)]),
+        record(0x027D, richString('Check this')),
+        record(0x027C)
+    ]));
+
+    zip.file('xl/worksheets/sheet2.bin', part([
+        record(0x0094, range(0, 0, 0, 0)),
+        rowHeader(0),
+        realCell(0, 10)
+    ]));
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('parseXLSB', () => {
+    let result;
+
+    before(async () => {
+        result = await parseXLSB(await createWorkbook());
+    });
+
+    it('should read the sheets in workbook order, with their state', () => {
+        expect(result.worksheets.map(worksheet => worksheet.worksheetName)).to.deep.equal(['Sheet1', 'Sheet2']);
+        expect(result.worksheets[0].worksheetState).to.be.undefined;
+        expect(result.worksheets[1].worksheetState).to.equal('hidden');
+        expect(result.worksheets[1].data).to.deep.equal([[10]]);
+    });
+
+    it('should read shared strings, numbers, booleans, errors and dates', () => {
+        const data = result.worksheets[0].data;
+        expect(data[0]).to.deep.equal(['Hello', 1.5, 100]);
+        expect(data[1][0]).to.equal('2023-03-15');
+        expect(data[1][2]).to.equal(true);
+        expect(data[2][1]).to.equal('#DIV/0!');
+        expect(data[3][1]).to.equal('text');
+        expect(result.worksheets[0].minDimensions).to.deep.equal([3, 4]);
+    });
+
+    it('should decode formulas, with references to other sheets and shared formulas', () => {
+        const data = result.worksheets[0].data;
+        expect(data[1][1]).to.equal('=SUM(B1,Sheet2!$A$1)');
+        expect(data[2][0]).to.equal('=B2*2');
+        expect(data[3][0]).to.equal('=B3*2');
+    });
+
+    it('should read defined names', () => {
+        expect(result.definedNames).to.deep.equal({ Total: 'Sheet1!$A$1:$B$2' });
+    });
+
+    it('should convert the cell formats to CSS styles and cell properties', () => {
+        const worksheet = result.worksheets[0];
+        const css = result.style[worksheet.style.A1];
+        expect(css).to.include('font-family: Arial');
+        expect(css).to.include('font-weight: bold');
+        expect(css).to.include('font-style: italic');
+        expect(css).to.include('color: #FF0000');
+        expect(css).to.include('background-color: #FFFF00');
+        expect(css).to.include('border-bottom: 1px solid #000080');
+        expect(worksheet.cells.A1).to.deep.equal({ align: 'center', wrap: true });
+        expect(worksheet.cells.A2).to.deep.equal({ format: 'yyyy-mm-dd' });
+    });
+
+    it('should read columns, rows, merged cells, comments and hyperlinks', () => {
+        const worksheet = result.worksheets[0];
+        expect(worksheet.columns[0].width).to.equal(169);
+        expect(worksheet.columns[1].width).to.equal(100);
+        expect(worksheet.rows[0].height).to.equal(30);
+        expect(worksheet.rows[1].height).to.equal(21);
+        expect(worksheet.rows[3].visible).to.equal(false);
+        expect(worksheet.mergeCells).to.deep.equal({ B4: [2, 1] });
+        expect(worksheet.comments).to.deep.equal({ A1: 'Check this' });
+        expect(worksheet.cells.B1.options.url).to.equal('https://example.com');
+    });
+
+    it('should decode structured references to tables, and keep the value of unknown ones', async () => {
+        const zip = await JSZip.loadAsync(await createWorkbook());
+        // Table "Sales" (id 1) with the columns Region and Amount
+        zip.file('xl/tables/table1.bin', part([
+            record(0x015B, [...range(0, 2, 0, 1), ...uint32(0), ...uint32(1), ...new Array(40).fill(0), ...wideString('Table1'), ...wideString('Sales')]),
+            record(0x015F, [...uint32(1), ...new Array(20).fill(0), ...uint32(0xFFFFFFFF), ...wideString('Region')]),
+            record(0x015F, [...uint32(2), ...new Array(20).fill(0), ...uint32(0xFFFFFFFF), ...wideString('Amount')])
+        ]));
+        zip.file('xl/worksheets/_rels/sheet2.bin.rels', rels([['rId1', 'table', '../tables/table1.bin']]));
+
+        const list = (id) => [0x18, 0x19, ...uint16(0), ...uint16(0x41), ...uint32(id), ...uint16(1), ...uint16(1)];
+        zip.file('xl/worksheets/sheet2.bin', part([
+            record(0x0094, range(0, 0, 0, 2)),
+            rowHeader(0),
+            realCell(0, 10),
+            formulaCell(1, [...list(1), 0x1E, ...uint16(2), 0x05], 20),
+            formulaCell(2, [...list(9), 0x1E, ...uint16(2), 0x05], 7)
+        ]));
+
+        const parsed = await parseXLSB(await zip.generateAsync({ type: 'uint8array' }));
+        expect(parsed.worksheets[1].data[0]).to.deep.equal([10, '=Sales[[#This Row],[Amount]]*2', 7]);
+    });
+
+    it('should add the displayed text with the text option', async () => {
+        const text = await parseXLSB(await createWorkbook(), { text: true });
+        expect(text.worksheets[0].cells.B1.text).to.equal('1.5');
+    });
+
+    it('should be detected and parsed by the main parser', async () => {
+        const detected = await tabularjs(await createWorkbook());
+        expect(detected.detected).to.deep.equal({ format: 'xlsb', source: 'content' });
+        expect(detected.worksheets[0].data[0][0]).to.equal('Hello');
+    });
+});
@@ -0,0 +1,522 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { parseXLSX } from '../src/parser/xlsx.js';
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const rels = (items) => `<?xml version="1.0"?><Relationships xmlns="${NS_PKG_REL}">` +
+    items.map(([id, type, target, mode]) => `<Relationship Id="${id}" Type="${NS_REL}/${type}" Target="${target}"${mode ? ` TargetMode="${mode}"` : ''}/>`).join('') +
+    '</Relationships>';
+
+const sheet = (stringIndex, extra = '') => `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+    `<dimension ref="A1:A1"/><sheetData><row r="1"><c r="A1" t="s"><v>${stringIndex}</v></c></row></sheetData>${extra}</worksheet>`;
+
+/**
+ * Workbook with non standard part names, reordered sheets and a chartsheet in the middle
+ */
+async function createWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/content/book.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/content/sheets/second.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/content/sheets/first.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/content/charts/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.chartsheet+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'content/book.xml']]));
+
+    zip.file('content/book.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+        '<sheet name="First" sheetId="5" r:id="rId7"/>' +
+        '<sheet name="Chart" sheetId="2" r:id="rId3"/>' +
+        '<sheet name="Second" sheetId="1" r:id="rId2"/>' +
+        '</sheets></workbook>');
+
+    zip.file('content/_rels/book.xml.rels', rels([
+        ['rId2', 'worksheet', 'sheets/second.xml'],
+        ['rId3', 'chartsheet', 'charts/sheet1.xml'],
+        ['rId7', 'worksheet', '/content/sheets/first.xml'],
+        ['rId9', 'sharedStrings', 'strings.xml']
+    ]));
+
+    zip.file('content/strings.xml', `<?xml version="1.0"?><sst xmlns="${NS_MAIN}"><si><t>from first</t></si><si><t>from second</t></si></sst>`);
+
+    // First sheet: comments and hyperlink through its own relationships
+    zip.file('content/sheets/first.xml', sheet(0, '<hyperlinks><hyperlink ref="A1" r:id="rId4"/></hyperlinks>'));
+    zip.file('content/sheets/_rels/first.xml.rels', rels([
+        ['rId1', 'comments', '../notes/note-a.xml'],
+        ['rId4', 'hyperlink', 'https://example.com/?a=1&amp;b=2', 'External']
+    ]));
+    zip.file('content/notes/note-a.xml', `<?xml version="1.0"?><comments xmlns="${NS_MAIN}"><commentList>` +
+        '<comment ref="A1" authorId="0"><text><t>First comment</t></text></comment></commentList></comments>');
+
+    zip.file('content/sheets/second.xml', sheet(1));
+    zip.file('content/charts/sheet1.xml', '<?xml version="1.0"?><chartsheet/>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+/**
+ * Workbook with date, custom date time and plain number formats
+ */
+async function createDateWorkbook(date1904) {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+        (date1904 ? '<workbookPr date1904="1"/>' : '') +
+        '<sheets><sheet name="Dates" sheetId="1" r:id="rId1"/></sheets></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', rels([
+        ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+        ['rId2', 'styles', 'styles.xml']
+    ]));
+
+    zip.file('xl/styles.xml', `<?xml version="1.0"?><styleSheet xmlns="${NS_MAIN}">` +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+        '<cellXfs count="4"><xf numFmtId="0"/><xf numFmtId="14" applyNumberFormat="1"/>' +
+        '<xf numFmtId="164" applyNumberFormat="1"/><xf numFmtId="2" applyNumberFormat="1"/></cellXfs></styleSheet>');
+
+    const serial = date1904 ? 43901 : 45363;
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}"><sheetData><row r="1">` +
+        `<c r="A1" s="1"><v>${serial}</v></c>` +
+        `<c r="B1" s="2"><v>${serial + 0.5}</v></c>` +
+        `<c r="C1" s="3"><v>${serial}</v></c>` +
+        '<c r="D1" t="d"><v>2024-03-12T08:15:00</v></c>' +
+        '</row></sheetData></worksheet>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+/**
+ * Workbook with an Excel table on the first sheet and formulas using structured references
+ */
+async function createTableWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/tables/table1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+        '<sheet name="Sales" sheetId="1" r:id="rId1"/><sheet name="Summary" sheetId="2" r:id="rId2"/></sheets>' +
+        '<definedNames><definedName name="Amounts">Sales!Table1[Amount]</definedName></definedNames></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', rels([
+        ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+        ['rId2', 'worksheet', 'worksheets/sheet2.xml']
+    ]));
+
+    const row = (r, a, b, c) => `<row r="${r}"><c r="A${r}" t="str"><v>${a}</v></c><c r="B${r}"><v>${b}</v></c>` +
+        `<c r="C${r}"><f>${c}</f><v>0</v></c></row>`;
+
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheetData>` +
+        '<row r="1"><c r="A1" t="str"><v>Item</v></c><c r="B1" t="str"><v>Amount</v></c><c r="C1" t="str"><v>Double</v></c></row>' +
+        row(2, 'Pen', 2, 'Table1[[#This Row],[Amount]]*2') +
+        row(3, 'Ink', 5, '[@Amount]*2') +
+        '<row r="4"><c r="A4" t="str"><v>Total</v></c><c r="B4"><f>SUBTOTAL(109,Table1[Amount])</f><v>7</v></c></row>' +
+        '</sheetData><tableParts count="1"><tablePart r:id="rId1"/></tableParts></worksheet>');
+
+    zip.file('xl/worksheets/_rels/sheet1.xml.rels', rels([['rId1', 'table', '../tables/table1.xml']]));
+
+    zip.file('xl/tables/table1.xml', `<?xml version="1.0"?><table xmlns="${NS_MAIN}" id="1" name="Table1" displayName="Table1" ref="A1:C4" totalsRowCount="1">` +
+        '<autoFilter ref="A1:C3"/><tableColumns count="3">' +
+        '<tableColumn id="1" name="Item" totalsRowLabel="Total"/>' +
+        '<tableColumn id="2" name="Amount" totalsRowFunction="sum"/>' +
+        '<tableColumn id="3" name="Double"><calculatedColumnFormula>Table1[[#This Row],[Amount]]*2</calculatedColumnFormula></tableColumn>' +
+        '</tableColumns><tableStyleInfo name="TableStyleMedium2" showFirstColumn="0" showLastColumn="0" showRowStripes="1" showColumnStripes="0"/></table>');
+
+    zip.file('xl/worksheets/sheet2.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}"><sheetData>` +
+        '<row r="1"><c r="A1"><f>SUM(Table1[Amount])+COUNTA(Table1[[#Headers],[Item]:[Amount]])</f><v>9</v></c>' +
+        '<c r="B1"><f>LEN("Table1[Amount]")+MissingTable[Amount]</f><v>0</v></c></row></sheetData></worksheet>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+/**
+ * Workbook with a data sheet and a pivot table on a second sheet
+ */
+async function createPivotWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+        '<sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Report" sheetId="2" r:id="rId2"/></sheets>' +
+        '<pivotCaches><pivotCache cacheId="1" r:id="rId3"/></pivotCaches></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', rels([
+        ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+        ['rId2', 'worksheet', 'worksheets/sheet2.xml'],
+        ['rId3', 'pivotCacheDefinition', 'pivotCache/pivotCacheDefinition1.xml']
+    ]));
+
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}"><sheetData>` +
+        '<row r="1"><c r="A1" t="str"><v>Region</v></c><c r="B1" t="str"><v>Year</v></c><c r="C1" t="str"><v>Amount</v></c></row>' +
+        '</sheetData></worksheet>');
+
+    zip.file('xl/worksheets/sheet2.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}"><sheetData>` +
+        '<row r="3"><c r="A3" t="str"><v>Row Labels</v></c><c r="B3" t="str"><v>Sum of Amount</v></c></row>' +
+        '</sheetData></worksheet>');
+
+    zip.file('xl/worksheets/_rels/sheet2.xml.rels', rels([['rId1', 'pivotTable', '../pivotTables/pivotTable1.xml']]));
+
+    zip.file('xl/pivotTables/pivotTable1.xml', `<?xml version="1.0"?><pivotTableDefinition xmlns="${NS_MAIN}" name="PivotTable1" cacheId="1" dataCaption="Values">` +
+        '<location ref="A3:B6" firstHeaderRow="1" firstDataRow="1" firstDataCol="1" rowPageCount="1" colPageCount="1"/>' +
+        '<pivotFields count="3">' +
+        '<pivotField axis="axisRow" showAll="0"><items count="3"><item x="0"/><item x="1" h="1"/><item t="default"/></items></pivotField>' +
+        '<pivotField axis="axisPage" showAll="0"><items count="3"><item x="0"/><item x="1"/><item t="default"/></items></pivotField>' +
+        '<pivotField dataField="1" showAll="0"/></pivotFields>' +
+        '<rowFields count="1"><field x="0"/></rowFields>' +
+        '<colFields count="1"><field x="-2"/></colFields>' +
+        '<pageFields count="1"><pageField fld="1" item="1" hier="-1"/></pageFields>' +
+        '<dataFields count="2"><dataField name="Sum of Amount" fld="2" baseField="0" baseItem="0" numFmtId="3"/>' +
+        '<dataField name="Average of Amount" fld="2" subtotal="average" baseField="0" baseItem="0"/></dataFields>' +
+        '</pivotTableDefinition>');
+
+    zip.file('xl/pivotTables/_rels/pivotTable1.xml.rels', rels([['rId1', 'pivotCacheDefinition', '../pivotCache/pivotCacheDefinition1.xml']]));
+
+    zip.file('xl/pivotCache/pivotCacheDefinition1.xml', `<?xml version="1.0"?><pivotCacheDefinition xmlns="${NS_MAIN}" xmlns:r="${NS_REL}" r:id="rId1" recordCount="3">` +
+        '<cacheSource type="worksheet"><worksheetSource ref="A1:C4" sheet="Data"/></cacheSource>' +
+        '<cacheFields count="3">' +
+        '<cacheField name="Region" numFmtId="0"><sharedItems count="2"><s v="East"/><s v="West"/></sharedItems></cacheField>' +
+        '<cacheField name="Year" numFmtId="0"><sharedItems containsNumber="1" count="2"><n v="2023"/><n v="2024"/></sharedItems></cacheField>' +
+        '<cacheField name="Amount" numFmtId="0"><sharedItems containsNumber="1" minValue="5" maxValue="20"/></cacheField>' +
+        '</cacheFields></pivotCacheDefinition>');
+
+    zip.file('xl/pivotCache/_rels/pivotCacheDefinition1.xml.rels', rels([['rId1', 'pivotCacheRecords', 'pivotCacheRecords1.xml']]));
+
+    zip.file('xl/pivotCache/pivotCacheRecords1.xml', `<?xml version="1.0"?><pivotCacheRecords xmlns="${NS_MAIN}" count="3">` +
+        '<r><x v="0"/><x v="0"/><n v="10"/></r>' +
+        '<r><x v="1"/><x v="1"/><n v="20"/></r>' +
+        '<r><x v="0"/><x v="1"/><m/></r>' +
+        '</pivotCacheRecords>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+/**
+ * Workbook with an AutoFilter (values, custom, top 10 and color criteria) and a sort state
+ */
+async function createFilterWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+        '<sheets><sheet name="Sales" sheetId="1" r:id="rId1"/></sheets></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', rels([
+        ['rId1', 'worksheet', 'worksheets/sheet1.xml'],
+        ['rId2', 'styles', 'styles.xml']
+    ]));
+
+    zip.file('xl/styles.xml', `<?xml version="1.0"?><styleSheet xmlns="${NS_MAIN}">` +
+        '<dxfs count="1"><dxf><fill><patternFill patternType="solid"><bgColor rgb="FFFFFF00"/></patternFill></fill></dxf></dxfs></styleSheet>');
+
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}"><sheetData>` +
+        '<row r="2"><c r="B2" t="str"><v>Region</v></c><c r="C2" t="str"><v>Amount</v></c><c r="D2" t="str"><v>Rank</v></c><c r="E2" t="str"><v>Status</v></c></row>' +
+        '</sheetData><autoFilter ref="B2:E10">' +
+        '<filterColumn colId="0"><filters blank="1"><filter val="East"/><filter val="West"/></filters></filterColumn>' +
+        '<filterColumn colId="1"><customFilters and="1"><customFilter operator="greaterThanOrEqual" val="10"/><customFilter operator="lessThan" val="100"/></customFilters></filterColumn>' +
+        '<filterColumn colId="2"><top10 percent="1" val="25"/></filterColumn>' +
+        '<filterColumn colId="3"><colorFilter dxfId="0"/></filterColumn>' +
+        '</autoFilter><sortState ref="B3:E10"><sortCondition descending="1" ref="C3:C10"/><sortCondition ref="B3:B10"/></sortState></worksheet>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+/**
+ * Workbook with grouped rows and columns, summaries above and on the left
+ */
+async function createOutlineWorkbook() {
+    const zip = new JSZip();
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>');
+
+    zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'xl/workbook.xml']]));
+
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+        '<sheets><sheet name="Report" sheetId="1" r:id="rId1"/></sheets></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', rels([['rId1', 'worksheet', 'worksheets/sheet1.xml']]));
+
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?><worksheet xmlns="${NS_MAIN}">` +
+        '<sheetPr><outlinePr summaryBelow="0" summaryRight="0"/></sheetPr><dimension ref="A1:C4"/>' +
+        '<cols><col min="1" max="1" width="10" collapsed="1"/><col min="2" max="3" width="10" hidden="1" outlineLevel="1"/></cols><sheetData>' +
+        '<row r="1" collapsed="1"><c r="A1" t="str"><v>Total</v></c></row>' +
+        '<row r="2" hidden="1" outlineLevel="1"><c r="A2" t="str"><v>Group</v></c></row>' +
+        '<row r="3" hidden="1" outlineLevel="2"><c r="A3" t="str"><v>Detail</v></c></row>' +
+        '<row r="4"><c r="A4" t="str"><v>Other</v></c></row>' +
+        '</sheetData></worksheet>');
+
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('XLSX Parser', () => {
+    describe('parseXLSX - Part resolution', () => {
+        let result;
+
+        before(async () => {
+            result = await parseXLSX(await createWorkbook());
+        });
+
+        it('should resolve worksheets through the workbook relationships', () => {
+            expect(result.worksheets).to.have.lengthOf(2);
+            expect(result.worksheets[0].worksheetName).to.equal('First');
+            expect(result.worksheets[0].data[0][0]).to.equal('from first');
+            expect(result.worksheets[1].worksheetName).to.equal('Second');
+            expect(result.worksheets[1].data[0][0]).to.equal('from second');
+        });
+
+        it('should skip chartsheets', () => {
+            const names = result.worksheets.map(ws => ws.worksheetName);
+            expect(names).to.not.include('Chart');
+        });
+
+        it('should resolve comments and hyperlinks through the worksheet relationships', () => {
+            const ws = result.worksheets[0];
+            expect(ws.comments).to.deep.equal({ A1: 'First comment' });
+            expect(ws.cells.A1.options.url).to.equal('https://example.com/?a=1&b=2');
+            expect(result.worksheets[1].comments).to.deep.equal({});
+        });
+    });
+
+    describe('parseXLSX - Dates', () => {
+        it('should convert date cells to ISO strings by default', async () => {
+            const result = await parseXLSX(await createDateWorkbook(false));
+            const ws = result.worksheets[0];
+
+            expect(ws.data[0]).to.deep.equal(['2024-03-12', '2024-03-12T12:00:00', 45363, '2024-03-12T08:15:00']);
+            expect(ws.cells.A1.format).to.equal('m/d/yy');
+            expect(ws.cells.B1.format).to.equal('yyyy-mm-dd hh:mm');
+        });
+
+        it('should honour the 1904 date system', async () => {
+            const result = await parseXLSX(await createDateWorkbook(true));
+            expect(result.worksheets[0].data[0].slice(0, 2)).to.deep.equal(['2024-03-12', '2024-03-12T12:00:00']);
+        });
+
+        it('should return Date objects or serial numbers on request', async () => {
+            const buffer = await createDateWorkbook(false);
+
+            const dates = await parseXLSX(buffer, { dates: 'date' });
+            expect(dates.worksheets[0].data[0][0]).to.be.instanceOf(Date);
+            expect(dates.worksheets[0].data[0][0].toISOString()).to.equal('2024-03-12T00:00:00.000Z');
+
+            const serials = await parseXLSX(buffer, { dates: 'serial' });
+            expect(serials.worksheets[0].data[0].slice(0, 3)).to.deep.equal([45363, 45363.5, 45363]);
+        });
+    });
+
+    describe('parseXLSX - Displayed text', () => {
+        it('should add the text rendered with the number format', async () => {
+            const result = await parseXLSX(await createDateWorkbook(true), { text: true });
+            const cells = result.worksheets[0].cells;
+
+            expect(cells.A1.text).to.equal('3/12/24');
+            expect(cells.B1.text).to.equal('2024-03-12 12:00');
+            expect(cells.C1.text).to.equal('43901.00');
+        });
+
+        it('should not add text by default', async () => {
+            const result = await parseXLSX(await createDateWorkbook(false));
+            expect(result.worksheets[0].cells.A1.text).to.be.undefined;
+        });
+    });
+
+    describe('parseXLSX - Tables', () => {
+        it('should expose the tables of each worksheet', async () => {
+            const result = await parseXLSX(await createTableWorkbook());
+            const [sales, summary] = result.worksheets;
+
+            expect(summary.tables).to.be.undefined;
+            expect(sales.tables).to.deep.equal([{
+                name: 'Table1',
+                ref: 'A1:C4',
+                headerRow: true,
+                totalsRow: true,
+                columns: [
+                    { name: 'Item', totalsRowLabel: 'Total' },
+                    { name: 'Amount', totalsRowFunction: 'sum' },
+                    { name: 'Double', formula: 'Table1[[#This Row],[Amount]]*2' }
+                ],
+                style: { name: 'TableStyleMedium2', showFirstColumn: false, showLastColumn: false, showRowStripes: true, showColumnStripes: false }
+            }]);
+        });
+
+        it('should keep structured references by default', async () => {
+            const result = await parseXLSX(await createTableWorkbook());
+            expect(result.worksheets[0].data[2][2]).to.equal('=[@Amount]*2');
+            expect(result.worksheets[1].data[0][0]).to.equal('=SUM(Table1[Amount])+COUNTA(Table1[[#Headers],[Item]:[Amount]])');
+        });
+
+        it('should resolve structured references to A1 ranges on request', async () => {
+            const result = await parseXLSX(await createTableWorkbook(), { resolveStructuredReferences: true });
+            const [sales, summary] = result.worksheets;
+
+            expect(sales.data[1][2]).to.equal('=B2*2');
+            expect(sales.data[2][2]).to.equal('=B3*2');
+            expect(sales.data[3][1]).to.equal('=SUBTOTAL(109,B2:B3)');
+            expect(summary.data[0][0]).to.equal('=SUM(Sales!B2:B3)+COUNTA(Sales!A1:B1)');
+            expect(summary.data[0][1]).to.equal('=LEN("Table1[Amount]")+MissingTable[Amount]');
+            expect(result.definedNames.Amounts).to.equal('Sales!B2:B3');
+        });
+    });
+
+    describe('parseXLSX - Pivot tables', () => {
+        let result;
+
+        before(async () => {
+            result = await parseXLSX(await createPivotWorkbook());
+        });
+
+        it('should attach pivot tables to the worksheet that holds them', () => {
+            expect(result.worksheets[0].pivotTables).to.be.undefined;
+            expect(result.worksheets[1].pivotTables).to.have.length(1);
+        });
+
+        it('should read the location, source and fields', () => {
+            const pivot = result.worksheets[1].pivotTables[0];
+
+            expect(pivot.name).to.equal('PivotTable1');
+            expect(pivot.ref).to.equal('A3:B6');
+            expect(pivot.source).to.deep.equal({ sheet: 'Data', ref: 'A1:C4' });
+            expect(pivot.rowFields).to.deep.equal(['Region']);
+            expect(pivot.columnFields).to.deep.equal([]);
+            expect(pivot.pageFields).to.deep.equal([{ field: 'Year', item: 2024 }]);
+            expect(pivot.fields).to.deep.equal([
+                { name: 'Region', items: ['East', 'West'], hiddenItems: ['West'] },
+                { name: 'Year', items: [2023, 2024] },
+                { name: 'Amount' }
+            ]);
+        });
+
+        it('should read the data fields and their aggregation', () => {
+            expect(result.worksheets[1].pivotTables[0].dataFields).to.deep.equal([
+                { name: 'Sum of Amount', field: 'Amount', subtotal: 'sum', format: '#,##0' },
+                { name: 'Average of Amount', field: 'Amount', subtotal: 'average' }
+            ]);
+        });
+
+        it('should resolve the cached records', () => {
+            expect(result.worksheets[1].pivotTables[0].records).to.deep.equal([
+                ['East', 2023, 10],
+                ['West', 2024, 20],
+                ['East', 2024, null]
+            ]);
+        });
+
+        it('should parse a cache shared by several pivot tables once', async () => {
+            // Second pivot table of the same cache on the data sheet
+            const zip = await JSZip.loadAsync(await createPivotWorkbook());
+            zip.file('xl/worksheets/_rels/sheet1.xml.rels', rels([['rId1', 'pivotTable', '../pivotTables/pivotTable2.xml']]));
+            zip.file('xl/pivotTables/pivotTable2.xml', `<?xml version="1.0"?><pivotTableDefinition xmlns="${NS_MAIN}" name="PivotTable2" cacheId="1">` +
+                '<location ref="E1:F4" firstHeaderRow="1" firstDataRow="1" firstDataCol="1"/><rowFields count="1"><field x="1"/></rowFields>' +
+                '</pivotTableDefinition>');
+            zip.file('xl/pivotTables/_rels/pivotTable2.xml.rels', rels([['rId1', 'pivotCacheDefinition', '../pivotCache/pivotCacheDefinition1.xml']]));
+
+            const shared = await parseXLSX(await zip.generateAsync({ type: 'uint8array' }));
+            const first = shared.worksheets[0].pivotTables[0];
+            const second = shared.worksheets[1].pivotTables[0];
+
+            expect(first.rowFields).to.deep.equal(['Year']);
+            expect(first.source).to.deep.equal({ sheet: 'Data', ref: 'A1:C4' });
+            expect(first.records).to.equal(second.records);
+        });
+    });
+
+    describe('parseXLSX - Filters', () => {
+        it('should read the AutoFilter range and the criteria of each column', async () => {
+            const result = await parseXLSX(await createFilterWorkbook());
+            const filters = result.worksheets[0].filters;
+
+            expect(filters.ref).to.equal('B2:E10');
+            expect(filters.columns).to.deep.equal([
+                { column: 1, type: 'values', values: ['East', 'West'], blank: true },
+                { column: 2, type: 'custom', and: true, criteria: [{ operator: 'greaterThanOrEqual', value: 10 }, { operator: 'lessThan', value: 100 }] },
+                { column: 3, type: 'top10', top: true, percent: true, value: 25 },
+                { column: 4, type: 'color', cellColor: true, color: '#FFFF00' }
+            ]);
+        });
+
+        it('should read the sort keys', async () => {
+            const result = await parseXLSX(await createFilterWorkbook());
+
+            expect(result.worksheets[0].filters.sort).to.deep.equal({
+                ref: 'B3:E10',
+                keys: [{ column: 2, descending: true }, { column: 1, descending: false }]
+            });
+        });
+
+        it('should not add filters to sheets without an AutoFilter', async () => {
+            const result = await parseXLSX(await createDateWorkbook(false));
+            expect(result.worksheets[0].filters).to.be.undefined;
+        });
+    });
+
+    describe('parseXLSX - Outline', () => {
+        it('should read the outline level and collapsed state of rows and columns', async () => {
+            const result = await parseXLSX(await createOutlineWorkbook());
+            const { rows, columns } = result.worksheets[0];
+
+            expect(rows[0]).to.include({ collapsed: true });
+            expect(rows[0].level).to.be.undefined;
+            expect(rows[1]).to.include({ level: 1, visible: false });
+            expect(rows[2]).to.include({ level: 2, visible: false });
+            expect(rows[3].level).to.be.undefined;
+            expect(columns[0]).to.include({ collapsed: true });
+            expect(columns[1]).to.include({ level: 1, visible: false });
+            expect(columns[2]).to.include({ level: 1 });
+        });
+
+        it('should read the position of the summary rows and columns', async () => {
+            const result = await parseXLSX(await createOutlineWorkbook());
+            expect(result.worksheets[0].outline).to.deep.equal({ summaryBelow: false, summaryRight: false });
+        });
+
+        it('should not add outline settings to sheets without groups', async () => {
+            const result = await parseXLSX(await createFilterWorkbook());
+            expect(result.worksheets[0].outline).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,277 @@
+import { expect } from 'chai';
+import JSZip from 'jszip';
+import { writeXLSX } from '../src/writer/xlsx.js';
+import { parseXLSX } from '../src/parser/xlsx.js';
+
+const workbook = () => ({
+    worksheets: [{
+        worksheetName: 'Sales & Costs',
+        data: [
+            ['Name', 'Qty', 'Total'],
+            ['Ann <a>', 0, '=B2*2'],
+            [' spaced ', 2.5, true],
+            ['', '', 'line1\nline2']
+        ],
+        columns: [{ width: 120 }, { width: 80, visible: false }],
+        rows: { 0: { height: 30 }, 2: { visible: false } },
+        cells: {
+            A1: { options: { url: 'https://example.com/?a=1&b=2' } },
+            B2: { format: '0.00' },
+            C2: { format: '#,##0.000' }
+        },
+        style: { A1: 0, B1: 1, C3: 2 },
+        mergeCells: { A4: [2, 1] },
+        comments: { A2: 'Check & confirm' },
+        freezeRows: [0]
+    }, {
+        worksheetName: 'Sheet2',
+        data: [[1, 'x', '2024-03-12', new Date(Date.UTC(2024, 2, 12, 12))]],
+        cells: {
+            C1: { format: 'yyyy-mm-dd' },
+            D1: { format: 'yyyy-mm-dd hh:mm' }
+        },
+        worksheetState: 'hidden'
+    }],
+    style: [
+        'font-weight: bold; color: #FF0000',
+        'background-color: #00FF00; border-bottom: 2px solid #0000FF; text-align: center',
+        'font-style: italic; white-space: pre-wrap'
+    ],
+    definedNames: { MyRange: 'Sheet2!$A$1:$B$1' },
+    validations: [
+        { range: 'Sales & Costs!B2:B3', type: 'number', action: 'reject', criteria: '>', value: ['0'] },
+        { range: 'Sales & Costs!B2:B3', action: 'format', type: 'number', criteria: '>', value: [1], format: { color: '#FF0000' } }
+    ]
+});
+
+describe('XLSX Writer', () => {
+    describe('writeXLSX - Package', () => {
+        it('should generate a valid OOXML package', async () => {
+            const buffer = await writeXLSX(workbook());
+            expect(buffer).to.be.instanceOf(Uint8Array);
+
+            const zip = await JSZip.loadAsync(buffer);
+            [
+                '[Content_Types].xml',
+                '_rels/.rels',
+                'xl/workbook.xml',
+                'xl/_rels/workbook.xml.rels',
+                'xl/styles.xml',
+                'xl/sharedStrings.xml',
+                'xl/worksheets/sheet1.xml',
+                'xl/worksheets/sheet2.xml',
+                'xl/worksheets/_rels/sheet1.xml.rels',
+                'xl/comments1.xml',
+                'xl/drawings/vmlDrawing1.vml'
+            ].forEach(path => {
+                expect(zip.file(path), path).to.not.be.null;
+            });
+        });
+
+        it('should throw error for invalid input', async () => {
+            try {
+                await writeXLSX({ worksheets: [] });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('Invalid data');
+            }
+        });
+    });
+
+    describe('writeXLSX - Content', () => {
+        let result;
+
+        before(async () => {
+            result = await parseXLSX(await writeXLSX(workbook()));
+        });
+
+        it('should write values, formulas and shared strings', () => {
+            const ws = result.worksheets[0];
+            expect(ws.worksheetName).to.equal('Sales & Costs');
+            expect(ws.data[0]).to.deep.equal(['Name', 'Qty', 'Total']);
+            expect(ws.data[1]).to.deep.equal(['Ann <a>', 0, '=B2*2']);
+            expect(ws.data[2]).to.deep.equal([' spaced ', 2.5, true]);
+            expect(ws.data[3][2]).to.equal('line1\nline2');
+        });
+
+        it('should write dates as serial numbers', async () => {
+            const zip = await JSZip.loadAsync(await writeXLSX(workbook()));
+            const xml = await zip.file('xl/worksheets/sheet2.xml').async('string');
+            expect(xml).to.include('<v>45363</v>');
+            expect(xml).to.include('<v>45363.5</v>');
+
+            expect(result.worksheets[1].data[0]).to.deep.equal([1, 'x', '2024-03-12', '2024-03-12T12:00:00']);
+        });
+
+        it('should write styles and number formats', () => {
+            const ws = result.worksheets[0];
+            expect(result.style[ws.style.A1]).to.include('font-weight: bold');
+            expect(result.style[ws.style.A1]).to.include('color: #FF0000');
+            expect(result.style[ws.style.B1]).to.include('background-color: #00FF00');
+            expect(result.style[ws.style.B1]).to.include('border-bottom: 2px solid #0000FF');
+            expect(ws.cells.B1.align).to.equal('center');
+            expect(ws.cells.C3.wrap).to.equal(true);
+            expect(ws.cells.B2.format).to.equal('0.00');
+            expect(ws.cells.C2.format).to.equal('#,##0.000');
+        });
+
+        it('should write merged cells, comments and hyperlinks', () => {
+            const ws = result.worksheets[0];
+            expect(ws.mergeCells).to.deep.equal({ A4: [2, 1] });
+            expect(ws.comments).to.deep.equal({ A2: 'Check & confirm' });
+            expect(ws.cells.A1.options.url).to.equal('https://example.com/?a=1&b=2');
+        });
+
+        it('should write column widths, row heights and visibility', () => {
+            const ws = result.worksheets[0];
+            expect(ws.columns[0].width).to.equal(120);
+            expect(ws.columns[1].width).to.equal(80);
+            expect(ws.columns[1].visible).to.equal(false);
+            expect(ws.rows[0].height).to.equal(30);
+            expect(ws.rows[2].visible).to.equal(false);
+            expect(ws.freezeRows).to.deep.equal([0]);
+            expect(result.worksheets[1].worksheetState).to.equal('hidden');
+        });
+
+        it('should write locked cells in the cell style and protect the sheet', async () => {
+            const buffer = await writeXLSX({
+                worksheets: [{
+                    data: [['Fixed', 'Editable', 'Default']],
+                    cells: { A1: { locked: true }, B1: { locked: false } },
+                    locked: { allowInsertRow: true }
+                }]
+            });
+            const zip = await JSZip.loadAsync(buffer);
+            const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+            const styles = await zip.file('xl/styles.xml').async('string');
+
+            expect(sheet).to.include('<sheetProtection sheet="1" objects="1" scenarios="1" insertRows="0"/>');
+            expect(sheet).to.not.include('protectedRange');
+
+            const xfs = styles.match(/<cellXfs[^>]*>(.*?)<\/cellXfs>/)[1].match(/<xf [^>]*?(?:\/>|>.*?<\/xf>)/g);
+            const xfOf = (ref) => xfs[Number(sheet.match(new RegExp(`<c r="${ref}" s="(\\d+)"`))[1])];
+            expect(xfOf('A1')).to.include('applyProtection="1"').and.include('<protection locked="1"/>');
+            expect(xfOf('B1')).to.include('applyProtection="1"').and.include('<protection locked="0"/>');
+            expect(sheet).to.include('<c r="C1" t="s">');
+        });
+
+        it('should write names keyed with their sheet as local names', async () => {
+            const buffer = await writeXLSX({
+                worksheets: [{ worksheetName: 'Summary', data: [[1]] }, { worksheetName: 'My Data', data: [[2]] }],
+                definedNames: {
+                    'Summary!_xlnm.Print_Area': 'Summary!$A$1:$D$10',
+                    "'My Data'!_xlnm.Print_Area": "'My Data'!$A$1:$B$5",
+                    "'My Data'!Rate": "'My Data'!$A$3",
+                    Rate: 'Summary!$B$2'
+                }
+            });
+            const zip = await JSZip.loadAsync(buffer);
+            const xml = await zip.file('xl/workbook.xml').async('string');
+
+            expect(xml).to.include('<definedName name="_xlnm.Print_Area" localSheetId="0">Summary!$A$1:$D$10</definedName>');
+            expect(xml).to.include('<definedName name="_xlnm.Print_Area" localSheetId="1">\'My Data\'!$A$1:$B$5</definedName>');
+            expect(xml).to.include('<definedName name="Rate" localSheetId="1">\'My Data\'!$A$3</definedName>');
+            expect(xml).to.include('<definedName name="Rate">Summary!$B$2</definedName>');
+        });
+
+        it('should double the quotes of list validation values', async () => {
+            const buffer = await writeXLSX({
+                worksheets: [{ worksheetName: 'Sheet1', data: [['']] }],
+                validations: [{ range: 'Sheet1!A1', type: 'list', dropdown: true, value: ['Yes', 'Say "no"'] }]
+            });
+            const zip = await JSZip.loadAsync(buffer);
+            const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+            // "Yes,Say ""no""" escaped for XML
+            expect(sheet).to.include('<formula1>&quot;Yes,Say &quot;&quot;no&quot;&quot;&quot;</formula1>');
+
+            const result = await parseXLSX(buffer);
+            expect(result.validations[0].value).to.deep.equal(['Yes', 'Say "no"']);
+        });
+
+        it('should write conditional formatting operands starting with = as formulas', async () => {
+            const buffer = await writeXLSX({
+                worksheets: [{ worksheetName: 'My Data', data: [[1, 2]] }],
+                validations: [{ range: "'My Data'!A1", action: 'format', type: 'number', criteria: 'between', value: [1, '=$B$1*2'], format: { color: '#FF0000' } }]
+            });
+            const zip = await JSZip.loadAsync(buffer);
+            const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+            expect(sheet).to.include('<formula>1</formula><formula>$B$1*2</formula>');
+        });
+
+        it('should write list items with commas to a hidden sheet', async () => {
+            const buffer = await writeXLSX({
+                worksheets: [{ worksheetName: 'Sheet1', data: [['']] }],
+                validations: [
+                    { range: 'Sheet1!A1', type: 'list', dropdown: true, value: ['1,000', '2,000', '3,000'] },
+                    { range: 'Sheet1!B1', type: 'list', dropdown: true, value: ['Yes', 'No'] },
+                    { range: 'Sheet1!C1', type: 'list', dropdown: true, value: ['a,b', 'c'] }
+                ]
+            });
+            const result = await parseXLSX(buffer);
+
+            expect(result.worksheets[1]).to.include({ worksheetName: '_Lists', worksheetState: 'hidden' });
+            expect(result.worksheets[1].data).to.deep.equal([['1,000', 'a,b'], ['2,000', 'c'], ['3,000', '']]);
+            expect(result.validations.map(validation => validation.value)).to.deep.equal([
+                ['_Lists!$A$1:$A$3'],
+                ['Yes', 'No'],
+                ['_Lists!$B$1:$B$2']
+            ]);
+        });
+
+        it('should write defined names and validations', () => {
+            expect(result.definedNames).to.deep.equal({ MyRange: 'Sheet2!$A$1:$B$1' });
+            expect(result.validations).to.have.lengthOf(2);
+            expect(result.validations[0]).to.include({ range: 'Sales & Costs!B2:B3', type: 'number', criteria: '>' });
+            expect(result.validations[1]).to.include({ action: 'format', type: 'number', criteria: '>' });
+            expect(result.validations[1].format).to.deep.equal({ color: '#FF0000' });
+        });
+    });
+
+    describe('writeXLSX - Round trip', () => {
+        it('should be stable when written and parsed again', async () => {
+            const first = await parseXLSX(await writeXLSX(workbook()));
+            const second = await parseXLSX(await writeXLSX(first));
+
+            expect(second).to.deep.equal(first);
+        });
+
+        it('should export the list validations of a workbook saved by Excel', async () => {
+            const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+            const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+            const relationship = (id, type, target) => `<Relationship Id="${id}" Type="${NS_REL}/${type}" Target="${target}"/>`;
+            const list = (sqref, formula) => `<dataValidation type="list" allowBlank="1" showInputMessage="1" showErrorMessage="1" sqref="${sqref}"><formula1>${formula}</formula1></dataValidation>`;
+
+            // Lists typed in the dialog, in cells of the same sheet and in another sheet
+            const zip = new JSZip();
+            zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>');
+            zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationship('rId1', 'officeDocument', 'xl/workbook.xml')}</Relationships>`);
+            zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+                '<sheets><sheet name="Tasks" sheetId="1" r:id="rId1"/><sheet name="Lists" sheetId="2" r:id="rId2"/></sheets></workbook>');
+            zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                relationship('rId1', 'worksheet', 'worksheets/sheet1.xml') + relationship('rId2', 'worksheet', 'worksheets/sheet2.xml') + '</Relationships>');
+            zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><dimension ref="A1:E3"/><sheetData>` +
+                '<row r="1"><c r="A1" t="inlineStr"><is><t>Task</t></is></c><c r="B1" t="inlineStr"><is><t>Status</t></is></c><c r="E1" t="inlineStr"><is><t>Low</t></is></c></row>' +
+                '<row r="2"><c r="E2" t="inlineStr"><is><t>High</t></is></c></row></sheetData>' +
+                '<dataValidations count="3">' + list('B2:B10', '"Open,Closed,Say ""done"""') + list('C2:C10', '$E$1:$E$2') + list('D2:D10', 'Lists!$A$1:$A$2') + '</dataValidations></worksheet>');
+            zip.file('xl/worksheets/sheet2.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="${NS_MAIN}"><dimension ref="A1:A2"/><sheetData>` +
+                '<row r="1"><c r="A1" t="inlineStr"><is><t>1,000</t></is></c></row><row r="2"><c r="A2" t="inlineStr"><is><t>2,000</t></is></c></row></sheetData></worksheet>');
+
+            const first = await parseXLSX(await zip.generateAsync({ type: 'uint8array' }));
+            expect(first.validations.map(validation => validation.value)).to.deep.equal([
+                ['Open', 'Closed', 'Say "done"'],
+                ['$E$1:$E$2'],
+                ['Lists!$A$1:$A$2']
+            ]);
+
+            const second = await parseXLSX(await writeXLSX(first));
+            expect(second.worksheets.map(worksheet => worksheet.worksheetName)).to.deep.equal(['Tasks', 'Lists']);
+            expect(second.validations).to.deep.equal(first.validations);
+        });
+    });
+});